@@ -3,20 +3,23 @@
  * Main application initialization and orchestration
  */
 
-import { TocDataModel } from './dataModel.js';
+import { TocDataModel, getAllTags, getPerson, getLanguages, getDefaultLanguage } from './dataModel.js';
 import { StorageManager } from './storage.js';
+import { HistoryManager } from './history.js';
+import { SnapshotManager } from './snapshots.js';
+import { TabSync } from './tabSync.js';
 import { DomBuilder } from './domBuilder.js';
 import { AccessibilityManager } from './accessibility.js';
 import { EventHandlers } from './eventHandlers.js';
-import { renderPreviewInline } from './preview.js';
+import { renderPreviewInline, renderFilterBar } from './preview.js';
 import { renderSVGVisualization } from './svgVisualizer.js';
-import { importFromURL } from './importers.js';
+import { importFromURL, importWithRepair, getTitleFromURL } from './importers.js';
 
 class TocApplication {
   constructor() {
-    // Check for localStorage availability
+    // Check for storage availability
     if (!StorageManager.isAvailable()) {
-      alert('localStorage is not available. Your data will not be saved.');
+      alert('Browser storage is not available. Your data will not be saved.');
     }
 
     // Initialize components
@@ -24,7 +27,18 @@ class TocApplication {
     this.accessibility = new AccessibilityManager();
     this.domBuilder = new DomBuilder(this.dataModel, this.accessibility);
     this.storage = new StorageManager(this.dataModel);
+    this.history = new HistoryManager(this.dataModel);
+    this.snapshots = new SnapshotManager(this.storage, this.dataModel);
+    this.sync = new TabSync(this.storage, this.dataModel);
+    // Keep the document switcher and the snapshots in sync with the library
+    this.storage.subscribe(() => this.renderDocuments());
+    this.snapshots.subscribe(() => this.renderSnapshots());
     this.currentView = 'preview'; // Default view
+    // Part of the chain the preview is narrowed to (see getVisibleIds)
+    this.filter = { tags: [], personId: null, agreedOnly: false, showRetired: false };
+    // Language of the texts in the preview, the diagram and the Markdown
+    // export, and translated into in the edit view; null for the default one
+    this.language = null;
 
     // Check for URL parameter
     const urlParam = this.getURLParameter();
@@ -43,22 +57,50 @@ class TocApplication {
     return params.get('url') || params.get('data') || params.get('source');
   }
 
+  /**
+   * Remove the data source from the address of the page once imported, so
+   * that reloading the page does not import it again
+   */
+  removeURLParameter() {
+    const url = new URL(window.location.href);
+    ['url', 'data', 'source'].forEach(name => url.searchParams.delete(name));
+    window.history.replaceState(null, '', url.href);
+  }
+
   /**
    * Initialize application with data
    * @param {string|null} urlParam - Optional URL to load data from
    */
   async initialize(urlParam) {
+    // Open the storage and its library of documents
+    await this.storage.init();
+
     try {
       if (urlParam) {
         // Load from URL parameter
         console.log(`Loading ToC from URL: ${urlParam}`);
-        const data = await importFromURL(urlParam, this.storage);
-        this.dataModel.setData(data);
-        this.storage.save();
-        this.accessibility.announce('Theory of Change loaded from URL.');
+        const data = await importWithRepair(
+          () => importFromURL(urlParam, this.storage),
+          this.storage,
+          this.accessibility
+        );
+        if (data) {
+          // Open it as a new document rather than replacing the current one
+          await this.storage.createDocument(getTitleFromURL(urlParam), urlParam);
+          this.dataModel.setData(data);
+          await this.storage.save();
+          this.removeURLParameter();
+          this.accessibility.announce(`Theory of Change loaded from URL as new document "${this.storage.getCurrentDocument().title}".`);
+        } else {
+          // Repair declined: keep the saved data
+          const savedData = await this.storage.load();
+          if (savedData) {
+            this.dataModel.setData(savedData);
+          }
+        }
       } else {
-        // Load from localStorage
-        const savedData = this.storage.load();
+        // Load from storage
+        const savedData = await this.storage.load();
         if (savedData) {
           this.dataModel.setData(savedData);
         }
@@ -79,6 +121,15 @@ class TocApplication {
       // Setup beforeunload warning
       this.setupBeforeUnload();
 
+      // Take automatic snapshots while editing
+      this.snapshots.start();
+
+      // Follow the changes saved in other tabs
+      this.sync.start();
+
+      // Offer to recover the saved data if it could not be loaded
+      this.eventHandlers.offerRecovery();
+
       // Log application ready
       console.log('Theory of Change Authoring Tool initialized');
 
@@ -87,7 +138,7 @@ class TocApplication {
       alert(`Failed to load data from URL: ${error.message}\n\nStarting with empty ToC.`);
 
       // Fall back to empty or saved data
-      const savedData = this.storage.load();
+      const savedData = await this.storage.load();
       if (savedData) {
         this.dataModel.setData(savedData);
       }
@@ -104,6 +155,9 @@ class TocApplication {
       );
 
       this.setupBeforeUnload();
+      this.snapshots.start();
+      this.sync.start();
+      this.eventHandlers.offerRecovery();
     }
   }
 
@@ -111,6 +165,16 @@ class TocApplication {
    * Render the application (both views)
    */
   render() {
+    // Languages no longer in the document cannot be selected
+    const data = this.dataModel.data;
+    if (!getLanguages(data).includes(this.language) || this.language === getDefaultLanguage(data)) {
+      this.language = null;
+    }
+    this.domBuilder.language = this.language;
+
+    // Render the document switcher
+    this.renderDocuments();
+
     // Render preview view (text)
     this.renderPreview();
 
@@ -121,35 +185,99 @@ class TocApplication {
     this.renderEdit();
   }
 
+  /**
+   * Render the document switcher of the header
+   */
+  renderDocuments() {
+    this.domBuilder.renderDocuments(this.storage.getDocuments(), this.storage.getCurrentDocument());
+  }
+
+  /**
+   * Render the snapshots of the current document, once listed
+   */
+  async renderSnapshots() {
+    this.domBuilder.renderSnapshots(await this.snapshots.list());
+  }
+
+  /**
+   * Show the document that was just opened, created or imported, with the
+   * whole chain in its default language
+   */
+  showDocument() {
+    this.filter = { tags: [], personId: null, agreedOnly: false, showRetired: false };
+    this.language = null;
+    this.domBuilder.renderSnapshotDiff(null);
+    this.render();
+  }
+
   /**
    * Render preview view (text)
    */
   renderPreview() {
-    renderPreviewInline(this.dataModel);
+    // Tags and people no longer in the document cannot be selected
+    const tags = getAllTags(this.dataModel.data);
+    this.filter = {
+      ...this.filter,
+      tags: this.filter.tags.filter(tag => tags.includes(tag)),
+      personId: getPerson(this.dataModel.data, this.filter.personId) ? this.filter.personId : null
+    };
+
+    renderFilterBar(this.dataModel, this.filter);
+    renderPreviewInline(this.dataModel, 'preview-content-container', this.filter, this.language);
   }
 
   /**
    * Render SVG visualization
    */
   renderSVG() {
-    renderSVGVisualization(this.dataModel);
+    renderSVGVisualization(this.dataModel, 'svg-visualization-container', this.filter, this.language);
+  }
+
+  /**
+   * Narrow the text preview and the diagram to the elements matching a
+   * filter, and the items above them
+   * @param {Object} changes - New { tags, personId, agreedOnly, showRetired }
+   *   values; empty tags, a null person and false options show everything
+   *   but retired elements
+   */
+  setFilter(changes) {
+    this.filter = { ...this.filter, ...changes };
+    this.renderPreview();
+    this.renderSVG();
+  }
+
+  /**
+   * Show the texts in another language in the preview, the diagram and the
+   * Markdown export, and translate into that language in the edit view
+   * @param {string|null} language - One of the languages of the document,
+   *   null for the default one
+   */
+  setLanguage(language) {
+    this.language = language;
+    this.render();
   }
 
   /**
    * Render edit view
    */
   renderEdit() {
+    // Render languages and the language switcher
+    this.domBuilder.renderLanguages();
+
+    // Render the snapshots of the document
+    this.renderSnapshots();
+
     // Render impact statement
-    const impactElement = document.getElementById('impact-statement');
-    if (impactElement) {
-      impactElement.textContent = this.dataModel.data.impact.statement;
-    }
+    this.domBuilder.renderImpact();
 
-    // Render all outcomes
-    this.domBuilder.renderAllOutcomes();
+    // Render people and organisations
+    this.domBuilder.renderPeople();
 
-    // Show welcome message if no outcomes
-    if (this.dataModel.data.outcomes.length === 0) {
+    // Render all items
+    this.domBuilder.renderAllItems();
+
+    // Show welcome message if no items
+    if (this.dataModel.data[this.dataModel.getLevels()[0].key].length === 0) {
       this.showEmptyState();
     }
   }
@@ -200,11 +328,12 @@ class TocApplication {
     const container = document.getElementById('outcomes-container');
     if (!container) return;
 
+    const level = this.dataModel.getLevels()[0];
     const emptyState = document.createElement('div');
     emptyState.className = 'empty-state';
-    emptyState.innerHTML = `
-      <p>No outcomes yet. Click "Add Outcome" to get started.</p>
-    `;
+    const message = document.createElement('p');
+    message.textContent = `No ${level.pluralName.toLowerCase()} yet. Click "Add ${level.name}" to get started.`;
+    emptyState.appendChild(message);
     container.appendChild(emptyState);
   }
 
@@ -216,11 +345,8 @@ class TocApplication {
       // Only warn in edit mode
       if (this.currentView !== 'edit') return;
 
-      // Compare current data with saved data
-      const currentData = JSON.stringify(this.dataModel.data);
-      const savedData = localStorage.getItem('toc-authoring-data');
-
-      if (currentData !== savedData) {
+      // Saving is asynchronous: warn while changes are waiting to be saved
+      if (this.storage.hasUnsavedChanges()) {
         e.preventDefault();
         e.returnValue = 'You have unsaved changes. Are you sure you want to leave?';
         return e.returnValue;
@@ -3,286 +3,3048 @@
  * Implements observer pattern for state management
  */
 
+import { CURRENT_VERSION } from './migrations.js';
+import { getDefaultSchema, createSchema, isValidSchema, getLevelSlug } from './schema.js';
+
+/**
+ * Get the levels of the hierarchy below the impact, from the level closest
+ * to the impact down to the most concrete one (see schema.js)
+ * @param {Object} data - The ToC data
+ * @returns {Array}
+ */
+export function getLevels(data) {
+  return data.schema.levels;
+}
+
+/**
+ * Get the items of the level below linked to an item, in order
+ * Items of every level but the first live in a list per level (e.g.
+ * data.outputs) and are referenced by ID from each item of the level above
+ * they contribute to (e.g. outcome.outputIds)
+ * @param {Object} data - The ToC data
+ * @param {string} levelKey - Level of the item
+ * @param {Object} item
+ * @returns {Array}
+ */
+export function getChildItems(data, levelKey, item) {
+  const levels = getLevels(data);
+  const childLevel = levels[levels.findIndex(level => level.key === levelKey) + 1];
+  if (!childLevel) return [];
+  return item[childLevel.idsKey]
+    .map(childId => data[childLevel.key].find(child => child.id === childId))
+    .filter(Boolean);
+}
+
+/**
+ * Get the items of the level above an item contributes to
+ * @param {Object} data - The ToC data
+ * @param {string} levelKey - Level of the item
+ * @param {string} itemId
+ * @returns {Array} Empty for items of the first level
+ */
+export function getParentItems(data, levelKey, itemId) {
+  const levels = getLevels(data);
+  const index = levels.findIndex(level => level.key === levelKey);
+  if (index < 1) return [];
+  const idsKey = levels[index].idsKey;
+  return data[levels[index - 1].key].filter(parent => parent[idsKey].includes(itemId));
+}
+
+/**
+ * Number the items by their position in the hierarchy
+ * e.g. '2.1' for the first child of the second item of the first level.
+ * Items shared by several parents get the number of their first occurrence.
+ * @param {Object} data - The ToC data
+ * @returns {Map} Item ID → number
+ */
+export function getItemNumbers(data) {
+  const numbers = new Map();
+  const levels = getLevels(data);
+
+  const visit = (levelIndex, item, number) => {
+    if (numbers.has(item.id)) return;
+    numbers.set(item.id, number);
+    getChildItems(data, levels[levelIndex].key, item).forEach((child, index) => {
+      visit(levelIndex + 1, child, `${number}.${index + 1}`);
+    });
+  };
+  data[levels[0].key].forEach((item, index) => visit(0, item, `${index + 1}`));
+
+  return numbers;
+}
+
+/**
+ * Directions of change an indicator can track
+ */
+export const INDICATOR_DIRECTIONS = ['increase', 'decrease'];
+
+/**
+ * How often the data of an indicator is collected
+ */
+export const INDICATOR_FREQUENCIES = ['monthly', 'quarterly', 'biannually', 'annually', 'ad hoc'];
+
+/**
+ * Optional structured fields of an indicator, besides its description
+ * Dotted fields are nested: 'baseline.value' is stored as { baseline: { value } }
+ */
+export const INDICATOR_FIELDS = [
+  'baseline.value',
+  'baseline.date',
+  'target.value',
+  'target.date',
+  'unit',
+  'direction',
+  'dataSource',
+  'frequency'
+];
+
+/**
+ * Describe the structured fields of an indicator in plain words
+ * e.g. ['Baseline: 20 % (2024-01-01)', 'Target: increase to 50 % by 2026-12-31']
+ * @param {Object} indicator
+ * @returns {Array<string>} One line per group of fields that is set
+ */
+export function describeIndicatorDetails(indicator) {
+  const lines = [];
+  const withUnit = value => (indicator.unit ? `${value} ${indicator.unit}` : `${value}`);
+  const hasValue = value => value !== undefined && value !== null;
+
+  const baseline = indicator.baseline || {};
+  if (hasValue(baseline.value)) {
+    lines.push(`Baseline: ${withUnit(baseline.value)}${baseline.date ? ` (${baseline.date})` : ''}`);
+  }
+
+  const target = indicator.target || {};
+  if (hasValue(target.value) || target.date) {
+    let line = 'Target: ';
+    if (indicator.direction) {
+      line += `${indicator.direction} to `;
+    }
+    line += hasValue(target.value) ? withUnit(target.value) : '(no value)';
+    if (target.date) {
+      line += ` by ${target.date}`;
+    }
+    lines.push(line);
+  } else if (indicator.direction) {
+    lines.push(`Direction: ${indicator.direction}`);
+  }
+
+  if (indicator.dataSource || indicator.frequency) {
+    const source = indicator.dataSource ? `Data source: ${indicator.dataSource}` : 'Data collected';
+    lines.push(indicator.frequency ? `${source} (${indicator.frequency})` : source);
+  }
+
+  return lines;
+}
+
+/**
+ * Fields of a measurement of an indicator
+ */
+export const MEASUREMENT_FIELDS = ['date', 'value', 'note', 'source'];
+
+/**
+ * Compute the progress of an indicator from its latest measurement
+ * The share of the target achieved is measured from the baseline (or from 0
+ * for increases without a baseline). When the baseline and target have dates,
+ * the indicator is on track if it has achieved at least the share of the
+ * change expected by the date of the latest measurement.
+ * @param {Object} indicator
+ * @returns {Object|null} { latest, percent, status } where percent is null when
+ *   the target is unknown and status is 'achieved', 'on-track', 'off-track' or
+ *   null; null when there is no measured value
+ */
+export function getIndicatorProgress(indicator) {
+  const measured = (indicator.measurements || [])
+    .filter(m => Number.isFinite(m.value))
+    .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+  if (measured.length === 0) return null;
+
+  const latest = measured[measured.length - 1];
+  const target = indicator.target || {};
+  const baseline = indicator.baseline || {};
+  const hasBaseline = Number.isFinite(baseline.value);
+
+  let percent = null;
+  if (Number.isFinite(target.value)) {
+    const start = hasBaseline ? baseline.value : 0;
+    if (target.value !== start && (hasBaseline || indicator.direction !== 'decrease')) {
+      percent = Math.round((latest.value - start) / (target.value - start) * 100);
+    }
+  }
+
+  let status = null;
+  if (percent !== null && percent >= 100) {
+    status = 'achieved';
+  } else if (percent !== null && baseline.date && target.date && latest.date) {
+    const start = Date.parse(baseline.date);
+    const end = Date.parse(target.date);
+    const elapsed = Date.parse(latest.date);
+    if (end > start && !Number.isNaN(elapsed)) {
+      const expected = Math.min(100, Math.max(0, (elapsed - start) / (end - start) * 100));
+      status = percent >= expected ? 'on-track' : 'off-track';
+    }
+  }
+
+  return { latest, percent, status };
+}
+
+/**
+ * Describe the progress of an indicator in plain words
+ * e.g. 'Latest: 35 % (2025-06-01), 60% of target, on track'
+ * @param {Object} indicator
+ * @returns {string|null} null when the indicator has no measured value
+ */
+export function describeIndicatorProgress(indicator) {
+  const progress = getIndicatorProgress(indicator);
+  if (!progress) return null;
+
+  const { latest, percent, status } = progress;
+  let text = `Latest: ${indicator.unit ? `${latest.value} ${indicator.unit}` : latest.value}`;
+  if (latest.date) {
+    text += ` (${latest.date})`;
+  }
+  if (percent !== null) {
+    text += `, ${percent}% of target`;
+  }
+  if (status) {
+    text += `, ${status.replace('-', ' ')}`;
+  }
+  return text;
+}
+
+/**
+ * Ratings used for the likelihood and impact of risks
+ */
+export const RISK_RATINGS = ['low', 'medium', 'high'];
+
+/**
+ * Combine the likelihood and impact ratings of a risk into a single level
+ * @param {Object} risk
+ * @returns {string} One of RISK_RATINGS
+ */
+export function getRiskLevel(risk) {
+  const score = RISK_RATINGS.indexOf(risk.likelihood) + RISK_RATINGS.indexOf(risk.impact);
+  if (score >= 3) return 'high';
+  return score <= 1 ? 'low' : 'medium';
+}
+
+/**
+ * Kinds of evidence a reference can provide
+ */
+export const EVIDENCE_TYPES = ['research', 'evaluation', 'monitoring data', 'expert opinion', 'case study'];
+
+/**
+ * Ratings of how strongly a reference supports a claim, from the weakest
+ */
+export const EVIDENCE_STRENGTHS = ['weak', 'moderate', 'strong'];
+
+/**
+ * Get the strength of the evidence given by a list of references: the
+ * rating of the strongest one
+ * @param {Array|undefined} references
+ * @returns {string|null} One of EVIDENCE_STRENGTHS, or null without references
+ */
+export function getEvidenceStrength(references) {
+  const ranks = (references || []).map(reference => EVIDENCE_STRENGTHS.indexOf(reference.strength));
+  const rank = Math.max(-1, ...ranks);
+  return rank === -1 ? null : EVIDENCE_STRENGTHS[rank];
+}
+
+/**
+ * Check whether the source of a reference is a web address
+ * (rather than a citation)
+ * @param {string|undefined} source
+ * @returns {boolean}
+ */
+export function isWebSource(source) {
+  return /^https?:\/\/\S+$/i.test(source || '');
+}
+
+/**
+ * Describe a reference in plain text
+ * e.g. 'Web Almanac 2024 — https://almanac.httparchive.org/ (research, strong evidence)'
+ * @param {Object} reference
+ * @returns {string}
+ */
+export function describeReference(reference) {
+  let text = reference.title || '(Untitled reference)';
+  if (reference.source) {
+    text += ` — ${reference.source}`;
+  }
+  return `${text} (${reference.type}, ${reference.strength} evidence)`;
+}
+
+/**
+ * Number references as footnotes, in the order they are cited
+ * A reference cited again (e.g. by a shared item shown under several
+ * parents) keeps its number.
+ * @returns {Object} { references, cite } where cite(reference) returns the
+ *   number of the reference and references lists them in order
+ */
+export function createReferenceNotes() {
+  const numbers = new Map();
+  const references = [];
+  return {
+    references,
+    cite(reference) {
+      if (!numbers.has(reference.id)) {
+        references.push(reference);
+        numbers.set(reference.id, references.length);
+      }
+      return numbers.get(reference.id);
+    }
+  };
+}
+
+/**
+ * Get the causal link between two elements, if it carries assumptions,
+ * risks or references
+ * @param {Object} data - The ToC data
+ * @param {string} sourceId - ID of the item that contributes
+ * @param {string} targetId - ID of the impact or of the item contributed to
+ * @returns {Object|null}
+ */
+export function getCausalLink(data, sourceId, targetId) {
+  return (data.causalLinks || []).find(l => l.sourceId === sourceId && l.targetId === targetId) || null;
+}
+
+/**
+ * Get the items of the same level an item contributes to
+ * (e.g. "standards published" contributes to "standards implemented")
+ * @param {Object} data - The ToC data
+ * @param {string} levelKey - Level of the item
+ * @param {string} itemId
+ * @returns {Array} Items, in the order the contributions were declared
+ */
+export function getContributionTargets(data, levelKey, itemId) {
+  return (data.contributions || [])
+    .filter(c => c.sourceId === itemId)
+    .map(c => data[levelKey].find(item => item.id === c.targetId))
+    .filter(Boolean);
+}
+
+/**
+ * Normalize a tag: surrounding spaces are dropped and inner spaces collapsed
+ * @param {string} tag
+ * @returns {string}
+ */
+export function normalizeTag(tag) {
+  return String(tag).trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * List the tags used in a document, on the impact, items and indicators
+ * @param {Object} data - The ToC data
+ * @returns {Array} Sorted, without duplicates
+ */
+export function getAllTags(data) {
+  const tags = new Set(data.impact.tags || []);
+  getLevels(data).forEach(level => {
+    data[level.key].forEach(item => {
+      (item.tags || []).forEach(tag => tags.add(tag));
+      (item.indicators || []).forEach(indicator => {
+        (indicator.tags || []).forEach(tag => tags.add(tag));
+      });
+    });
+  });
+  return [...tags].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Get the people and organisations of a document
+ * @param {Object} data - The ToC data
+ * @returns {Array} { id, name, organisation } objects
+ */
+export function getPeople(data) {
+  return data.people || [];
+}
+
+/**
+ * Get a person or organisation by ID
+ * @param {Object} data - The ToC data
+ * @param {string} personId
+ * @returns {Object|null}
+ */
+export function getPerson(data, personId) {
+  return getPeople(data).find(person => person.id === personId) || null;
+}
+
+/**
+ * Describe a person for display, e.g. 'Jane Doe (W3C)'
+ * @param {Object} person
+ * @returns {string}
+ */
+export function describePerson(person) {
+  const name = person.name || '(Unnamed)';
+  return person.organisation ? `${name} (${person.organisation})` : name;
+}
+
+/**
+ * Get the initials of a person, e.g. 'JD' for 'Jane Doe'
+ * @param {Object} person
+ * @returns {string} At most two letters, '?' for unnamed people
+ */
+export function getInitials(person) {
+  const words = (person.name || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return '?';
+  const letters = words.length === 1 ? [words[0][0]] : [words[0][0], words[words.length - 1][0]];
+  return letters.join('').toUpperCase();
+}
+
+/**
+ * Check whether a person owns or contributes to an item or indicator
+ * @param {Object} node - Item or indicator
+ * @param {string} personId
+ * @returns {boolean}
+ */
+export function isAssigned(node, personId) {
+  return node.ownerId === personId || (node.contributorIds || []).includes(personId);
+}
+
+/**
+ * Count the open and resolved comment threads of the impact, an item or an
+ * indicator
+ * @param {Object} element - Impact, item or indicator
+ * @returns {Object} { open, resolved }
+ */
+export function getCommentCounts(element) {
+  const comments = element.comments || [];
+  const resolved = comments.filter(comment => comment.resolved).length;
+  return { open: comments.length - resolved, resolved };
+}
+
+/**
+ * Describe comment counts, e.g. '2 open comments, 1 resolved'
+ * @param {Object} counts - Result of getCommentCounts
+ * @returns {string} Empty if there are no comments
+ */
+export function describeCommentCounts({ open, resolved }) {
+  const parts = [];
+  if (open > 0) {
+    parts.push(`${open} open comment${open > 1 ? 's' : ''}`);
+  }
+  if (resolved > 0) {
+    parts.push(parts.length > 0 ? `${resolved} resolved` : `${resolved} resolved comment${resolved > 1 ? 's' : ''}`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Workflow statuses of items and indicators, from the first one
+ * Elements without a status are drafts.
+ */
+export const STATUSES = ['draft', 'proposed', 'agreed', 'retired'];
+
+/**
+ * Statuses each status can change to
+ * Agreed elements go back to proposed to be renegotiated, and retired
+ * elements come back as drafts.
+ */
+export const STATUS_TRANSITIONS = {
+  draft: ['proposed', 'retired'],
+  proposed: ['draft', 'agreed', 'retired'],
+  agreed: ['proposed', 'retired'],
+  retired: ['draft']
+};
+
+/**
+ * Get the workflow status of an item or indicator
+ * @param {Object} node - Item or indicator
+ * @returns {string} One of STATUSES
+ */
+export function getStatus(node) {
+  return node.status || 'draft';
+}
+
+/**
+ * Count the items and indicators of each status
+ * @param {Object} data - The ToC data
+ * @returns {Object} Count per status, e.g. { draft: 3, proposed: 1, agreed: 5, retired: 0 }
+ */
+export function getStatusCounts(data) {
+  const counts = {};
+  STATUSES.forEach(status => {
+    counts[status] = 0;
+  });
+  getLevels(data).forEach(level => {
+    data[level.key].forEach(item => {
+      counts[getStatus(item)]++;
+      (item.indicators || []).forEach(indicator => {
+        counts[getStatus(indicator)]++;
+      });
+    });
+  });
+  return counts;
+}
+
+/**
+ * Get the IDs of the items and indicators to show when filtering the chain
+ * An item is shown when it, one of its indicators or one of the items below
+ * it matches the filter, so that matching items keep their ancestors for
+ * context. An indicator is shown when it or its item matches. Retired
+ * elements are left out unless asked for, along with the items only linked
+ * below them. The impact is always shown.
+ * @param {Object} data - The ToC data
+ * @param {Object} filter
+ * @param {Array} filter.tags - Elements need any one of these tags
+ * @param {string|null} filter.personId - Elements need to be owned by or
+ *   contributed to by this person
+ * @param {boolean} filter.agreedOnly - Elements need to be agreed
+ * @param {boolean} filter.showRetired - Whether to keep retired elements
+ * @returns {Set|null} null when nothing is filtered out
+ */
+export function getVisibleIds(data, { tags = [], personId = null, agreedOnly = false, showRetired = false } = {}) {
+  const hidesRetired = !showRetired && getStatusCounts(data).retired > 0;
+  if (tags.length === 0 && !personId && !agreedOnly && !hidesRetired) return null;
+
+  const isShown = node => showRetired || getStatus(node) !== 'retired';
+  const matchesFilter = node => (tags.length === 0 || (node.tags || []).some(tag => tags.includes(tag))) &&
+    (!personId || isAssigned(node, personId)) &&
+    (!agreedOnly || getStatus(node) === 'agreed');
+  const levels = getLevels(data);
+  const visible = new Set();
+
+  // From the most concrete level up, so that the children are known when checking their parents
+  for (let index = levels.length - 1; index >= 0; index--) {
+    const level = levels[index];
+    data[level.key].forEach(item => {
+      if (!isShown(item)) return;
+      const matches = matchesFilter(item);
+      const indicators = (item.indicators || [])
+        .filter(indicator => isShown(indicator) && (matches || matchesFilter(indicator)));
+      indicators.forEach(indicator => visible.add(indicator.id));
+      if (matches || indicators.length > 0 || getChildItems(data, level.key, item).some(child => visible.has(child.id))) {
+        visible.add(item.id);
+      }
+    });
+  }
+
+  return visible;
+}
+
+/**
+ * Build the JSON Pointer (RFC 6901) of a path of keys
+ * @param {Array} path
+ * @returns {string} e.g. '/outcomes/0/statement'
+ */
+function toPointer(path) {
+  return path.map(key => `/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Split a JSON Pointer (RFC 6901) into a path of keys
+ * @param {string} pointer
+ * @returns {Array<string>}
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new Error(`${JSON.stringify(pointer)} is not a JSON Pointer`);
+  }
+  return pointer.split('/').slice(1).map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Copy a JSON value so that later changes to the data do not affect it
+ * @param {*} value
+ * @returns {*}
+ */
+function cloneValue(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Compare two JSON values
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isEqualValue(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a).filter(key => a[key] !== undefined);
+  const otherKeys = Object.keys(b).filter(key => b[key] !== undefined);
+  return keys.length === otherKeys.length && keys.every(key => isEqualValue(a[key], b[key]));
+}
+
+/**
+ * Express an operation as JSON Patch (RFC 6902) operations
+ * @param {Object} operation - Operation applied (see applyOperation)
+ * @param {Object} inverse - The operation reverting it, which holds the
+ *   value a 'set' replaced
+ * @returns {Array} Zero or one JSON Patch operation
+ */
+function toPatch(operation, inverse) {
+  switch (operation.op) {
+    case 'insert':
+      return [{ op: 'add', path: toPointer([...operation.path, operation.index]), value: cloneValue(operation.value) }];
+    case 'remove':
+      return [{ op: 'remove', path: toPointer([...operation.path, operation.index]) }];
+    default: {
+      const path = toPointer([...operation.path, operation.key]);
+      if (operation.value === undefined) {
+        return inverse.value === undefined ? [] : [{ op: 'remove', path }];
+      }
+      return [{ op: inverse.value === undefined ? 'add' : 'replace', path, value: cloneValue(operation.value) }];
+    }
+  }
+}
+
+/**
+ * Copy an item with new IDs for it, its references, its indicators and
+ * their measurements
+ * Comments are not copied: they are about the original. Copies start as
+ * drafts, whatever the status of the original.
+ * @param {Object} item
+ * @param {Map} newIds - IDs of the copies, by ID of the original items
+ * @param {Object|undefined} childLevel - Level below the item
+ * @returns {Object}
+ */
+function copyItem(item, newIds, childLevel) {
+  const copy = JSON.parse(JSON.stringify(item));
+  copy.id = newIds.get(item.id);
+  delete copy.comments;
+  delete copy.status;
+  (copy.references || []).forEach(reference => {
+    reference.id = crypto.randomUUID();
+  });
+  if (childLevel) {
+    copy[childLevel.idsKey] = item[childLevel.idsKey].map(id => newIds.get(id));
+  }
+  (copy.indicators || []).forEach(indicator => {
+    indicator.id = crypto.randomUUID();
+    delete indicator.comments;
+    delete indicator.status;
+    (indicator.measurements || []).forEach(measurement => {
+      measurement.id = crypto.randomUUID();
+    });
+  });
+  return copy;
+}
+
+/**
+ * Describe the elements a filter keeps, e.g. 'tagged a or b and assigned
+ * to Jane Doe' (see getVisibleIds)
+ * @param {Object} data - The ToC data
+ * @param {Object} filter - { tags, personId, agreedOnly }
+ * @returns {string} Empty when the filter is empty
+ */
+export function describeFilter(data, { tags = [], personId = null, agreedOnly = false } = {}) {
+  const parts = [];
+  if (tags.length > 0) {
+    parts.push(`tagged ${tags.join(' or ')}`);
+  }
+  const person = personId ? getPerson(data, personId) : null;
+  if (person) {
+    parts.push(`assigned to ${describePerson(person)}`);
+  }
+  if (agreedOnly) {
+    parts.push('marked agreed');
+  }
+  return parts.join(' and ');
+}
+
+/**
+ * Check whether a string is a language code, e.g. 'fr' or 'pt-BR'
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function isLanguageCode(code) {
+  return typeof code === 'string' && /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(code);
+}
+
+/**
+ * Get the languages of a document
+ * @param {Object} data - The ToC data
+ * @returns {Array} Language codes, empty for documents written in a single
+ *   unnamed language
+ */
+export function getLanguages(data) {
+  return data.languages || [];
+}
+
+/**
+ * Get the language of the statements and descriptions of a document
+ * @param {Object} data - The ToC data
+ * @returns {string|null} null when the document has no languages
+ */
+export function getDefaultLanguage(data) {
+  return data.defaultLanguage || null;
+}
+
+/**
+ * Name a language in that language, e.g. 'français (fr)'
+ * Falls back to the code when the browser cannot name the language.
+ * @param {string} code
+ * @returns {string}
+ */
+export function describeLanguage(code) {
+  try {
+    const name = new Intl.DisplayNames([code], { type: 'language' }).of(code);
+    return name && name !== code ? `${name} (${code})` : code;
+  } catch (error) {
+    return code;
+  }
+}
+
+/**
+ * List the texts that can be translated: the statements of the impact and
+ * items, and the descriptions of indicators
+ * @param {Object} data - The ToC data
+ * @returns {Array} { element, path, field } objects
+ */
+export function getTranslatableTexts(data) {
+  const texts = [{ element: data.impact, path: ['impact'], field: 'statement' }];
+  getLevels(data).forEach(level => {
+    data[level.key].forEach((item, itemIndex) => {
+      const itemPath = [level.key, itemIndex];
+      texts.push({ element: item, path: itemPath, field: 'statement' });
+      (item.indicators || []).forEach((indicator, indicatorIndex) => {
+        texts.push({ element: indicator, path: [...itemPath, 'indicators', indicatorIndex], field: 'description' });
+      });
+    });
+  });
+  return texts;
+}
+
+/**
+ * Get a text of the impact, an item or an indicator in a language
+ * The statement or description of an element is in the default language,
+ * the other languages are in its translations. Texts without a translation
+ * fall back to the default language.
+ * @param {Object} data - The ToC data
+ * @param {Object} element - Impact, item or indicator
+ * @param {string} field - 'statement' or 'description'
+ * @param {string|null} language - null for the default language
+ * @returns {Object} { text, language, missing } where language is the
+ *   language of the text (null when the document has no languages) and
+ *   missing tells that the translation is missing
+ */
+export function getText(data, element, field, language = null) {
+  const defaultLanguage = getDefaultLanguage(data);
+  const text = element[field] || '';
+  if (!language || language === defaultLanguage) {
+    return { text, language: defaultLanguage, missing: false };
+  }
+  const translation = element.translations && element.translations[language];
+  if (translation && translation[field]) {
+    return { text: translation[field], language, missing: false };
+  }
+  return { text, language: defaultLanguage, missing: text !== '' };
+}
+
+/**
+ * Copy a document with its texts in a language, for the preview, the
+ * diagram and the Markdown export
+ * Texts without a translation keep the default language, which is recorded
+ * in the textLanguage property of their element so that they can be marked
+ * up as such.
+ * @param {Object} data - The ToC data
+ * @param {string|null} language - null for the default language
+ * @returns {Object} The data itself when no translation is needed
+ */
+export function translateData(data, language) {
+  if (!language || language === getDefaultLanguage(data)) return data;
+
+  const copy = JSON.parse(JSON.stringify(data));
+  getTranslatableTexts(copy).forEach(({ element, field }) => {
+    const { text, language: textLanguage } = getText(copy, element, field, language);
+    element[field] = text;
+    if (text && textLanguage !== language) {
+      element.textLanguage = textLanguage;
+    }
+  });
+  return copy;
+}
+
+/**
+ * Count the texts that have no translation in a language
+ * Empty texts need no translation.
+ * @param {Object} data - The ToC data
+ * @param {string} language
+ * @returns {number}
+ */
+export function countMissingTranslations(data, language) {
+  return getTranslatableTexts(data)
+    .filter(({ element, field }) => getText(data, element, field, language).missing)
+    .length;
+}
+
+/**
+ * Properties of a document compared as a whole by diffDocuments, besides
+ * the impact and the items
+ */
+const DOCUMENT_KEYS = ['schema', 'causalLinks', 'contributions', 'people', 'languages', 'defaultLanguage'];
+
+/**
+ * List the elements of a document that diffDocuments compares, by ID
+ * @param {Object} data - The ToC data
+ * @returns {Map} ID → { kind, element, field, ignored } where field holds
+ *   the text of the element and ignored lists the properties compared
+ *   separately
+ */
+function getComparedElements(data) {
+  const elements = new Map();
+  elements.set('impact', { kind: 'Impact', element: data.impact, field: 'statement', ignored: [] });
+  getLevels(data).forEach(level => {
+    (data[level.key] || []).forEach(item => {
+      elements.set(item.id, { kind: level.name, element: item, field: 'statement', ignored: ['indicators'] });
+      (item.indicators || []).forEach(indicator => {
+        elements.set(indicator.id, { kind: 'Indicator', element: indicator, field: 'description', ignored: [] });
+      });
+    });
+  });
+  return elements;
+}
+
+/**
+ * List the differences between two versions of a document
+ * The impact, items and indicators are matched by ID; the other properties
+ * of the document (causal links, people, languages...) are compared as a
+ * whole.
+ * @param {Object} before - The ToC data of the earlier version
+ * @param {Object} after - The ToC data of the later version
+ * @returns {Array} { type, kind, id, before, after, fields } objects where
+ *   type is 'added', 'removed' or 'changed', kind is 'Impact', the name of
+ *   a level, 'Indicator' or 'Document', before and after are the texts of
+ *   the element (statement or description), and fields lists the other
+ *   properties that changed
+ */
+export function diffDocuments(before, after) {
+  const changes = [];
+  const previous = getComparedElements(before);
+  const next = getComparedElements(after);
+
+  next.forEach(({ kind, element, field, ignored }, id) => {
+    const old = previous.get(id);
+    if (!old) {
+      changes.push({ type: 'added', kind, id, before: null, after: element[field] || '', fields: [] });
+      return;
+    }
+    const keys = new Set([...Object.keys(old.element), ...Object.keys(element)]);
+    const fields = [...keys].filter(key => key !== field && !ignored.includes(key) &&
+      !isEqualValue(old.element[key], element[key]));
+    const text = old.element[field] || '';
+    if (text !== (element[field] || '') || fields.length > 0) {
+      changes.push({ type: 'changed', kind, id, before: text, after: element[field] || '', fields });
+    }
+  });
+  previous.forEach(({ kind, element, field }, id) => {
+    if (!next.has(id)) {
+      changes.push({ type: 'removed', kind, id, before: element[field] || '', after: null, fields: [] });
+    }
+  });
+
+  DOCUMENT_KEYS.forEach(key => {
+    if (!isEqualValue(before[key], after[key])) {
+      changes.push({ type: 'changed', kind: 'Document', id: key, before: null, after: null, fields: [key] });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Summarize a list of differences, e.g. '2 added, 1 changed'
+ * @param {Array} changes - See diffDocuments
+ * @returns {string}
+ */
+export function summarizeChanges(changes) {
+  const parts = ['added', 'removed', 'changed']
+    .map(type => [type, changes.filter(change => change.type === type).length])
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `${count} ${type}`);
+  return parts.length > 0 ? parts.join(', ') : 'No changes';
+}
+
+/**
+ * Get what identifies an entry of a list across versions of a document:
+ * the ID of items, indicators, people and comments, the ends of causal links
+ * and contributions, the key of levels
+ * @param {*} value - Entry of a list
+ * @returns {string|null} null if the entry has no identity, e.g. a tag
+ */
+function getMergeKey(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  if (typeof value.id === 'string') return value.id;
+  if (typeof value.sourceId === 'string' && typeof value.targetId === 'string') {
+    return `${value.sourceId} → ${value.targetId}`;
+  }
+  return typeof value.key === 'string' ? value.key : null;
+}
+
+/**
+ * Merge the changes made to a value since a common version
+ * Objects are merged property by property, lists of entries with an
+ * identity entry by entry and lists of texts (child IDs, tags...) text by
+ * text. When both sides changed the same value differently, mine is kept.
+ * @param {*} base - The value both sides started from, undefined if none
+ * @param {*} mine
+ * @param {*} theirs
+ * @param {string} path - Where the value is, to report conflicts
+ * @param {Array} conflicts - Paths of the values changed on both sides
+ * @returns {*} The merged value, undefined if removed
+ */
+function mergeValues(base, mine, theirs, path, conflicts) {
+  if (isEqualValue(mine, base) || isEqualValue(mine, theirs)) return cloneValue(theirs);
+  if (isEqualValue(theirs, base)) return cloneValue(mine);
+
+  const values = [base, mine, theirs];
+  if (values.every(Array.isArray)) {
+    if (values.every(list => list.every(entry => typeof entry === 'string'))) {
+      return mergeLists(base, mine, theirs, path, conflicts, entry => entry);
+    }
+    if (values.every(list => list.every(entry => getMergeKey(entry) !== null))) {
+      return mergeLists(base, mine, theirs, path, conflicts, getMergeKey);
+    }
+  } else if (values.every(value => value && typeof value === 'object' && !Array.isArray(value))) {
+    const merged = {};
+    new Set([...Object.keys(theirs), ...Object.keys(mine)]).forEach(key => {
+      const value = mergeValues(base[key], mine[key], theirs[key], `${path}.${key}`, conflicts);
+      if (value !== undefined) {
+        merged[key] = value;
+      }
+    });
+    return merged;
+  }
+
+  conflicts.push(path);
+  return cloneValue(mine);
+}
+
+/**
+ * Merge the changes made to a list of entries with an identity (see
+ * getMergeKey) or of texts
+ * The entries are in the order of their list, with the entries only in
+ * mine appended, unless mine was reordered: then they are in the order of
+ * mine, with the entries only in theirs appended. Both lists reordered
+ * differently is a conflict.
+ * @param {Array} base
+ * @param {Array} mine
+ * @param {Array} theirs
+ * @param {string} path
+ * @param {Array} conflicts
+ * @param {Function} getKey - Gets the identity of an entry
+ * @returns {Array}
+ */
+function mergeLists(base, mine, theirs, path, conflicts, getKey) {
+  const byKey = list => new Map(list.map(entry => [getKey(entry), entry]));
+  const baseEntries = byKey(base);
+  const myEntries = byKey(mine);
+  const theirEntries = byKey(theirs);
+  // Order of the entries all three lists have
+  const getOrder = list => list.map(getKey)
+    .filter(key => baseEntries.has(key) && myEntries.has(key) && theirEntries.has(key));
+  const baseOrder = getOrder(base);
+  const myOrder = getOrder(mine);
+  const theirOrder = getOrder(theirs);
+  const reordered = !isEqualValue(myOrder, baseOrder);
+  if (reordered && !isEqualValue(theirOrder, baseOrder) && !isEqualValue(myOrder, theirOrder)) {
+    conflicts.push(path);
+  }
+
+  const merged = [];
+  const mergeEntry = (key) => {
+    const entryPath = `${path}[${key}]`;
+    const old = baseEntries.get(key);
+    const value = mergeValues(old, myEntries.get(key), theirEntries.get(key), entryPath, conflicts);
+    if (value !== undefined) {
+      merged.push(value);
+    }
+  };
+  const [first, second, firstEntries] = reordered ? [mine, theirs, myEntries] : [theirs, mine, theirEntries];
+  first.forEach(entry => mergeEntry(getKey(entry)));
+  second.forEach(entry => {
+    const key = getKey(entry);
+    if (!firstEntries.has(key)) {
+      mergeEntry(key);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Merge the changes made to a document in two places, e.g. in two tabs
+ * The changes made on each side since the version both started from are
+ * combined: items, indicators, people, links... are matched by ID, and
+ * their properties merged one by one. When both sides changed the same
+ * property, reordered the same list, or one changed an element the other
+ * removed, mine is kept.
+ * The result may refer to elements removed on one side, and should be
+ * validated.
+ * @param {Object} base - The ToC data both sides started from
+ * @param {Object} mine - The ToC data with my changes
+ * @param {Object} theirs - The ToC data with their changes
+ * @returns {Object} { data, conflicts } where conflicts lists where both
+ *   sides made changes, e.g. 'outcomes[<id>].statement'
+ */
+export function mergeDocuments(base, mine, theirs) {
+  const conflicts = [];
+  // Set again once the merged version is saved
+  const dates = { lastModified: theirs.lastModified };
+  const data = mergeValues({ ...base, ...dates }, { ...mine, ...dates }, theirs, '', conflicts);
+  return { data, conflicts: conflicts.map(path => path.replace(/^\./, '')) };
+}
+
 export class TocDataModel {
   constructor(initialData = null) {
     this.data = initialData || this.getDefaultStructure();
     this.listeners = [];
+    // Changes made by the current transaction, null outside transactions
+    this.pendingChanges = null;
+  }
+
+  /**
+   * Subscribe to data changes
+   * @param {Function} callback - Called when data changes with (changeType, payload)
+   */
+  subscribe(callback) {
+    this.listeners.push(callback);
+  }
+
+  /**
+   * Notify all listeners of a change
+   * @param {string} changeType - Type of change (e.g., 'outcome-added')
+   * @param {Object} payload - Data about the change
+   */
+  notify(changeType, payload) {
+    this.listeners.forEach(listener => listener(changeType, payload));
+  }
+
+  /**
+   * Apply a list of operations to the data and notify listeners.
+   * The inverse operations are computed while applying, so that every
+   * mutation can be reverted (see HistoryManager). Listeners also get the
+   * change as a JSON Patch (RFC 6902) and the patch reverting it, which
+   * holds the previous values. If an operation fails, the ones already
+   * applied are reverted before the error is rethrown.
+   * Within a transaction, listeners are only notified when it ends.
+   * @param {string} changeType - Type of change (e.g., 'outcome-added')
+   * @param {Object} payload - Data about the change
+   * @param {Array} operations - Operations to apply, in order
+   */
+  commit(changeType, payload, operations) {
+    const inverse = [];
+    const patch = [];
+    const inversePatch = [];
+    try {
+      operations.forEach(op => {
+        const inverseOp = this.applyOperation(op);
+        inverse.unshift(inverseOp);
+        patch.push(...toPatch(op, inverseOp));
+        inversePatch.unshift(...toPatch(inverseOp, op));
+      });
+    } catch (error) {
+      inverse.forEach(op => this.applyOperation(op));
+      throw error;
+    }
+    this.data.lastModified = new Date().toISOString();
+
+    const change = { operations, inverse, patch, inversePatch };
+    if (this.pendingChanges) {
+      this.pendingChanges.push({ changeType, payload, ...change });
+      return;
+    }
+    this.notify(changeType, { ...payload, ...change });
+  }
+
+  /**
+   * Apply several changes as a single one
+   * The changes made by fn are applied as they are made, but listeners are
+   * notified once, when fn returns, with the operations of all of them:
+   * the history records a single entry and auto-save is scheduled once. If
+   * fn throws, all its changes are reverted, listeners are not notified and
+   * the error is rethrown. fn must be synchronous. A transaction started
+   * within another one is part of it.
+   * @param {Function} fn - Makes the changes, called with the model
+   * @param {string} changeType - Type of the summarized change
+   * @returns {*} The value returned by fn
+   */
+  transaction(fn, changeType = 'changes-applied') {
+    if (this.pendingChanges) {
+      return fn(this);
+    }
+
+    const changes = [];
+    const lastModified = this.data.lastModified;
+    const rollback = () => {
+      changes.slice().reverse().forEach(change => change.inverse.forEach(op => this.applyOperation(op)));
+      this.data.lastModified = lastModified;
+    };
+
+    let result;
+    this.pendingChanges = changes;
+    try {
+      result = fn(this);
+      if (result && typeof result.then === 'function') {
+        throw new Error('Transactions must be synchronous');
+      }
+    } catch (error) {
+      rollback();
+      throw error;
+    } finally {
+      this.pendingChanges = null;
+    }
+
+    if (changes.length > 0) {
+      this.notify(changeType, {
+        changes: changes.map(change => ({ changeType: change.changeType, payload: change.payload })),
+        nodeIds: this.getAffectedIds(changes.map(change => change.payload)),
+        operations: changes.flatMap(change => change.operations),
+        inverse: changes.slice().reverse().flatMap(change => change.inverse),
+        patch: changes.flatMap(change => change.patch),
+        inversePatch: changes.slice().reverse().flatMap(change => change.inversePatch)
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Apply a JSON Patch (RFC 6902) to the data
+   * The patch is applied as a transaction: either all its operations apply
+   * or none does, and listeners are notified once, so the patch can be
+   * undone. The result is not validated against the format: patches should
+   * come from the change events of another copy of the document.
+   * @param {Array} patch - add, remove, replace, move, copy and test operations
+   * @param {string} changeType - Type of the change notified to listeners
+   */
+  applyPatch(patch, changeType = 'patch-applied') {
+    if (!Array.isArray(patch)) {
+      throw new Error('A JSON Patch must be an array of operations');
+    }
+
+    this.transaction(() => {
+      patch.forEach((operation, index) => {
+        try {
+          this.applyPatchOperation(operation, changeType);
+        } catch (error) {
+          throw new Error(`JSON Patch operation ${index} failed: ${error.message}`);
+        }
+      });
+    }, changeType);
+  }
+
+  /**
+   * Apply one operation of a JSON Patch
+   * @param {Object} operation
+   * @param {string} changeType
+   */
+  applyPatchOperation(operation, changeType) {
+    if (!operation || typeof operation !== 'object') {
+      throw new Error('operations must be objects');
+    }
+    const { op, path } = operation;
+    const hasValue = 'value' in operation;
+
+    switch (op) {
+      case 'add':
+      case 'replace':
+        if (!hasValue) throw new Error(`"${op}" requires a value`);
+        this.commit(changeType, { path }, [this.getPointerOperation(op, path, cloneValue(operation.value))]);
+        break;
+      case 'remove':
+        this.commit(changeType, { path }, [this.getPointerOperation(op, path)]);
+        break;
+      case 'move':
+      case 'copy': {
+        if (op === 'move' && (path === operation.from || path.startsWith(`${operation.from}/`))) {
+          throw new Error(`${operation.from} cannot be moved into itself`);
+        }
+        const value = cloneValue(this.resolvePath(parsePointer(operation.from)));
+        if (op === 'move') {
+          this.commit(changeType, { path: operation.from }, [this.getPointerOperation('remove', operation.from)]);
+        }
+        this.commit(changeType, { path }, [this.getPointerOperation('add', path, value)]);
+        break;
+      }
+      case 'test':
+        if (!hasValue || !isEqualValue(this.resolvePath(parsePointer(path)), operation.value)) {
+          throw new Error(`${path} does not have the expected value`);
+        }
+        break;
+      default:
+        throw new Error(`unknown operation ${JSON.stringify(op)}`);
+    }
+  }
+
+  /**
+   * Build the operation applying an add, remove or replace JSON Patch
+   * operation to the current data
+   * @param {string} op - 'add', 'remove' or 'replace'
+   * @param {string} pointer - JSON Pointer of the target location
+   * @param {*} value - Value to add or replace with
+   * @returns {Object} Operation (see applyOperation)
+   */
+  getPointerOperation(op, pointer, value) {
+    const path = parsePointer(pointer);
+    if (path.length === 0) {
+      throw new Error('the whole document cannot be replaced, use setData instead');
+    }
+    const parentPath = path.slice(0, -1);
+    const key = path[path.length - 1];
+    const target = this.resolvePath(parentPath);
+
+    if (Array.isArray(target)) {
+      const index = op === 'add' && key === '-' ? target.length : (/^(0|[1-9][0-9]*)$/.test(key) ? Number(key) : -1);
+      if (index === -1 || index > (op === 'add' ? target.length : target.length - 1)) {
+        throw new Error(`${pointer} is not a valid position`);
+      }
+      if (op === 'add') return { op: 'insert', path: parentPath, index, value };
+      if (op === 'remove') return { op: 'remove', path: parentPath, index };
+      return { op: 'set', path: parentPath, key: index, value };
+    }
+
+    if (target === null || typeof target !== 'object') {
+      throw new Error(`${toPointer(parentPath)} is not an object or array`);
+    }
+    if (op !== 'add' && target[key] === undefined) {
+      throw new Error(`${pointer} does not exist`);
+    }
+    return { op: 'set', path: parentPath, key, value: op === 'remove' ? undefined : value };
+  }
+
+  /**
+   * List the IDs of the impact, items and indicators changes apply to
+   * @param {Array} payloads - Payloads of the changes
+   * @returns {Array<string>} IDs in order of appearance, without duplicates
+   */
+  getAffectedIds(payloads) {
+    const ids = new Set();
+    payloads.forEach(payload => {
+      if (payload.levelKey === 'impact') {
+        ids.add(this.data.impact.id);
+      }
+      ['itemId', 'indicatorId', 'parentId', 'fromParentId', 'sourceId', 'targetId'].forEach(key => {
+        if (typeof payload[key] === 'string') {
+          ids.add(payload[key]);
+        }
+      });
+    });
+    return [...ids];
+  }
+
+  /**
+   * Apply a single operation to the data
+   * Operations are plain objects so they can be stored and replayed:
+   * - { op: 'insert', path, index, value }
+   * - { op: 'remove', path, index }
+   * - { op: 'set', path, key, value }
+   * where path is the list of keys leading from the root of the data
+   * to the array or object being modified.
+   * @param {Object} operation
+   * @returns {Object} The operation that reverts this one
+   */
+  applyOperation(operation) {
+    const target = this.resolvePath(operation.path);
+
+    switch (operation.op) {
+      case 'insert':
+        target.splice(operation.index, 0, operation.value);
+        return { op: 'remove', path: operation.path, index: operation.index };
+      case 'remove': {
+        const [removed] = target.splice(operation.index, 1);
+        return { op: 'insert', path: operation.path, index: operation.index, value: removed };
+      }
+      case 'set': {
+        const previous = target[operation.key];
+        target[operation.key] = operation.value;
+        return { op: 'set', path: operation.path, key: operation.key, value: previous };
+      }
+      default:
+        throw new Error(`Unknown operation: ${operation.op}`);
+    }
+  }
+
+  /**
+   * Resolve a path of keys to the object or array it designates
+   * @param {Array} path
+   * @returns {Object|Array}
+   */
+  resolvePath(path) {
+    return path.reduce((node, key) => {
+      if (node === undefined || node === null || !(key in node)) {
+        throw new Error(`Invalid path: ${path.join('/')}`);
+      }
+      return node[key];
+    }, this.data);
+  }
+
+  /**
+   * Get default data structure
+   */
+  getDefaultStructure() {
+    const schema = getDefaultSchema();
+    const data = {
+      version: CURRENT_VERSION,
+      lastModified: new Date().toISOString(),
+      schema,
+      impact: {
+        id: "impact-1",
+        statement: "People around the world experience and enjoy a single, unified Web that works consistently across devices, browsers, and platforms, ensuring users can freely choose the tools they want to interact with the Web."
+      }
+    };
+    // One list of items per level
+    schema.levels.forEach(level => {
+      data[level.key] = [];
+    });
+    data.causalLinks = [];
+    data.contributions = [];
+    data.people = [];
+    return data;
+  }
+
+  /**
+   * Update the impact statement
+   * @param {string} statement
+   * @param {Object} options
+   * @param {boolean} options.keepPreviousVersion - Record the previous wording in impact.previousVersions
+   * @param {string} options.rationale - Why the statement is changing (kept with the previous wording)
+   */
+  updateImpactStatement(statement, { keepPreviousVersion = false, rationale = '' } = {}) {
+    const impact = this.data.impact;
+    if (impact.statement === statement) return;
+
+    const operations = [];
+    if (keepPreviousVersion) {
+      if (!Array.isArray(impact.previousVersions)) {
+        operations.push({ op: 'set', path: ['impact'], key: 'previousVersions', value: [] });
+      }
+      operations.push({
+        op: 'insert',
+        path: ['impact', 'previousVersions'],
+        index: impact.previousVersions ? impact.previousVersions.length : 0,
+        value: {
+          statement: impact.statement,
+          rationale,
+          replacedAt: new Date().toISOString()
+        }
+      });
+    }
+    operations.push({ op: 'set', path: ['impact'], key: 'statement', value: statement });
+
+    // Each save of the statement is undone on its own, along with the
+    // previous version it keeps
+    this.commit('impact-updated', { impactId: impact.id, field: 'statement', coalesce: false }, operations);
+  }
+
+  /**
+   * Get the levels of the hierarchy below the impact
+   * @returns {Array}
+   */
+  getLevels() {
+    return getLevels(this.data);
+  }
+
+  /**
+   * Get the definition of a level
+   * @param {string} levelKey
+   * @returns {Object|null}
+   */
+  getLevel(levelKey) {
+    return this.getLevels().find(level => level.key === levelKey) || null;
+  }
+
+  /**
+   * Get the position of a level in the hierarchy (0 for the level closest to the impact)
+   * @param {string} levelKey
+   * @returns {number} -1 if not found
+   */
+  getLevelIndex(levelKey) {
+    return this.getLevels().findIndex(level => level.key === levelKey);
+  }
+
+  /**
+   * Get the level below a level
+   * @param {string} levelKey
+   * @returns {Object|null} null for the last level
+   */
+  getChildLevel(levelKey) {
+    const index = this.getLevelIndex(levelKey);
+    return index !== -1 ? this.getLevels()[index + 1] || null : null;
+  }
+
+  /**
+   * Get the level above a level
+   * @param {string} levelKey
+   * @returns {Object|null} null for the first level
+   */
+  getParentLevel(levelKey) {
+    const index = this.getLevelIndex(levelKey);
+    return index > 0 ? this.getLevels()[index - 1] : null;
+  }
+
+  /**
+   * Build the change type of a change to items of a level
+   * e.g. 'intermediate-outcome-added'
+   * @param {string} levelKey
+   * @param {string} change - e.g. 'added', 'indicator-deleted'
+   * @returns {string}
+   */
+  getChangeType(levelKey, change) {
+    return `${getLevelSlug(this.getLevel(levelKey))}-${change}`;
+  }
+
+  /**
+   * Check whether the document has items at any level
+   * @returns {boolean}
+   */
+  hasItems() {
+    return this.getLevels().some(level => this.data[level.key].length > 0);
+  }
+
+  /**
+   * Replace the levels of the hierarchy
+   * Only possible while the document has no items, since existing items
+   * could not be placed in the new hierarchy
+   * @param {Array} levels - Level definitions (see schema.js)
+   * @returns {boolean} Whether the levels were replaced
+   */
+  setLevels(levels) {
+    const schema = createSchema(levels);
+    if (this.hasItems() || !isValidSchema(schema)) return false;
+
+    // Drop the empty lists of the levels that go away
+    const operations = this.getLevels()
+      .filter(level => !schema.levels.some(newLevel => newLevel.key === level.key))
+      .map(level => ({ op: 'set', path: [], key: level.key, value: undefined }));
+    schema.levels.forEach(level => {
+      if (!Array.isArray(this.data[level.key])) {
+        operations.push({ op: 'set', path: [], key: level.key, value: [] });
+      }
+    });
+    operations.push({ op: 'set', path: [], key: 'schema', value: schema });
+
+    this.commit('levels-replaced', {}, operations);
+    return true;
+  }
+
+  /**
+   * Get an item by ID
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @returns {Object|null}
+   */
+  getItem(levelKey, itemId) {
+    const index = this.getItemIndex(levelKey, itemId);
+    return index !== -1 ? this.data[levelKey][index] : null;
+  }
+
+  /**
+   * Get the index of an item in the list of its level
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @returns {number} -1 if not found
+   */
+  getItemIndex(levelKey, itemId) {
+    if (!this.getLevel(levelKey)) return -1;
+    return this.data[levelKey].findIndex(item => item.id === itemId);
+  }
+
+  /**
+   * Find the level of an item
+   * @param {string} itemId
+   * @returns {string|null} The level key
+   */
+  getItemLevelKey(itemId) {
+    const level = this.getLevels().find(l => this.data[l.key].some(item => item.id === itemId));
+    return level ? level.key : null;
+  }
+
+  /**
+   * Get the items of the level below linked to an item, in order
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @returns {Array}
+   */
+  getChildren(levelKey, itemId) {
+    const item = this.getItem(levelKey, itemId);
+    return item ? getChildItems(this.data, levelKey, item) : [];
+  }
+
+  /**
+   * Get the items of the level above an item contributes to
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @returns {Array}
+   */
+  getParents(levelKey, itemId) {
+    return getParentItems(this.data, levelKey, itemId);
+  }
+
+  /**
+   * Check whether an item contributes to more than one item of the level above
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @returns {boolean}
+   */
+  isSharedItem(levelKey, itemId) {
+    return this.getParents(levelKey, itemId).length > 1;
+  }
+
+  /**
+   * Get the path of the ordered list an item belongs to under a parent:
+   * the list of items of the first level, or the list of IDs of the parent
+   * @param {string} levelKey
+   * @param {string|null} parentId - null for items of the first level
+   * @returns {Array|null}
+   */
+  getSiblingsPath(levelKey, parentId) {
+    const parentLevel = this.getParentLevel(levelKey);
+    if (!parentLevel) {
+      return this.getLevelIndex(levelKey) === 0 ? [levelKey] : null;
+    }
+    const parentIndex = this.getItemIndex(parentLevel.key, parentId);
+    if (parentIndex === -1) return null;
+    return [parentLevel.key, parentIndex, this.getLevel(levelKey).idsKey];
+  }
+
+  /**
+   * Get the IDs of the items of a level under a parent, in order
+   * @param {string} levelKey
+   * @param {string|null} parentId - null for items of the first level
+   * @returns {Array<string>}
+   */
+  getSiblingIds(levelKey, parentId) {
+    const path = this.getSiblingsPath(levelKey, parentId);
+    if (!path) return [];
+    const siblings = this.resolvePath(path);
+    return path.length === 1 ? siblings.map(item => item.id) : siblings;
+  }
+
+  /**
+   * Add a new item
+   * @param {string} levelKey
+   * @param {string|null} parentId - Item of the level above the new item
+   *   contributes to (null for the first level)
+   * @returns {string|null} The ID of the new item
+   */
+  addItem(levelKey, parentId = null) {
+    const level = this.getLevel(levelKey);
+    const siblingsPath = level ? this.getSiblingsPath(levelKey, parentId) : null;
+    if (!siblingsPath) return null;
+
+    const item = {
+      id: crypto.randomUUID(),
+      statement: ""
+    };
+    if (level.indicators) {
+      item.indicators = [];
+    }
+    const childLevel = this.getChildLevel(levelKey);
+    if (childLevel) {
+      item[childLevel.idsKey] = [];
+    }
+
+    const operations = [{ op: 'insert', path: [levelKey], index: this.data[levelKey].length, value: item }];
+    if (siblingsPath.length > 1) {
+      operations.push({
+        op: 'insert',
+        path: siblingsPath,
+        index: this.resolvePath(siblingsPath).length,
+        value: item.id
+      });
+    }
+
+    this.commit(this.getChangeType(levelKey, 'added'), { levelKey, itemId: item.id, parentId }, operations);
+    return item.id;
+  }
+
+  /**
+   * Update the statement of an item
+   * The statement is shared by all items of the level above the item contributes to
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @param {string} statement
+   */
+  updateItemStatement(levelKey, itemId, statement) {
+    const index = this.getItemIndex(levelKey, itemId);
+    if (index !== -1 && this.data[levelKey][index].statement !== statement) {
+      this.commit(this.getChangeType(levelKey, 'updated'), { levelKey, itemId, field: 'statement' }, [
+        { op: 'set', path: [levelKey, index], key: 'statement', value: statement }
+      ]);
+    }
+  }
+
+  /**
+   * Delete an item from every item of the level above it contributes to
+   * Items of the levels below that only contribute to deleted items are
+   * deleted with it.
+   * @param {string} levelKey
+   * @param {string} itemId
+   */
+  deleteItem(levelKey, itemId) {
+    if (this.getItemIndex(levelKey, itemId) === -1) return;
+    this.commit(this.getChangeType(levelKey, 'deleted'), { levelKey, itemId }, this.getItemRemovals(levelKey, itemId));
+  }
+
+  /**
+   * Build the operations deleting an item, its orphaned descendants, the
+   * references to them and their causal links
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @returns {Array}
+   */
+  getItemRemovals(levelKey, itemId) {
+    const levels = this.getLevels();
+    const startIndex = this.getLevelIndex(levelKey);
+    const removed = levels.map(() => new Set());
+    removed[startIndex].add(itemId);
+
+    for (let index = startIndex + 1; index < levels.length; index++) {
+      this.data[levels[index].key].forEach(item => {
+        const parents = getParentItems(this.data, levels[index].key, item.id);
+        if (parents.length > 0 && parents.every(parent => removed[index - 1].has(parent.id))) {
+          removed[index].add(item.id);
+        }
+      });
+    }
+
+    const removedIds = new Set(removed.flatMap(ids => [...ids]));
+    // Highest index first so that the remaining indexes stay valid
+    const descendingIndexes = (list, predicate) => list
+      .map((value, index) => (predicate(value) ? index : -1))
+      .filter(index => index !== -1)
+      .reverse();
+
+    const involvesRemoved = l => removedIds.has(l.sourceId) || removedIds.has(l.targetId);
+    const operations = [
+      ...this.getCausalLinkRemovals(involvesRemoved),
+      ...this.getContributionRemovals(involvesRemoved)
+    ];
+
+    // References from the items that remain
+    levels.forEach((level, index) => {
+      const childLevel = levels[index + 1];
+      if (!childLevel || removed[index + 1].size === 0) return;
+      this.data[level.key].forEach((item, itemIndex) => {
+        if (removed[index].has(item.id)) return;
+        descendingIndexes(item[childLevel.idsKey], id => removed[index + 1].has(id)).forEach(idIndex => {
+          operations.push({ op: 'remove', path: [level.key, itemIndex, childLevel.idsKey], index: idIndex });
+        });
+      });
+    });
+
+    // The items themselves
+    levels.forEach((level, index) => {
+      descendingIndexes(this.data[level.key], item => removed[index].has(item.id)).forEach(itemIndex => {
+        operations.push({ op: 'remove', path: [level.key], index: itemIndex });
+      });
+    });
+
+    return operations;
+  }
+
+  /**
+   * Link an existing item to another item of the level above
+   * @param {string} levelKey
+   * @param {string} parentId - Item the item will contribute to
+   * @param {string} itemId
+   * @returns {boolean} Whether the link was created
+   */
+  linkItem(levelKey, parentId, itemId) {
+    if (this.getLevelIndex(levelKey) < 1 || this.getItemIndex(levelKey, itemId) === -1) return false;
+
+    const path = this.getSiblingsPath(levelKey, parentId);
+    if (!path) return false;
+    const ids = this.resolvePath(path);
+    if (ids.includes(itemId)) return false;
+
+    this.commit(this.getChangeType(levelKey, 'linked'), { levelKey, itemId, parentId }, [
+      { op: 'insert', path, index: ids.length, value: itemId }
+    ]);
+    return true;
+  }
+
+  /**
+   * Unlink an item from an item of the level above
+   * The item is deleted when it no longer contributes to any item
+   * @param {string} levelKey
+   * @param {string} parentId
+   * @param {string} itemId
+   * @returns {boolean} Whether the link was removed
+   */
+  unlinkItem(levelKey, parentId, itemId) {
+    if (this.getLevelIndex(levelKey) < 1) return false;
+
+    const path = this.getSiblingsPath(levelKey, parentId);
+    const index = path ? this.resolvePath(path).indexOf(itemId) : -1;
+    if (index === -1) return false;
+
+    const operations = this.isSharedItem(levelKey, itemId)
+      ? [
+        ...this.getCausalLinkRemovals(l => l.sourceId === itemId && l.targetId === parentId),
+        { op: 'remove', path, index }
+      ]
+      : this.getItemRemovals(levelKey, itemId);
+
+    this.commit(this.getChangeType(levelKey, 'unlinked'), { levelKey, itemId, parentId }, operations);
+    return true;
+  }
+
+  /**
+   * Move an item to a new position, possibly under a different parent
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @param {string|null} parentId - Parent the item currently belongs to (null for the first level)
+   * @param {string|null} toParentId - Parent the item will belong to (null for the first level)
+   * @param {number} toIndex - Position of the item after the move
+   * @returns {boolean} Whether the item was moved
+   */
+  moveItem(levelKey, itemId, parentId, toParentId, toIndex) {
+    const fromPath = this.getSiblingsPath(levelKey, parentId);
+    const toPath = this.getSiblingsPath(levelKey, toParentId);
+    if (!fromPath || !toPath) return false;
+
+    const fromIds = this.getSiblingIds(levelKey, parentId);
+    const fromIndex = fromIds.indexOf(itemId);
+    if (fromIndex === -1) return false;
+
+    const targetIds = this.getSiblingIds(levelKey, toParentId);
+    const sameParent = parentId === toParentId;
+    // A shared item cannot be moved to a parent it already contributes to
+    if (!sameParent && targetIds.includes(itemId)) return false;
+
+    const maxIndex = sameParent ? targetIds.length - 1 : targetIds.length;
+    if (toIndex < 0 || toIndex > maxIndex) return false;
+    if (sameParent && fromIndex === toIndex) return false;
+
+    const operations = [
+      { op: 'remove', path: fromPath, index: fromIndex },
+      { op: 'insert', path: toPath, index: toIndex, value: this.resolvePath(fromPath)[fromIndex] }
+    ];
+    // Assumptions and risks follow the item to its new parent
+    const linkPath = sameParent ? null : this.getCausalLinkPath(itemId, parentId);
+    if (linkPath) {
+      operations.push({ op: 'set', path: linkPath, key: 'targetId', value: toParentId });
+    }
+
+    this.commit(this.getChangeType(levelKey, 'moved'), {
+      levelKey,
+      itemId,
+      parentId: toParentId,
+      fromParentId: parentId,
+      fromIndex,
+      toIndex
+    }, operations);
+    return true;
+  }
+
+  /**
+   * Move an item one position up under its parent
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @param {string|null} parentId
+   * @returns {boolean}
+   */
+  moveItemUp(levelKey, itemId, parentId) {
+    const index = this.getSiblingIds(levelKey, parentId).indexOf(itemId);
+    return index !== -1 && this.moveItem(levelKey, itemId, parentId, parentId, index - 1);
+  }
+
+  /**
+   * Move an item one position down under its parent
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @param {string|null} parentId
+   * @returns {boolean}
+   */
+  moveItemDown(levelKey, itemId, parentId) {
+    const index = this.getSiblingIds(levelKey, parentId).indexOf(itemId);
+    return index !== -1 && this.moveItem(levelKey, itemId, parentId, parentId, index + 1);
+  }
+
+  /**
+   * Duplicate an item with everything below it
+   * The items below it, their references, indicators and measurements are
+   * copied with new IDs, as are the assumptions, risks and references of the
+   * causal links within the copied subtree and of the link to the parent, and
+   * the contributions between copied items. Comments stay with the original
+   * and the copies start as drafts. The copy is inserted right after the item
+   * under the same parent.
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @param {string|null} parentId - Parent to insert the copy under (null for the first level)
+   * @returns {string|null} The ID of the copy
+   */
+  duplicateItem(levelKey, itemId, parentId = null) {
+    const siblingsPath = this.getSiblingsPath(levelKey, parentId);
+    const siblingIndex = siblingsPath ? this.getSiblingIds(levelKey, parentId).indexOf(itemId) : -1;
+    if (siblingIndex === -1) return null;
+
+    // Items of the subtree, level by level, in the order of their level
+    const levels = this.getLevels();
+    const startIndex = this.getLevelIndex(levelKey);
+    const subtree = levels.map(() => []);
+    subtree[startIndex] = [this.getItem(levelKey, itemId)];
+    for (let index = startIndex + 1; index < levels.length; index++) {
+      const childIds = new Set(subtree[index - 1].flatMap(item => item[levels[index].idsKey]));
+      subtree[index] = this.data[levels[index].key].filter(item => childIds.has(item.id));
+    }
+    const newIds = new Map(subtree.flat().map(item => [item.id, crypto.randomUUID()]));
+    const copyId = newIds.get(itemId);
+
+    const operations = [];
+    levels.forEach((level, index) => {
+      subtree[index].forEach(item => {
+        const copy = copyItem(item, newIds, levels[index + 1]);
+        operations.push(item.id === itemId
+          ? { op: 'insert', path: [level.key], index: this.getItemIndex(level.key, itemId) + 1, value: copy }
+          : { op: 'insert', path: [level.key], index: this.data[level.key].length, value: copy });
+      });
+    });
+    if (siblingsPath.length > 1) {
+      operations.push({ op: 'insert', path: siblingsPath, index: siblingIndex + 1, value: copyId });
+    }
+
+    // Causal links and contributions between copied items, the copies
+    // being appended in their original order
+    const targetId = parentId || this.data.impact.id;
+    const links = (this.data.causalLinks || []).filter(link => newIds.has(link.sourceId) &&
+      (newIds.has(link.targetId) || (link.sourceId === itemId && link.targetId === targetId)));
+    links.forEach((link, index) => {
+      operations.push({
+        op: 'insert',
+        path: ['causalLinks'],
+        index: this.data.causalLinks.length + index,
+        value: {
+          sourceId: newIds.get(link.sourceId),
+          targetId: newIds.get(link.targetId) || link.targetId,
+          assumptions: link.assumptions.map(assumption => ({ ...assumption, id: crypto.randomUUID() })),
+          risks: link.risks.map(risk => ({ ...risk, id: crypto.randomUUID() })),
+          ...(link.references
+            ? { references: link.references.map(reference => ({ ...reference, id: crypto.randomUUID() })) }
+            : {})
+        }
+      });
+    });
+    const contributions = (this.data.contributions || [])
+      .filter(c => newIds.has(c.sourceId) && newIds.has(c.targetId));
+    contributions.forEach((contribution, index) => {
+      operations.push({
+        op: 'insert',
+        path: ['contributions'],
+        index: this.data.contributions.length + index,
+        value: { sourceId: newIds.get(contribution.sourceId), targetId: newIds.get(contribution.targetId) }
+      });
+    });
+
+    this.commit(this.getChangeType(levelKey, 'duplicated'), {
+      levelKey,
+      itemId: copyId,
+      sourceId: itemId,
+      parentId
+    }, operations);
+    return copyId;
+  }
+
+  /**
+   * Add an indicator to an item
+   * @param {Object} parent - { levelKey, itemId }
+   * @returns {string|null} The ID of the new indicator
+   */
+  addIndicator(parent) {
+    const path = this.getIndicatorsPath(parent);
+    if (!path) return null;
+
+    const indicator = {
+      id: crypto.randomUUID(),
+      description: ""
+    };
+    this.commit(this.getChangeType(parent.levelKey, 'indicator-added'), this.getIndicatorPayload(parent, indicator.id), [
+      { op: 'insert', path, index: this.resolvePath(path).length, value: indicator }
+    ]);
+    return indicator.id;
+  }
+
+  /**
+   * Update the description of an indicator
+   * @param {Object} parent - { levelKey, itemId }
+   * @param {string} indicatorId
+   * @param {string} description
+   */
+  updateIndicator(parent, indicatorId, description) {
+    const path = this.getIndicatorPath(parent, indicatorId);
+    if (path && this.resolvePath(path).description !== description) {
+      this.commit(
+        this.getChangeType(parent.levelKey, 'indicator-updated'),
+        this.getIndicatorPayload(parent, indicatorId, { field: 'description' }),
+        [{ op: 'set', path, key: 'description', value: description }]
+      );
+    }
+  }
+
+  /**
+   * Delete an indicator
+   * @param {Object} parent - { levelKey, itemId }
+   * @param {string} indicatorId
+   */
+  deleteIndicator(parent, indicatorId) {
+    const path = this.getIndicatorsPath(parent);
+    const index = this.getIndicatorIndex(parent, indicatorId);
+    if (index !== -1) {
+      this.commit(this.getChangeType(parent.levelKey, 'indicator-deleted'), this.getIndicatorPayload(parent, indicatorId), [
+        { op: 'remove', path, index }
+      ]);
+    }
+  }
+
+  /**
+   * Get the path of the indicators list of an item
+   * @param {Object} parent - { levelKey, itemId }
+   * @returns {Array|null} null if the item does not exist or its level has no indicators
+   */
+  getIndicatorsPath(parent) {
+    const level = this.getLevel(parent.levelKey);
+    if (!level || !level.indicators) return null;
+    const index = this.getItemIndex(parent.levelKey, parent.itemId);
+    return index !== -1 ? [parent.levelKey, index, 'indicators'] : null;
+  }
+
+  /**
+   * Update a structured field of an indicator (see INDICATOR_FIELDS)
+   * @param {Object} parent - { levelKey, itemId }
+   * @param {string} indicatorId
+   * @param {string} field - One of INDICATOR_FIELDS
+   * @param {string|number|undefined} value - Numbers for 'baseline.value' and 'target.value';
+   *   undefined (or an empty string) clears the field
+   * @returns {boolean} Whether the value is valid for the field
+   */
+  updateIndicatorField(parent, indicatorId, field, value) {
+    if (!INDICATOR_FIELDS.includes(field)) return false;
+    if (value === '' || value === null) {
+      value = undefined;
+    }
+    if (value !== undefined) {
+      if (field.endsWith('.value') && !Number.isFinite(value)) return false;
+      if (field === 'direction' && !INDICATOR_DIRECTIONS.includes(value)) return false;
+      if (field === 'frequency' && !INDICATOR_FREQUENCIES.includes(value)) return false;
+    }
+
+    const indicatorPath = this.getIndicatorPath(parent, indicatorId);
+    if (!indicatorPath) return false;
+
+    const indicator = this.resolvePath(indicatorPath);
+    const [group, key] = field.includes('.') ? field.split('.') : [null, field];
+    const operations = [];
+
+    if (group) {
+      const current = indicator[group] ? indicator[group][key] : undefined;
+      if (current === value) return true;
+      if (!indicator[group]) {
+        operations.push({ op: 'set', path: indicatorPath, key: group, value: {} });
+      }
+      operations.push({ op: 'set', path: [...indicatorPath, group], key, value });
+    } else {
+      if (indicator[key] === value) return true;
+      operations.push({ op: 'set', path: indicatorPath, key, value });
+    }
+
+    this.commit(this.getChangeType(parent.levelKey, 'indicator-updated'), this.getIndicatorPayload(parent, indicatorId, { field }), operations);
+    return true;
+  }
+
+  /**
+   * Get the path of an indicator
+   * @param {Object} parent - { levelKey, itemId }
+   * @param {string} indicatorId
+   * @returns {Array|null}
+   */
+  getIndicatorPath(parent, indicatorId) {
+    const path = this.getIndicatorsPath(parent);
+    if (!path) return null;
+    const index = this.resolvePath(path).findIndex(i => i.id === indicatorId);
+    return index !== -1 ? [...path, index] : null;
+  }
+
+  /**
+   * Build the payload of a change to an indicator
+   * @param {Object} parent - { levelKey, itemId }
+   * @param {string} indicatorId
+   * @param {Object} details - Additional payload properties
+   * @returns {Object}
+   */
+  getIndicatorPayload(parent, indicatorId, details = {}) {
+    return { levelKey: parent.levelKey, itemId: parent.itemId, indicatorId, ...details };
+  }
+
+  /**
+   * Add a measurement to an indicator, dated today
+   * @param {Object} parent - { levelKey, itemId }
+   * @param {string} indicatorId
+   * @returns {string|null} The ID of the new measurement
+   */
+  addMeasurement(parent, indicatorId) {
+    const indicatorPath = this.getIndicatorPath(parent, indicatorId);
+    if (!indicatorPath) return null;
+
+    const indicator = this.resolvePath(indicatorPath);
+    const operations = [];
+    if (!Array.isArray(indicator.measurements)) {
+      operations.push({ op: 'set', path: indicatorPath, key: 'measurements', value: [] });
+    }
+    const measurement = {
+      id: crypto.randomUUID(),
+      date: new Date().toISOString().slice(0, 10),
+      value: null,
+      note: "",
+      source: ""
+    };
+    operations.push({
+      op: 'insert',
+      path: [...indicatorPath, 'measurements'],
+      index: indicator.measurements ? indicator.measurements.length : 0,
+      value: measurement
+    });
+
+    this.commit('measurement-added', this.getIndicatorPayload(parent, indicatorId, { measurementId: measurement.id }), operations);
+    return measurement.id;
+  }
+
+  /**
+   * Update a field of a measurement
+   * @param {Object} parent - { levelKey, itemId }
+   * @param {string} indicatorId
+   * @param {string} measurementId
+   * @param {string} field - One of MEASUREMENT_FIELDS
+   * @param {string|number|null} value - A number (or null) for 'value'
+   * @returns {boolean} Whether the value is valid for the field
+   */
+  updateMeasurement(parent, indicatorId, measurementId, field, value) {
+    if (!MEASUREMENT_FIELDS.includes(field)) return false;
+    if (field === 'value' ? value !== null && !Number.isFinite(value) : typeof value !== 'string') return false;
+
+    const indicatorPath = this.getIndicatorPath(parent, indicatorId);
+    if (!indicatorPath) return false;
+
+    const measurements = this.resolvePath(indicatorPath).measurements || [];
+    const index = measurements.findIndex(m => m.id === measurementId);
+    if (index === -1) return false;
+    if (measurements[index][field] === value) return true;
+
+    this.commit('measurement-updated', this.getIndicatorPayload(parent, indicatorId, { measurementId, field }), [
+      { op: 'set', path: [...indicatorPath, 'measurements', index], key: field, value }
+    ]);
+    return true;
+  }
+
+  /**
+   * Delete a measurement
+   * @param {Object} parent - { levelKey, itemId }
+   * @param {string} indicatorId
+   * @param {string} measurementId
+   */
+  deleteMeasurement(parent, indicatorId, measurementId) {
+    const indicatorPath = this.getIndicatorPath(parent, indicatorId);
+    if (!indicatorPath) return;
+
+    const index = (this.resolvePath(indicatorPath).measurements || []).findIndex(m => m.id === measurementId);
+    if (index !== -1) {
+      this.commit('measurement-deleted', this.getIndicatorPayload(parent, indicatorId, { measurementId }), [
+        { op: 'remove', path: [...indicatorPath, 'measurements'], index }
+      ]);
+    }
+  }
+
+  /**
+   * Move an indicator to a new position, possibly under a different item
+   * @param {Object} from - Current parent: { levelKey, itemId }
+   * @param {string} indicatorId
+   * @param {Object} to - New parent: { levelKey, itemId }
+   * @param {number} toIndex - Position of the indicator after the move
+   * @returns {boolean} Whether the indicator was moved
+   */
+  moveIndicator(from, indicatorId, to, toIndex) {
+    const fromPath = this.getIndicatorsPath(from);
+    const toPath = this.getIndicatorsPath(to);
+    if (!fromPath || !toPath) return false;
+
+    const fromIndicators = this.resolvePath(fromPath);
+    const fromIndex = fromIndicators.findIndex(i => i.id === indicatorId);
+    if (fromIndex === -1) return false;
+
+    const sameParent = fromPath.join('/') === toPath.join('/');
+    const toIndicators = this.resolvePath(toPath);
+    const maxIndex = sameParent ? toIndicators.length - 1 : toIndicators.length;
+    if (toIndex < 0 || toIndex > maxIndex) return false;
+    if (sameParent && fromIndex === toIndex) return false;
+
+    this.commit('indicator-moved', {
+      indicatorId,
+      fromLevelKey: from.levelKey,
+      fromItemId: from.itemId,
+      levelKey: to.levelKey,
+      itemId: to.itemId,
+      fromIndex,
+      toIndex
+    }, [
+      { op: 'remove', path: fromPath, index: fromIndex },
+      { op: 'insert', path: toPath, index: toIndex, value: fromIndicators[fromIndex] }
+    ]);
+    return true;
+  }
+
+  /**
+   * Move an indicator one position up within its parent
+   * @param {Object} parent - { levelKey, itemId }
+   * @param {string} indicatorId
+   * @returns {boolean}
+   */
+  moveIndicatorUp(parent, indicatorId) {
+    return this.moveIndicator(parent, indicatorId, parent, this.getIndicatorIndex(parent, indicatorId) - 1);
   }
 
   /**
-   * Subscribe to data changes
-   * @param {Function} callback - Called when data changes with (changeType, payload)
+   * Move an indicator one position down within its parent
+   * @param {Object} parent - { levelKey, itemId }
+   * @param {string} indicatorId
+   * @returns {boolean}
    */
-  subscribe(callback) {
-    this.listeners.push(callback);
+  moveIndicatorDown(parent, indicatorId) {
+    const index = this.getIndicatorIndex(parent, indicatorId);
+    return index !== -1 && this.moveIndicator(parent, indicatorId, parent, index + 1);
   }
 
   /**
-   * Notify all listeners of a change
-   * @param {string} changeType - Type of change (e.g., 'outcome-added')
-   * @param {Object} payload - Data about the change
+   * Get the index of an indicator within its parent
+   * @param {Object} parent - { levelKey, itemId }
+   * @param {string} indicatorId
+   * @returns {number} -1 if not found
    */
-  notify(changeType, payload) {
-    this.listeners.forEach(listener => listener(changeType, payload));
+  getIndicatorIndex(parent, indicatorId) {
+    const path = this.getIndicatorsPath(parent);
+    return path ? this.resolvePath(path).findIndex(i => i.id === indicatorId) : -1;
   }
 
   /**
-   * Get default data structure
+   * Get the causal link between two elements
+   * Links go from the element that contributes (source) to the one it
+   * contributes to (target): from an item of the first level to the impact,
+   * or from an item to an item of the level above.
+   * A link only exists in data.causalLinks once it carries assumptions, risks
+   * or references.
+   * @param {string} sourceId - ID of the item that contributes
+   * @param {string} targetId - ID of the impact or of the item contributed to
+   * @returns {Object|null}
    */
-  getDefaultStructure() {
-    return {
-      version: "1.0",
-      lastModified: new Date().toISOString(),
-      impact: {
-        id: "impact-1",
-        statement: "People around the world experience and enjoy a single, unified Web that works consistently across devices, browsers, and platforms, ensuring users can freely choose the tools they want to interact with the Web."
-      },
-      outcomes: []
+  getCausalLink(sourceId, targetId) {
+    return getCausalLink(this.data, sourceId, targetId);
+  }
+
+  /**
+   * Check whether two elements are directly connected in the hierarchy
+   * @param {string} sourceId
+   * @param {string} targetId
+   * @returns {boolean}
+   */
+  isCausalLink(sourceId, targetId) {
+    const levelKey = this.getItemLevelKey(sourceId);
+    if (!levelKey) return false;
+    if (targetId === this.data.impact.id) {
+      return this.getLevelIndex(levelKey) === 0;
+    }
+    return this.getParents(levelKey, sourceId).some(parent => parent.id === targetId);
+  }
+
+  /**
+   * Get the path of a causal link, adding the operations that create it
+   * (and the causalLinks list itself) when it does not exist yet
+   * @param {string} sourceId
+   * @param {string} targetId
+   * @param {Array} operations - Operations of the pending commit (modified)
+   * @returns {Array}
+   */
+  prepareCausalLink(sourceId, targetId, operations) {
+    if (!Array.isArray(this.data.causalLinks)) {
+      operations.push({ op: 'set', path: [], key: 'causalLinks', value: [] });
+    }
+    const links = this.data.causalLinks || [];
+    const index = links.findIndex(l => l.sourceId === sourceId && l.targetId === targetId);
+    if (index !== -1) {
+      return ['causalLinks', index];
+    }
+    operations.push({
+      op: 'insert',
+      path: ['causalLinks'],
+      index: links.length,
+      value: { sourceId, targetId, assumptions: [], risks: [] }
+    });
+    return ['causalLinks', links.length];
+  }
+
+  /**
+   * Get the path of an existing causal link
+   * @param {string} sourceId
+   * @param {string} targetId
+   * @returns {Array|null}
+   */
+  getCausalLinkPath(sourceId, targetId) {
+    const links = this.data.causalLinks || [];
+    const index = links.findIndex(l => l.sourceId === sourceId && l.targetId === targetId);
+    return index !== -1 ? ['causalLinks', index] : null;
+  }
+
+  /**
+   * Build the operations removing the causal links that match a condition
+   * (highest index first so that the remaining indexes stay valid)
+   * @param {Function} predicate - Called with each link
+   * @returns {Array}
+   */
+  getCausalLinkRemovals(predicate) {
+    return (this.data.causalLinks || [])
+      .map((link, index) => (predicate(link) ? index : -1))
+      .filter(index => index !== -1)
+      .sort((a, b) => b - a)
+      .map(index => ({ op: 'remove', path: ['causalLinks'], index }));
+  }
+
+  /**
+   * Add an assumption to a causal link
+   * @param {string} sourceId
+   * @param {string} targetId
+   * @returns {string|null} The ID of the new assumption
+   */
+  addAssumption(sourceId, targetId) {
+    if (!this.isCausalLink(sourceId, targetId)) return null;
+
+    const operations = [];
+    const path = this.prepareCausalLink(sourceId, targetId, operations);
+    const link = this.getCausalLink(sourceId, targetId);
+    const assumption = {
+      id: crypto.randomUUID(),
+      description: ""
     };
+    operations.push({
+      op: 'insert',
+      path: [...path, 'assumptions'],
+      index: link ? link.assumptions.length : 0,
+      value: assumption
+    });
+
+    this.commit('assumption-added', { sourceId, targetId, assumptionId: assumption.id }, operations);
+    return assumption.id;
+  }
+
+  /**
+   * Update the description of an assumption
+   * @param {string} sourceId
+   * @param {string} targetId
+   * @param {string} assumptionId
+   * @param {string} description
+   */
+  updateAssumption(sourceId, targetId, assumptionId, description) {
+    const path = this.getCausalLinkPath(sourceId, targetId);
+    if (!path) return;
+
+    const assumptions = this.resolvePath(path).assumptions;
+    const index = assumptions.findIndex(a => a.id === assumptionId);
+    if (index !== -1 && assumptions[index].description !== description) {
+      this.commit('assumption-updated', { sourceId, targetId, assumptionId }, [
+        { op: 'set', path: [...path, 'assumptions', index], key: 'description', value: description }
+      ]);
+    }
+  }
+
+  /**
+   * Delete an assumption
+   * @param {string} sourceId
+   * @param {string} targetId
+   * @param {string} assumptionId
+   */
+  deleteAssumption(sourceId, targetId, assumptionId) {
+    const path = this.getCausalLinkPath(sourceId, targetId);
+    if (!path) return;
+
+    const index = this.resolvePath(path).assumptions.findIndex(a => a.id === assumptionId);
+    if (index !== -1) {
+      this.commit('assumption-deleted', { sourceId, targetId, assumptionId }, [
+        { op: 'remove', path: [...path, 'assumptions'], index }
+      ]);
+    }
   }
 
   /**
-   * Add a new outcome
-   * @returns {string} The ID of the new outcome
+   * Add a risk to a causal link
+   * @param {string} sourceId
+   * @param {string} targetId
+   * @returns {string|null} The ID of the new risk
    */
-  addOutcome() {
-    const outcome = {
+  addRisk(sourceId, targetId) {
+    if (!this.isCausalLink(sourceId, targetId)) return null;
+
+    const operations = [];
+    const path = this.prepareCausalLink(sourceId, targetId, operations);
+    const link = this.getCausalLink(sourceId, targetId);
+    const risk = {
       id: crypto.randomUUID(),
-      statement: "",
-      indicators: [],
-      outputs: []
+      description: "",
+      likelihood: "medium",
+      impact: "medium"
     };
-    this.data.outcomes.push(outcome);
-    this.data.lastModified = new Date().toISOString();
-    this.notify('outcome-added', { outcomeId: outcome.id });
-    return outcome.id;
+    operations.push({
+      op: 'insert',
+      path: [...path, 'risks'],
+      index: link ? link.risks.length : 0,
+      value: risk
+    });
+
+    this.commit('risk-added', { sourceId, targetId, riskId: risk.id }, operations);
+    return risk.id;
+  }
+
+  /**
+   * Update a field of a risk
+   * @param {string} sourceId
+   * @param {string} targetId
+   * @param {string} riskId
+   * @param {string} field - 'description', 'likelihood' or 'impact'
+   * @param {string} value - For ratings, one of RISK_RATINGS
+   */
+  updateRisk(sourceId, targetId, riskId, field, value) {
+    if (!['description', 'likelihood', 'impact'].includes(field)) return;
+    if (field !== 'description' && !RISK_RATINGS.includes(value)) return;
+
+    const path = this.getCausalLinkPath(sourceId, targetId);
+    if (!path) return;
+
+    const risks = this.resolvePath(path).risks;
+    const index = risks.findIndex(r => r.id === riskId);
+    if (index !== -1 && risks[index][field] !== value) {
+      this.commit('risk-updated', { sourceId, targetId, riskId, field }, [
+        { op: 'set', path: [...path, 'risks', index], key: field, value }
+      ]);
+    }
   }
 
   /**
-   * Delete an outcome
-   * @param {string} outcomeId
+   * Delete a risk
+   * @param {string} sourceId
+   * @param {string} targetId
+   * @param {string} riskId
    */
-  deleteOutcome(outcomeId) {
-    const index = this.data.outcomes.findIndex(o => o.id === outcomeId);
+  deleteRisk(sourceId, targetId, riskId) {
+    const path = this.getCausalLinkPath(sourceId, targetId);
+    if (!path) return;
+
+    const index = this.resolvePath(path).risks.findIndex(r => r.id === riskId);
     if (index !== -1) {
-      this.data.outcomes.splice(index, 1);
-      this.data.lastModified = new Date().toISOString();
-      this.notify('outcome-deleted', { outcomeId });
+      this.commit('risk-deleted', { sourceId, targetId, riskId }, [
+        { op: 'remove', path: [...path, 'risks'], index }
+      ]);
     }
   }
 
   /**
-   * Update outcome statement
-   * @param {string} outcomeId
-   * @param {string} statement
+   * Get the path of the element holding a list of references
+   * @param {Object} owner - { levelKey, itemId } for an item, or
+   *   { sourceId, targetId } for a causal link
+   * @param {Array|null} operations - Operations of the pending commit, to
+   *   which the creation of the causal link is added when it does not exist
+   *   yet; without them, the path of an existing element only
+   * @returns {Array|null}
    */
-  updateOutcomeStatement(outcomeId, statement) {
-    const outcome = this.data.outcomes.find(o => o.id === outcomeId);
-    if (outcome) {
-      outcome.statement = statement;
-      this.data.lastModified = new Date().toISOString();
-      this.notify('outcome-updated', { outcomeId, field: 'statement' });
+  getReferencesPath(owner, operations = null) {
+    if (owner.sourceId) {
+      if (!operations) return this.getCausalLinkPath(owner.sourceId, owner.targetId);
+      return this.isCausalLink(owner.sourceId, owner.targetId)
+        ? this.prepareCausalLink(owner.sourceId, owner.targetId, operations)
+        : null;
     }
+    const index = this.getItemIndex(owner.levelKey, owner.itemId);
+    return index !== -1 ? [owner.levelKey, index] : null;
   }
 
   /**
-   * Get an outcome by ID
-   * @param {string} outcomeId
-   * @returns {Object|null}
+   * Build the change type of a change to references
+   * e.g. 'output-reference-added' or 'link-reference-deleted'
+   * @param {Object} owner - See getReferencesPath
+   * @param {string} change - e.g. 'reference-added'
+   * @returns {string}
    */
-  getOutcome(outcomeId) {
-    return this.data.outcomes.find(o => o.id === outcomeId) || null;
+  getReferenceChangeType(owner, change) {
+    return owner.sourceId ? `link-${change}` : this.getChangeType(owner.levelKey, change);
   }
 
   /**
-   * Add an indicator to an outcome
-   * @param {string} outcomeId
-   * @returns {string} The ID of the new indicator
+   * Add a reference backing an item or a causal link
+   * @param {Object} owner - See getReferencesPath
+   * @returns {string|null} The ID of the new reference
    */
-  addOutcomeIndicator(outcomeId) {
-    const outcome = this.getOutcome(outcomeId);
-    if (outcome) {
-      const indicator = {
-        id: crypto.randomUUID(),
-        description: ""
-      };
-      outcome.indicators.push(indicator);
-      this.data.lastModified = new Date().toISOString();
-      this.notify('outcome-indicator-added', { outcomeId, indicatorId: indicator.id });
-      return indicator.id;
+  addReference(owner) {
+    const operations = [];
+    const path = this.getReferencesPath(owner, operations);
+    if (!path) return null;
+
+    // The causal link may only be created by the operations above
+    const element = owner.sourceId ? this.getCausalLink(owner.sourceId, owner.targetId) : this.resolvePath(path);
+    const references = element && element.references;
+    if (!Array.isArray(references)) {
+      operations.push({ op: 'set', path, key: 'references', value: [] });
     }
-    return null;
+    const reference = {
+      id: crypto.randomUUID(),
+      title: "",
+      source: "",
+      type: "research",
+      strength: "moderate"
+    };
+    operations.push({
+      op: 'insert',
+      path: [...path, 'references'],
+      index: references ? references.length : 0,
+      value: reference
+    });
+
+    this.commit(this.getReferenceChangeType(owner, 'reference-added'), { ...owner, referenceId: reference.id }, operations);
+    return reference.id;
   }
 
   /**
-   * Update outcome indicator description
-   * @param {string} outcomeId
-   * @param {string} indicatorId
-   * @param {string} description
+   * Update a field of a reference
+   * @param {Object} owner - See getReferencesPath
+   * @param {string} referenceId
+   * @param {string} field - 'title', 'source' (URL or citation), 'type' or 'strength'
+   * @param {string} value - One of EVIDENCE_TYPES or EVIDENCE_STRENGTHS for
+   *   the type and strength
    */
-  updateOutcomeIndicator(outcomeId, indicatorId, description) {
-    const outcome = this.getOutcome(outcomeId);
-    if (outcome) {
-      const indicator = outcome.indicators.find(i => i.id === indicatorId);
-      if (indicator) {
-        indicator.description = description;
-        this.data.lastModified = new Date().toISOString();
-        this.notify('outcome-indicator-updated', { outcomeId, indicatorId });
-      }
+  updateReference(owner, referenceId, field, value) {
+    if (!['title', 'source', 'type', 'strength'].includes(field)) return;
+    if (field === 'type' && !EVIDENCE_TYPES.includes(value)) return;
+    if (field === 'strength' && !EVIDENCE_STRENGTHS.includes(value)) return;
+
+    const path = this.getReferencesPath(owner);
+    if (!path) return;
+
+    const references = this.resolvePath(path).references || [];
+    const index = references.findIndex(r => r.id === referenceId);
+    if (index !== -1 && references[index][field] !== value) {
+      this.commit(this.getReferenceChangeType(owner, 'reference-updated'), { ...owner, referenceId, field }, [
+        { op: 'set', path: [...path, 'references', index], key: field, value }
+      ]);
     }
   }
 
   /**
-   * Delete an outcome indicator
-   * @param {string} outcomeId
-   * @param {string} indicatorId
+   * Delete a reference
+   * @param {Object} owner - See getReferencesPath
+   * @param {string} referenceId
    */
-  deleteOutcomeIndicator(outcomeId, indicatorId) {
-    const outcome = this.getOutcome(outcomeId);
-    if (outcome) {
-      const index = outcome.indicators.findIndex(i => i.id === indicatorId);
-      if (index !== -1) {
-        outcome.indicators.splice(index, 1);
-        this.data.lastModified = new Date().toISOString();
-        this.notify('outcome-indicator-deleted', { outcomeId, indicatorId });
-      }
+  deleteReference(owner, referenceId) {
+    const path = this.getReferencesPath(owner);
+    if (!path) return;
+
+    const index = (this.resolvePath(path).references || []).findIndex(r => r.id === referenceId);
+    if (index !== -1) {
+      this.commit(this.getReferenceChangeType(owner, 'reference-deleted'), { ...owner, referenceId }, [
+        { op: 'remove', path: [...path, 'references'], index }
+      ]);
     }
   }
 
   /**
-   * Add an output to an outcome
-   * @param {string} outcomeId
-   * @returns {string} The ID of the new output
+   * Get the items of the same level an item contributes to
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @returns {Array}
+   */
+  getContributionTargets(levelKey, itemId) {
+    return getContributionTargets(this.data, levelKey, itemId);
+  }
+
+  /**
+   * Get the items of the same level that contribute to an item
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @returns {Array}
+   */
+  getContributionSources(levelKey, itemId) {
+    return (this.data.contributions || [])
+      .filter(c => c.targetId === itemId)
+      .map(c => this.getItem(levelKey, c.sourceId))
+      .filter(Boolean);
+  }
+
+  /**
+   * Find a chain of contributions leading from an item to another one
+   * @param {string} fromId
+   * @param {string} toId
+   * @returns {Array|null} IDs of the items of the chain, from fromId to
+   *   toId included, or null if toId cannot be reached
    */
-  addOutput(outcomeId) {
-    const outcome = this.getOutcome(outcomeId);
-    if (outcome) {
-      const output = {
-        id: crypto.randomUUID(),
-        statement: "",
-        indicators: []
-      };
-      outcome.outputs.push(output);
-      this.data.lastModified = new Date().toISOString();
-      this.notify('output-added', { outcomeId, outputId: output.id });
-      return output.id;
+  findContributionPath(fromId, toId) {
+    const contributions = this.data.contributions || [];
+    const previous = new Map([[fromId, null]]);
+    const queue = [fromId];
+
+    // Breadth-first search, so that the shortest chain is reported
+    while (queue.length > 0) {
+      const id = queue.shift();
+      if (id === toId) {
+        const path = [];
+        for (let step = toId; step !== null; step = previous.get(step)) {
+          path.unshift(step);
+        }
+        return path;
+      }
+      contributions.filter(c => c.sourceId === id && !previous.has(c.targetId)).forEach(c => {
+        previous.set(c.targetId, id);
+        queue.push(c.targetId);
+      });
     }
+
     return null;
   }
 
   /**
-   * Update output statement
-   * @param {string} outcomeId
-   * @param {string} outputId
-   * @param {string} statement
+   * Check whether an item can be declared as contributing to another one
+   * Both items must belong to the same level, which must allow
+   * contributions, and the contribution must not close a cycle.
+   * @param {string} sourceId
+   * @param {string} targetId
+   * @returns {Object} { valid: true } or { valid: false, reason, cycle } where
+   *   cycle lists the IDs of the existing chain from targetId back to sourceId
    */
-  updateOutputStatement(outcomeId, outputId, statement) {
-    const outcome = this.getOutcome(outcomeId);
-    if (outcome) {
-      const output = outcome.outputs.find(o => o.id === outputId);
-      if (output) {
-        output.statement = statement;
-        this.data.lastModified = new Date().toISOString();
-        this.notify('output-updated', { outcomeId, outputId, field: 'statement' });
-      }
+  checkContribution(sourceId, targetId) {
+    const levelKey = this.getItemLevelKey(sourceId);
+    const level = levelKey ? this.getLevel(levelKey) : null;
+    if (!level || !level.contributions || this.getItemLevelKey(targetId) !== levelKey) {
+      return { valid: false, reason: 'invalid' };
     }
+    if (sourceId === targetId) {
+      return { valid: false, reason: 'cycle', cycle: [sourceId] };
+    }
+    if (this.getContributionPath(sourceId, targetId)) {
+      return { valid: false, reason: 'duplicate' };
+    }
+    const cycle = this.findContributionPath(targetId, sourceId);
+    if (cycle) {
+      return { valid: false, reason: 'cycle', cycle };
+    }
+    return { valid: true };
   }
 
   /**
-   * Delete an output
-   * @param {string} outcomeId
-   * @param {string} outputId
+   * Get the path of a contribution
+   * @param {string} sourceId
+   * @param {string} targetId
+   * @returns {Array|null}
    */
-  deleteOutput(outcomeId, outputId) {
-    const outcome = this.getOutcome(outcomeId);
-    if (outcome) {
-      const index = outcome.outputs.findIndex(o => o.id === outputId);
-      if (index !== -1) {
-        outcome.outputs.splice(index, 1);
-        this.data.lastModified = new Date().toISOString();
-        this.notify('output-deleted', { outcomeId, outputId });
-      }
+  getContributionPath(sourceId, targetId) {
+    const contributions = this.data.contributions || [];
+    const index = contributions.findIndex(c => c.sourceId === sourceId && c.targetId === targetId);
+    return index !== -1 ? ['contributions', index] : null;
+  }
+
+  /**
+   * Declare that an item contributes to another item of the same level
+   * @param {string} sourceId
+   * @param {string} targetId
+   * @returns {boolean} Whether the contribution was added (see checkContribution)
+   */
+  addContribution(sourceId, targetId) {
+    if (!this.checkContribution(sourceId, targetId).valid) return false;
+
+    const operations = [];
+    if (!Array.isArray(this.data.contributions)) {
+      operations.push({ op: 'set', path: [], key: 'contributions', value: [] });
     }
+    operations.push({
+      op: 'insert',
+      path: ['contributions'],
+      index: (this.data.contributions || []).length,
+      value: { sourceId, targetId }
+    });
+
+    const levelKey = this.getItemLevelKey(sourceId);
+    this.commit(this.getChangeType(levelKey, 'contribution-added'), { levelKey, sourceId, targetId }, operations);
+    return true;
   }
 
   /**
-   * Get an output by ID
-   * @param {string} outcomeId
-   * @param {string} outputId
-   * @returns {Object|null}
+   * Remove a contribution between two items
+   * @param {string} sourceId
+   * @param {string} targetId
+   */
+  deleteContribution(sourceId, targetId) {
+    const path = this.getContributionPath(sourceId, targetId);
+    if (!path) return;
+
+    const levelKey = this.getItemLevelKey(sourceId);
+    this.commit(this.getChangeType(levelKey, 'contribution-deleted'), { levelKey, sourceId, targetId }, [
+      { op: 'remove', path: ['contributions'], index: path[1] }
+    ]);
+  }
+
+  /**
+   * Build the operations removing the contributions that match a condition
+   * (highest index first so that the remaining indexes stay valid)
+   * @param {Function} predicate - Called with each contribution
+   * @returns {Array}
+   */
+  getContributionRemovals(predicate) {
+    return (this.data.contributions || [])
+      .map((contribution, index) => (predicate(contribution) ? index : -1))
+      .filter(index => index !== -1)
+      .sort((a, b) => b - a)
+      .map(index => ({ op: 'remove', path: ['contributions'], index }));
+  }
+
+  /**
+   * Get the path of an element that can have tags or people assigned
+   * @param {Object} node - { levelKey, itemId, indicatorId } where levelKey is
+   *   'impact' for the impact and indicatorId is only set for indicators
+   * @returns {Array|null}
+   */
+  getNodePath(node) {
+    if (node.levelKey === 'impact') return ['impact'];
+    if (node.indicatorId) return this.getIndicatorPath(node, node.indicatorId);
+    const index = this.getItemIndex(node.levelKey, node.itemId);
+    return index !== -1 ? [node.levelKey, index] : null;
+  }
+
+  /**
+   * Build the change type of a change to the tags, people or comments of an
+   * element, e.g. 'impact-tag-added' or 'output-indicator-owner-updated'
+   * @param {Object} node - { levelKey, itemId, indicatorId }
+   * @param {string} change - e.g. 'tag-added'
+   * @returns {string}
+   */
+  getNodeChangeType(node, change) {
+    if (node.levelKey === 'impact') return `impact-${change}`;
+    return this.getChangeType(node.levelKey, node.indicatorId ? `indicator-${change}` : change);
+  }
+
+  /**
+   * Add a free-form tag to the impact, an item or an indicator
+   * @param {Object} node - { levelKey, itemId, indicatorId } (see getNodePath)
+   * @param {string} tag
+   * @returns {boolean} false if the tag is empty or already set
    */
-  getOutput(outcomeId, outputId) {
-    const outcome = this.getOutcome(outcomeId);
-    if (outcome) {
-      return outcome.outputs.find(o => o.id === outputId) || null;
+  addTag(node, tag) {
+    const path = this.getNodePath(node);
+    tag = normalizeTag(tag);
+    if (!path || !tag) return false;
+
+    const element = this.resolvePath(path);
+    if ((element.tags || []).includes(tag)) return false;
+
+    const operations = [];
+    if (!Array.isArray(element.tags)) {
+      operations.push({ op: 'set', path, key: 'tags', value: [] });
     }
-    return null;
+    operations.push({ op: 'insert', path: [...path, 'tags'], index: element.tags ? element.tags.length : 0, value: tag });
+
+    this.commit(this.getNodeChangeType(node, 'tag-added'), { ...node, tag }, operations);
+    return true;
   }
 
   /**
-   * Add an indicator to an output
-   * @param {string} outcomeId
-   * @param {string} outputId
-   * @returns {string} The ID of the new indicator
+   * Remove a tag from the impact, an item or an indicator
+   * @param {Object} node - { levelKey, itemId, indicatorId } (see getNodePath)
+   * @param {string} tag
    */
-  addOutputIndicator(outcomeId, outputId) {
-    const output = this.getOutput(outcomeId, outputId);
-    if (output) {
-      const indicator = {
-        id: crypto.randomUUID(),
-        description: ""
-      };
-      output.indicators.push(indicator);
-      this.data.lastModified = new Date().toISOString();
-      this.notify('output-indicator-added', { outcomeId, outputId, indicatorId: indicator.id });
-      return indicator.id;
+  removeTag(node, tag) {
+    const path = this.getNodePath(node);
+    if (!path) return;
+
+    const index = (this.resolvePath(path).tags || []).indexOf(tag);
+    if (index !== -1) {
+      this.commit(this.getNodeChangeType(node, 'tag-deleted'), { ...node, tag }, [
+        { op: 'remove', path: [...path, 'tags'], index }
+      ]);
     }
-    return null;
   }
 
   /**
-   * Update output indicator description
-   * @param {string} outcomeId
-   * @param {string} outputId
-   * @param {string} indicatorId
-   * @param {string} description
+   * Add a person or organisation to the document, with an empty name
+   * @returns {string} The ID of the new person
    */
-  updateOutputIndicator(outcomeId, outputId, indicatorId, description) {
-    const output = this.getOutput(outcomeId, outputId);
-    if (output) {
-      const indicator = output.indicators.find(i => i.id === indicatorId);
-      if (indicator) {
-        indicator.description = description;
-        this.data.lastModified = new Date().toISOString();
-        this.notify('output-indicator-updated', { outcomeId, outputId, indicatorId });
-      }
+  addPerson() {
+    const person = {
+      id: crypto.randomUUID(),
+      name: "",
+      organisation: ""
+    };
+
+    const operations = [];
+    if (!Array.isArray(this.data.people)) {
+      operations.push({ op: 'set', path: [], key: 'people', value: [] });
     }
+    operations.push({ op: 'insert', path: ['people'], index: getPeople(this.data).length, value: person });
+
+    this.commit('person-added', { personId: person.id }, operations);
+    return person.id;
   }
 
   /**
-   * Delete an output indicator
-   * @param {string} outcomeId
-   * @param {string} outputId
-   * @param {string} indicatorId
+   * Update the name or organisation of a person
+   * @param {string} personId
+   * @param {string} field - 'name' or 'organisation'
+   * @param {string} value
+   */
+  updatePerson(personId, field, value) {
+    if (!['name', 'organisation'].includes(field)) return;
+    const index = getPeople(this.data).findIndex(person => person.id === personId);
+    if (index !== -1 && this.data.people[index][field] !== value) {
+      this.commit('person-updated', { personId, field }, [
+        { op: 'set', path: ['people', index], key: field, value }
+      ]);
+    }
+  }
+
+  /**
+   * Delete a person, with their owner and contributor assignments
+   * @param {string} personId
+   */
+  deletePerson(personId) {
+    const index = getPeople(this.data).findIndex(person => person.id === personId);
+    if (index === -1) return;
+
+    const operations = [];
+    this.getLevels().forEach(level => {
+      this.data[level.key].forEach((item, itemIndex) => {
+        const itemPath = [level.key, itemIndex];
+        operations.push(...this.getAssignmentRemovals(item, itemPath, personId));
+        (item.indicators || []).forEach((indicator, indicatorIndex) => {
+          operations.push(...this.getAssignmentRemovals(indicator, [...itemPath, 'indicators', indicatorIndex], personId));
+        });
+      });
+    });
+    operations.push({ op: 'remove', path: ['people'], index });
+
+    this.commit('person-deleted', { personId }, operations);
+  }
+
+  /**
+   * Build the operations removing a person from an item or indicator
+   * @param {Object} node - Item or indicator
+   * @param {Array} path - Path of the node
+   * @param {string} personId
+   * @returns {Array}
+   */
+  getAssignmentRemovals(node, path, personId) {
+    const operations = [];
+    if (node.ownerId === personId) {
+      operations.push({ op: 'set', path, key: 'ownerId', value: undefined });
+    }
+    const index = (node.contributorIds || []).indexOf(personId);
+    if (index !== -1) {
+      operations.push({ op: 'remove', path: [...path, 'contributorIds'], index });
+    }
+    return operations;
+  }
+
+  /**
+   * Add a language to the document
+   * The first language is the one the statements and descriptions are
+   * already written in, and becomes the default language.
+   * @param {string} code - Language code, e.g. 'fr'
+   * @returns {boolean} false if the code is invalid or already listed
+   */
+  addLanguage(code) {
+    code = (code || '').trim();
+    const languages = getLanguages(this.data);
+    if (!isLanguageCode(code) || languages.some(language => language.toLowerCase() === code.toLowerCase())) {
+      return false;
+    }
+
+    const operations = [];
+    if (languages.length === 0) {
+      operations.push({ op: 'set', path: [], key: 'languages', value: [] });
+      operations.push({ op: 'set', path: [], key: 'defaultLanguage', value: code });
+    }
+    operations.push({ op: 'insert', path: ['languages'], index: languages.length, value: code });
+
+    this.commit('language-added', { language: code }, operations);
+    return true;
+  }
+
+  /**
+   * Remove a language from the document, with its translations
+   * Removing the last language leaves the document without languages.
+   * @param {string} code
+   * @returns {boolean} false if the language is not listed, or is the
+   *   default language of a document with other languages
+   */
+  removeLanguage(code) {
+    const languages = getLanguages(this.data);
+    const index = languages.indexOf(code);
+    if (index === -1 || (code === getDefaultLanguage(this.data) && languages.length > 1)) {
+      return false;
+    }
+
+    const operations = getTranslatableTexts(this.data)
+      .filter(({ element }) => element.translations && element.translations[code])
+      .map(({ path }) => ({ op: 'set', path: [...path, 'translations'], key: code, value: undefined }));
+    if (languages.length === 1) {
+      operations.push({ op: 'set', path: [], key: 'languages', value: undefined });
+      operations.push({ op: 'set', path: [], key: 'defaultLanguage', value: undefined });
+    } else {
+      operations.push({ op: 'remove', path: ['languages'], index });
+    }
+
+    this.commit('language-deleted', { language: code }, operations);
+    return true;
+  }
+
+  /**
+   * Make another language the default one
+   * The translations in that language become the statements and
+   * descriptions, and these become the translations in the former default
+   * language. Texts without a translation become empty, except the impact
+   * statement, which cannot be empty and keeps its wording.
+   * @param {string} code - One of the languages of the document
+   * @returns {boolean} false if the language is not listed or is already
+   *   the default one
    */
-  deleteOutputIndicator(outcomeId, outputId, indicatorId) {
-    const output = this.getOutput(outcomeId, outputId);
-    if (output) {
-      const index = output.indicators.findIndex(i => i.id === indicatorId);
-      if (index !== -1) {
-        output.indicators.splice(index, 1);
-        this.data.lastModified = new Date().toISOString();
-        this.notify('output-indicator-deleted', { outcomeId, outputId, indicatorId });
+  setDefaultLanguage(code) {
+    const previousLanguage = getDefaultLanguage(this.data);
+    if (!getLanguages(this.data).includes(code) || code === previousLanguage) return false;
+
+    const operations = [];
+    getTranslatableTexts(this.data).forEach(({ element, path, field }) => {
+      const translation = element.translations && element.translations[code];
+      const text = translation && translation[field] ? translation[field] : '';
+      if (element[field]) {
+        if (!element.translations) {
+          operations.push({ op: 'set', path, key: 'translations', value: {} });
+        }
+        operations.push({ op: 'set', path: [...path, 'translations'], key: previousLanguage, value: { [field]: element[field] } });
+      }
+      if (translation) {
+        operations.push({ op: 'set', path: [...path, 'translations'], key: code, value: undefined });
       }
+      operations.push({ op: 'set', path, key: field, value: text || (element === this.data.impact ? element[field] : '') });
+    });
+    operations.push({ op: 'set', path: [], key: 'defaultLanguage', value: code });
+
+    this.commit('default-language-changed', { language: code, previousLanguage }, operations);
+    return true;
+  }
+
+  /**
+   * Update the translation of the statement of the impact or an item, or of
+   * the description of an indicator
+   * @param {Object} node - { levelKey, itemId, indicatorId } (see getNodePath)
+   * @param {string} language - One of the languages other than the default one
+   * @param {string} text - Empty to remove the translation
+   * @returns {boolean} false if the element does not exist or the language
+   *   cannot be translated to
+   */
+  updateTranslation(node, language, text) {
+    const path = this.getNodePath(node);
+    if (!path || !getLanguages(this.data).includes(language) || language === getDefaultLanguage(this.data)) {
+      return false;
+    }
+
+    const element = this.resolvePath(path);
+    const field = node.indicatorId ? 'description' : 'statement';
+    const translation = element.translations && element.translations[language];
+    if ((translation && translation[field] || '') === text) return true;
+
+    const operations = [];
+    if (!element.translations) {
+      operations.push({ op: 'set', path, key: 'translations', value: {} });
+    }
+    operations.push({ op: 'set', path: [...path, 'translations'], key: language, value: text ? { [field]: text } : undefined });
+
+    this.commit(this.getNodeChangeType(node, 'translation-updated'), { ...node, language, field }, operations);
+    return true;
+  }
+
+  /**
+   * Change the workflow status of an item or indicator
+   * @param {Object} node - { levelKey, itemId, indicatorId } (see getNodePath)
+   * @param {string} status - One of STATUS_TRANSITIONS of the current status
+   * @returns {boolean} false if the element does not exist or cannot move
+   *   to that status
+   */
+  setStatus(node, status) {
+    const path = node.levelKey === 'impact' ? null : this.getNodePath(node);
+    if (!path) return false;
+
+    const element = this.resolvePath(path);
+    const previousStatus = getStatus(element);
+    if (!STATUS_TRANSITIONS[previousStatus].includes(status)) return false;
+
+    this.commit(this.getNodeChangeType(node, 'status-changed'), { ...node, status, previousStatus }, [
+      { op: 'set', path, key: 'status', value: status === 'draft' ? undefined : status }
+    ]);
+    return true;
+  }
+
+  /**
+   * Set the person accountable for an item or indicator
+   * @param {Object} node - { levelKey, itemId, indicatorId } (see getNodePath)
+   * @param {string|null} personId - null to clear the owner
+   * @returns {boolean} false if the element or the person does not exist
+   */
+  setOwner(node, personId) {
+    const path = node.levelKey === 'impact' ? null : this.getNodePath(node);
+    if (!path || (personId && !getPerson(this.data, personId))) return false;
+
+    const value = personId || undefined;
+    if (this.resolvePath(path).ownerId !== value) {
+      this.commit(this.getNodeChangeType(node, 'owner-updated'), { ...node, field: 'ownerId' }, [
+        { op: 'set', path, key: 'ownerId', value }
+      ]);
+    }
+    return true;
+  }
+
+  /**
+   * Add a contributor to an item or indicator
+   * @param {Object} node - { levelKey, itemId, indicatorId } (see getNodePath)
+   * @param {string} personId
+   * @returns {boolean} false if the person does not exist or already contributes
+   */
+  addContributor(node, personId) {
+    const path = node.levelKey === 'impact' ? null : this.getNodePath(node);
+    if (!path || !getPerson(this.data, personId)) return false;
+
+    const element = this.resolvePath(path);
+    if ((element.contributorIds || []).includes(personId)) return false;
+
+    const operations = [];
+    if (!Array.isArray(element.contributorIds)) {
+      operations.push({ op: 'set', path, key: 'contributorIds', value: [] });
+    }
+    operations.push({
+      op: 'insert',
+      path: [...path, 'contributorIds'],
+      index: element.contributorIds ? element.contributorIds.length : 0,
+      value: personId
+    });
+
+    this.commit(this.getNodeChangeType(node, 'contributor-added'), { ...node, personId }, operations);
+    return true;
+  }
+
+  /**
+   * Remove a contributor from an item or indicator
+   * @param {Object} node - { levelKey, itemId, indicatorId } (see getNodePath)
+   * @param {string} personId
+   */
+  removeContributor(node, personId) {
+    const path = node.levelKey === 'impact' ? null : this.getNodePath(node);
+    if (!path) return;
+
+    const index = (this.resolvePath(path).contributorIds || []).indexOf(personId);
+    if (index !== -1) {
+      this.commit(this.getNodeChangeType(node, 'contributor-deleted'), { ...node, personId }, [
+        { op: 'remove', path: [...path, 'contributorIds'], index }
+      ]);
+    }
+  }
+
+  /**
+   * Start a comment thread on the impact, an item or an indicator
+   * @param {Object} node - { levelKey, itemId, indicatorId } (see getNodePath)
+   * @param {string} author - Name of the reviewer
+   * @param {string} text
+   * @returns {string|null} The ID of the new comment, or null if the element does not exist
+   */
+  addComment(node, author, text) {
+    const path = this.getNodePath(node);
+    if (!path) return null;
+
+    const element = this.resolvePath(path);
+    const comment = {
+      id: crypto.randomUUID(),
+      author,
+      text,
+      createdAt: new Date().toISOString(),
+      resolved: false,
+      replies: []
+    };
+
+    const operations = [];
+    if (!Array.isArray(element.comments)) {
+      operations.push({ op: 'set', path, key: 'comments', value: [] });
+    }
+    operations.push({ op: 'insert', path: [...path, 'comments'], index: element.comments ? element.comments.length : 0, value: comment });
+
+    this.commit(this.getNodeChangeType(node, 'comment-added'), { ...node, commentId: comment.id }, operations);
+    return comment.id;
+  }
+
+  /**
+   * Get the path of a comment thread
+   * @param {Object} node - { levelKey, itemId, indicatorId } (see getNodePath)
+   * @param {string} commentId
+   * @returns {Array|null}
+   */
+  getCommentPath(node, commentId) {
+    const path = this.getNodePath(node);
+    if (!path) return null;
+    const index = (this.resolvePath(path).comments || []).findIndex(comment => comment.id === commentId);
+    return index !== -1 ? [...path, 'comments', index] : null;
+  }
+
+  /**
+   * Reply to a comment thread
+   * @param {Object} node - { levelKey, itemId, indicatorId } (see getNodePath)
+   * @param {string} commentId
+   * @param {string} author - Name of the reviewer
+   * @param {string} text
+   * @returns {string|null} The ID of the reply, or null if the thread does not exist
+   */
+  addCommentReply(node, commentId, author, text) {
+    const path = this.getCommentPath(node, commentId);
+    if (!path) return null;
+
+    const reply = {
+      id: crypto.randomUUID(),
+      author,
+      text,
+      createdAt: new Date().toISOString()
+    };
+
+    const comment = this.resolvePath(path);
+    const operations = [];
+    if (!Array.isArray(comment.replies)) {
+      operations.push({ op: 'set', path, key: 'replies', value: [] });
     }
+    operations.push({ op: 'insert', path: [...path, 'replies'], index: comment.replies ? comment.replies.length : 0, value: reply });
+
+    this.commit(this.getNodeChangeType(node, 'comment-reply-added'), { ...node, commentId }, operations);
+    return reply.id;
   }
 
   /**
-   * Convert data to JSON string
+   * Resolve or reopen a comment thread
+   * @param {Object} node - { levelKey, itemId, indicatorId } (see getNodePath)
+   * @param {string} commentId
+   * @param {boolean} resolved
+   */
+  setCommentResolved(node, commentId, resolved) {
+    const path = this.getCommentPath(node, commentId);
+    if (!path || Boolean(this.resolvePath(path).resolved) === resolved) return;
+
+    this.commit(this.getNodeChangeType(node, resolved ? 'comment-resolved' : 'comment-reopened'), { ...node, commentId }, [
+      { op: 'set', path, key: 'resolved', value: resolved },
+      { op: 'set', path, key: 'resolvedAt', value: resolved ? new Date().toISOString() : undefined }
+    ]);
+  }
+
+  /**
+   * Delete a comment thread with its replies
+   * @param {Object} node - { levelKey, itemId, indicatorId } (see getNodePath)
+   * @param {string} commentId
+   */
+  deleteComment(node, commentId) {
+    const path = this.getCommentPath(node, commentId);
+    if (!path) return;
+
+    this.commit(this.getNodeChangeType(node, 'comment-deleted'), { ...node, commentId }, [
+      { op: 'remove', path: path.slice(0, -1), index: path[path.length - 1] }
+    ]);
+  }
+
+  /**
+   * Convert data to JSON string, in the current format version
    * @returns {string}
    */
   toJSON() {
-    return JSON.stringify(this.data, null, 2);
+    return JSON.stringify({ ...this.data, version: CURRENT_VERSION }, null, 2);
   }
 
   /**
@@ -293,11 +3055,31 @@ export class TocDataModel {
     return this.data;
   }
 
+  /**
+   * Bring the document back to an earlier version, e.g. a snapshot
+   * Unlike setData, this is a change like the others, which can be undone.
+   * @param {Object} data - The ToC data to restore, in the current format
+   * @returns {boolean} false if the document is already identical
+   */
+  restoreData(data) {
+    const keys = new Set([...Object.keys(this.data), ...Object.keys(data)]);
+    const operations = [...keys]
+      .filter(key => key !== 'lastModified' && !isEqualValue(this.data[key], data[key]))
+      .map(key => ({ op: 'set', path: [], key, value: cloneValue(data[key]) }));
+    if (operations.length === 0) return false;
+
+    this.commit('document-restored', {}, operations);
+    return true;
+  }
+
   /**
    * Set all data (used when loading from storage)
    * @param {Object} data
    */
   setData(data) {
+    if (this.pendingChanges) {
+      throw new Error('Data cannot be replaced during a transaction');
+    }
     this.data = data;
     this.notify('data-loaded', {});
   }
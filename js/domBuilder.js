@@ -3,71 +3,701 @@
  * Uses semantic HTML elements first, ARIA only as supplement
  */
 
+import { formatDate } from './utils.js';
+import {
+  RISK_RATINGS,
+  EVIDENCE_TYPES,
+  EVIDENCE_STRENGTHS,
+  STATUS_TRANSITIONS,
+  getStatus,
+  INDICATOR_DIRECTIONS,
+  INDICATOR_FREQUENCIES,
+  describeIndicatorProgress,
+  getItemNumbers,
+  getAllTags,
+  getPeople,
+  describePerson,
+  getCommentCounts,
+  describeCommentCounts,
+  getLanguages,
+  getDefaultLanguage,
+  describeLanguage,
+  getText,
+  countMissingTranslations,
+  summarizeChanges
+} from './dataModel.js';
+import { LEVEL_PRESETS, getPresetName } from './schema.js';
+import { describeSnapshot } from './snapshots.js';
+
 export class DomBuilder {
   constructor(dataModel, accessibility) {
     this.dataModel = dataModel;
     this.accessibility = accessibility;
+    this.reviewerName = ''; // Prefilled author of new comments
+    this.language = null; // Language translated into, null when not translating
   }
 
   /**
-   * Render an outcome card
-   * @param {string} outcomeId
-   * @returns {HTMLElement}
+   * Render the document switcher of the header
+   * @param {Array} documents - { id, title, lastModified } objects (see
+   *   StorageManager.getDocuments)
+   * @param {Object} current - The document being edited
+   */
+  renderDocuments(documents, current) {
+    const select = document.getElementById('document-select');
+    if (!select) return;
+    select.innerHTML = '';
+
+    documents.forEach(entry => {
+      const option = document.createElement('option');
+      option.value = entry.id;
+      option.textContent = entry.title;
+      option.selected = entry.id === current.id;
+      option.title = entry.lastModified ? `Last modified ${formatDate(entry.lastModified)}` : 'Not saved yet';
+      select.appendChild(option);
+    });
+
+    const modified = document.getElementById('document-modified');
+    if (modified) {
+      modified.textContent = current.lastModified
+        ? `Last modified ${formatDate(current.lastModified)}`
+        : 'Not saved yet';
+    }
+  }
+
+  /**
+   * Render the banner reporting a conflict with another tab, or hide it
+   * @param {Object|null} conflict - See TabSync.conflict
+   */
+  renderSyncConflict(conflict) {
+    const banner = document.getElementById('sync-banner');
+    if (!banner) return;
+    banner.innerHTML = '';
+    banner.hidden = !conflict;
+    if (!conflict) return;
+
+    const message = document.createElement('p');
+    message.textContent = conflict.deleted
+      ? 'This document was deleted in another tab. Until you choose, the changes made in this tab are not saved.'
+      : 'This document was changed and saved in another tab. Until you choose, the changes made in this tab are not saved.';
+    banner.appendChild(message);
+
+    const actions = document.createElement('div');
+    actions.className = 'button-group';
+    const buttons = conflict.deleted
+      ? [['sync-reload', 'Open Another Document'], ['sync-keep-mine', 'Keep This Document']]
+      : [['sync-reload', 'Reload Saved Version'], ['sync-keep-mine', 'Keep My Version'], ['sync-merge', 'Merge Both']];
+    buttons.forEach(([action, text]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'action-btn';
+      button.dataset.action = action;
+      button.textContent = text;
+      actions.appendChild(button);
+    });
+    banner.appendChild(actions);
+  }
+
+  /**
+   * Render the snapshots of the current document
+   * @param {Array} snapshots - Most recent first (see SnapshotManager.list)
+   */
+  renderSnapshots(snapshots) {
+    const list = document.getElementById('snapshots-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    if (snapshots.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'hint';
+      empty.textContent = 'No snapshots yet.';
+      list.appendChild(empty);
+      return;
+    }
+
+    snapshots.forEach(snapshot => {
+      const li = document.createElement('li');
+      li.className = snapshot.automatic ? 'snapshot-item automatic' : 'snapshot-item';
+      li.dataset.snapshotId = snapshot.id;
+
+      const name = document.createElement('span');
+      name.className = 'snapshot-name';
+      name.textContent = describeSnapshot(snapshot);
+      li.appendChild(name);
+
+      const meta = document.createElement('span');
+      meta.className = 'snapshot-meta';
+      const time = document.createElement('time');
+      time.dateTime = snapshot.createdAt;
+      time.textContent = formatDate(snapshot.createdAt);
+      meta.appendChild(time);
+      if (snapshot.summary) {
+        meta.appendChild(document.createTextNode(` · ${snapshot.summary}`));
+      }
+      li.appendChild(meta);
+
+      const label = `${describeSnapshot(snapshot)} of ${formatDate(snapshot.createdAt)}`;
+      [
+        ['compare-snapshot', 'Compare', `Compare ${label} with the current version`],
+        ['restore-snapshot', 'Restore', `Restore ${label}`]
+      ].forEach(([action, text, ariaLabel]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'toolbar-btn';
+        button.dataset.action = action;
+        button.dataset.snapshotId = snapshot.id;
+        button.setAttribute('aria-label', ariaLabel);
+        button.textContent = text;
+        li.appendChild(button);
+      });
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'delete-btn';
+      deleteBtn.dataset.action = 'delete-snapshot';
+      deleteBtn.dataset.snapshotId = snapshot.id;
+      deleteBtn.setAttribute('aria-label', `Delete ${label}`);
+      deleteBtn.innerHTML = '<span aria-hidden="true">×</span>';
+      li.appendChild(deleteBtn);
+
+      list.appendChild(li);
+    });
+  }
+
+  /**
+   * Show the changes made to the document since a snapshot
+   * @param {Object|null} snapshot - null to hide the changes
+   * @param {Array} changes - See diffDocuments
+   */
+  renderSnapshotDiff(snapshot, changes = []) {
+    const container = document.getElementById('snapshot-diff');
+    if (!container) return;
+    container.innerHTML = '';
+    container.hidden = !snapshot;
+    if (!snapshot) return;
+
+    const heading = document.createElement('h3');
+    heading.textContent = `Changes since ${describeSnapshot(snapshot)} of ${formatDate(snapshot.createdAt)}`;
+    container.appendChild(heading);
+
+    const summary = document.createElement('p');
+    summary.className = 'hint';
+    summary.textContent = summarizeChanges(changes);
+    container.appendChild(summary);
+
+    if (changes.length > 0) {
+      const labels = { added: 'Added', removed: 'Removed', changed: 'Changed' };
+      const list = document.createElement('ul');
+      list.className = 'snapshot-changes';
+
+      changes.forEach(change => {
+        const li = document.createElement('li');
+        li.className = `snapshot-change ${change.type}`;
+
+        const title = document.createElement('p');
+        title.className = 'snapshot-change-title';
+        title.textContent = `${labels[change.type]}: ${change.kind}`;
+        li.appendChild(title);
+
+        // Texts that changed are shown before and after, others for context
+        const texts = change.before === change.after
+          ? [['p', change.after]]
+          : [['del', change.before], ['ins', change.after]];
+        texts.filter(([, text]) => text !== null).forEach(([tagName, text]) => {
+          const element = document.createElement(tagName);
+          element.className = 'snapshot-change-text';
+          element.textContent = text || '(empty)';
+          li.appendChild(element);
+        });
+        if (change.fields.length > 0) {
+          const fields = document.createElement('p');
+          fields.className = 'hint';
+          fields.textContent = `Changed properties: ${change.fields.join(', ')}`;
+          li.appendChild(fields);
+        }
+
+        list.appendChild(li);
+      });
+      container.appendChild(list);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'button-group';
+    const restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.className = 'action-btn';
+    restoreBtn.dataset.action = 'restore-snapshot';
+    restoreBtn.dataset.snapshotId = snapshot.id;
+    restoreBtn.textContent = 'Restore This Snapshot';
+    actions.appendChild(restoreBtn);
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'toolbar-btn';
+    closeBtn.dataset.action = 'close-snapshot-diff';
+    closeBtn.textContent = 'Close';
+    actions.appendChild(closeBtn);
+    container.appendChild(actions);
+  }
+
+  /**
+   * Render the languages of the document and the language switcher of the
+   * header, which is only shown once there are several languages
+   */
+  renderLanguages() {
+    const data = this.dataModel.data;
+    const languages = getLanguages(data);
+    const defaultLanguage = getDefaultLanguage(data);
+
+    const list = document.getElementById('languages-list');
+    if (list) {
+      list.innerHTML = '';
+
+      languages.forEach(language => {
+        const li = document.createElement('li');
+        li.className = 'language-item';
+        li.dataset.language = language;
+
+        const name = document.createElement('span');
+        name.className = 'language-name';
+        name.lang = language;
+        name.textContent = describeLanguage(language);
+        li.appendChild(name);
+
+        const note = document.createElement('span');
+        note.className = 'language-note';
+        li.appendChild(note);
+
+        if (language === defaultLanguage) {
+          note.textContent = 'Default language';
+        } else {
+          const missing = countMissingTranslations(data, language);
+          note.textContent = missing > 0
+            ? `${missing} missing translation${missing > 1 ? 's' : ''}`
+            : 'All texts translated';
+          note.classList.toggle('missing-translations', missing > 0);
+
+          const defaultBtn = document.createElement('button');
+          defaultBtn.type = 'button';
+          defaultBtn.className = 'toolbar-btn';
+          defaultBtn.dataset.action = 'set-default-language';
+          defaultBtn.dataset.language = language;
+          defaultBtn.setAttribute('aria-label', `Make ${describeLanguage(language)} the default language`);
+          defaultBtn.textContent = 'Make Default';
+          li.appendChild(defaultBtn);
+        }
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'delete-btn';
+        deleteBtn.dataset.action = 'delete-language';
+        deleteBtn.dataset.language = language;
+        deleteBtn.setAttribute('aria-label', `Delete ${describeLanguage(language)}`);
+        deleteBtn.innerHTML = '<span aria-hidden="true">×</span>';
+        if (language === defaultLanguage && languages.length > 1) {
+          deleteBtn.disabled = true;
+          deleteBtn.title = 'Make another language the default one first';
+        }
+        li.appendChild(deleteBtn);
+
+        list.appendChild(li);
+      });
+    }
+
+    const switcher = document.getElementById('language-switcher');
+    const select = document.getElementById('language-select');
+    if (!switcher || !select) return;
+    switcher.hidden = languages.length < 2;
+    select.innerHTML = '';
+
+    languages.forEach(language => {
+      const option = document.createElement('option');
+      option.value = language;
+      option.textContent = language === defaultLanguage
+        ? `${describeLanguage(language)}, default`
+        : describeLanguage(language);
+      option.selected = language === (this.language || defaultLanguage);
+      select.appendChild(option);
+    });
+
+    const status = document.getElementById('language-status');
+    if (status) {
+      const missing = this.language ? countMissingTranslations(data, this.language) : 0;
+      status.textContent = missing > 0 ? `${missing} missing translation${missing > 1 ? 's' : ''}` : '';
+    }
+  }
+
+  /**
+   * Create the field translating the statement of the impact or an item, or
+   * the description of an indicator, into the language chosen in the header
+   * The field is flagged while the translation is missing.
+   * @param {Object} node - { levelKey, itemId, indicatorId } (see TocDataModel.updateTranslation)
+   * @param {Object} element - Impact, item or indicator
+   * @param {string} label - Name of the text (e.g. 'Statement')
+   * @param {string} idPrefix - ID of the field with the text to translate
+   * @param {string} elementType - 'input' or 'textarea'
+   * @returns {HTMLElement|null} null when not translating
    */
-  renderOutcome(outcomeId) {
-    const outcome = this.dataModel.getOutcome(outcomeId);
-    if (!outcome) return null;
+  createTranslationField(node, element, label, idPrefix, elementType) {
+    if (!this.language) return null;
 
-    // Calculate outcome number (1-based index)
-    const outcomeIndex = this.dataModel.data.outcomes.findIndex(o => o.id === outcomeId);
-    const outcomeNumber = outcomeIndex + 1;
+    const field = node.indicatorId ? 'description' : 'statement';
+    const translation = element.translations && element.translations[this.language];
+    const missing = getText(this.dataModel.data, element, field, this.language).missing;
+    const id = `translation-${idPrefix}`;
+    const labelText = `${label} in ${describeLanguage(this.language)}`;
+
+    const group = this.createFormGroup(
+      id,
+      labelText,
+      elementType,
+      translation && translation[field] ? translation[field] : '',
+      '',
+      {
+        lang: this.language,
+        class: 'translation-input',
+        'aria-describedby': `${id}-flag`
+      }
+    );
+    group.classList.add('translation-field');
+    group.classList.toggle('missing-translation', missing);
+    this.setDataIds(group.querySelector('.translation-input'), { ...node, language: this.language });
+    if (elementType === 'input') {
+      group.querySelector('label').className = 'sr-only';
+      group.querySelector('.translation-input').type = 'text';
+      group.querySelector('.translation-input').placeholder = labelText;
+    } else {
+      group.querySelector('.translation-input').rows = node.levelKey === 'impact' ? 4 : 2;
+    }
+
+    const flag = document.createElement('p');
+    flag.id = `${id}-flag`;
+    flag.className = 'missing-translation-flag';
+    flag.textContent = missing ? 'Missing translation' : '';
+    group.appendChild(flag);
+
+    return group;
+  }
+
+  /**
+   * Render the impact statement and its previous versions
+   */
+  renderImpact() {
+    const impact = this.dataModel.data.impact;
+
+    const impactElement = document.getElementById('impact-statement');
+    if (impactElement) {
+      impactElement.textContent = impact.statement;
+    }
+
+    const translationContainer = document.getElementById('impact-translation');
+    if (translationContainer) {
+      translationContainer.innerHTML = '';
+      const translation = this.createTranslationField(
+        { levelKey: 'impact', itemId: impact.id }, impact, 'Impact statement', 'impact-statement', 'textarea');
+      if (translation) {
+        translationContainer.appendChild(translation);
+      }
+    }
+
+    const tagsContainer = document.getElementById('impact-tags');
+    if (tagsContainer) {
+      tagsContainer.innerHTML = '';
+      tagsContainer.appendChild(this.createTagsEditor({ levelKey: 'impact', itemId: impact.id }, impact.tags, 'the impact statement', 'impact'));
+    }
+
+    const commentsContainer = document.getElementById('impact-comments');
+    if (commentsContainer) {
+      commentsContainer.innerHTML = '';
+      commentsContainer.appendChild(this.createCommentsSection({ levelKey: 'impact', itemId: impact.id }, impact.comments, 'the impact statement', 'impact'));
+    }
+
+    const container = document.getElementById('impact-versions');
+    if (!container) return;
+    container.innerHTML = '';
+
+    const versions = impact.previousVersions || [];
+    if (versions.length === 0) return;
+
+    const details = document.createElement('details');
+    details.className = 'impact-versions';
+
+    const summary = document.createElement('summary');
+    summary.textContent = `Previous versions (${versions.length})`;
+    details.appendChild(summary);
+
+    // Most recent first
+    const list = document.createElement('ol');
+    list.className = 'impact-versions-list';
+    list.reversed = true;
+
+    versions.slice().reverse().forEach(version => {
+      const li = document.createElement('li');
+      li.className = 'impact-version';
+
+      const statement = document.createElement('p');
+      statement.className = 'impact-version-statement';
+      statement.textContent = version.statement;
+      li.appendChild(statement);
+
+      const meta = document.createElement('p');
+      meta.className = 'hint';
+      meta.textContent = `Replaced on ${formatDate(version.replacedAt)}`;
+      li.appendChild(meta);
+
+      if (version.rationale) {
+        const rationale = document.createElement('p');
+        rationale.className = 'impact-version-rationale';
+        rationale.textContent = `Rationale: ${version.rationale}`;
+        li.appendChild(rationale);
+      }
+
+      list.appendChild(li);
+    });
+
+    details.appendChild(list);
+    container.appendChild(details);
+  }
+
+  /**
+   * Update the heading, add button and hierarchy picker of the items section
+   * to match the first level of the hierarchy
+   */
+  renderItemsSection() {
+    const level = this.dataModel.getLevels()[0];
+
+    const heading = document.getElementById('outcomes-heading');
+    if (heading) {
+      heading.textContent = level.pluralName;
+    }
+
+    const addBtn = document.getElementById('add-outcome-btn');
+    if (addBtn) {
+      addBtn.dataset.levelKey = level.key;
+      addBtn.innerHTML = '<span aria-hidden="true">+</span> ';
+      addBtn.append(`Add ${level.name}`);
+    }
+
+    this.renderHierarchySelect();
+  }
+
+  /**
+   * Render the picker of the levels of the hierarchy
+   * Levels can only be changed while the document has no items
+   */
+  renderHierarchySelect() {
+    const select = document.getElementById('hierarchy-select');
+    if (!select) return;
+    select.innerHTML = '';
+
+    const schema = this.dataModel.data.schema;
+    const current = getPresetName(schema);
+    Object.entries(LEVEL_PRESETS).forEach(([name, preset]) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = preset.label;
+      option.selected = name === current;
+      select.appendChild(option);
+    });
+
+    // Hierarchies defined in the document itself
+    if (!current) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = `${schema.levels.map(level => level.pluralName).join(' → ')} (custom)`;
+      option.selected = true;
+      select.appendChild(option);
+    }
+
+    select.disabled = this.dataModel.hasItems();
+  }
+
+  /**
+   * Render the card of an item of the first level, with the items below it
+   * @param {string} itemId
+   * @returns {HTMLElement|null}
+   */
+  renderTopLevelItem(itemId) {
+    const levelKey = this.dataModel.getLevels()[0].key;
+    const items = this.dataModel.data[levelKey];
+    const index = this.dataModel.getItemIndex(levelKey, itemId);
+    if (index === -1) return null;
+
+    return this.createItemCard(levelKey, items[index], {
+      parentId: null,
+      path: [],
+      number: `${index + 1}`,
+      index,
+      count: items.length,
+      numbers: getItemNumbers(this.dataModel.data)
+    });
+  }
+
+  /**
+   * Create the card of an item with its indicators, the assumptions and
+   * risks of its link to its parent (or to the impact) and the cards of its
+   * children
+   * Items shared by several parents get a card under each of them: the IDs
+   * of the ancestors of a card are included in the IDs of its elements to
+   * keep them unique.
+   * @param {string} levelKey
+   * @param {Object} item
+   * @param {Object} position - { parentId, path, number, index, count, numbers }
+   *   where path lists the IDs of the ancestors of the card, number is the
+   *   position of the item in the hierarchy (e.g. '1.2'), index and count its
+   *   position among its siblings, and numbers the result of getItemNumbers
+   * @returns {HTMLElement}
+   */
+  createItemCard(levelKey, item, position) {
+    const level = this.dataModel.getLevel(levelKey);
+    const parentLevel = this.dataModel.getParentLevel(levelKey);
+    const childLevel = this.dataModel.getChildLevel(levelKey);
+    const cardId = [...position.path, item.id].join('-');
+    const label = `${level.name} ${position.number}`;
+    const ids = { levelKey, itemId: item.id, parentId: position.parentId };
 
-    // Create article element for outcome card
+    // Create article element for the item card
     const article = document.createElement('article');
-    article.className = 'outcome-card';
-    article.dataset.outcomeId = outcomeId;
+    article.className = `${parentLevel ? 'item-card child-card' : 'item-card top-level-card'} status-${getStatus(item)}`;
+    this.setDataIds(article, ids);
 
-    // Card header with delete button
+    // Card header with move, unlink, duplicate and delete buttons
     const header = document.createElement('div');
     header.className = 'card-header';
 
     const numberLabel = document.createElement('div');
-    numberLabel.className = 'outcome-number';
-    numberLabel.textContent = `Outcome ${outcomeNumber}`;
+    numberLabel.className = 'card-number';
+    numberLabel.textContent = label;
+
+    const sharedWith = this.dataModel.getParents(levelKey, item.id).filter(p => p.id !== position.parentId);
 
     const deleteBtn = document.createElement('button');
     deleteBtn.type = 'button';
     deleteBtn.className = 'delete-btn';
-    deleteBtn.dataset.action = 'delete-outcome';
-    deleteBtn.dataset.outcomeId = outcomeId;
-    deleteBtn.setAttribute('aria-label', `Delete outcome ${outcomeNumber}`);
+    deleteBtn.dataset.action = 'delete-item';
+    this.setDataIds(deleteBtn, ids);
+    deleteBtn.setAttribute('aria-label', sharedWith.length > 0
+      ? `Delete ${label.toLowerCase()} from all ${parentLevel.pluralName.toLowerCase()}`
+      : `Delete ${label.toLowerCase()}`);
     deleteBtn.innerHTML = '<span aria-hidden="true">×</span>';
 
+    const actions = document.createElement('div');
+    actions.className = 'card-actions';
+    actions.appendChild(this.createMoveButtons('item', label.toLowerCase(), position.index, position.count, ids));
+    const moveSelect = parentLevel ? this.createMoveItemSelect(levelKey, item.id, position, cardId) : null;
+    if (moveSelect) {
+      actions.appendChild(moveSelect);
+    }
+    if (sharedWith.length > 0) {
+      const unlinkBtn = document.createElement('button');
+      unlinkBtn.type = 'button';
+      unlinkBtn.className = 'toolbar-btn';
+      unlinkBtn.dataset.action = 'unlink-item';
+      this.setDataIds(unlinkBtn, ids);
+      unlinkBtn.setAttribute('aria-label',
+        `Unlink ${label.toLowerCase()} from this ${parentLevel.name.toLowerCase()}`);
+      unlinkBtn.innerHTML = '<span aria-hidden="true">⛓</span> Unlink';
+      actions.appendChild(unlinkBtn);
+    }
+    const duplicateBtn = document.createElement('button');
+    duplicateBtn.type = 'button';
+    duplicateBtn.className = 'toolbar-btn';
+    duplicateBtn.dataset.action = 'duplicate-item';
+    this.setDataIds(duplicateBtn, ids);
+    duplicateBtn.setAttribute('aria-label', childLevel
+      ? `Duplicate ${label.toLowerCase()} with its ${childLevel.pluralName.toLowerCase()}`
+      : `Duplicate ${label.toLowerCase()}`);
+    duplicateBtn.innerHTML = '<span aria-hidden="true">⧉</span> Duplicate';
+    actions.appendChild(duplicateBtn);
+    actions.appendChild(deleteBtn);
+
+    header.appendChild(this.createDragHandle('item'));
     header.appendChild(numberLabel);
-    header.appendChild(deleteBtn);
+    const commentCounts = getCommentCounts(item);
+    if (commentCounts.open > 0) {
+      const commentCount = document.createElement('span');
+      commentCount.className = 'comment-count';
+      commentCount.title = describeCommentCounts(commentCounts);
+      commentCount.innerHTML = `<span aria-hidden="true">💬 ${commentCounts.open}</span>`;
+      const countText = document.createElement('span');
+      countText.className = 'sr-only';
+      countText.textContent = commentCount.title;
+      commentCount.appendChild(countText);
+      header.appendChild(commentCount);
+    }
+    if (sharedWith.length > 0) {
+      const sharedNote = document.createElement('p');
+      sharedNote.className = 'shared-note';
+      const numbers = sharedWith.map(p => position.numbers.get(p.id));
+      sharedNote.textContent = `Shared with ${parentLevel.name.toLowerCase()} ${numbers.join(', ')}`;
+      header.appendChild(sharedNote);
+    }
+    header.appendChild(actions);
 
     // Card body
     const body = document.createElement('div');
     body.className = 'card-body';
 
-    // Outcome statement
+    // Item statement
     const statementGroup = this.createFormGroup(
-      `outcome-statement-${outcomeId}`,
-      'Based on your understanding of that impact statement and your understanding of the world, what is one of the high-level change that is needed to get closer to realizing that vision?',
+      `statement-${cardId}`,
+      level.prompt || `${level.name} statement`,
       'textarea',
-      outcome.statement,
+      item.statement,
       '',
-      { rows: 3, 'data-outcome-id': outcomeId, class: 'outcome-statement' }
+      {
+        rows: parentLevel ? 2 : 3,
+        'data-level-key': levelKey,
+        'data-item-id': item.id,
+        class: 'item-statement'
+      }
     );
-    body.appendChild(statementGroup);
+    const statementTranslation = this.createTranslationField(
+      { levelKey, itemId: item.id }, item, 'Statement', `statement-${cardId}`, 'textarea');
+    if (statementTranslation) {
+      // Text to translate and its translation side by side
+      const pair = document.createElement('div');
+      pair.className = 'translation-pair';
+      pair.appendChild(statementGroup);
+      pair.appendChild(statementTranslation);
+      body.appendChild(pair);
+    } else {
+      body.appendChild(statementGroup);
+    }
+    body.appendChild(this.createStatusSelect({ levelKey, itemId: item.id }, item, label.toLowerCase(), cardId));
+    body.appendChild(this.createTagsEditor({ levelKey, itemId: item.id }, item.tags, label.toLowerCase(), cardId));
+    const assignments = this.createAssignmentsEditor({ levelKey, itemId: item.id }, item, label.toLowerCase(), cardId);
+    if (assignments) {
+      body.appendChild(assignments);
+    }
 
     // Indicators fieldset
-    const indicatorsFieldset = this.createIndicatorsFieldset(outcomeId, outcome.indicators, 'outcome');
-    body.appendChild(indicatorsFieldset);
+    if (level.indicators) {
+      body.appendChild(this.createIndicatorsFieldset(levelKey, item, label, cardId));
+    }
+
+    // References supporting the item
+    body.appendChild(this.createReferencesFieldset(levelKey, item, label, cardId));
+
+    // Assumptions, risks and evidence of the link to the parent (or to the impact)
+    body.appendChild(this.createCausalLinkFieldset(
+      item.id,
+      position.parentId || this.dataModel.data.impact.id,
+      cardId,
+      level.name.toLowerCase(),
+      parentLevel ? `${parentLevel.name.toLowerCase()} ${position.numbers.get(position.parentId)}` : 'impact'
+    ));
 
-    // Outputs fieldset
-    const outputsFieldset = this.createOutputsFieldset(outcomeId, outcome.outputs);
-    body.appendChild(outputsFieldset);
+    // Contributions to other items of the same level
+    if (level.contributions) {
+      body.appendChild(this.createContributionsFieldset(levelKey, item, label, cardId, position.numbers));
+    }
+
+    body.appendChild(this.createCommentsSection({ levelKey, itemId: item.id }, item.comments, label.toLowerCase(), cardId));
+
+    // Children fieldset
+    if (childLevel) {
+      body.appendChild(this.createChildrenFieldset(levelKey, item, label, position, cardId));
+    }
 
     article.appendChild(header);
     article.appendChild(body);
@@ -75,6 +705,66 @@ export class DomBuilder {
     return article;
   }
 
+  /**
+   * Set IDs as data attributes of an element, skipping empty ones
+   * @param {HTMLElement} element
+   * @param {Object} ids - e.g. { levelKey, itemId, parentId }
+   */
+  setDataIds(element, ids) {
+    Object.entries(ids).forEach(([key, value]) => {
+      if (value) element.dataset[key] = value;
+    });
+  }
+
+  /**
+   * Create move up/down buttons for reordering an item
+   * @param {string} itemType - 'item' or 'indicator'
+   * @param {string} label - Accessible name of the item (e.g. 'outcome 2')
+   * @param {number} index - 0-based position of the item
+   * @param {number} count - Number of items in the list
+   * @param {Object} ids - IDs to set as data attributes on the buttons
+   * @returns {HTMLElement}
+   */
+  createMoveButtons(itemType, label, index, count, ids) {
+    const group = document.createElement('div');
+    group.className = 'move-controls';
+
+    [
+      { direction: 'up', symbol: '↑', disabled: index === 0 },
+      { direction: 'down', symbol: '↓', disabled: index === count - 1 }
+    ].forEach(({ direction, symbol, disabled }) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'move-btn';
+      btn.dataset.action = `move-${itemType}-${direction}`;
+      this.setDataIds(btn, ids);
+      btn.disabled = disabled;
+      btn.setAttribute('aria-label', `Move ${label} ${direction}`);
+      btn.innerHTML = `<span aria-hidden="true">${symbol}</span>`;
+      group.appendChild(btn);
+    });
+
+    return group;
+  }
+
+  /**
+   * Create a drag handle for drag-and-drop reordering
+   * Hidden from assistive technologies: the move buttons offer the same
+   * functionality from the keyboard
+   * @param {string} itemType - 'item' or 'indicator'
+   * @returns {HTMLElement}
+   */
+  createDragHandle(itemType) {
+    const handle = document.createElement('span');
+    handle.className = 'drag-handle';
+    handle.draggable = true;
+    handle.dataset.dragType = itemType;
+    handle.setAttribute('aria-hidden', 'true');
+    handle.title = 'Drag to reorder';
+    handle.textContent = '⠿';
+    return handle;
+  }
+
   /**
    * Create a form group with label and input/textarea
    * @param {string} id
@@ -123,215 +813,1325 @@ export class DomBuilder {
   }
 
   /**
-   * Create indicators fieldset
-   * @param {string} parentId - outcome or output ID
-   * @param {Array} indicators
-   * @param {string} parentType - 'outcome' or 'output'
-   * @param {string} outputId - only if parentType is 'output'
+   * Create the tag editor of the impact, an item or an indicator
+   * Tags already used in the document are suggested while typing (see
+   * renderTagSuggestions)
+   * @param {Object} node - { levelKey, itemId, indicatorId } (see TocDataModel.addTag)
+   * @param {Array|undefined} tags
+   * @param {string} label - Accessible name of the element (e.g. 'outcome 2')
+   * @param {string} idPrefix - Unique ID of the element
    * @returns {HTMLElement}
    */
-  createIndicatorsFieldset(parentId, indicators, parentType, outputId = null) {
-    const fieldset = document.createElement('fieldset');
-    fieldset.className = 'indicators-section';
+  createTagsEditor(node, tags = [], label, idPrefix) {
+    const group = document.createElement('div');
+    group.className = 'tags-editor';
+    this.setDataIds(group, node);
 
-    const legend = document.createElement('legend');
-    legend.textContent = parentType === 'outcome' ? 'Outcome Indicators' : 'Output Indicators';
-    fieldset.appendChild(legend);
-    const description = document.createElement("p");
-    description.classList.add("section-description");
-    if (parentType === 'outcome') {
-      description.append("What indicators can you think of that would realistically help determine whether the said change is happening?");
-    } else {
-      description.append("What indicators can you think of to track that W3C is delivering on this?");
-    }
-    fieldset.append(description);
-    // Create list for indicators
-    const ul = document.createElement('ul');
-    ul.className = 'indicators-list';
-    ul.setAttribute('aria-label', `Indicators for ${parentType}`);
+    const inputId = `tag-input-${idPrefix}`;
+    const inputLabel = document.createElement('label');
+    inputLabel.setAttribute('for', inputId);
+    inputLabel.className = 'tags-label';
+    inputLabel.textContent = 'Tags:';
+    group.appendChild(inputLabel);
 
-    indicators.forEach(indicator => {
-      const li = this.createIndicatorItem(parentId, indicator, parentType, outputId);
-      ul.appendChild(li);
+    const list = document.createElement('ul');
+    list.className = 'tags-list';
+    list.setAttribute('aria-label', `Tags of ${label}`);
+    tags.forEach(tag => {
+      const li = document.createElement('li');
+      li.className = 'tag-chip';
+      li.append(tag);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'tag-remove-btn';
+      removeBtn.dataset.action = 'remove-tag';
+      this.setDataIds(removeBtn, { ...node, tag });
+      removeBtn.setAttribute('aria-label', `Remove tag ${tag} from ${label}`);
+      removeBtn.innerHTML = '<span aria-hidden="true">×</span>';
+      li.appendChild(removeBtn);
+
+      list.appendChild(li);
     });
+    group.appendChild(list);
 
-    fieldset.appendChild(ul);
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = inputId;
+    input.className = 'tag-input';
+    input.setAttribute('list', 'tag-suggestions');
+    input.placeholder = 'Team, theme, funding stream...';
+    this.setDataIds(input, node);
+    group.appendChild(input);
 
-    // Add indicator button
     const addBtn = document.createElement('button');
     addBtn.type = 'button';
-    addBtn.className = 'add-btn';
-    addBtn.dataset.action = parentType === 'outcome' ? 'add-outcome-indicator' : 'add-output-indicator';
-    addBtn.dataset.outcomeId = parentType === 'outcome' ? parentId : outputId;
-    if (parentType === 'output') {
-      addBtn.dataset.outputId = parentId;
-    }
-    addBtn.innerHTML = '<span aria-hidden="true">+</span> Add Indicator';
-
-    const parentIndex = parentType === 'outcome'
-      ? this.dataModel.data.outcomes.findIndex(o => o.id === parentId) + 1
-      : null;
-    addBtn.setAttribute('aria-label',
-      parentType === 'outcome'
-        ? `Add indicator to outcome ${parentIndex}`
-        : 'Add indicator to output'
-    );
+    addBtn.className = 'toolbar-btn';
+    addBtn.dataset.action = 'add-tag';
+    this.setDataIds(addBtn, node);
+    addBtn.setAttribute('aria-label', `Add tag to ${label}`);
+    addBtn.textContent = 'Add Tag';
+    group.appendChild(addBtn);
 
-    fieldset.appendChild(addBtn);
-
-    return fieldset;
+    return group;
   }
 
   /**
-   * Create an indicator list item
-   * @param {string} parentId
-   * @param {Object} indicator
-   * @param {string} parentType
-   * @param {string} outputId
+   * Create the workflow status picker of an item or indicator, offering the
+   * statuses its current status can change to
+   * @param {Object} node - { levelKey, itemId, indicatorId } (see TocDataModel.setStatus)
+   * @param {Object} element - The item or indicator
+   * @param {string} label - Accessible name of the element (e.g. 'outcome 2')
+   * @param {string} idPrefix - Unique ID of the element
    * @returns {HTMLElement}
    */
-  createIndicatorItem(parentId, indicator, parentType, outputId = null) {
-    const li = document.createElement('li');
-    li.className = 'indicator-item';
-    li.dataset.indicatorId = indicator.id;
+  createStatusSelect(node, element, label, idPrefix) {
+    const status = getStatus(element);
+    const selectId = `status-${idPrefix}`;
 
-    const inputId = `indicator-${indicator.id}`;
-    const input = document.createElement('input');
-    input.type = 'text';
-    input.id = inputId;
-    input.value = indicator.description;
-    input.placeholder = 'Describe the indicator...';
-    input.dataset.indicatorId = indicator.id;
-    input.dataset.outcomeId = parentType === 'outcome' ? parentId : outputId;
-    if (parentType === 'output') {
-      input.dataset.outputId = parentId;
-    }
-    input.setAttribute('aria-label', 'Indicator description');
+    const group = document.createElement('div');
+    group.className = 'status-group';
 
-    const deleteBtn = document.createElement('button');
-    deleteBtn.type = 'button';
-    deleteBtn.className = 'delete-btn';
-    deleteBtn.dataset.action = parentType === 'outcome' ? 'delete-outcome-indicator' : 'delete-output-indicator';
-    deleteBtn.dataset.indicatorId = indicator.id;
-    deleteBtn.dataset.outcomeId = parentType === 'outcome' ? parentId : outputId;
-    if (parentType === 'output') {
-      deleteBtn.dataset.outputId = parentId;
-    }
-    deleteBtn.setAttribute('aria-label', 'Delete indicator');
-    deleteBtn.innerHTML = '<span aria-hidden="true">×</span>';
+    const statusLabel = document.createElement('label');
+    statusLabel.setAttribute('for', selectId);
+    statusLabel.textContent = 'Status:';
+    group.appendChild(statusLabel);
 
-    li.appendChild(input);
-    li.appendChild(deleteBtn);
+    const select = document.createElement('select');
+    select.id = selectId;
+    select.className = `status-select status-${status}`;
+    this.setDataIds(select, node);
+    select.setAttribute('aria-label', `Status of ${label}`);
+    [status, ...STATUS_TRANSITIONS[status]].forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      option.selected = value === status;
+      select.appendChild(option);
+    });
+    group.appendChild(select);
 
-    return li;
+    return group;
   }
 
   /**
-   * Create outputs fieldset
-   * @param {string} outcomeId
-   * @param {Array} outputs
-   * @returns {HTMLElement}
+   * Create the owner and contributor pickers of an item or indicator
+   * @param {Object} node - { levelKey, itemId, indicatorId } (see TocDataModel.setOwner)
+   * @param {Object} element - The item or indicator
+   * @param {string} label - Accessible name of the element (e.g. 'outcome 2')
+   * @param {string} idPrefix - Unique ID of the element
+   * @returns {HTMLElement|null} null while the document lists no people
    */
-  createOutputsFieldset(outcomeId, outputs) {
-    const fieldset = document.createElement('fieldset');
-    fieldset.className = 'outputs-section';
-
-    const legend = document.createElement('legend');
-    legend.textContent = 'Outputs';
-    fieldset.appendChild(legend);
+  createAssignmentsEditor(node, element, label, idPrefix) {
+    const people = getPeople(this.dataModel.data);
+    if (people.length === 0) return null;
 
-    // Create container for outputs
-    const container = document.createElement('div');
-    container.className = 'outputs-list';
-    container.setAttribute('aria-label', 'Outputs list');
+    const group = document.createElement('div');
+    group.className = 'assignments-editor';
+    this.setDataIds(group, node);
 
-    outputs.forEach(output => {
-      const outputCard = this.createOutputCard(outcomeId, output);
-      container.appendChild(outputCard);
+    // Owner
+    const ownerId = `owner-${idPrefix}`;
+    const ownerGroup = document.createElement('div');
+    ownerGroup.className = 'owner-group';
+    const ownerLabel = document.createElement('label');
+    ownerLabel.setAttribute('for', ownerId);
+    ownerLabel.textContent = 'Owner:';
+    const ownerSelect = document.createElement('select');
+    ownerSelect.id = ownerId;
+    ownerSelect.className = 'owner-select';
+    this.setDataIds(ownerSelect, node);
+    ownerSelect.setAttribute('aria-label', `Owner of ${label}`);
+    const noOwner = document.createElement('option');
+    noOwner.value = '';
+    noOwner.textContent = '(No owner)';
+    ownerSelect.appendChild(noOwner);
+    people.forEach(person => {
+      const option = document.createElement('option');
+      option.value = person.id;
+      option.textContent = describePerson(person);
+      option.selected = person.id === element.ownerId;
+      ownerSelect.appendChild(option);
     });
+    ownerGroup.appendChild(ownerLabel);
+    ownerGroup.appendChild(ownerSelect);
+    group.appendChild(ownerGroup);
 
-    fieldset.appendChild(container);
+    // Contributors
+    const contributorIds = element.contributorIds || [];
+    const contributorsGroup = document.createElement('div');
+    contributorsGroup.className = 'contributors-group';
 
-    // Add output button
-    const addBtn = document.createElement('button');
-    addBtn.type = 'button';
-    addBtn.className = 'add-btn';
-    addBtn.dataset.action = 'add-output';
-    addBtn.dataset.outcomeId = outcomeId;
-    addBtn.innerHTML = '<span aria-hidden="true">+</span> Add Output';
+    const selectId = `contributor-${idPrefix}`;
+    const selectLabel = document.createElement('label');
+    selectLabel.setAttribute('for', selectId);
+    selectLabel.textContent = 'Contributors:';
+    contributorsGroup.appendChild(selectLabel);
 
-    const outcomeIndex = this.dataModel.data.outcomes.findIndex(o => o.id === outcomeId) + 1;
-    addBtn.setAttribute('aria-label', `Add output to outcome ${outcomeIndex}`);
+    const list = document.createElement('ul');
+    list.className = 'contributors-list';
+    list.setAttribute('aria-label', `Contributors to ${label}`);
+    contributorIds.forEach(personId => {
+      const person = people.find(p => p.id === personId);
+      if (!person) return;
 
-    fieldset.appendChild(addBtn);
+      const li = document.createElement('li');
+      li.className = 'contributor-chip';
+      li.append(describePerson(person));
 
-    return fieldset;
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'tag-remove-btn';
+      removeBtn.dataset.action = 'remove-contributor';
+      this.setDataIds(removeBtn, { ...node, personId });
+      removeBtn.setAttribute('aria-label', `Remove ${describePerson(person)} from the contributors to ${label}`);
+      removeBtn.innerHTML = '<span aria-hidden="true">×</span>';
+      li.appendChild(removeBtn);
+
+      list.appendChild(li);
+    });
+    contributorsGroup.appendChild(list);
+
+    // People who do not contribute yet
+    const candidates = people.filter(person => !contributorIds.includes(person.id));
+    if (candidates.length > 0) {
+      const select = document.createElement('select');
+      select.id = selectId;
+      select.className = 'contributor-select';
+      select.setAttribute('aria-label', `Add a contributor to ${label}`);
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = 'Choose a person or organisation...';
+      select.appendChild(placeholder);
+      candidates.forEach(person => {
+        const option = document.createElement('option');
+        option.value = person.id;
+        option.textContent = describePerson(person);
+        select.appendChild(option);
+      });
+      contributorsGroup.appendChild(select);
+
+      const addBtn = document.createElement('button');
+      addBtn.type = 'button';
+      addBtn.className = 'toolbar-btn';
+      addBtn.dataset.action = 'add-contributor';
+      this.setDataIds(addBtn, node);
+      addBtn.setAttribute('aria-label', `Add contributor to ${label}`);
+      addBtn.textContent = 'Add';
+      contributorsGroup.appendChild(addBtn);
+    } else {
+      selectLabel.removeAttribute('for');
+    }
+    group.appendChild(contributorsGroup);
+
+    return group;
   }
 
   /**
-   * Create an output card
-   * @param {string} outcomeId
-   * @param {Object} output
+   * Create the expandable review comments of the impact, an item or an
+   * indicator: its threads with their replies, and a form to start a thread
+   * The author field is shared by new threads and replies.
+   * @param {Object} node - { levelKey, itemId, indicatorId } (see TocDataModel.addComment)
+   * @param {Array|undefined} comments
+   * @param {string} label - Accessible name of the element (e.g. 'outcome 2')
+   * @param {string} idPrefix - Unique ID of the element
    * @returns {HTMLElement}
    */
-  createOutputCard(outcomeId, output) {
-    const article = document.createElement('article');
-    article.className = 'output-card';
-    article.dataset.outputId = output.id;
-    article.dataset.outcomeId = outcomeId;
+  createCommentsSection(node, comments = [], label, idPrefix) {
+    const details = document.createElement('details');
+    details.className = 'comments-section';
+    this.setDataIds(details, node);
 
-    // Output header with delete button
-    const header = document.createElement('div');
-    header.className = 'card-header';
+    const summary = document.createElement('summary');
+    const counts = describeCommentCounts(getCommentCounts({ comments }));
+    summary.textContent = counts ? `Comments (${counts})` : 'Comments';
+    details.appendChild(summary);
 
-    const deleteBtn = document.createElement('button');
-    deleteBtn.type = 'button';
-    deleteBtn.className = 'delete-btn';
-    deleteBtn.dataset.action = 'delete-output';
-    deleteBtn.dataset.outputId = output.id;
-    deleteBtn.dataset.outcomeId = outcomeId;
-    deleteBtn.setAttribute('aria-label', 'Delete output');
-    deleteBtn.innerHTML = '<span aria-hidden="true">×</span>';
+    const authorGroup = this.createFormGroup(
+      `comment-author-${idPrefix}`,
+      'Your name',
+      'input',
+      this.reviewerName,
+      '',
+      { class: 'comment-author', autocomplete: 'name' }
+    );
+    details.appendChild(authorGroup);
 
-    header.appendChild(deleteBtn);
+    const list = document.createElement('ol');
+    list.className = 'comments-list';
+    list.setAttribute('aria-label', `Comments on ${label}`);
+    comments.forEach(comment => {
+      const ids = { ...node, commentId: comment.id };
+      const li = document.createElement('li');
+      li.className = comment.resolved ? 'comment-thread resolved' : 'comment-thread';
+      li.dataset.commentId = comment.id;
 
-    // Output statement
-    const statementGroup = this.createFormGroup(
-      `output-statement-${output.id}`,
-      'Focusing on what you know of W3C, what deliverables do you feel W3C is or could be best positioned to provide to help make progress towards that change?',
-      'textarea',
-      output.statement,
-      '',
-      {
-        rows: 2,
-        'data-output-id': output.id,
-        'data-outcome-id': outcomeId,
-        class: 'output-statement'
+      li.appendChild(this.createCommentMessage(comment));
+
+      const replies = comment.replies || [];
+      if (replies.length > 0) {
+        const repliesList = document.createElement('ol');
+        repliesList.className = 'comment-replies';
+        repliesList.setAttribute('aria-label', `Replies to ${comment.author || 'the comment'}`);
+        replies.forEach(reply => {
+          const replyItem = document.createElement('li');
+          replyItem.appendChild(this.createCommentMessage(reply));
+          repliesList.appendChild(replyItem);
+        });
+        li.appendChild(repliesList);
       }
-    );
 
-    // Output indicators
-    const indicatorsFieldset = this.createIndicatorsFieldset(output.id, output.indicators, 'output', outcomeId);
+      const replyId = `comment-reply-${idPrefix}-${comment.id}`;
+      const replyLabel = document.createElement('label');
+      replyLabel.setAttribute('for', replyId);
+      replyLabel.className = 'sr-only';
+      replyLabel.textContent = `Reply to ${comment.author || 'the comment'}`;
+      li.appendChild(replyLabel);
 
-    article.appendChild(header);
-    article.appendChild(statementGroup);
-    article.appendChild(indicatorsFieldset);
+      const replyInput = document.createElement('textarea');
+      replyInput.id = replyId;
+      replyInput.className = 'comment-reply-input';
+      replyInput.rows = 1;
+      replyInput.placeholder = 'Reply...';
+      li.appendChild(replyInput);
 
-    return article;
+      const actions = document.createElement('div');
+      actions.className = 'comment-actions';
+      [
+        ['add-comment-reply', 'Reply', `Reply to ${comment.author || 'the comment'}`],
+        ['toggle-comment-resolved', comment.resolved ? 'Reopen' : 'Resolve',
+          `${comment.resolved ? 'Reopen' : 'Resolve'} the comment of ${comment.author || 'an anonymous reviewer'}`]
+      ].forEach(([action, text, ariaLabel]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'toolbar-btn';
+        button.dataset.action = action;
+        this.setDataIds(button, ids);
+        button.id = `${action}-${idPrefix}-${comment.id}`;
+        button.setAttribute('aria-label', ariaLabel);
+        button.textContent = text;
+        actions.appendChild(button);
+      });
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'delete-btn';
+      deleteBtn.dataset.action = 'delete-comment';
+      this.setDataIds(deleteBtn, ids);
+      deleteBtn.setAttribute('aria-label', `Delete the comment of ${comment.author || 'an anonymous reviewer'} and its replies`);
+      deleteBtn.innerHTML = '<span aria-hidden="true">×</span>';
+      actions.appendChild(deleteBtn);
+
+      li.appendChild(actions);
+      list.appendChild(li);
+    });
+    details.appendChild(list);
+
+    const textGroup = this.createFormGroup(
+      `comment-text-${idPrefix}`,
+      'New comment',
+      'textarea',
+      '',
+      '',
+      { rows: 2, class: 'comment-text' }
+    );
+    details.appendChild(textGroup);
+
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'toolbar-btn';
+    addBtn.dataset.action = 'add-comment';
+    this.setDataIds(addBtn, node);
+    addBtn.setAttribute('aria-label', `Add comment on ${label}`);
+    addBtn.textContent = 'Add Comment';
+    details.appendChild(addBtn);
+
+    return details;
+  }
+
+  /**
+   * Create the author, date and text of a comment or reply
+   * @param {Object} message - { author, text, createdAt, resolved }
+   * @returns {HTMLElement}
+   */
+  createCommentMessage(message) {
+    const container = document.createElement('div');
+    container.className = 'comment-message';
+
+    const meta = document.createElement('p');
+    meta.className = 'comment-meta';
+    const author = document.createElement('strong');
+    author.textContent = message.author || 'Anonymous';
+    meta.appendChild(author);
+    meta.append(` · ${formatDate(message.createdAt)}`);
+    if (message.resolved) {
+      meta.append(' · Resolved');
+    }
+    container.appendChild(meta);
+
+    const text = document.createElement('p');
+    text.className = 'comment-body';
+    text.textContent = message.text;
+    container.appendChild(text);
+
+    return container;
+  }
+
+  /**
+   * Render the people and organisations of the document
+   */
+  renderPeople() {
+    const list = document.getElementById('people-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    getPeople(this.dataModel.data).forEach((person, index) => {
+      const li = document.createElement('li');
+      li.className = 'person-item';
+      li.dataset.personId = person.id;
+
+      [
+        { field: 'name', text: 'Name', placeholder: 'Name of the person or team' },
+        { field: 'organisation', text: 'Organisation', placeholder: 'Optional' }
+      ].forEach(({ field, text, placeholder }) => {
+        const inputId = `person-${field}-${person.id}`;
+        const fieldGroup = document.createElement('div');
+        fieldGroup.className = 'person-field';
+
+        const inputLabel = document.createElement('label');
+        inputLabel.setAttribute('for', inputId);
+        inputLabel.textContent = text;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.id = inputId;
+        input.className = 'person-input';
+        input.value = person[field] || '';
+        input.placeholder = placeholder;
+        input.dataset.personId = person.id;
+        input.dataset.field = field;
+
+        fieldGroup.appendChild(inputLabel);
+        fieldGroup.appendChild(input);
+        li.appendChild(fieldGroup);
+      });
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'delete-btn';
+      deleteBtn.dataset.action = 'delete-person';
+      deleteBtn.dataset.personId = person.id;
+      deleteBtn.setAttribute('aria-label', `Delete ${person.name || `person ${index + 1}`}`);
+      deleteBtn.innerHTML = '<span aria-hidden="true">×</span>';
+      li.appendChild(deleteBtn);
+
+      list.appendChild(li);
+    });
+  }
+
+  /**
+   * Fill the list of tags suggested by the tag editors with the tags
+   * already used in the document
+   */
+  renderTagSuggestions() {
+    const datalist = document.getElementById('tag-suggestions');
+    if (!datalist) return;
+    datalist.innerHTML = '';
+
+    getAllTags(this.dataModel.data).forEach(tag => {
+      const option = document.createElement('option');
+      option.value = tag;
+      datalist.appendChild(option);
+    });
+  }
+
+  /**
+   * Create indicators fieldset
+   * @param {string} levelKey
+   * @param {Object} item - Item the indicators belong to
+   * @param {string} label - Label of the item (e.g. 'Outcome 2')
+   * @param {string} idPrefix - Unique ID of the item card
+   * @returns {HTMLElement}
+   */
+  createIndicatorsFieldset(levelKey, item, label, idPrefix) {
+    const level = this.dataModel.getLevel(levelKey);
+    const ids = { levelKey, itemId: item.id };
+
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'indicators-section';
+    this.setDataIds(fieldset, ids);
+
+    const legend = document.createElement('legend');
+    legend.textContent = `${level.name} Indicators`;
+    fieldset.appendChild(legend);
+    if (level.indicatorPrompt) {
+      const description = document.createElement("p");
+      description.classList.add("section-description");
+      description.append(level.indicatorPrompt);
+      fieldset.append(description);
+    }
+    // Create list for indicators
+    const ul = document.createElement('ul');
+    ul.className = 'indicators-list';
+    ul.setAttribute('aria-label', `Indicators for ${label.toLowerCase()}`);
+
+    item.indicators.forEach((indicator, index) => {
+      const li = this.createIndicatorItem(idPrefix, ids, indicator, index, item.indicators.length);
+      ul.appendChild(li);
+    });
+
+    fieldset.appendChild(ul);
+
+    // Add indicator button
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'add-btn';
+    addBtn.dataset.action = 'add-indicator';
+    this.setDataIds(addBtn, ids);
+    addBtn.innerHTML = '<span aria-hidden="true">+</span> Add Indicator';
+    addBtn.setAttribute('aria-label', `Add indicator to ${label.toLowerCase()}`);
+
+    fieldset.appendChild(addBtn);
+
+    return fieldset;
+  }
+
+  /**
+   * Create an indicator list item
+   * @param {string} idPrefix - Unique ID of the item card
+   * @param {Object} ids - { levelKey, itemId } of the item the indicator belongs to
+   * @param {Object} indicator
+   * @param {number} index - 0-based position of the indicator
+   * @param {number} count - Number of indicators in the list
+   * @returns {HTMLElement}
+   */
+  createIndicatorItem(idPrefix, ids, indicator, index = 0, count = 1) {
+    const li = document.createElement('li');
+    li.className = `indicator-item status-${getStatus(indicator)}`;
+    li.dataset.indicatorId = indicator.id;
+
+    const indicatorIds = { indicatorId: indicator.id, ...ids };
+    const inputId = `indicator-${idPrefix}-${indicator.id}`;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = inputId;
+    input.className = 'indicator-description';
+    input.value = indicator.description;
+    input.placeholder = 'Describe the indicator...';
+    this.setDataIds(input, indicatorIds);
+    input.setAttribute('aria-label', 'Indicator description');
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'delete-btn';
+    deleteBtn.dataset.action = 'delete-indicator';
+    this.setDataIds(deleteBtn, indicatorIds);
+    deleteBtn.setAttribute('aria-label', 'Delete indicator');
+    deleteBtn.innerHTML = '<span aria-hidden="true">×</span>';
+
+    const moveButtons = this.createMoveButtons('indicator', `indicator ${index + 1}`, index, count, indicatorIds);
+
+    li.appendChild(this.createDragHandle('indicator'));
+    li.appendChild(input);
+    const translation = this.createTranslationField(indicatorIds, indicator, 'Indicator description', inputId, 'input');
+    if (translation) {
+      li.appendChild(translation);
+    }
+    li.appendChild(moveButtons);
+    li.appendChild(deleteBtn);
+    li.appendChild(this.createStatusSelect(indicatorIds, indicator, `indicator ${index + 1}`, inputId));
+    li.appendChild(this.createTagsEditor(indicatorIds, indicator.tags, `indicator ${index + 1}`, inputId));
+    const assignments = this.createAssignmentsEditor(indicatorIds, indicator, `indicator ${index + 1}`, inputId);
+    if (assignments) {
+      li.appendChild(assignments);
+    }
+    li.appendChild(this.createIndicatorDetails(inputId, indicator, indicatorIds));
+    li.appendChild(this.createCommentsSection(indicatorIds, indicator.comments, `indicator ${index + 1}`, inputId));
+
+    return li;
+  }
+
+  /**
+   * Create the expandable sub-form with the structured fields of an indicator
+   * (baseline, target, unit, direction, data source and frequency)
+   * @param {string} idPrefix - ID of the indicator description input
+   * @param {Object} indicator
+   * @param {Object} ids - { indicatorId, levelKey, itemId }
+   * @returns {HTMLElement}
+   */
+  createIndicatorDetails(idPrefix, indicator, ids) {
+    const details = document.createElement('details');
+    details.className = 'indicator-details';
+
+    const summary = document.createElement('summary');
+    summary.textContent = 'Baseline, target and data source';
+    details.appendChild(summary);
+
+    const baseline = indicator.baseline || {};
+    const target = indicator.target || {};
+    const valueOf = value => (value === undefined || value === null ? '' : String(value));
+
+    const grid = document.createElement('div');
+    grid.className = 'indicator-details-grid';
+    [
+      ['baseline.value', 'Baseline value', 'number', valueOf(baseline.value)],
+      ['baseline.date', 'Baseline date', 'date', baseline.date],
+      ['target.value', 'Target value', 'number', valueOf(target.value)],
+      ['target.date', 'Target date (deadline)', 'date', target.date],
+      ['unit', 'Unit', 'text', indicator.unit],
+      ['direction', 'Direction of change', 'select', indicator.direction, INDICATOR_DIRECTIONS],
+      ['dataSource', 'Data source', 'text', indicator.dataSource],
+      ['frequency', 'Collection frequency', 'select', indicator.frequency, INDICATOR_FREQUENCIES]
+    ].forEach(([field, labelText, type, value, options]) => {
+      grid.appendChild(this.createIndicatorDetailField(
+        `${idPrefix}-${field.replace('.', '-')}`, labelText, field, type, value || '', options, ids
+      ));
+    });
+    details.appendChild(grid);
+    details.appendChild(this.createMeasurementsFieldset(idPrefix, indicator, ids));
+
+    return details;
+  }
+
+  /**
+   * Create the list of measurements of an indicator
+   * @param {string} idPrefix - ID of the indicator description input
+   * @param {Object} indicator
+   * @param {Object} ids - { indicatorId, levelKey, itemId }
+   * @returns {HTMLElement}
+   */
+  createMeasurementsFieldset(idPrefix, indicator, ids) {
+    const measurements = indicator.measurements || [];
+
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'measurements-section';
+
+    const legend = document.createElement('legend');
+    legend.textContent = 'Measurements';
+    fieldset.appendChild(legend);
+
+    const progress = describeIndicatorProgress(indicator);
+    if (progress) {
+      const progressP = document.createElement('p');
+      progressP.className = 'hint measurement-progress';
+      progressP.textContent = progress;
+      fieldset.appendChild(progressP);
+    }
+
+    const ul = document.createElement('ul');
+    ul.className = 'measurements-list';
+    ul.setAttribute('aria-label', 'Measurements');
+    measurements.forEach((measurement, index) => {
+      ul.appendChild(this.createMeasurementItem(idPrefix, measurement, index, ids));
+    });
+    fieldset.appendChild(ul);
+
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'add-btn';
+    addBtn.dataset.action = 'add-measurement';
+    this.setDataIds(addBtn, ids);
+    addBtn.innerHTML = '<span aria-hidden="true">+</span> Add Measurement';
+    addBtn.setAttribute('aria-label', 'Add measurement to indicator');
+    fieldset.appendChild(addBtn);
+
+    return fieldset;
+  }
+
+  /**
+   * Create a measurement list item (date, value, note and source)
+   * @param {string} idPrefix - ID of the indicator description input
+   * @param {Object} measurement
+   * @param {number} index - 0-based position of the measurement
+   * @param {Object} ids - { indicatorId, levelKey, itemId }
+   * @returns {HTMLElement}
+   */
+  createMeasurementItem(idPrefix, measurement, index, ids) {
+    const li = document.createElement('li');
+    li.className = 'measurement-item';
+    li.dataset.measurementId = measurement.id;
+
+    [
+      ['date', 'date', 'Date'],
+      ['value', 'number', 'Value'],
+      ['note', 'text', 'Note'],
+      ['source', 'text', 'Source']
+    ].forEach(([field, type, labelText]) => {
+      const input = document.createElement('input');
+      input.type = type;
+      input.id = `${idPrefix}-measurement-${measurement.id}-${field}`;
+      input.className = `measurement-input measurement-${field}`;
+      if (type === 'number') {
+        input.step = 'any';
+      }
+      const value = measurement[field];
+      input.value = value === undefined || value === null ? '' : String(value);
+      if (type === 'text') {
+        input.placeholder = `${labelText}...`;
+      }
+      input.dataset.field = field;
+      input.dataset.measurementId = measurement.id;
+      this.setDataIds(input, ids);
+      input.setAttribute('aria-label', `Measurement ${index + 1} ${labelText.toLowerCase()}`);
+      li.appendChild(input);
+    });
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'delete-btn';
+    deleteBtn.dataset.action = 'delete-measurement';
+    deleteBtn.dataset.measurementId = measurement.id;
+    this.setDataIds(deleteBtn, ids);
+    deleteBtn.setAttribute('aria-label', `Delete measurement ${index + 1}`);
+    deleteBtn.innerHTML = '<span aria-hidden="true">×</span>';
+    li.appendChild(deleteBtn);
+
+    return li;
+  }
+
+  /**
+   * Create a labelled field of the indicator sub-form
+   * @param {string} id
+   * @param {string} labelText
+   * @param {string} field - One of INDICATOR_FIELDS
+   * @param {string} type - Input type, or 'select'
+   * @param {string} value
+   * @param {Array<string>} options - Choices for a select (an empty choice is added first)
+   * @param {Object} ids - { indicatorId, levelKey, itemId }
+   * @returns {HTMLElement}
+   */
+  createIndicatorDetailField(id, labelText, field, type, value, options, ids) {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+
+    const label = document.createElement('label');
+    label.setAttribute('for', id);
+    label.textContent = labelText;
+
+    let element;
+    if (type === 'select') {
+      element = document.createElement('select');
+      ['', ...options].forEach(optionValue => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = optionValue || 'Not specified';
+        option.selected = optionValue === value;
+        element.appendChild(option);
+      });
+    } else {
+      element = document.createElement('input');
+      element.type = type;
+      if (type === 'number') {
+        element.step = 'any';
+      }
+      element.value = value;
+    }
+
+    element.id = id;
+    element.className = 'indicator-detail';
+    element.dataset.field = field;
+    this.setDataIds(element, ids);
+
+    group.appendChild(label);
+    group.appendChild(element);
+    return group;
+  }
+
+  /**
+   * Create the assumptions and risks fieldset of a causal link
+   * @param {string} sourceId - ID of the item that contributes
+   * @param {string} targetId - ID of the impact or of the item contributed to
+   * @param {string} idPrefix - Unique ID of the card of the source item
+   * @param {string} sourceName - Name of the level of the source (e.g. 'output')
+   * @param {string} targetLabel - Label of the target (e.g. 'impact' or 'outcome 2')
+   * @returns {HTMLElement}
+   */
+  createCausalLinkFieldset(sourceId, targetId, idPrefix, sourceName, targetLabel) {
+    const link = this.dataModel.getCausalLink(sourceId, targetId);
+    const assumptions = link ? link.assumptions : [];
+    const risks = link ? link.risks : [];
+    const ids = { sourceId, targetId };
+
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'assumptions-section';
+
+    const legend = document.createElement('legend');
+    legend.textContent = 'Assumptions, Risks & Evidence';
+    fieldset.appendChild(legend);
+
+    const description = document.createElement('p');
+    description.className = 'section-description';
+    description.textContent = `What needs to hold true for this ${sourceName} to contribute to the ` +
+      `${targetLabel.replace(/ [\d.]+$/, '')}? What could get in the way? What evidence supports it?`;
+    fieldset.appendChild(description);
+
+    // Assumptions
+    const assumptionsList = document.createElement('ul');
+    assumptionsList.className = 'assumptions-list';
+    assumptionsList.setAttribute('aria-label', `Assumptions linking this ${sourceName} to the ${targetLabel}`);
+    assumptions.forEach(assumption => {
+      assumptionsList.appendChild(this.createAssumptionItem(idPrefix, ids, assumption));
+    });
+    fieldset.appendChild(assumptionsList);
+
+    fieldset.appendChild(this.createLinkAddButton('add-assumption', 'Add Assumption', ids,
+      `Add assumption linking this ${sourceName} to the ${targetLabel}`));
+
+    // Risks
+    const risksList = document.createElement('ul');
+    risksList.className = 'risks-list';
+    risksList.setAttribute('aria-label', `Risks to the link between this ${sourceName} and the ${targetLabel}`);
+    risks.forEach(risk => {
+      risksList.appendChild(this.createRiskItem(idPrefix, ids, risk));
+    });
+    fieldset.appendChild(risksList);
+
+    fieldset.appendChild(this.createLinkAddButton('add-risk', 'Add Risk', ids,
+      `Add risk to the link between this ${sourceName} and the ${targetLabel}`));
+
+    // Evidence
+    fieldset.appendChild(this.createReferencesList(idPrefix, ids, link ? link.references : null,
+      `Evidence for the link between this ${sourceName} and the ${targetLabel}`));
+
+    fieldset.appendChild(this.createReferenceAddButton(ids, 'Add Evidence',
+      `Add evidence for the link between this ${sourceName} and the ${targetLabel}`));
+
+    return fieldset;
+  }
+
+  /**
+   * Create the fieldset listing the references supporting an item
+   * @param {string} levelKey
+   * @param {Object} item
+   * @param {string} label - Label of the item (e.g. 'Outcome 2')
+   * @param {string} cardId - Unique ID of the card
+   * @returns {HTMLElement}
+   */
+  createReferencesFieldset(levelKey, item, label, cardId) {
+    const owner = { levelKey, itemId: item.id };
+
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'references-section';
+
+    const legend = document.createElement('legend');
+    legend.textContent = 'References & Evidence';
+    fieldset.appendChild(legend);
+
+    const description = document.createElement('p');
+    description.className = 'section-description';
+    description.textContent = `What research, data or experience supports this ${label.replace(/ [\d.]+$/, '').toLowerCase()}?`;
+    fieldset.appendChild(description);
+
+    fieldset.appendChild(this.createReferencesList(cardId, owner, item.references, `References of ${label}`));
+    fieldset.appendChild(this.createReferenceAddButton(owner, 'Add Reference', `Add reference to ${label}`));
+
+    return fieldset;
+  }
+
+  /**
+   * Create the list of the references of an item or causal link
+   * @param {string} idPrefix - Unique ID of the card holding the list
+   * @param {Object} owner - { levelKey, itemId } or { sourceId, targetId }
+   * @param {Array|null|undefined} references
+   * @param {string} ariaLabel
+   * @returns {HTMLElement}
+   */
+  createReferencesList(idPrefix, owner, references, ariaLabel) {
+    const list = document.createElement('ul');
+    list.className = 'references-list';
+    list.setAttribute('aria-label', ariaLabel);
+    (references || []).forEach(reference => {
+      list.appendChild(this.createReferenceItem(idPrefix, owner, reference));
+    });
+    return list;
+  }
+
+  /**
+   * Create an "add" button for a reference
+   * @param {Object} owner - { levelKey, itemId } or { sourceId, targetId }
+   * @param {string} text - Visible label
+   * @param {string} ariaLabel
+   * @returns {HTMLElement}
+   */
+  createReferenceAddButton(owner, text, ariaLabel) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'add-btn';
+    button.dataset.action = 'add-reference';
+    this.setDataIds(button, owner);
+    button.innerHTML = `<span aria-hidden="true">+</span> ${text}`;
+    button.setAttribute('aria-label', ariaLabel);
+    return button;
+  }
+
+  /**
+   * Create a reference list item with its evidence type and strength
+   * @param {string} idPrefix - Unique ID of the card holding the list
+   * @param {Object} owner - { levelKey, itemId } or { sourceId, targetId }
+   * @param {Object} reference
+   * @returns {HTMLElement}
+   */
+  createReferenceItem(idPrefix, owner, reference) {
+    const li = document.createElement('li');
+    li.className = 'reference-item';
+
+    [
+      ['title', 'Reference title', 'Title of the reference...'],
+      ['source', 'URL or citation', 'URL or citation...']
+    ].forEach(([field, ariaLabel, placeholder]) => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.id = `reference-${idPrefix}-${reference.id}-${field}`;
+      input.className = `reference-input reference-${field}`;
+      input.value = reference[field];
+      input.placeholder = placeholder;
+      this.setDataIds(input, { ...owner, referenceId: reference.id });
+      input.dataset.field = field;
+      input.setAttribute('aria-label', ariaLabel);
+      li.appendChild(input);
+    });
+
+    [
+      ['type', 'Evidence type', EVIDENCE_TYPES],
+      ['strength', 'Strength', EVIDENCE_STRENGTHS]
+    ].forEach(([field, labelText, values]) => {
+      const selectId = `reference-${idPrefix}-${reference.id}-${field}`;
+      const label = document.createElement('label');
+      label.setAttribute('for', selectId);
+      label.className = 'reference-rating-label';
+      label.textContent = labelText;
+
+      const select = document.createElement('select');
+      select.id = selectId;
+      select.className = 'reference-rating';
+      this.setDataIds(select, { ...owner, referenceId: reference.id });
+      select.dataset.field = field;
+      values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value;
+        option.selected = reference[field] === value;
+        select.appendChild(option);
+      });
+
+      li.appendChild(label);
+      li.appendChild(select);
+    });
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'delete-btn';
+    deleteBtn.dataset.action = 'delete-reference';
+    this.setDataIds(deleteBtn, { ...owner, referenceId: reference.id });
+    deleteBtn.setAttribute('aria-label', 'Delete reference');
+    deleteBtn.innerHTML = '<span aria-hidden="true">×</span>';
+    li.appendChild(deleteBtn);
+
+    return li;
+  }
+
+  /**
+   * Create an "add" button for an assumption or risk
+   * @param {string} action
+   * @param {string} text - Visible label
+   * @param {Object} ids - { sourceId, targetId }
+   * @param {string} ariaLabel
+   * @returns {HTMLElement}
+   */
+  createLinkAddButton(action, text, ids, ariaLabel) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'add-btn';
+    button.dataset.action = action;
+    button.dataset.sourceId = ids.sourceId;
+    button.dataset.targetId = ids.targetId;
+    button.innerHTML = `<span aria-hidden="true">+</span> ${text}`;
+    button.setAttribute('aria-label', ariaLabel);
+    return button;
   }
 
   /**
-   * Re-render all outcomes (full refresh)
+   * Create an assumption list item
+   * @param {string} idPrefix - Unique ID of the card of the source item
+   * @param {Object} ids - { sourceId, targetId }
+   * @param {Object} assumption
+   * @returns {HTMLElement}
    */
-  renderAllOutcomes() {
+  createAssumptionItem(idPrefix, ids, assumption) {
+    const li = document.createElement('li');
+    li.className = 'assumption-item';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `assumption-${idPrefix}-${assumption.id}`;
+    input.className = 'assumption-input';
+    input.value = assumption.description;
+    input.placeholder = 'Describe the assumption...';
+    input.dataset.sourceId = ids.sourceId;
+    input.dataset.targetId = ids.targetId;
+    input.dataset.assumptionId = assumption.id;
+    input.setAttribute('aria-label', 'Assumption description');
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'delete-btn';
+    deleteBtn.dataset.action = 'delete-assumption';
+    deleteBtn.dataset.sourceId = ids.sourceId;
+    deleteBtn.dataset.targetId = ids.targetId;
+    deleteBtn.dataset.assumptionId = assumption.id;
+    deleteBtn.setAttribute('aria-label', 'Delete assumption');
+    deleteBtn.innerHTML = '<span aria-hidden="true">×</span>';
+
+    li.appendChild(input);
+    li.appendChild(deleteBtn);
+    return li;
+  }
+
+  /**
+   * Create a risk list item with its likelihood and impact ratings
+   * @param {string} idPrefix - Unique ID of the card of the source item
+   * @param {Object} ids - { sourceId, targetId }
+   * @param {Object} risk
+   * @returns {HTMLElement}
+   */
+  createRiskItem(idPrefix, ids, risk) {
+    const li = document.createElement('li');
+    li.className = 'risk-item';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `risk-${idPrefix}-${risk.id}`;
+    input.className = 'risk-description';
+    input.value = risk.description;
+    input.placeholder = 'Describe the risk...';
+    input.dataset.sourceId = ids.sourceId;
+    input.dataset.targetId = ids.targetId;
+    input.dataset.riskId = risk.id;
+    input.setAttribute('aria-label', 'Risk description');
+    li.appendChild(input);
+
+    [['likelihood', 'Likelihood'], ['impact', 'Impact']].forEach(([field, labelText]) => {
+      const selectId = `risk-${idPrefix}-${risk.id}-${field}`;
+      const label = document.createElement('label');
+      label.setAttribute('for', selectId);
+      label.className = 'risk-rating-label';
+      label.textContent = labelText;
+
+      const select = document.createElement('select');
+      select.id = selectId;
+      select.className = 'risk-rating';
+      select.dataset.sourceId = ids.sourceId;
+      select.dataset.targetId = ids.targetId;
+      select.dataset.riskId = risk.id;
+      select.dataset.field = field;
+      RISK_RATINGS.forEach(rating => {
+        const option = document.createElement('option');
+        option.value = rating;
+        option.textContent = rating;
+        option.selected = risk[field] === rating;
+        select.appendChild(option);
+      });
+
+      li.appendChild(label);
+      li.appendChild(select);
+    });
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'delete-btn';
+    deleteBtn.dataset.action = 'delete-risk';
+    deleteBtn.dataset.sourceId = ids.sourceId;
+    deleteBtn.dataset.targetId = ids.targetId;
+    deleteBtn.dataset.riskId = risk.id;
+    deleteBtn.setAttribute('aria-label', 'Delete risk');
+    deleteBtn.innerHTML = '<span aria-hidden="true">×</span>';
+    li.appendChild(deleteBtn);
+
+    return li;
+  }
+
+
+  /**
+   * Create the fieldset listing the items of the same level an item
+   * contributes to, with a picker to declare a new contribution
+   * @param {string} levelKey
+   * @param {Object} item
+   * @param {string} label - Label of the item (e.g. 'Outcome 2')
+   * @param {string} cardId - Unique ID of the card of the item
+   * @param {Map} numbers - Result of getItemNumbers
+   * @returns {HTMLElement}
+   */
+  createContributionsFieldset(levelKey, item, label, cardId, numbers) {
+    const level = this.dataModel.getLevel(levelKey);
+    const name = level.name.toLowerCase();
+    const pluralName = level.pluralName.toLowerCase();
+    const describe = other => `${level.name} ${numbers.get(other.id)}`;
+
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'contributions-section';
+
+    const legend = document.createElement('legend');
+    legend.textContent = `Contributes to other ${pluralName}`;
+    fieldset.appendChild(legend);
+
+    const description = document.createElement('p');
+    description.className = 'hint';
+    description.textContent = `Which other ${pluralName} does this ${name} help bring about?`;
+    fieldset.appendChild(description);
+
+    const sources = this.dataModel.getContributionSources(levelKey, item.id);
+    if (sources.length > 0) {
+      const sourcesNote = document.createElement('p');
+      sourcesNote.className = 'contribution-sources';
+      sourcesNote.textContent = `Supported by ${sources.map(describe).join(', ').toLowerCase()}`;
+      fieldset.appendChild(sourcesNote);
+    }
+
+    const targets = this.dataModel.getContributionTargets(levelKey, item.id);
+    const list = document.createElement('ul');
+    list.className = 'contributions-list';
+    list.setAttribute('aria-label', `${level.pluralName} ${label.toLowerCase()} contributes to`);
+
+    targets.forEach(target => {
+      const li = document.createElement('li');
+      li.className = 'contribution-item';
+
+      const text = document.createElement('span');
+      const statement = target.statement || '(No statement provided)';
+      text.textContent = `${describe(target)}: ${statement.length > 80 ? statement.substring(0, 77) + '...' : statement}`;
+      li.appendChild(text);
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'delete-btn';
+      deleteBtn.dataset.action = 'delete-contribution';
+      deleteBtn.dataset.sourceId = item.id;
+      deleteBtn.dataset.targetId = target.id;
+      deleteBtn.setAttribute('aria-label', `Remove contribution to ${describe(target).toLowerCase()}`);
+      deleteBtn.innerHTML = '<span aria-hidden="true">×</span>';
+      li.appendChild(deleteBtn);
+
+      list.appendChild(li);
+    });
+    fieldset.appendChild(list);
+
+    // Other items of the level that are not contributed to yet
+    const candidates = this.dataModel.data[levelKey]
+      .filter(other => other.id !== item.id && !targets.includes(other));
+    if (candidates.length > 0) {
+      const group = document.createElement('div');
+      group.className = 'contribution-group';
+
+      const selectId = `contribution-select-${cardId}`;
+      const selectLabel = document.createElement('label');
+      selectLabel.setAttribute('for', selectId);
+      selectLabel.textContent = `This ${name} contributes to:`;
+
+      const select = document.createElement('select');
+      select.id = selectId;
+      select.className = 'contribution-select';
+      candidates.forEach(other => {
+        const statement = other.statement || '(No statement provided)';
+        const option = document.createElement('option');
+        option.value = other.id;
+        option.textContent = `${describe(other)}: ${statement.length > 60 ? statement.substring(0, 57) + '...' : statement}`;
+        select.appendChild(option);
+      });
+
+      const addBtn = document.createElement('button');
+      addBtn.type = 'button';
+      addBtn.className = 'add-btn';
+      addBtn.dataset.action = 'add-contribution';
+      addBtn.dataset.sourceId = item.id;
+      addBtn.innerHTML = '<span aria-hidden="true">+</span> Add';
+      addBtn.setAttribute('aria-label', `Add contribution of ${label.toLowerCase()} to the selected ${name}`);
+
+      group.appendChild(selectLabel);
+      group.appendChild(select);
+      group.appendChild(addBtn);
+      fieldset.appendChild(group);
+    }
+
+    return fieldset;
+  }
+
+  /**
+   * Create the fieldset listing the children of an item
+   * @param {string} levelKey - Level of the parent item
+   * @param {Object} item - Parent item
+   * @param {string} label - Label of the parent item (e.g. 'Outcome 2')
+   * @param {Object} position - Position of the parent card (see createItemCard)
+   * @param {string} cardId - Unique ID of the parent card
+   * @returns {HTMLElement}
+   */
+  createChildrenFieldset(levelKey, item, label, position, cardId) {
+    const childLevel = this.dataModel.getChildLevel(levelKey);
+    const children = this.dataModel.getChildren(levelKey, item.id);
+
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'children-section';
+    fieldset.dataset.levelKey = childLevel.key;
+    fieldset.dataset.parentId = item.id;
+
+    const legend = document.createElement('legend');
+    legend.textContent = childLevel.pluralName;
+    fieldset.appendChild(legend);
+
+    // Create container for children
+    const container = document.createElement('div');
+    container.className = 'children-list';
+    container.setAttribute('aria-label', `${childLevel.pluralName} of ${label.toLowerCase()}`);
+
+    children.forEach((child, index) => {
+      container.appendChild(this.createItemCard(childLevel.key, child, {
+        parentId: item.id,
+        path: [...position.path, item.id],
+        number: `${position.number}.${index + 1}`,
+        index,
+        count: children.length,
+        numbers: position.numbers
+      }));
+    });
+
+    fieldset.appendChild(container);
+
+    // Add child button
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'add-btn';
+    addBtn.dataset.action = 'add-item';
+    addBtn.dataset.levelKey = childLevel.key;
+    addBtn.dataset.parentId = item.id;
+    addBtn.innerHTML = '<span aria-hidden="true">+</span> ';
+    addBtn.append(`Add ${childLevel.name}`);
+    addBtn.setAttribute('aria-label', `Add ${childLevel.name.toLowerCase()} to ${label.toLowerCase()}`);
+
+    fieldset.appendChild(addBtn);
+
+    const linkGroup = this.createLinkItemGroup(childLevel, item, label, cardId);
+    if (linkGroup) {
+      fieldset.appendChild(linkGroup);
+    }
+
+    return fieldset;
+  }
+
+  /**
+   * Create a picker to link an existing item to another parent
+   * @param {Object} childLevel - Level of the items to link
+   * @param {Object} parent - Parent item
+   * @param {string} label - Label of the parent item (e.g. 'Outcome 2')
+   * @param {string} cardId - Unique ID of the parent card
+   * @returns {HTMLElement|null} null if there is no item to link
+   */
+  createLinkItemGroup(childLevel, parent, label, cardId) {
+    const parentLevel = this.dataModel.getParentLevel(childLevel.key);
+    const linkedIds = parent[childLevel.idsKey];
+    const candidates = this.dataModel.data[childLevel.key].filter(item => !linkedIds.includes(item.id));
+    if (candidates.length === 0) return null;
+
+    const numbers = getItemNumbers(this.dataModel.data);
+    const childName = childLevel.name.toLowerCase();
+
+    const group = document.createElement('div');
+    group.className = 'link-item-group';
+
+    const selectId = `link-item-select-${cardId}`;
+    const selectLabel = document.createElement('label');
+    selectLabel.setAttribute('for', selectId);
+    selectLabel.textContent = `Link an existing ${childName}:`;
+
+    const select = document.createElement('select');
+    select.id = selectId;
+    select.className = 'link-item-select';
+
+    candidates.forEach(item => {
+      const parentNumbers = this.dataModel.getParents(childLevel.key, item.id).map(p => numbers.get(p.id));
+      const statement = item.statement || '(No statement provided)';
+      const option = document.createElement('option');
+      option.value = item.id;
+      option.textContent = `${statement.length > 80 ? statement.substring(0, 77) + '...' : statement}` +
+        (parentNumbers.length > 0 ? ` (${parentLevel.name.toLowerCase()} ${parentNumbers.join(', ')})` : '');
+      select.appendChild(option);
+    });
+
+    const linkBtn = document.createElement('button');
+    linkBtn.type = 'button';
+    linkBtn.className = 'add-btn';
+    linkBtn.dataset.action = 'link-item';
+    linkBtn.dataset.levelKey = childLevel.key;
+    linkBtn.dataset.parentId = parent.id;
+    linkBtn.innerHTML = '<span aria-hidden="true">🔗</span> Link';
+    linkBtn.setAttribute('aria-label', `Link selected ${childName} to ${label.toLowerCase()}`);
+
+    group.appendChild(selectLabel);
+    group.appendChild(select);
+    group.appendChild(linkBtn);
+    return group;
+  }
+
+  /**
+   * Create a select to move an item to another parent
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @param {Object} position - Position of the card (see createItemCard)
+   * @param {string} cardId - Unique ID of the card
+   * @returns {HTMLElement|null} null if there is no other parent
+   */
+  createMoveItemSelect(levelKey, itemId, position, cardId) {
+    const level = this.dataModel.getLevel(levelKey);
+    const parentLevel = this.dataModel.getParentLevel(levelKey);
+    const candidates = this.dataModel.data[parentLevel.key]
+      .filter(parent => !parent[level.idsKey].includes(itemId));
+    if (candidates.length === 0) return null;
+
+    const group = document.createElement('div');
+    group.className = 'move-select-group';
+
+    const selectId = `move-item-${cardId}`;
+    const label = document.createElement('label');
+    label.setAttribute('for', selectId);
+    label.className = 'sr-only';
+    label.textContent = `Move ${level.name.toLowerCase()} to another ${parentLevel.name.toLowerCase()}`;
+
+    const select = document.createElement('select');
+    select.id = selectId;
+    select.className = 'move-item-select';
+    this.setDataIds(select, { levelKey, itemId, parentId: position.parentId });
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = `Move to ${parentLevel.name.toLowerCase()}…`;
+    select.appendChild(placeholder);
+
+    // Parents the item already contributes to are skipped
+    candidates.forEach(parent => {
+      const option = document.createElement('option');
+      option.value = parent.id;
+      option.textContent = `${parentLevel.name} ${position.numbers.get(parent.id) || '?'}`;
+      select.appendChild(option);
+    });
+
+    group.appendChild(label);
+    group.appendChild(select);
+    return group;
+  }
+
+  /**
+   * Re-render all items (full refresh)
+   */
+  renderAllItems() {
     const container = document.getElementById('outcomes-container');
     container.innerHTML = '';
 
-    this.dataModel.data.outcomes.forEach(outcome => {
-      const element = this.renderOutcome(outcome.id);
+    this.dataModel.data[this.dataModel.getLevels()[0].key].forEach(item => {
+      const element = this.renderTopLevelItem(item.id);
       if (element) {
         container.appendChild(element);
       }
     });
+
+    this.renderItemsSection();
+    this.renderTagSuggestions();
   }
 }
@@ -3,10 +3,30 @@
  * Manages all user interactions
  */
 
-import { debounce } from './utils.js';
-import { exportToJSON, exportToMarkdown } from './exporters.js';
+import { debounce, formatDate } from './utils.js';
+import { exportToJSON, exportToMarkdown, exportJSONSchema } from './exporters.js';
 import { importTocData, importTocDataFromURL } from './importers.js';
+import { showRecoveryDialog } from './recovery.js';
 import { showPreviewModal } from './preview.js';
+import { describeChange } from './history.js';
+import { describeSnapshot } from './snapshots.js';
+import {
+  getItemNumbers,
+  normalizeTag,
+  getPerson,
+  describePerson,
+  isAssigned,
+  describeFilter,
+  getLanguages,
+  getDefaultLanguage,
+  describeLanguage,
+  isLanguageCode,
+  getText,
+  getTranslatableTexts,
+  countMissingTranslations,
+  diffDocuments
+} from './dataModel.js';
+import { LEVEL_PRESETS } from './schema.js';
 
 export class EventHandlers {
   constructor(dataModel, domBuilder, accessibility, storage, app) {
@@ -15,6 +35,9 @@ export class EventHandlers {
     this.accessibility = accessibility;
     this.storage = storage;
     this.app = app; // Reference to main app for view switching
+    this.history = app ? app.history : null;
+    this.snapshots = app ? app.snapshots : null;
+    this.sync = app ? app.sync : null;
 
     this.setupEventListeners();
   }
@@ -27,7 +50,72 @@ export class EventHandlers {
     document.addEventListener('click', (e) => this.handleClick(e));
 
     // Input events with debouncing
-    document.addEventListener('input', debounce((e) => this.handleInput(e), 500));
+    this.debouncedInput = debounce((e) => this.handleInput(e), 500);
+    document.addEventListener('input', this.debouncedInput);
+
+    // Change events (selects)
+    document.addEventListener('change', (e) => this.handleChange(e));
+
+    // Drag and drop reordering
+    document.addEventListener('dragstart', (e) => this.handleDragStart(e));
+    document.addEventListener('dragover', (e) => this.handleDragOver(e));
+    document.addEventListener('drop', (e) => this.handleDrop(e));
+    document.addEventListener('dragend', () => this.handleDragEnd());
+
+    // Keyboard shortcuts
+    document.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+    // Keep undo/redo buttons in sync with the history
+    if (this.history) {
+      this.history.subscribe(() => this.updateHistoryButtons());
+      this.updateHistoryButtons();
+    }
+
+    // Show the changes saved in other tabs, or the conflicts with them
+    if (this.sync) {
+      this.sync.subscribe(type => this.handleSyncChange(type));
+    }
+  }
+
+  /**
+   * Handle keyboard shortcuts
+   * Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo (Cmd on macOS); Enter in a
+   * tag field adds the tag
+   * @param {KeyboardEvent} e
+   */
+  handleKeydown(e) {
+    // Enter in a tag field adds the tag
+    if (e.key === 'Enter' && e.target.classList && e.target.classList.contains('tag-input')) {
+      e.preventDefault();
+      this.handleAddTag(this.getNode(e.target), e.target);
+      return;
+    }
+
+    // Enter in the language field adds the language
+    if (e.key === 'Enter' && e.target.id === 'language-input') {
+      e.preventDefault();
+      this.handleAddLanguage();
+      return;
+    }
+
+    // Enter in the snapshot name field takes the snapshot
+    if (e.key === 'Enter' && e.target.id === 'snapshot-name-input') {
+      e.preventDefault();
+      this.handleCreateSnapshot();
+      return;
+    }
+
+    if (!this.app || this.app.currentView !== 'edit') return;
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      this.handleUndo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      this.handleRedo();
+    }
   }
 
   /**
@@ -39,31 +127,170 @@ export class EventHandlers {
     if (!target) return;
 
     const action = target.dataset.action;
+    const { levelKey, itemId } = target.dataset;
+    const parentId = target.dataset.parentId || null;
 
     switch (action) {
-      case 'add-outcome':
-        this.handleAddOutcome();
+      case 'edit-impact':
+        this.handleEditImpact();
+        break;
+      case 'save-impact':
+        this.handleSaveImpact();
+        break;
+      case 'cancel-impact':
+        this.handleCancelImpact();
+        break;
+      case 'add-item':
+        this.handleAddItem(levelKey, parentId);
+        break;
+      case 'delete-item':
+        this.handleDeleteItem(levelKey, itemId, parentId);
+        break;
+      case 'duplicate-item':
+        this.handleDuplicateItem(levelKey, itemId, parentId);
+        break;
+      case 'move-item-up':
+      case 'move-item-down':
+        this.handleMoveItem(levelKey, itemId, parentId, action.endsWith('-up') ? -1 : 1);
+        break;
+      case 'link-item':
+        this.handleLinkItem(levelKey, parentId, target.closest('.link-item-group').querySelector('select'));
+        break;
+      case 'unlink-item':
+        this.handleUnlinkItem(levelKey, itemId, parentId);
+        break;
+      case 'move-indicator-up':
+      case 'move-indicator-down':
+        this.handleMoveIndicator({ levelKey, itemId }, target.dataset.indicatorId, action.endsWith('-up') ? -1 : 1);
+        break;
+      case 'add-indicator':
+        this.handleAddIndicator({ levelKey, itemId });
+        break;
+      case 'delete-indicator':
+        this.handleDeleteIndicator({ levelKey, itemId }, target.dataset.indicatorId, target);
+        break;
+      case 'add-measurement':
+        this.handleAddMeasurement({ levelKey, itemId }, target.dataset.indicatorId);
+        break;
+      case 'delete-measurement':
+        this.handleDeleteMeasurement({ levelKey, itemId }, target.dataset.indicatorId, target.dataset.measurementId);
+        break;
+      case 'add-contribution':
+        this.handleAddContribution(target.dataset.sourceId, target.closest('.contribution-group').querySelector('select'));
+        break;
+      case 'delete-contribution':
+        this.handleDeleteContribution(target.dataset.sourceId, target.dataset.targetId);
+        break;
+      case 'add-tag':
+        this.handleAddTag(this.getNode(target), target.closest('.tags-editor').querySelector('.tag-input'));
+        break;
+      case 'remove-tag':
+        this.handleRemoveTag(this.getNode(target), target.dataset.tag, target);
+        break;
+      case 'add-person':
+        this.handleAddPerson();
+        break;
+      case 'delete-person':
+        this.handleDeletePerson(target.dataset.personId);
+        break;
+      case 'new-document':
+        this.handleNewDocument();
+        break;
+      case 'rename-document':
+        this.handleRenameDocument();
+        break;
+      case 'duplicate-document':
+        this.handleDuplicateDocument();
+        break;
+      case 'delete-document':
+        this.handleDeleteDocument();
+        break;
+      case 'show-recovery':
+        this.handleShowRecovery();
+        break;
+      case 'sync-reload':
+        this.handleSyncReload();
+        break;
+      case 'sync-keep-mine':
+        this.handleSyncKeepMine();
+        break;
+      case 'sync-merge':
+        this.handleSyncMerge();
+        break;
+      case 'create-snapshot':
+        this.handleCreateSnapshot();
+        break;
+      case 'compare-snapshot':
+        this.handleCompareSnapshot(target.dataset.snapshotId);
+        break;
+      case 'restore-snapshot':
+        this.handleRestoreSnapshot(target.dataset.snapshotId);
+        break;
+      case 'delete-snapshot':
+        this.handleDeleteSnapshot(target.dataset.snapshotId);
+        break;
+      case 'close-snapshot-diff':
+        this.domBuilder.renderSnapshotDiff(null);
+        break;
+      case 'add-language':
+        this.handleAddLanguage();
+        break;
+      case 'delete-language':
+        this.handleDeleteLanguage(target.dataset.language);
+        break;
+      case 'set-default-language':
+        this.handleSetDefaultLanguage(target.dataset.language);
+        break;
+      case 'add-contributor':
+        this.handleAddContributor(this.getNode(target), target.closest('.contributors-group').querySelector('.contributor-select'));
+        break;
+      case 'remove-contributor':
+        this.handleRemoveContributor(this.getNode(target), target.dataset.personId, target);
+        break;
+      case 'add-comment':
+        this.handleAddComment(this.getNode(target), target.closest('.comments-section'));
+        break;
+      case 'add-comment-reply':
+        this.handleAddCommentReply(this.getNode(target), target.dataset.commentId, target.closest('.comment-thread'));
+        break;
+      case 'toggle-comment-resolved':
+        this.handleToggleCommentResolved(this.getNode(target), target.dataset.commentId, target);
+        break;
+      case 'delete-comment':
+        this.handleDeleteComment(this.getNode(target), target.dataset.commentId, target);
+        break;
+      case 'toggle-tag-filter':
+        this.handleToggleTagFilter(target.dataset.tag);
         break;
-      case 'delete-outcome':
-        this.handleDeleteOutcome(target.dataset.outcomeId);
+      case 'clear-filter':
+        this.handleClearFilter();
         break;
-      case 'add-outcome-indicator':
-        this.handleAddOutcomeIndicator(target.dataset.outcomeId);
+      case 'export-filtered-markdown':
+        this.handleExportMarkdown(this.app ? this.app.filter : {});
         break;
-      case 'delete-outcome-indicator':
-        this.handleDeleteOutcomeIndicator(target.dataset.outcomeId, target.dataset.indicatorId);
+      case 'add-assumption':
+        this.handleAddAssumption(target.dataset.sourceId, target.dataset.targetId);
         break;
-      case 'add-output':
-        this.handleAddOutput(target.dataset.outcomeId);
+      case 'delete-assumption':
+        this.handleDeleteAssumption(target.dataset.sourceId, target.dataset.targetId, target.dataset.assumptionId);
         break;
-      case 'delete-output':
-        this.handleDeleteOutput(target.dataset.outcomeId, target.dataset.outputId);
+      case 'add-risk':
+        this.handleAddRisk(target.dataset.sourceId, target.dataset.targetId);
         break;
-      case 'add-output-indicator':
-        this.handleAddOutputIndicator(target.dataset.outcomeId, target.dataset.outputId);
+      case 'delete-risk':
+        this.handleDeleteRisk(target.dataset.sourceId, target.dataset.targetId, target.dataset.riskId);
         break;
-      case 'delete-output-indicator':
-        this.handleDeleteOutputIndicator(target.dataset.outcomeId, target.dataset.outputId, target.dataset.indicatorId);
+      case 'add-reference':
+        this.handleAddReference(this.getReferenceOwner(target));
+        break;
+      case 'delete-reference':
+        this.handleDeleteReference(this.getReferenceOwner(target), target.dataset.referenceId);
+        break;
+      case 'undo':
+        this.handleUndo();
+        break;
+      case 'redo':
+        this.handleRedo();
         break;
       case 'save':
         this.handleSave();
@@ -95,6 +322,9 @@ export class EventHandlers {
       case 'export-markdown':
         this.handleExportMarkdown();
         break;
+      case 'export-json-schema':
+        this.handleExportJSONSchema();
+        break;
     }
   }
 
@@ -105,271 +335,1982 @@ export class EventHandlers {
   handleInput(e) {
     const target = e.target;
 
-    // Outcome statement
-    if (target.classList.contains('outcome-statement')) {
-      const outcomeId = target.dataset.outcomeId;
-      this.dataModel.updateOutcomeStatement(outcomeId, target.value);
+    // Item statement
+    if (target.classList.contains('item-statement')) {
+      const { levelKey, itemId } = target.dataset;
+      this.dataModel.updateItemStatement(levelKey, itemId, target.value);
+      this.syncSharedFields(target, `.item-statement[data-item-id="${itemId}"]`);
+    }
+
+    // Indicator
+    if (target.classList.contains('indicator-description')) {
+      const { levelKey, itemId, indicatorId } = target.dataset;
+      this.dataModel.updateIndicator({ levelKey, itemId }, indicatorId, target.value);
+      this.syncSharedFields(target, `.indicator-description[data-item-id="${itemId}"][data-indicator-id="${indicatorId}"]`);
+    }
+
+    // Structured indicator field (selects are handled on change)
+    if (target.classList.contains('indicator-detail') && target.tagName !== 'SELECT') {
+      this.updateIndicatorField(target);
+    }
+
+    // Measurement of an indicator
+    if (target.classList.contains('measurement-input')) {
+      this.updateMeasurementField(target);
+    }
+
+    // Assumption
+    if (target.classList.contains('assumption-input')) {
+      const { sourceId, targetId, assumptionId } = target.dataset;
+      this.dataModel.updateAssumption(sourceId, targetId, assumptionId, target.value);
+      this.syncSharedFields(target, `.assumption-input[data-assumption-id="${assumptionId}"]`);
+    }
+
+    // Name or organisation of a person
+    if (target.classList.contains('person-input')) {
+      this.updatePersonField(target);
+    }
+
+    // Translation of a statement or an indicator description
+    if (target.classList.contains('translation-input')) {
+      this.updateTranslationField(target);
     }
 
-    // Output statement
-    if (target.classList.contains('output-statement')) {
-      const outcomeId = target.dataset.outcomeId;
-      const outputId = target.dataset.outputId;
-      this.dataModel.updateOutputStatement(outcomeId, outputId, target.value);
+    // Risk description (ratings are handled on change)
+    if (target.classList.contains('risk-description')) {
+      const { sourceId, targetId, riskId } = target.dataset;
+      this.dataModel.updateRisk(sourceId, targetId, riskId, 'description', target.value);
+      this.syncSharedFields(target, `.risk-description[data-risk-id="${riskId}"]`);
     }
 
-    // Outcome indicator
-    if (target.dataset.indicatorId && target.dataset.outcomeId && !target.dataset.outputId) {
-      const outcomeId = target.dataset.outcomeId;
-      const indicatorId = target.dataset.indicatorId;
-      this.dataModel.updateOutcomeIndicator(outcomeId, indicatorId, target.value);
+    // Title or source of a reference (type and strength are handled on change)
+    if (target.classList.contains('reference-input')) {
+      this.updateReferenceField(target);
     }
+  }
+
+  /**
+   * Save a field of the indicator sub-form
+   * @param {HTMLElement} target - Input or select with data-field
+   */
+  updateIndicatorField(target) {
+    const { levelKey, itemId, indicatorId, field } = target.dataset;
+    let value = target.value;
+    if (target.type === 'number') {
+      // Ignore values the browser cannot parse yet (e.g. a lone "-")
+      if (target.validity.badInput) return;
+      value = value === '' ? undefined : Number(value);
+    }
+
+    this.dataModel.updateIndicatorField({ levelKey, itemId }, indicatorId, field, value);
+    this.syncSharedFields(target,
+      `.indicator-detail[data-item-id="${itemId}"][data-indicator-id="${indicatorId}"][data-field="${field}"]`);
+  }
+
+  /**
+   * Save a field of a measurement
+   * @param {HTMLElement} target - Input with data-field and data-measurement-id
+   */
+  updateMeasurementField(target) {
+    const { levelKey, itemId, indicatorId, measurementId, field } = target.dataset;
+    let value = target.value;
+    if (target.type === 'number') {
+      if (target.validity.badInput) return;
+      value = value === '' ? null : Number(value);
+    }
+
+    this.dataModel.updateMeasurement({ levelKey, itemId }, indicatorId, measurementId, field, value);
+    this.syncSharedFields(target,
+      `.measurement-input[data-item-id="${itemId}"][data-measurement-id="${measurementId}"][data-field="${field}"]`);
+  }
+
+  /**
+   * Copy the value of a field to the other fields editing the same shared item
+   * @param {HTMLElement} source - Field that was edited
+   * @param {string} selector - Selector matching all fields for the same value
+   */
+  syncSharedFields(source, selector) {
+    document.querySelectorAll(selector).forEach(field => {
+      if (field !== source) {
+        field.value = source.value;
+      }
+    });
+  }
+
+  /**
+   * Get the selector of the card of an item under a given parent
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @param {string|null} parentId - null for items of the first level
+   * @returns {string}
+   */
+  getCardSelector(levelKey, itemId, parentId) {
+    const parentSelector = parentId ? `[data-parent-id="${parentId}"]` : ':not([data-parent-id])';
+    return `.item-card[data-level-key="${levelKey}"][data-item-id="${itemId}"]${parentSelector}`;
+  }
 
-    // Output indicator
-    if (target.dataset.indicatorId && target.dataset.outputId) {
-      const outcomeId = target.dataset.outcomeId;
-      const outputId = target.dataset.outputId;
-      const indicatorId = target.dataset.indicatorId;
-      this.dataModel.updateOutputIndicator(outcomeId, outputId, indicatorId, target.value);
+  /**
+   * Re-render the card of the first level showing an item after a change
+   * Items shared by several parents show in several places: all items are
+   * re-rendered in that case
+   * @param {string} itemId - Item that changed
+   * @returns {HTMLElement} The new card, or the items container
+   */
+  rerenderItem(itemId) {
+    const cards = document.querySelectorAll(`.item-card[data-item-id="${itemId}"]`);
+    if (cards.length !== 1) {
+      this.domBuilder.renderAllItems();
+      return document.getElementById('outcomes-container');
     }
+
+    const topLevelCard = cards[0].closest('.top-level-card');
+    const newCard = this.domBuilder.renderTopLevelItem(topLevelCard.dataset.itemId);
+    topLevelCard.replaceWith(newCard);
+    return newCard;
   }
 
   /**
-   * Add a new outcome
+   * Open the impact statement form
    */
-  handleAddOutcome() {
-    const outcomeId = this.dataModel.addOutcome();
-    const container = document.getElementById('outcomes-container');
-    const outcomeElement = this.domBuilder.renderOutcome(outcomeId);
+  handleEditImpact() {
+    const form = document.getElementById('impact-form');
+    const editBtn = document.getElementById('edit-impact-btn');
+    const statementInput = document.getElementById('impact-statement-input');
+
+    statementInput.value = this.dataModel.data.impact.statement;
+    document.getElementById('impact-rationale-input').value = '';
+    document.getElementById('impact-keep-version-input').checked = true;
 
-    container.appendChild(outcomeElement);
+    form.hidden = false;
+    editBtn.hidden = true;
+    editBtn.setAttribute('aria-expanded', 'true');
 
-    // Focus on the new outcome's statement textarea
-    const textarea = outcomeElement.querySelector('.outcome-statement');
-    this.accessibility.focusElement(textarea);
-    this.accessibility.announce('Outcome added. Focus moved to outcome statement field.');
+    this.accessibility.focusElement(statementInput);
+    this.accessibility.announce('Editing impact statement.');
   }
 
   /**
-   * Delete an outcome
-   * @param {string} outcomeId
+   * Save the impact statement from the form
    */
-  handleDeleteOutcome(outcomeId) {
-    if (!confirm('Delete this outcome and all its outputs?')) {
+  handleSaveImpact() {
+    const statement = document.getElementById('impact-statement-input').value.trim();
+
+    if (!statement) {
+      this.accessibility.setFieldError('impact-statement-input', 'The impact statement cannot be empty.');
+      this.accessibility.focusElement(document.getElementById('impact-statement-input'));
       return;
     }
+    this.accessibility.clearFieldError('impact-statement-input');
 
-    const outcomeElement = document.querySelector(`[data-outcome-id="${outcomeId}"]`);
-    const previousFocusable = this.accessibility.findPreviousFocusable(outcomeElement);
+    this.dataModel.updateImpactStatement(statement, {
+      keepPreviousVersion: document.getElementById('impact-keep-version-input').checked,
+      rationale: document.getElementById('impact-rationale-input').value.trim()
+    });
 
-    this.dataModel.deleteOutcome(outcomeId);
-    outcomeElement.remove();
+    this.domBuilder.renderImpact();
+    this.closeImpactForm();
+    this.accessibility.announce('Impact statement saved.');
+  }
 
-    // Re-render all outcomes to update numbering
-    this.domBuilder.renderAllOutcomes();
+  /**
+   * Close the impact statement form without saving
+   */
+  handleCancelImpact() {
+    this.accessibility.clearFieldError('impact-statement-input');
+    this.closeImpactForm();
+    this.accessibility.announce('Impact statement editing cancelled.');
+  }
 
-    // Restore focus
-    const addOutcomeBtn = document.getElementById('add-outcome-btn');
-    this.accessibility.focusElement(previousFocusable || addOutcomeBtn);
-    this.accessibility.announce('Outcome deleted.');
+  /**
+   * Hide the impact form and return focus to the edit button
+   */
+  closeImpactForm() {
+    const form = document.getElementById('impact-form');
+    const editBtn = document.getElementById('edit-impact-btn');
+
+    form.hidden = true;
+    editBtn.hidden = false;
+    editBtn.setAttribute('aria-expanded', 'false');
+    this.accessibility.focusElement(editBtn);
   }
 
   /**
-   * Add an outcome indicator
-   * @param {string} outcomeId
+   * Handle change events
+   * @param {Event} e
    */
-  handleAddOutcomeIndicator(outcomeId) {
-    const indicatorId = this.dataModel.addOutcomeIndicator(outcomeId);
+  handleChange(e) {
+    const target = e.target;
 
-    // Re-render the outcome to show the new indicator
-    const outcomeElement = document.querySelector(`[data-outcome-id="${outcomeId}"]`);
-    const newOutcomeElement = this.domBuilder.renderOutcome(outcomeId);
-    outcomeElement.replaceWith(newOutcomeElement);
+    // Levels of the hierarchy
+    if (target.id === 'hierarchy-select' && target.value) {
+      this.handleChangeLevels(target.value);
+    }
 
-    // Focus on the new indicator input
-    const indicatorInput = newOutcomeElement.querySelector(`[data-indicator-id="${indicatorId}"]`);
-    this.accessibility.focusElement(indicatorInput);
-    this.accessibility.announce('Indicator added. Focus moved to indicator field.');
+    // Document of the library
+    if (target.id === 'document-select' && target.value) {
+      this.handleChangeDocument(target.value);
+    }
+
+    // Language of the views
+    if (target.id === 'language-select' && target.value) {
+      this.handleChangeLanguage(target.value);
+    }
+
+    // Move an item to another parent
+    if (target.classList.contains('move-item-select') && target.value) {
+      const { levelKey, itemId } = target.dataset;
+      const toParentId = target.value;
+      const toIndex = this.dataModel.getSiblingIds(levelKey, toParentId).length;
+      this.moveItemTo(levelKey, itemId, target.dataset.parentId || null, toParentId, toIndex);
+    }
+
+    // Indicator direction or frequency
+    if (target.classList.contains('indicator-detail') && target.tagName === 'SELECT') {
+      this.updateIndicatorField(target);
+    }
+
+    // Owner of an item or indicator
+    if (target.classList.contains('owner-select')) {
+      this.handleChangeOwner(target);
+    }
+
+    // Workflow status of an item or indicator
+    if (target.classList.contains('status-select')) {
+      this.handleChangeStatus(target);
+    }
+
+    // Part of the chain shown in the preview
+    if (target.classList.contains('person-filter-select')) {
+      this.handleChangePersonFilter(target);
+    }
+    if (target.classList.contains('status-filter-checkbox')) {
+      this.handleChangeStatusFilter(target);
+    }
+
+    // Risk likelihood or impact rating
+    if (target.classList.contains('risk-rating')) {
+      const { sourceId, targetId, riskId, field } = target.dataset;
+      this.dataModel.updateRisk(sourceId, targetId, riskId, field, target.value);
+      this.syncSharedFields(target, `.risk-rating[data-risk-id="${riskId}"][data-field="${field}"]`);
+    }
+
+    // Evidence type or strength of a reference
+    if (target.classList.contains('reference-rating')) {
+      this.updateReferenceField(target);
+    }
+  }
+
+  /**
+   * Replace the levels of the hierarchy with those of a preset
+   * @param {string} presetName - Key of LEVEL_PRESETS
+   */
+  handleChangeLevels(presetName) {
+    const preset = LEVEL_PRESETS[presetName];
+    if (!preset || !this.dataModel.setLevels(preset.levels)) {
+      alert('The levels can only be changed while the Theory of Change has no items.');
+      this.domBuilder.renderHierarchySelect();
+      return;
+    }
+
+    if (this.app) {
+      this.app.render();
+    } else {
+      this.domBuilder.renderAllItems();
+    }
+    this.accessibility.announce(`Levels changed: ${preset.label}.`);
+  }
+
+  /**
+   * Move an item up or down under its parent (keyboard accessible
+   * alternative to drag and drop)
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @param {string|null} parentId
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  handleMoveItem(levelKey, itemId, parentId, offset) {
+    const moved = offset < 0
+      ? this.dataModel.moveItemUp(levelKey, itemId, parentId)
+      : this.dataModel.moveItemDown(levelKey, itemId, parentId);
+    if (!moved) return;
+
+    this.domBuilder.renderAllItems();
+    this.focusMoveButton(this.getCardSelector(levelKey, itemId, parentId), 'item', offset);
+    this.announceItemPosition(levelKey, itemId, parentId);
+  }
+
+  /**
+   * Move an item to a given position, possibly under another parent
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @param {string|null} parentId
+   * @param {string|null} toParentId
+   * @param {number} toIndex
+   */
+  moveItemTo(levelKey, itemId, parentId, toParentId, toIndex) {
+    if (!this.dataModel.moveItem(levelKey, itemId, parentId, toParentId, toIndex)) return;
+
+    this.domBuilder.renderAllItems();
+    const card = document.querySelector(this.getCardSelector(levelKey, itemId, toParentId));
+    this.accessibility.focusElement(card ? card.querySelector('.item-statement') : null);
+    this.announceItemPosition(levelKey, itemId, toParentId);
   }
 
   /**
-   * Delete an outcome indicator
-   * @param {string} outcomeId
+   * Move an indicator up or down within its item
+   * @param {Object} parent - { levelKey, itemId }
    * @param {string} indicatorId
+   * @param {number} offset - -1 to move up, 1 to move down
    */
-  handleDeleteOutcomeIndicator(outcomeId, indicatorId) {
-    const indicatorElement = document.querySelector(`[data-indicator-id="${indicatorId}"]`).closest('li');
-    const previousFocusable = this.accessibility.findPreviousFocusable(indicatorElement);
+  handleMoveIndicator(parent, indicatorId, offset) {
+    const moved = offset < 0
+      ? this.dataModel.moveIndicatorUp(parent, indicatorId)
+      : this.dataModel.moveIndicatorDown(parent, indicatorId);
+    if (!moved) return;
 
-    this.dataModel.deleteOutcomeIndicator(outcomeId, indicatorId);
+    this.domBuilder.renderAllItems();
+    this.focusMoveButton(`li[data-indicator-id="${indicatorId}"]`, 'indicator', offset);
+    this.announceIndicatorPosition(parent, indicatorId);
+  }
 
-    // Re-render the outcome
-    const outcomeElement = document.querySelector(`[data-outcome-id="${outcomeId}"]`);
-    const newOutcomeElement = this.domBuilder.renderOutcome(outcomeId);
-    outcomeElement.replaceWith(newOutcomeElement);
+  /**
+   * Focus the move button of an item after it moved, falling back to the
+   * opposite direction when the item reached the start or end of its list
+   * @param {string} itemSelector - Selector of the moved item's element
+   * @param {string} itemType - 'item' or 'indicator'
+   * @param {number} offset - Direction of the move
+   */
+  focusMoveButton(itemSelector, itemType, offset) {
+    const item = document.querySelector(itemSelector);
+    if (!item) return;
 
-    // Restore focus
-    this.accessibility.focusElement(previousFocusable);
-    this.accessibility.announce('Indicator deleted.');
+    const direction = offset < 0 ? 'up' : 'down';
+    const opposite = offset < 0 ? 'down' : 'up';
+    const controls = item.querySelector('.move-controls');
+    const button = controls.querySelector(`[data-action="move-${itemType}-${direction}"]:not([disabled])`)
+      || controls.querySelector(`[data-action="move-${itemType}-${opposite}"]`);
+    this.accessibility.focusElement(button);
   }
 
   /**
-   * Add an output
-   * @param {string} outcomeId
+   * Describe an item for announcements (e.g. 'output 1.2')
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @returns {string}
    */
-  handleAddOutput(outcomeId) {
-    const outputId = this.dataModel.addOutput(outcomeId);
+  getItemLabel(levelKey, itemId) {
+    const number = getItemNumbers(this.dataModel.data).get(itemId);
+    return `${this.dataModel.getLevel(levelKey).name.toLowerCase()} ${number}`;
+  }
 
-    // Re-render the outcome
-    const outcomeElement = document.querySelector(`[data-outcome-id="${outcomeId}"]`);
-    const newOutcomeElement = this.domBuilder.renderOutcome(outcomeId);
-    outcomeElement.replaceWith(newOutcomeElement);
+  /**
+   * Announce the new position of an item under its parent
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @param {string|null} parentId
+   */
+  announceItemPosition(levelKey, itemId, parentId) {
+    const siblingIds = this.dataModel.getSiblingIds(levelKey, parentId);
+    const position = siblingIds.indexOf(itemId) + 1;
+    const name = this.dataModel.getLevel(levelKey).name;
+    const parentLabel = parentId
+      ? ` in ${this.getItemLabel(this.dataModel.getParentLevel(levelKey).key, parentId)}`
+      : '';
+    this.accessibility.announce(`${name} moved to position ${position} of ${siblingIds.length}${parentLabel}.`);
+  }
 
-    // Focus on the new output's statement textarea
-    const outputTextarea = newOutcomeElement.querySelector(`[data-output-id="${outputId}"]`);
-    this.accessibility.focusElement(outputTextarea);
-    this.accessibility.announce('Output added. Focus moved to output statement field.');
+  /**
+   * Announce the new position of an indicator
+   * @param {Object} parent - { levelKey, itemId }
+   * @param {string} indicatorId
+   */
+  announceIndicatorPosition(parent, indicatorId) {
+    const count = this.dataModel.resolvePath(this.dataModel.getIndicatorsPath(parent)).length;
+    const position = this.dataModel.getIndicatorIndex(parent, indicatorId) + 1;
+    const parentLabel = this.getItemLabel(parent.levelKey, parent.itemId);
+    this.accessibility.announce(`Indicator moved to position ${position} of ${count} in ${parentLabel}.`);
   }
 
   /**
-   * Delete an output
-   * @param {string} outcomeId
-   * @param {string} outputId
+   * Start dragging an item or indicator by its handle
+   * @param {DragEvent} e
    */
-  handleDeleteOutput(outcomeId, outputId) {
-    if (!confirm('Delete this output?')) {
+  handleDragStart(e) {
+    const handle = e.target.closest ? e.target.closest('.drag-handle') : null;
+    if (!handle) return;
+
+    const type = handle.dataset.dragType;
+    if (type === 'item') {
+      const card = handle.closest('.item-card');
+      this.dragState = {
+        type,
+        element: card,
+        levelKey: card.dataset.levelKey,
+        itemId: card.dataset.itemId,
+        parentId: card.dataset.parentId || null
+      };
+    } else if (type === 'indicator') {
+      const item = handle.closest('.indicator-item');
+      const fieldset = item.closest('.indicators-section');
+      this.dragState = {
+        type,
+        element: item,
+        indicatorId: item.dataset.indicatorId,
+        parent: {
+          levelKey: fieldset.dataset.levelKey,
+          itemId: fieldset.dataset.itemId
+        }
+      };
+    } else {
       return;
     }
 
-    const outputElement = document.querySelector(`[data-output-id="${outputId}"]`);
-    const previousFocusable = this.accessibility.findPreviousFocusable(outputElement);
+    this.dragState.element.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', type);
+    e.dataTransfer.setDragImage(this.dragState.element, 0, 0);
+  }
+
+  /**
+   * Find where the dragged item would be dropped
+   * Items can be dropped among the items of the same level, under any parent
+   * @param {DragEvent} e
+   * @returns {Object|null} { element, list, before } where element is the item
+   *   under the pointer (or null to drop at the end of list)
+   */
+  getDropTarget(e) {
+    if (!this.dragState || !e.target.closest) return null;
+
+    let selectors;
+    if (this.dragState.type === 'item') {
+      const { levelKey } = this.dragState;
+      selectors = {
+        item: `.item-card[data-level-key="${levelKey}"]`,
+        list: this.dataModel.getLevelIndex(levelKey) === 0
+          ? '#outcomes-container'
+          : `.children-section[data-level-key="${levelKey}"]`
+      };
+    } else {
+      selectors = { item: '.indicator-item', list: '.indicators-section' };
+    }
 
-    this.dataModel.deleteOutput(outcomeId, outputId);
+    const list = e.target.closest(selectors.list);
+    if (!list) return null;
 
-    // Re-render the outcome
-    const outcomeElement = document.querySelector(`[data-outcome-id="${outcomeId}"]`);
-    const newOutcomeElement = this.domBuilder.renderOutcome(outcomeId);
-    outcomeElement.replaceWith(newOutcomeElement);
+    const element = e.target.closest(selectors.item);
+    if (element && list.contains(element)) {
+      if (element === this.dragState.element) return null;
+      const rect = element.getBoundingClientRect();
+      return { element, list, before: e.clientY < rect.top + rect.height / 2 };
+    }
 
-    // Restore focus
-    this.accessibility.focusElement(previousFocusable);
-    this.accessibility.announce('Output deleted.');
+    return { element: null, list, before: false };
   }
 
   /**
-   * Add an output indicator
-   * @param {string} outcomeId
-   * @param {string} outputId
+   * Allow dropping over valid targets and show where the item would go
+   * @param {DragEvent} e
    */
-  handleAddOutputIndicator(outcomeId, outputId) {
-    const indicatorId = this.dataModel.addOutputIndicator(outcomeId, outputId);
+  handleDragOver(e) {
+    const dropTarget = this.getDropTarget(e);
+    this.clearDropIndicators();
+    if (!dropTarget) return;
 
-    // Re-render the outcome
-    const outcomeElement = document.querySelector(`[data-outcome-id="${outcomeId}"]`);
-    const newOutcomeElement = this.domBuilder.renderOutcome(outcomeId);
-    outcomeElement.replaceWith(newOutcomeElement);
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
 
-    // Focus on the new indicator input
-    const indicatorInput = newOutcomeElement.querySelector(`[data-indicator-id="${indicatorId}"]`);
-    this.accessibility.focusElement(indicatorInput);
-    this.accessibility.announce('Indicator added. Focus moved to indicator field.');
+    if (dropTarget.element) {
+      dropTarget.element.classList.add(dropTarget.before ? 'drop-before' : 'drop-after');
+    } else {
+      dropTarget.list.classList.add('drop-inside');
+    }
   }
 
   /**
-   * Delete an output indicator
-   * @param {string} outcomeId
-   * @param {string} outputId
-   * @param {string} indicatorId
+   * Drop the dragged item at its new position
+   * @param {DragEvent} e
    */
-  handleDeleteOutputIndicator(outcomeId, outputId, indicatorId) {
-    const indicatorElement = document.querySelector(`[data-indicator-id="${indicatorId}"]`).closest('li');
-    const previousFocusable = this.accessibility.findPreviousFocusable(indicatorElement);
+  handleDrop(e) {
+    const dropTarget = this.getDropTarget(e);
+    if (!dropTarget) return;
+    e.preventDefault();
 
-    this.dataModel.deleteOutputIndicator(outcomeId, outputId, indicatorId);
+    const { type } = this.dragState;
+    if (type === 'item') {
+      this.dropItem(dropTarget);
+    } else if (type === 'indicator') {
+      this.dropIndicator(dropTarget);
+    }
 
-    // Re-render the outcome
-    const outcomeElement = document.querySelector(`[data-outcome-id="${outcomeId}"]`);
-    const newOutcomeElement = this.domBuilder.renderOutcome(outcomeId);
-    outcomeElement.replaceWith(newOutcomeElement);
+    this.handleDragEnd();
+  }
 
-    // Restore focus
-    this.accessibility.focusElement(previousFocusable);
-    this.accessibility.announce('Indicator deleted.');
+  /**
+   * Compute the position of a dropped item in its new list
+   * @param {Array} ids - IDs of the items of the target list
+   * @param {Object} dropTarget
+   * @param {string} idKey - Data attribute holding the ID of the items
+   * @param {number} fromIndex - Current position if moving within the same list, else -1
+   * @returns {number}
+   */
+  getDropIndex(ids, dropTarget, idKey, fromIndex) {
+    let index = ids.length;
+    if (dropTarget.element) {
+      index = ids.indexOf(dropTarget.element.dataset[idKey]);
+      if (!dropTarget.before) index += 1;
+    }
+    // The item is removed before being inserted
+    if (fromIndex !== -1 && fromIndex < index) index -= 1;
+    return index;
   }
 
   /**
-   * Save manually
+   * @param {Object} dropTarget
    */
-  handleSave() {
-    const result = this.storage.save();
-    if (result.success) {
-      this.storage.showSaveIndicator('Saved successfully');
-      this.accessibility.announce('Data saved successfully.');
-    } else {
-      alert('Failed to save data. Please try again.');
-      this.accessibility.announce('Failed to save data.');
+  dropItem(dropTarget) {
+    const { levelKey, itemId, parentId } = this.dragState;
+    const toParentId = dropTarget.list.dataset.parentId || null;
+    const ids = this.dataModel.getSiblingIds(levelKey, toParentId);
+    const fromIndex = toParentId === parentId ? ids.indexOf(itemId) : -1;
+    const toIndex = this.getDropIndex(ids, dropTarget, 'itemId', fromIndex);
+
+    if (this.dataModel.moveItem(levelKey, itemId, parentId, toParentId, toIndex)) {
+      this.domBuilder.renderAllItems();
+      this.announceItemPosition(levelKey, itemId, toParentId);
     }
   }
 
   /**
-   * Export as JSON
+   * @param {Object} dropTarget
    */
-  handleExportJSON() {
-    const success = exportToJSON(this.dataModel);
-    if (success) {
-      this.accessibility.announce('Data exported as JSON.');
+  dropIndicator(dropTarget) {
+    const { parent, indicatorId } = this.dragState;
+    const toParent = {
+      levelKey: dropTarget.list.dataset.levelKey,
+      itemId: dropTarget.list.dataset.itemId
+    };
+    const ids = this.dataModel.resolvePath(this.dataModel.getIndicatorsPath(toParent)).map(i => i.id);
+    const sameParent = toParent.itemId === parent.itemId;
+    const fromIndex = sameParent ? ids.indexOf(indicatorId) : -1;
+    const toIndex = this.getDropIndex(ids, dropTarget, 'indicatorId', fromIndex);
+
+    if (this.dataModel.moveIndicator(parent, indicatorId, toParent, toIndex)) {
+      this.domBuilder.renderAllItems();
+      this.announceIndicatorPosition(toParent, indicatorId);
     }
   }
 
   /**
-   * Export as Markdown
+   * Clean up after a drag operation
    */
-  handleExportMarkdown() {
-    const success = exportToMarkdown(this.dataModel);
-    if (success) {
-      this.accessibility.announce('Data exported as Markdown.');
+  handleDragEnd() {
+    if (this.dragState) {
+      this.dragState.element.classList.remove('dragging');
+      this.dragState = null;
     }
+    this.clearDropIndicators();
   }
 
   /**
-   * Import from JSON file
+   * Remove drop position markers
    */
-  async handleImportJSON() {
-    const success = await importTocData(this.dataModel, this.storage, this.accessibility);
-    if (success) {
-      // Re-render both views
-      if (this.app) {
-        this.app.render();
-      } else {
-        this.domBuilder.renderAllOutcomes();
-      }
+  clearDropIndicators() {
+    document.querySelectorAll('.drop-before, .drop-after, .drop-inside').forEach(element => {
+      element.classList.remove('drop-before', 'drop-after', 'drop-inside');
+    });
+  }
 
-      // Focus on the first outcome if in edit mode
-      if (this.app && this.app.currentView === 'edit') {
-        const firstOutcome = document.querySelector('.outcome-statement');
-        const addOutcomeBtn = document.getElementById('add-outcome-btn');
-        this.accessibility.focusElement(firstOutcome || addOutcomeBtn);
-      }
+  /**
+   * Add a new item
+   * @param {string} levelKey
+   * @param {string|null} parentId - Item the new item contributes to (null for the first level)
+   */
+  handleAddItem(levelKey, parentId) {
+    const itemId = this.dataModel.addItem(levelKey, parentId);
+    if (!itemId) return;
+
+    let card;
+    if (parentId) {
+      this.rerenderItem(parentId);
+      card = document.querySelector(this.getCardSelector(levelKey, itemId, parentId));
+    } else {
+      card = this.domBuilder.renderTopLevelItem(itemId);
+      const container = document.getElementById('outcomes-container');
+      container.querySelector('.empty-state')?.remove();
+      container.appendChild(card);
+      // The levels can no longer be changed
+      this.domBuilder.renderHierarchySelect();
     }
+
+    // Focus on the new item's statement textarea
+    const name = this.dataModel.getLevel(levelKey).name;
+    this.accessibility.focusElement(card ? card.querySelector('.item-statement') : null);
+    this.accessibility.announce(`${name} added. Focus moved to ${name.toLowerCase()} statement field.`);
   }
 
   /**
-   * Import from URL
+   * Delete an item from all its parents, with the items below it that do
+   * not contribute to anything else
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @param {string|null} parentId - Parent of the card the deletion was requested from
    */
-  async handleImportURL() {
-    const urlInput = document.getElementById('import-url-input');
-    const url = urlInput ? urlInput.value.trim() : '';
+  handleDeleteItem(levelKey, itemId, parentId) {
+    const level = this.dataModel.getLevel(levelKey);
+    const childLevel = this.dataModel.getChildLevel(levelKey);
+    const name = level.name.toLowerCase();
+    const parentCount = this.dataModel.getParents(levelKey, itemId).length;
 
-    if (!url) {
-      alert('Please enter a URL.');
+    let message = `Delete this ${name}?`;
+    if (parentCount > 1) {
+      const parentLevel = this.dataModel.getParentLevel(levelKey);
+      message = `This ${name} is shared by ${parentCount} ${parentLevel.pluralName.toLowerCase()}. Delete it from all of them?`;
+    } else if (childLevel && this.dataModel.getChildren(levelKey, itemId).length > 0) {
+      message = `Delete this ${name} and all its ${childLevel.pluralName.toLowerCase()}?`;
+    }
+    if (!confirm(message)) {
       return;
     }
 
-    const success = await importTocDataFromURL(url, this.dataModel, this.storage, this.accessibility);
-    if (success) {
-      // Re-render both views
-      if (this.app) {
-        this.app.render();
+    const element = document.querySelector(this.getCardSelector(levelKey, itemId, parentId));
+    const previousFocusable = this.accessibility.findPreviousFocusable(element);
+
+    this.dataModel.deleteItem(levelKey, itemId);
+
+    // Re-render all items to update numbering
+    this.domBuilder.renderAllItems();
+
+    // Restore focus
+    const addBtn = document.getElementById('add-outcome-btn');
+    this.accessibility.focusElement(previousFocusable || addBtn);
+    this.accessibility.announce(`${level.name} deleted.`);
+  }
+
+  /**
+   * Duplicate an item with everything below it, right after it
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @param {string|null} parentId - Parent of the card the duplication was requested from
+   */
+  handleDuplicateItem(levelKey, itemId, parentId) {
+    const copyId = this.dataModel.duplicateItem(levelKey, itemId, parentId);
+    if (!copyId) return;
+
+    // Re-render all items to update numbering
+    this.domBuilder.renderAllItems();
+
+    const card = document.querySelector(this.getCardSelector(levelKey, copyId, parentId));
+    const name = this.dataModel.getLevel(levelKey).name;
+    this.accessibility.focusElement(card ? card.querySelector('.item-statement') : null);
+    this.accessibility.announce(`${name} duplicated. Focus moved to the statement field of the copy.`);
+  }
+
+  /**
+   * Link the item selected in a picker to a parent
+   * @param {string} levelKey - Level of the item to link
+   * @param {string} parentId
+   * @param {HTMLSelectElement|null} select - Picker of the item to link
+   */
+  handleLinkItem(levelKey, parentId, select) {
+    const itemId = select ? select.value : '';
+    if (!itemId || !this.dataModel.linkItem(levelKey, parentId, itemId)) return;
+
+    // The item now shows under several parents
+    this.domBuilder.renderAllItems();
+
+    const card = document.querySelector(this.getCardSelector(levelKey, itemId, parentId));
+    this.accessibility.focusElement(card ? card.querySelector('.item-statement') : null);
+    const count = this.dataModel.getParents(levelKey, itemId).length;
+    const parentLevel = this.dataModel.getParentLevel(levelKey);
+    this.accessibility.announce(
+      `${this.dataModel.getLevel(levelKey).name} linked. It now contributes to ${count} ${parentLevel.pluralName.toLowerCase()}.`
+    );
+  }
+
+  /**
+   * Unlink a shared item from one parent
+   * @param {string} levelKey
+   * @param {string} itemId
+   * @param {string} parentId
+   */
+  handleUnlinkItem(levelKey, itemId, parentId) {
+    const element = document.querySelector(this.getCardSelector(levelKey, itemId, parentId));
+    const previousFocusable = this.accessibility.findPreviousFocusable(element);
+
+    if (!this.dataModel.unlinkItem(levelKey, parentId, itemId)) return;
+
+    this.domBuilder.renderAllItems();
+
+    const parentLevel = this.dataModel.getParentLevel(levelKey);
+    this.accessibility.focusElement(previousFocusable);
+    this.accessibility.announce(
+      `${this.dataModel.getLevel(levelKey).name} unlinked from this ${parentLevel.name.toLowerCase()}.`
+    );
+  }
+
+  /**
+   * Add an indicator to an item
+   * @param {Object} parent - { levelKey, itemId }
+   */
+  handleAddIndicator(parent) {
+    const indicatorId = this.dataModel.addIndicator(parent);
+    if (!indicatorId) return;
+
+    const card = this.rerenderItem(parent.itemId);
+
+    // Focus on the new indicator input
+    const indicatorInput = card.querySelector(`.indicator-description[data-indicator-id="${indicatorId}"]`);
+    this.accessibility.focusElement(indicatorInput);
+    this.accessibility.announce('Indicator added. Focus moved to indicator field.');
+  }
+
+  /**
+   * Delete an indicator
+   * @param {Object} parent - { levelKey, itemId }
+   * @param {string} indicatorId
+   * @param {HTMLElement} button - Delete button that was activated
+   */
+  handleDeleteIndicator(parent, indicatorId, button) {
+    const previousFocusable = this.accessibility.findPreviousFocusable(button.closest('li'));
+    const previousId = previousFocusable ? previousFocusable.id : null;
+
+    this.dataModel.deleteIndicator(parent, indicatorId);
+
+    this.rerenderItem(parent.itemId);
+
+    // Restore focus
+    this.accessibility.focusElement(previousId ? document.getElementById(previousId) : null);
+    this.accessibility.announce('Indicator deleted.');
+  }
+
+  /**
+   * Focus an element of the indicator sub-form, opening it first
+   * @param {HTMLElement|null} element
+   */
+  focusIndicatorDetail(element) {
+    if (!element) return;
+    const details = element.closest('details');
+    if (details) {
+      details.open = true;
+    }
+    this.accessibility.focusElement(element);
+  }
+
+  /**
+   * Add a measurement to an indicator
+   * @param {Object} parent - { levelKey, itemId }
+   * @param {string} indicatorId
+   */
+  handleAddMeasurement(parent, indicatorId) {
+    const measurementId = this.dataModel.addMeasurement(parent, indicatorId);
+    if (!measurementId) return;
+
+    const card = this.rerenderItem(parent.itemId);
+
+    this.focusIndicatorDetail(card.querySelector(
+      `.measurement-input[data-measurement-id="${measurementId}"][data-field="value"]`
+    ));
+    this.accessibility.announce('Measurement added. Focus moved to measurement value.');
+  }
+
+  /**
+   * Delete a measurement
+   * @param {Object} parent - { levelKey, itemId }
+   * @param {string} indicatorId
+   * @param {string} measurementId
+   */
+  handleDeleteMeasurement(parent, indicatorId, measurementId) {
+    this.dataModel.deleteMeasurement(parent, indicatorId, measurementId);
+
+    const card = this.rerenderItem(parent.itemId);
+
+    this.focusIndicatorDetail(card.querySelector(
+      `[data-action="add-measurement"][data-item-id="${parent.itemId}"][data-indicator-id="${indicatorId}"]`
+    ));
+    this.accessibility.announce('Measurement deleted.');
+  }
+
+  /**
+   * Re-render the card showing a causal link
+   * Links show in the card of their source item
+   * @param {string} sourceId
+   * @returns {HTMLElement} The new card, or the items container
+   */
+  rerenderCausalLink(sourceId) {
+    return this.rerenderItem(sourceId);
+  }
+
+  /**
+   * Declare that an item contributes to the item selected in a picker
+   * Contributions that would close a cycle are refused with an explanation
+   * @param {string} sourceId
+   * @param {HTMLSelectElement|null} select - Picker of the item contributed to
+   */
+  handleAddContribution(sourceId, select) {
+    const targetId = select ? select.value : '';
+    if (!targetId) return;
+
+    const levelKey = this.dataModel.getItemLevelKey(sourceId);
+    const check = this.dataModel.checkContribution(sourceId, targetId);
+    if (!check.valid) {
+      if (check.reason === 'cycle') {
+        const chain = check.cycle.map(id => this.getItemLabel(levelKey, id)).join(' → ');
+        const message = `${this.getItemLabel(levelKey, sourceId)} cannot contribute to ` +
+          `${this.getItemLabel(levelKey, targetId)}: the latter already contributes to the former (${chain}), ` +
+          'so this would create a cycle.';
+        alert(message.charAt(0).toUpperCase() + message.slice(1));
+        this.accessibility.announce('Contribution not added: it would create a cycle.');
+      }
+      return;
+    }
+
+    this.dataModel.addContribution(sourceId, targetId);
+    this.domBuilder.renderAllItems();
+
+    const card = document.querySelector(`.item-card[data-item-id="${sourceId}"]`);
+    this.accessibility.focusElement(card ? card.querySelector(
+      `[data-action="delete-contribution"][data-target-id="${targetId}"]`
+    ) : null);
+    this.accessibility.announce(`Contribution to ${this.getItemLabel(levelKey, targetId)} added.`);
+  }
+
+  /**
+   * Remove a contribution between two items
+   * @param {string} sourceId
+   * @param {string} targetId
+   */
+  handleDeleteContribution(sourceId, targetId) {
+    const levelKey = this.dataModel.getItemLevelKey(sourceId);
+    const label = this.getItemLabel(levelKey, targetId);
+    this.dataModel.deleteContribution(sourceId, targetId);
+
+    this.domBuilder.renderAllItems();
+
+    const card = document.querySelector(`.item-card[data-item-id="${sourceId}"]`);
+    this.accessibility.focusElement(card ? card.querySelector('.contribution-select') : null);
+    this.accessibility.announce(`Contribution to ${label} removed.`);
+  }
+
+  /**
+   * Get the element a tag, people or comment control is about
+   * @param {HTMLElement} element - Control with data-level-key, data-item-id
+   *   and, for indicators, data-indicator-id
+   * @returns {Object} { levelKey, itemId, indicatorId } (see TocDataModel.getNodePath)
+   */
+  getNode(element) {
+    const { levelKey, itemId, indicatorId } = element.dataset;
+    return indicatorId ? { levelKey, itemId, indicatorId } : { levelKey, itemId };
+  }
+
+  /**
+   * Describe an element for announcements
+   * @param {Object} node - { levelKey, itemId, indicatorId }
+   * @returns {string}
+   */
+  getNodeLabel(node) {
+    if (node.levelKey === 'impact') return 'the impact statement';
+    const itemLabel = this.getItemLabel(node.levelKey, node.itemId);
+    return node.indicatorId ? `an indicator of ${itemLabel}` : itemLabel;
+  }
+
+  /**
+   * Re-render the editors of an element and the tag suggestions, then
+   * focus the first of the given fields that still exists
+   * @param {Object} node - { levelKey, itemId, indicatorId }
+   * @param {...string} fieldIds - IDs of the fields to focus, by preference
+   */
+  rerenderNode(node, ...fieldIds) {
+    if (node.levelKey === 'impact') {
+      this.domBuilder.renderImpact();
+    } else {
+      this.rerenderItem(node.itemId);
+    }
+    this.domBuilder.renderTagSuggestions();
+
+    const field = fieldIds.map(id => document.getElementById(id)).find(Boolean);
+    // Comments are collapsed after rendering
+    const details = field ? field.closest('details') : null;
+    if (details) {
+      details.open = true;
+    }
+    this.accessibility.focusElement(field || null);
+  }
+
+  /**
+   * Add the tag typed in a tag field
+   * @param {Object} node - { levelKey, itemId, indicatorId }
+   * @param {HTMLInputElement} input
+   */
+  handleAddTag(node, input) {
+    const tag = normalizeTag(input.value);
+    if (!tag) return;
+
+    if (!this.dataModel.addTag(node, tag)) {
+      this.accessibility.announce(`Tag ${tag} is already set on ${this.getNodeLabel(node)}.`);
+      return;
+    }
+
+    this.rerenderNode(node, input.id);
+    this.accessibility.announce(`Tag ${tag} added to ${this.getNodeLabel(node)}.`);
+  }
+
+  /**
+   * Remove a tag
+   * @param {Object} node - { levelKey, itemId, indicatorId }
+   * @param {string} tag
+   * @param {HTMLElement} button - Remove button that was clicked
+   */
+  handleRemoveTag(node, tag, button) {
+    const inputId = button.closest('.tags-editor').querySelector('.tag-input').id;
+    this.dataModel.removeTag(node, tag);
+
+    this.rerenderNode(node, inputId);
+    this.accessibility.announce(`Tag ${tag} removed from ${this.getNodeLabel(node)}.`);
+  }
+
+  /**
+   * Add a person or organisation
+   */
+  handleAddPerson() {
+    const personId = this.dataModel.addPerson();
+
+    this.domBuilder.renderPeople();
+    this.domBuilder.renderAllItems();
+
+    this.accessibility.focusElement(document.getElementById(`person-name-${personId}`));
+    this.accessibility.announce('Person added. Focus moved to name field.');
+  }
+
+  /**
+   * Delete a person or organisation, after confirmation if they are
+   * assigned to elements
+   * @param {string} personId
+   */
+  handleDeletePerson(personId) {
+    const person = getPerson(this.dataModel.data, personId);
+    if (!person) return;
+
+    const assignments = this.dataModel.getLevels()
+      .flatMap(level => this.dataModel.data[level.key])
+      .flatMap(item => [item, ...(item.indicators || [])])
+      .filter(node => isAssigned(node, personId)).length;
+    if (assignments > 0 &&
+        !confirm(`Delete ${describePerson(person)}? They are assigned to ${assignments} element(s), which will no longer have them as owner or contributor.`)) {
+      return;
+    }
+
+    this.dataModel.deletePerson(personId);
+
+    this.domBuilder.renderPeople();
+    this.domBuilder.renderAllItems();
+
+    this.accessibility.focusElement(document.getElementById('add-person-btn'));
+    this.accessibility.announce(`${describePerson(person)} deleted.`);
+  }
+
+  /**
+   * Update the name or organisation of a person
+   * The pickers of the items show the new name once updated.
+   * @param {HTMLInputElement} input - Person field with data-person-id and data-field
+   */
+  updatePersonField(input) {
+    const { personId, field } = input.dataset;
+    this.dataModel.updatePerson(personId, field, input.value);
+    this.domBuilder.renderAllItems();
+  }
+
+  /**
+   * Show the data of the document that was just opened, or an empty
+   * Theory of Change if it has none yet
+   * @param {Object|null} data
+   */
+  showDocument(data) {
+    this.dataModel.setData(data || this.dataModel.getDefaultStructure());
+    if (this.app) {
+      this.app.showDocument();
+    } else {
+      this.domBuilder.renderImpact();
+      this.domBuilder.renderAllItems();
+    }
+    this.offerRecovery();
+  }
+
+  /**
+   * Show the recovery screen if the document could not be loaded and was
+   * kept in a backup
+   */
+  offerRecovery() {
+    if (!this.storage.lastBackupKey) return;
+    this.storage.lastBackupKey = null;
+    this.accessibility.announce('Your saved data could not be loaded and was kept in a backup.');
+    this.handleShowRecovery();
+  }
+
+  /**
+   * Show the backups of the data that could not be loaded, and what can be
+   * recovered from them
+   */
+  async handleShowRecovery() {
+    await showRecoveryDialog({
+      storage: this.storage,
+      accessibility: this.accessibility,
+      defaults: this.dataModel.getDefaultStructure(),
+      onRecover: async (data, title) => {
+        // Recovered data opens as a new document, leaving the current one as is
+        await this.storage.createDocument(title);
+        this.dataModel.setData(data);
+        await this.storage.save();
+        if (this.app) {
+          this.app.showDocument();
+        } else {
+          this.domBuilder.renderImpact();
+          this.domBuilder.renderAllItems();
+        }
+      }
+    });
+  }
+
+  /**
+   * Open the document chosen in the document switcher
+   * Unsaved changes to the current document are saved first.
+   * @param {string} id
+   */
+  async handleChangeDocument(id) {
+    const data = await this.storage.openDocument(id);
+    if (data === false) {
+      // Deleted meanwhile, e.g. in another tab: the switcher shows the current one again
+      this.domBuilder.renderDocuments(this.storage.getDocuments(), this.storage.getCurrentDocument());
+      alert('This document no longer exists.');
+      this.accessibility.announce('This document no longer exists.');
+      return;
+    }
+    this.showDocument(data);
+    this.accessibility.announce(`Opened "${this.storage.getCurrentDocument().title}".`);
+  }
+
+  /**
+   * Create an empty document and open it
+   */
+  async handleNewDocument() {
+    const title = prompt('Title of the new Theory of Change:', 'Untitled Theory of Change');
+    if (title === null) return;
+
+    await this.storage.createDocument(title);
+    this.showDocument(null);
+
+    this.accessibility.focusElement(document.getElementById('document-select'));
+    this.accessibility.announce(`New document "${this.storage.getCurrentDocument().title}" created.`);
+  }
+
+  /**
+   * Rename the current document
+   */
+  async handleRenameDocument() {
+    const current = this.storage.getCurrentDocument();
+    const title = prompt('New title of the Theory of Change:', current.title);
+    if (title === null) return;
+
+    if (!(await this.storage.renameDocument(current.id, title))) {
+      alert('The title cannot be empty.');
+      return;
+    }
+    this.accessibility.announce(`Document renamed to "${current.title}".`);
+  }
+
+  /**
+   * Copy the current document into a new one and open the copy
+   */
+  async handleDuplicateDocument() {
+    const current = this.storage.getCurrentDocument();
+    const title = prompt('Title of the copy:', `${current.title} (copy)`);
+    if (title === null) return;
+
+    if (!(await this.storage.duplicateDocument(title))) {
+      alert('The copy could not be saved.');
+      return;
+    }
+    this.accessibility.announce(`Copy "${this.storage.getCurrentDocument().title}" created and opened.`);
+  }
+
+  /**
+   * Delete the current document after confirmation, and open another one
+   */
+  async handleDeleteDocument() {
+    const current = this.storage.getCurrentDocument();
+    if (!confirm(`Delete "${current.title}"? This cannot be undone: export it first to keep a copy.`)) {
+      return;
+    }
+
+    await this.storage.deleteDocument(current.id);
+    if (this.snapshots) {
+      await this.snapshots.deleteAll(current.id);
+    }
+    this.showDocument(await this.storage.load());
+
+    this.accessibility.focusElement(document.getElementById('document-select'));
+    this.accessibility.announce(`"${current.title}" deleted. Opened "${this.storage.getCurrentDocument().title}".`);
+  }
+
+  /**
+   * Show a change coming from another tab
+   * @param {string} type - See TabSync.subscribe
+   */
+  handleSyncChange(type) {
+    if (type === 'updated') {
+      this.refreshAfterHistoryChange();
+      this.accessibility.announce('Updated with the changes saved in another tab.');
+    } else if (type === 'conflict') {
+      this.domBuilder.renderSyncConflict(this.sync.conflict);
+      this.accessibility.announce(this.sync.conflict.deleted
+        ? 'This document was deleted in another tab.'
+        : 'This document was changed in another tab.');
+    } else {
+      this.domBuilder.renderSyncConflict(null);
+    }
+  }
+
+  /**
+   * Drop the changes made in this tab for the version saved in another
+   * tab, or open another document if this one was deleted there
+   */
+  async handleSyncReload() {
+    const deleted = this.sync.conflict.deleted;
+    const message = deleted
+      ? 'Open another document? The changes made to this one in this tab will be lost.'
+      : 'Reload the saved version? The changes made in this tab will be lost.';
+    if (this.storage.hasUnsavedChanges() && !confirm(message)) return;
+
+    const data = await this.sync.reload();
+    if (deleted) {
+      this.showDocument(data);
+      this.accessibility.focusElement(document.getElementById('document-select'));
+      this.accessibility.announce(`Opened "${this.storage.getCurrentDocument().title}".`);
+      return;
+    }
+    this.dataModel.setData(data || this.dataModel.getDefaultStructure());
+    this.refreshAfterHistoryChange();
+    this.accessibility.announce('Saved version reloaded.');
+  }
+
+  /**
+   * Save the version of this tab over the one saved in another tab
+   */
+  async handleSyncKeepMine() {
+    const result = await this.sync.keepMine();
+    if (!result.success) {
+      alert('Failed to save data. Please try again.');
+      this.accessibility.announce('Failed to save data.');
+      return;
+    }
+    this.storage.showSaveIndicator('Saved successfully');
+    this.accessibility.announce('Your version was saved.');
+  }
+
+  /**
+   * Merge the changes made in this tab with the version saved in another
+   * tab
+   */
+  async handleSyncMerge() {
+    const result = await this.sync.merge();
+    if (!result) {
+      alert('The two versions cannot be merged. Reload the saved version, or keep yours.');
+      return;
+    }
+
+    this.refreshAfterHistoryChange();
+    const notes = [];
+    if (result.conflicts.length > 0) {
+      notes.push(`${result.conflicts.length} change${result.conflicts.length === 1 ? '' : 's'} made in both tabs kept as in this tab`);
+    }
+    if (result.removed.length > 0) {
+      notes.push(`${result.removed.length} invalid part${result.removed.length === 1 ? '' : 's'} left out`);
+    }
+    const message = `Changes merged${notes.length > 0 ? ` (${notes.join('; ')})` : ''}. Use Undo to go back to your version.`;
+    if (notes.length > 0) {
+      alert(message);
+    }
+    this.accessibility.announce(message);
+  }
+
+  /**
+   * Find a snapshot of the current document
+   * @param {string} snapshotId
+   * @returns {Promise<Object|undefined>}
+   */
+  async getSnapshot(snapshotId) {
+    const snapshots = await this.snapshots.list();
+    return snapshots.find(snapshot => snapshot.id === snapshotId);
+  }
+
+  /**
+   * Take a snapshot of the current document under the name typed in the
+   * snapshot name field
+   */
+  async handleCreateSnapshot() {
+    if (!this.snapshots) return;
+
+    const input = document.getElementById('snapshot-name-input');
+    const name = input.value.trim();
+    if (!name) {
+      this.accessibility.setFieldError('snapshot-name-input', 'Enter a name for the snapshot, e.g. Sent to board v2.');
+      this.accessibility.focusElement(input);
+      return;
+    }
+    this.accessibility.clearFieldError('snapshot-name-input');
+
+    // Include the pending keystrokes in the snapshot
+    this.debouncedInput.flush();
+
+    try {
+      await this.snapshots.create(name);
+    } catch (error) {
+      console.error('Snapshot error:', error);
+      alert(error.message);
+      return;
+    }
+    input.value = '';
+    this.accessibility.announce(`Snapshot "${name}" taken.`);
+  }
+
+  /**
+   * Show the changes made to the document since a snapshot
+   * @param {string} snapshotId
+   */
+  async handleCompareSnapshot(snapshotId) {
+    this.debouncedInput.flush();
+
+    const snapshot = await this.getSnapshot(snapshotId);
+    const data = snapshot ? await this.snapshots.load(snapshotId) : null;
+    if (!data) {
+      alert('This snapshot could not be found.');
+      return;
+    }
+
+    const changes = diffDocuments(data, this.dataModel.data);
+    this.domBuilder.renderSnapshotDiff(snapshot, changes);
+
+    this.accessibility.focusElement(document.getElementById('snapshot-diff'));
+    this.accessibility.announce(`Compared with ${describeSnapshot(snapshot)}: ${changes.length} change${changes.length === 1 ? '' : 's'}.`);
+  }
+
+  /**
+   * Bring the document back to a snapshot after confirmation
+   * The current version is kept as a snapshot first, and the restore can be
+   * undone.
+   * @param {string} snapshotId
+   */
+  async handleRestoreSnapshot(snapshotId) {
+    this.debouncedInput.flush();
+
+    const snapshot = await this.getSnapshot(snapshotId);
+    const data = snapshot ? await this.snapshots.load(snapshotId) : null;
+    if (!data) {
+      alert('This snapshot could not be found.');
+      return;
+    }
+
+    const label = `${describeSnapshot(snapshot)} of ${formatDate(snapshot.createdAt)}`;
+    if (diffDocuments(data, this.dataModel.data).length === 0) {
+      this.accessibility.announce(`The current version is the same as ${label}.`);
+      return;
+    }
+    if (!confirm(`Restore ${label}? The current version is kept as a snapshot first, and you can undo the restore.`)) {
+      return;
+    }
+
+    try {
+      await this.snapshots.create(`Before restoring ${describeSnapshot(snapshot)}`, { automatic: true });
+    } catch (error) {
+      console.error('Snapshot error:', error);
+    }
+    this.dataModel.restoreData(data);
+
+    this.domBuilder.renderSnapshotDiff(null);
+    this.refreshAfterHistoryChange();
+    this.accessibility.announce(`Restored ${label}.`);
+  }
+
+  /**
+   * Delete a snapshot after confirmation
+   * @param {string} snapshotId
+   */
+  async handleDeleteSnapshot(snapshotId) {
+    const snapshot = await this.getSnapshot(snapshotId);
+    if (!snapshot) return;
+
+    const label = `${describeSnapshot(snapshot)} of ${formatDate(snapshot.createdAt)}`;
+    if (!confirm(`Delete ${label}? This cannot be undone.`)) {
+      return;
+    }
+
+    await this.snapshots.delete(snapshotId);
+    const restoreBtn = document.querySelector('#snapshot-diff [data-action="restore-snapshot"]');
+    if (restoreBtn && restoreBtn.dataset.snapshotId === snapshotId) {
+      this.domBuilder.renderSnapshotDiff(null);
+    }
+
+    this.accessibility.focusElement(document.getElementById('snapshot-name-input'));
+    this.accessibility.announce(`${label} deleted.`);
+  }
+
+  /**
+   * Re-render both views after a change to the languages of the document
+   */
+  renderLanguageChange() {
+    if (this.app) {
+      this.app.render();
+    } else {
+      this.domBuilder.renderLanguages();
+      this.domBuilder.renderImpact();
+      this.domBuilder.renderAllItems();
+    }
+  }
+
+  /**
+   * Add the language typed in the language field
+   */
+  handleAddLanguage() {
+    const input = document.getElementById('language-input');
+    const code = input.value.trim();
+    if (!this.dataModel.addLanguage(code)) {
+      this.accessibility.setFieldError('language-input', isLanguageCode(code)
+        ? `${describeLanguage(code)} is already listed.`
+        : 'Enter a language code such as en, fr or pt-BR.');
+      this.accessibility.focusElement(input);
+      return;
+    }
+    this.accessibility.clearFieldError('language-input');
+    input.value = '';
+
+    this.renderLanguageChange();
+
+    this.accessibility.focusElement(input);
+    this.accessibility.announce(getLanguages(this.dataModel.data).length === 1
+      ? `${describeLanguage(code)} added as the default language, the language of the current texts.`
+      : `${describeLanguage(code)} added. Choose it in the header to translate into it.`);
+  }
+
+  /**
+   * Delete a language, after confirmation if texts are translated into it
+   * @param {string} language
+   */
+  handleDeleteLanguage(language) {
+    const translations = getTranslatableTexts(this.dataModel.data)
+      .filter(({ element }) => element.translations && element.translations[language]).length;
+    if (translations > 0 &&
+        !confirm(`Delete ${describeLanguage(language)}? Its ${translations} translation(s) will be deleted.`)) {
+      return;
+    }
+
+    if (!this.dataModel.removeLanguage(language)) {
+      alert('The default language can only be deleted once it is the only language. Make another language the default one first.');
+      return;
+    }
+
+    this.renderLanguageChange();
+
+    this.accessibility.focusElement(document.getElementById('language-input'));
+    this.accessibility.announce(`${describeLanguage(language)} deleted.`);
+  }
+
+  /**
+   * Make a language the default one, after confirmation if some texts are
+   * not translated into it
+   * @param {string} language
+   */
+  handleSetDefaultLanguage(language) {
+    const data = this.dataModel.data;
+    const missing = countMissingTranslations(data, language);
+    if (missing > 0 &&
+        !confirm(`Make ${describeLanguage(language)} the default language? ${missing} text(s) have no translation into it and will be empty until translated, except the impact statement. Their current wording is kept as ${describeLanguage(getDefaultLanguage(data))} translation.`)) {
+      return;
+    }
+
+    if (!this.dataModel.setDefaultLanguage(language)) return;
+
+    this.renderLanguageChange();
+
+    this.accessibility.focusElement(document.getElementById('language-input'));
+    this.accessibility.announce(`${describeLanguage(language)} is now the default language.`);
+  }
+
+  /**
+   * Show the views in the language chosen in the header
+   * @param {string} language
+   */
+  handleChangeLanguage(language) {
+    if (!this.app) return;
+    this.app.setLanguage(language === getDefaultLanguage(this.dataModel.data) ? null : language);
+
+    const missing = this.app.language ? countMissingTranslations(this.dataModel.data, this.app.language) : 0;
+    this.accessibility.announce(`Showing ${describeLanguage(language)}.` +
+      (this.app.language ? ` The edit view shows the translations side by side, ${missing} missing.` : ''));
+  }
+
+  /**
+   * Save a translation and flag it while it is missing
+   * @param {HTMLElement} input - Translation field with data-language
+   */
+  updateTranslationField(input) {
+    const node = this.getNode(input);
+    const { language } = input.dataset;
+    if (!this.dataModel.updateTranslation(node, language, input.value)) return;
+
+    const selector = `.translation-input[data-item-id="${node.itemId}"]` +
+      (node.indicatorId ? `[data-indicator-id="${node.indicatorId}"]` : ':not([data-indicator-id])');
+    this.syncSharedFields(input, selector);
+
+    const element = this.dataModel.resolvePath(this.dataModel.getNodePath(node));
+    const missing = getText(this.dataModel.data, element, node.indicatorId ? 'description' : 'statement', language).missing;
+    document.querySelectorAll(selector).forEach(field => {
+      const group = field.closest('.translation-field');
+      group.classList.toggle('missing-translation', missing);
+      group.querySelector('.missing-translation-flag').textContent = missing ? 'Missing translation' : '';
+    });
+    this.domBuilder.renderLanguages();
+  }
+
+  /**
+   * Set the owner chosen in an owner picker
+   * @param {HTMLSelectElement} select
+   */
+  handleChangeOwner(select) {
+    const node = this.getNode(select);
+    const person = getPerson(this.dataModel.data, select.value);
+    if (!this.dataModel.setOwner(node, person ? person.id : null)) return;
+
+    this.rerenderNode(node, select.id);
+    this.accessibility.announce(person
+      ? `${describePerson(person)} is now the owner of ${this.getNodeLabel(node)}.`
+      : `Owner of ${this.getNodeLabel(node)} cleared.`);
+  }
+
+  /**
+   * Save the workflow status chosen in a status picker
+   * @param {HTMLSelectElement} select
+   */
+  handleChangeStatus(select) {
+    const node = this.getNode(select);
+    if (!this.dataModel.setStatus(node, select.value)) return;
+
+    this.rerenderNode(node, select.id);
+    this.accessibility.announce(`Status of ${this.getNodeLabel(node)} changed to ${select.value}.` +
+      (select.value === 'retired' ? ' It stays in the document but is hidden from the preview.' : ''));
+  }
+
+  /**
+   * Add the contributor chosen in a contributor picker
+   * @param {Object} node - { levelKey, itemId, indicatorId }
+   * @param {HTMLSelectElement} select
+   */
+  handleAddContributor(node, select) {
+    const person = getPerson(this.dataModel.data, select.value);
+    if (!person || !this.dataModel.addContributor(node, person.id)) return;
+
+    // The picker is gone once everyone contributes
+    const ownerSelectId = select.closest('.assignments-editor').querySelector('.owner-select').id;
+    this.rerenderNode(node, select.id, ownerSelectId);
+    this.accessibility.announce(`${describePerson(person)} added to the contributors to ${this.getNodeLabel(node)}.`);
+  }
+
+  /**
+   * Remove a contributor
+   * @param {Object} node - { levelKey, itemId, indicatorId }
+   * @param {string} personId
+   * @param {HTMLElement} button - Remove button that was clicked
+   */
+  handleRemoveContributor(node, personId, button) {
+    const person = getPerson(this.dataModel.data, personId);
+    const editor = button.closest('.assignments-editor');
+    const selectId = `contributor-${editor.querySelector('.owner-select').id.replace(/^owner-/, '')}`;
+    this.dataModel.removeContributor(node, personId);
+
+    this.rerenderNode(node, selectId);
+    this.accessibility.announce(`${person ? describePerson(person) : 'Contributor'} removed from the contributors to ${this.getNodeLabel(node)}.`);
+  }
+
+  /**
+   * Get the reviewer name typed in a comments section, asking for it if
+   * missing; the name is remembered for the next comments and filled in the
+   * other comments sections
+   * @param {HTMLElement} section - Comments section of an element
+   * @returns {string|null} null if no name was given
+   */
+  getCommentAuthor(section) {
+    const input = section.querySelector('.comment-author');
+    const author = input.value.trim();
+    if (!author) {
+      alert('Please enter your name before commenting.');
+      this.accessibility.focusElement(input);
+      return null;
+    }
+    this.domBuilder.reviewerName = author;
+    document.querySelectorAll('.comment-author').forEach(field => {
+      if (!field.value.trim()) {
+        field.value = author;
+      }
+    });
+    return author;
+  }
+
+  /**
+   * Start a comment thread with the text typed in a comments section
+   * @param {Object} node - { levelKey, itemId, indicatorId }
+   * @param {HTMLElement} section - Comments section of the element
+   */
+  handleAddComment(node, section) {
+    const input = section.querySelector('.comment-text');
+    const text = input.value.trim();
+    if (!text) {
+      this.accessibility.focusElement(input);
+      return;
+    }
+    const author = this.getCommentAuthor(section);
+    if (!author || !this.dataModel.addComment(node, author, text)) return;
+
+    this.rerenderNode(node, input.id);
+    this.accessibility.announce(`Comment added on ${this.getNodeLabel(node)}.`);
+  }
+
+  /**
+   * Reply to a comment thread with the text typed under it
+   * @param {Object} node - { levelKey, itemId, indicatorId }
+   * @param {string} commentId
+   * @param {HTMLElement} thread - Element of the thread
+   */
+  handleAddCommentReply(node, commentId, thread) {
+    const input = thread.querySelector('.comment-reply-input');
+    const text = input.value.trim();
+    if (!text) {
+      this.accessibility.focusElement(input);
+      return;
+    }
+    const author = this.getCommentAuthor(thread.closest('.comments-section'));
+    if (!author || !this.dataModel.addCommentReply(node, commentId, author, text)) return;
+
+    this.rerenderNode(node, input.id);
+    this.accessibility.announce(`Reply added to the comment on ${this.getNodeLabel(node)}.`);
+  }
+
+  /**
+   * Resolve an open comment thread, or reopen a resolved one
+   * @param {Object} node - { levelKey, itemId, indicatorId }
+   * @param {string} commentId
+   * @param {HTMLElement} button - Resolve/reopen button that was clicked
+   */
+  handleToggleCommentResolved(node, commentId, button) {
+    const resolved = !button.closest('.comment-thread').classList.contains('resolved');
+    this.dataModel.setCommentResolved(node, commentId, resolved);
+
+    this.rerenderNode(node, button.id);
+    this.accessibility.announce(`Comment on ${this.getNodeLabel(node)} ${resolved ? 'resolved' : 'reopened'}.`);
+  }
+
+  /**
+   * Delete a comment thread with its replies
+   * @param {Object} node - { levelKey, itemId, indicatorId }
+   * @param {string} commentId
+   * @param {HTMLElement} button - Delete button that was clicked
+   */
+  handleDeleteComment(node, commentId, button) {
+    const inputId = button.closest('.comments-section').querySelector('.comment-text').id;
+    this.dataModel.deleteComment(node, commentId);
+
+    this.rerenderNode(node, inputId);
+    this.accessibility.announce(`Comment deleted from ${this.getNodeLabel(node)}.`);
+  }
+
+  /**
+   * Add a tag to the preview filter, or remove it if already selected
+   * @param {string} tag
+   */
+  handleToggleTagFilter(tag) {
+    if (!this.app) return;
+
+    const { tags } = this.app.filter;
+    this.app.setFilter({ tags: tags.includes(tag) ? tags.filter(t => t !== tag) : [...tags, tag] });
+
+    const button = [...document.querySelectorAll('.tag-filter-btn')].find(btn => btn.dataset.tag === tag);
+    this.accessibility.focusElement(button);
+    this.announceFilter();
+  }
+
+  /**
+   * Narrow the preview to the part of the chain assigned to a person
+   * @param {HTMLSelectElement} select - Person filter picker
+   */
+  handleChangePersonFilter(select) {
+    if (!this.app) return;
+
+    this.app.setFilter({ personId: select.value || null });
+
+    this.accessibility.focusElement(document.getElementById(select.id));
+    this.announceFilter();
+  }
+
+  /**
+   * Only show agreed elements, or show retired ones, in the preview
+   * @param {HTMLInputElement} checkbox - Status option of the filter bar,
+   *   with the filter property it sets in data-option
+   */
+  handleChangeStatusFilter(checkbox) {
+    if (!this.app) return;
+
+    this.app.setFilter({ [checkbox.dataset.option]: checkbox.checked });
+
+    this.accessibility.focusElement(document.getElementById(checkbox.id));
+    if (checkbox.dataset.option === 'showRetired') {
+      this.accessibility.announce(checkbox.checked ? 'Showing retired elements.' : 'Retired elements hidden.');
+    } else {
+      this.announceFilter();
+    }
+  }
+
+  /**
+   * Show all elements again in the preview
+   */
+  handleClearFilter() {
+    if (!this.app) return;
+
+    this.app.setFilter({ tags: [], personId: null, agreedOnly: false });
+    this.accessibility.focusElement(document.querySelector('.tag-filter-btn, .person-filter-select, .status-filter-checkbox'));
+    this.announceFilter();
+  }
+
+  /**
+   * Announce the elements the preview shows
+   */
+  announceFilter() {
+    const description = describeFilter(this.dataModel.data, this.app.filter);
+    this.accessibility.announce(description
+      ? `Showing elements ${description}.`
+      : 'Filter cleared. Showing all elements.');
+  }
+
+  /**
+   * Get the button adding an assumption or risk to a causal link
+   * @param {HTMLElement} container - Element to search in
+   * @param {string} action - 'add-assumption' or 'add-risk'
+   * @param {string} sourceId
+   * @param {string} targetId
+   * @returns {HTMLElement|null}
+   */
+  getLinkAddButton(container, action, sourceId, targetId) {
+    return container.querySelector(
+      `[data-action="${action}"][data-source-id="${sourceId}"][data-target-id="${targetId}"]`
+    );
+  }
+
+  /**
+   * Add an assumption to a causal link
+   * @param {string} sourceId
+   * @param {string} targetId
+   */
+  handleAddAssumption(sourceId, targetId) {
+    const assumptionId = this.dataModel.addAssumption(sourceId, targetId);
+    if (!assumptionId) return;
+
+    const card = this.rerenderCausalLink(sourceId);
+
+    this.accessibility.focusElement(card.querySelector(`.assumption-input[data-assumption-id="${assumptionId}"]`));
+    this.accessibility.announce('Assumption added. Focus moved to assumption field.');
+  }
+
+  /**
+   * Delete an assumption
+   * @param {string} sourceId
+   * @param {string} targetId
+   * @param {string} assumptionId
+   */
+  handleDeleteAssumption(sourceId, targetId, assumptionId) {
+    this.dataModel.deleteAssumption(sourceId, targetId, assumptionId);
+
+    const card = this.rerenderCausalLink(sourceId);
+
+    this.accessibility.focusElement(this.getLinkAddButton(card, 'add-assumption', sourceId, targetId));
+    this.accessibility.announce('Assumption deleted.');
+  }
+
+  /**
+   * Add a risk to a causal link
+   * @param {string} sourceId
+   * @param {string} targetId
+   */
+  handleAddRisk(sourceId, targetId) {
+    const riskId = this.dataModel.addRisk(sourceId, targetId);
+    if (!riskId) return;
+
+    const card = this.rerenderCausalLink(sourceId);
+
+    this.accessibility.focusElement(card.querySelector(`.risk-description[data-risk-id="${riskId}"]`));
+    this.accessibility.announce('Risk added. Focus moved to risk field.');
+  }
+
+  /**
+   * Delete a risk
+   * @param {string} sourceId
+   * @param {string} targetId
+   * @param {string} riskId
+   */
+  handleDeleteRisk(sourceId, targetId, riskId) {
+    this.dataModel.deleteRisk(sourceId, targetId, riskId);
+
+    const card = this.rerenderCausalLink(sourceId);
+
+    this.accessibility.focusElement(this.getLinkAddButton(card, 'add-risk', sourceId, targetId));
+    this.accessibility.announce('Risk deleted.');
+  }
+
+  /**
+   * Get the item or causal link a reference control belongs to
+   * @param {HTMLElement} element - Element with data IDs
+   * @returns {Object} { sourceId, targetId } or { levelKey, itemId }
+   */
+  getReferenceOwner(element) {
+    const { sourceId, targetId, levelKey, itemId } = element.dataset;
+    return sourceId ? { sourceId, targetId } : { levelKey, itemId };
+  }
+
+  /**
+   * Save a field of a reference
+   * @param {HTMLElement} target - Input or select with data-field
+   */
+  updateReferenceField(target) {
+    const { referenceId, field } = target.dataset;
+    this.dataModel.updateReference(this.getReferenceOwner(target), referenceId, field, target.value);
+    this.syncSharedFields(target,
+      `${target.tagName === 'SELECT' ? '.reference-rating' : '.reference-input'}` +
+      `[data-reference-id="${referenceId}"][data-field="${field}"]`);
+  }
+
+  /**
+   * Get the button adding a reference to an item or causal link
+   * @param {HTMLElement} container - Element to search in
+   * @param {Object} owner - { levelKey, itemId } or { sourceId, targetId }
+   * @returns {HTMLElement|null}
+   */
+  getReferenceAddButton(container, owner) {
+    return owner.sourceId
+      ? this.getLinkAddButton(container, 'add-reference', owner.sourceId, owner.targetId)
+      : container.querySelector(`[data-action="add-reference"][data-item-id="${owner.itemId}"]:not([data-source-id])`);
+  }
+
+  /**
+   * Add a reference to an item or causal link
+   * @param {Object} owner - { levelKey, itemId } or { sourceId, targetId }
+   */
+  handleAddReference(owner) {
+    const referenceId = this.dataModel.addReference(owner);
+    if (!referenceId) return;
+
+    const card = owner.sourceId ? this.rerenderCausalLink(owner.sourceId) : this.rerenderItem(owner.itemId);
+
+    this.accessibility.focusElement(card.querySelector(`.reference-title[data-reference-id="${referenceId}"]`));
+    this.accessibility.announce('Reference added. Focus moved to reference title field.');
+  }
+
+  /**
+   * Delete a reference
+   * @param {Object} owner - { levelKey, itemId } or { sourceId, targetId }
+   * @param {string} referenceId
+   */
+  handleDeleteReference(owner, referenceId) {
+    this.dataModel.deleteReference(owner, referenceId);
+
+    const card = owner.sourceId ? this.rerenderCausalLink(owner.sourceId) : this.rerenderItem(owner.itemId);
+
+    this.accessibility.focusElement(this.getReferenceAddButton(card, owner));
+    this.accessibility.announce('Reference deleted.');
+  }
+
+  /**
+   * Undo the last change
+   */
+  handleUndo() {
+    if (!this.history) return;
+
+    // Record any pending keystrokes first so they are what gets undone
+    this.debouncedInput.flush();
+
+    let entry;
+    try {
+      entry = this.history.undo();
+    } catch (error) {
+      console.error('Could not undo the change:', error);
+      this.refreshAfterHistoryChange();
+      alert('The last change could not be undone.');
+      this.accessibility.announce('The last change could not be undone.');
+      return;
+    }
+    if (!entry) {
+      this.accessibility.announce('Nothing to undo.');
+      return;
+    }
+
+    this.refreshAfterHistoryChange();
+    this.accessibility.announce(`Undid ${describeChange(entry.changeType)}.`);
+  }
+
+  /**
+   * Redo the last undone change
+   */
+  handleRedo() {
+    if (!this.history) return;
+
+    this.debouncedInput.flush();
+
+    let entry;
+    try {
+      entry = this.history.redo();
+    } catch (error) {
+      console.error('Could not redo the change:', error);
+      this.refreshAfterHistoryChange();
+      alert('The last change could not be redone.');
+      this.accessibility.announce('The last change could not be redone.');
+      return;
+    }
+    if (!entry) {
+      this.accessibility.announce('Nothing to redo.');
+      return;
+    }
+
+    this.refreshAfterHistoryChange();
+    this.accessibility.announce(`Redid ${describeChange(entry.changeType)}.`);
+  }
+
+  /**
+   * Re-render all views after undo/redo, keeping focus where it was if possible
+   */
+  refreshAfterHistoryChange() {
+    const focusedId = document.activeElement ? document.activeElement.id : null;
+
+    if (this.app) {
+      this.app.render();
+    } else {
+      this.domBuilder.renderAllItems();
+    }
+
+    const focusTarget = focusedId ? document.getElementById(focusedId) : null;
+    if (focusTarget) {
+      // Fields of indicator sub-forms are collapsed after rendering
+      const details = focusTarget.closest('details');
+      if (details) {
+        details.open = true;
+      }
+      focusTarget.focus();
+    }
+  }
+
+  /**
+   * Enable/disable the undo and redo buttons and describe what they will do
+   */
+  updateHistoryButtons() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+
+    if (undoBtn) {
+      const label = this.history.getUndoLabel();
+      undoBtn.disabled = !label;
+      undoBtn.setAttribute('aria-label', label ? `Undo ${label}` : 'Undo');
+    }
+
+    if (redoBtn) {
+      const label = this.history.getRedoLabel();
+      redoBtn.disabled = !label;
+      redoBtn.setAttribute('aria-label', label ? `Redo ${label}` : 'Redo');
+    }
+  }
+
+  /**
+   * Save manually
+   */
+  async handleSave() {
+    const result = await this.storage.save();
+    if (result.success) {
+      this.storage.showSaveIndicator('Saved successfully');
+      this.accessibility.announce('Data saved successfully.');
+    } else {
+      alert('Failed to save data. Please try again.');
+      this.accessibility.announce('Failed to save data.');
+    }
+  }
+
+  /**
+   * Export as JSON
+   */
+  handleExportJSON() {
+    const success = exportToJSON(this.dataModel);
+    if (success) {
+      this.accessibility.announce('Data exported as JSON.');
+    }
+  }
+
+  /**
+   * Export the JSON Schema of the format
+   */
+  handleExportJSONSchema() {
+    const success = exportJSONSchema();
+    if (success) {
+      this.accessibility.announce('JSON Schema exported.');
+    }
+  }
+
+  /**
+   * Export as Markdown, in the language chosen in the header
+   * @param {Object} filter - Only export the elements matching this filter
+   *   and the items above them (see getVisibleIds); everything by default
+   */
+  handleExportMarkdown(filter = {}) {
+    const language = this.app ? this.app.language : null;
+    const success = exportToMarkdown(this.dataModel, filter, language);
+    if (success) {
+      const description = describeFilter(this.dataModel.data, filter);
+      const inLanguage = language ? ` in ${describeLanguage(language)}` : '';
+      this.accessibility.announce(description
+        ? `Elements ${description} exported as Markdown${inLanguage}.`
+        : `Data exported as Markdown${inLanguage}.`);
+    }
+  }
+
+  /**
+   * Import from JSON file
+   */
+  async handleImportJSON() {
+    const success = await importTocData(this.dataModel, this.storage, this.accessibility);
+    if (success) {
+      // Re-render both views
+      if (this.app) {
+        this.app.render();
+      } else {
+        this.domBuilder.renderAllItems();
+      }
+
+      // Focus on the first item if in edit mode
+      if (this.app && this.app.currentView === 'edit') {
+        const firstItem = document.querySelector('.item-statement');
+        const addBtn = document.getElementById('add-outcome-btn');
+        this.accessibility.focusElement(firstItem || addBtn);
+      }
+    }
+  }
+
+  /**
+   * Import from URL
+   */
+  async handleImportURL() {
+    const urlInput = document.getElementById('import-url-input');
+    const url = urlInput ? urlInput.value.trim() : '';
+
+    if (!url) {
+      alert('Please enter a URL.');
+      return;
+    }
+
+    const success = await importTocDataFromURL(url, this.dataModel, this.storage, this.accessibility);
+    if (success) {
+      // Re-render both views, for the new document
+      if (this.app) {
+        this.app.showDocument();
       }
 
       // Clear the input
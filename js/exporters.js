@@ -3,6 +3,28 @@
  */
 
 import { downloadFile, getTimestamp, formatDate } from './utils.js';
+import {
+  getLevels,
+  getChildItems,
+  getParentItems,
+  getItemNumbers,
+  getContributionTargets,
+  getVisibleIds,
+  describeFilter,
+  getStatus,
+  getStatusCounts,
+  getPerson,
+  describePerson,
+  getCausalLink,
+  createReferenceNotes,
+  describeIndicatorDetails,
+  describeIndicatorProgress,
+  getDefaultLanguage,
+  describeLanguage,
+  getTranslatableTexts,
+  translateData
+} from './dataModel.js';
+import { TOC_JSON_SCHEMA } from './validation.js';
 
 /**
  * Export data as JSON
@@ -21,13 +43,33 @@ export function exportToJSON(dataModel) {
   }
 }
 
+/**
+ * Export the JSON Schema of the Theory of Change format
+ * Lets other tools validate documents before importing them
+ */
+export function exportJSONSchema() {
+  try {
+    const jsonString = JSON.stringify(TOC_JSON_SCHEMA, null, 2);
+    downloadFile(jsonString, 'toc.schema.json', 'application/schema+json');
+    return true;
+  } catch (error) {
+    console.error('Error exporting JSON Schema:', error);
+    alert('Failed to export JSON Schema file. Please try again.');
+    return false;
+  }
+}
+
 /**
  * Export data as Markdown
  * @param {TocDataModel} dataModel
+ * @param {Object} filter - Only export the elements matching this filter and
+ *   the items above them (see getVisibleIds)
+ * @param {string|null} language - Language of the texts, null for the
+ *   default language (see translateData)
  */
-export function exportToMarkdown(dataModel) {
+export function exportToMarkdown(dataModel, filter = {}, language = null) {
   try {
-    const markdown = generateMarkdown(dataModel.getData());
+    const markdown = generateMarkdown(dataModel.getData(), filter, language);
     const filename = `theory-of-change-${getTimestamp()}.md`;
     downloadFile(markdown, filename, 'text/markdown');
     return true;
@@ -41,9 +83,16 @@ export function exportToMarkdown(dataModel) {
 /**
  * Generate Markdown content from data
  * @param {Object} data
+ * @param {Object} filter - Only include the elements matching this filter
+ *   and the items above them (everything if empty)
+ * @param {string|null} language - Language of the texts, null for the
+ *   default language
  * @returns {string}
  */
-function generateMarkdown(data) {
+function generateMarkdown(data, filter = {}, language = null) {
+  data = translateData(data, language);
+  const visible = getVisibleIds(data, filter);
+  const notes = createReferenceNotes();
   let markdown = '';
 
   // Title and metadata
@@ -52,66 +101,349 @@ function generateMarkdown(data) {
   if (data.lastModified) {
     markdown += `*Last modified: ${formatDate(data.lastModified)}*\n\n`;
   }
+  const filterDescription = describeFilter(data, filter);
+  if (filterDescription) {
+    markdown += `*Filtered: elements ${filterDescription}, with the items above them*\n\n`;
+  }
+  if (visible && !filter.showRetired && getStatusCounts(data).retired > 0) {
+    markdown += '*Retired elements are not included*\n\n';
+  }
+  const defaultLanguage = getDefaultLanguage(data);
+  if (defaultLanguage) {
+    markdown += `*Language: ${describeLanguage(language || defaultLanguage)}*\n\n`;
+    if (getTranslatableTexts(data).some(({ element }) => element.textLanguage)) {
+      markdown += `*Texts without a translation are in ${describeLanguage(defaultLanguage)}*\n\n`;
+    }
+  }
   markdown += '---\n\n';
 
   // Impact Statement
   markdown += '## Impact Statement\n\n';
   markdown += `${data.impact.statement}\n\n`;
+  markdown += generateTagsMarkdown(data.impact.tags, '**');
+
+  // Previous versions of the impact statement, most recent first
+  const previousVersions = data.impact.previousVersions || [];
+  if (previousVersions.length > 0) {
+    markdown += '**Previous versions:**\n\n';
+    previousVersions.slice().reverse().forEach(version => {
+      markdown += `- ${version.statement} *(replaced ${formatDate(version.replacedAt)})*\n`;
+      if (version.rationale) {
+        markdown += `  - Rationale: ${version.rationale}\n`;
+      }
+    });
+    markdown += '\n';
+  }
+
   markdown += '---\n\n';
 
-  // Outcomes
-  if (data.outcomes.length > 0) {
-    markdown += '## Outcomes\n\n';
+  // Items of the first level, with the items below them
+  const level = getLevels(data)[0];
+  const items = data[level.key];
+  markdown += `## ${level.pluralName}\n\n`;
+  if (visible && !items.some(item => visible.has(item.id))) {
+    markdown += `*No ${level.pluralName.toLowerCase()} match the filter*\n\n`;
+  } else if (items.length > 0) {
+    const numbers = getItemNumbers(data);
+    items.forEach((item, index) => {
+      if (visible && !visible.has(item.id)) return;
+      markdown += generateItemMarkdown(data, 0, item, null, `${index + 1}`, numbers, visible, notes);
+      markdown += '---\n\n';
+    });
+  } else {
+    markdown += `*No ${level.pluralName.toLowerCase()} defined yet*\n\n`;
+  }
 
-    data.outcomes.forEach((outcome, outcomeIndex) => {
-      markdown += `### Outcome ${outcomeIndex + 1}\n\n`;
+  markdown += generateReferencesMarkdown(notes.references);
 
-      if (outcome.statement) {
-        markdown += `${outcome.statement}\n\n`;
-      } else {
-        markdown += '*No statement provided*\n\n';
-      }
+  markdown += generateReviewMarkdown(data, visible);
 
-      // Outcome Indicators
-      if (outcome.indicators.length > 0) {
-        markdown += '**Indicators:**\n\n';
-        outcome.indicators.forEach((indicator, indicatorIndex) => {
-          const description = indicator.description || '*No description*';
-          markdown += `${indicatorIndex + 1}. ${description}\n`;
-        });
-        markdown += '\n';
-      }
+  return markdown;
+}
 
-      // Outputs
-      if (outcome.outputs.length > 0) {
-        markdown += '**Outputs:**\n\n';
-
-        outcome.outputs.forEach((output, outputIndex) => {
-          markdown += `#### Output ${outcomeIndex + 1}.${outputIndex + 1}\n\n`;
-
-          if (output.statement) {
-            markdown += `${output.statement}\n\n`;
-          } else {
-            markdown += '*No statement provided*\n\n';
-          }
-
-          // Output Indicators
-          if (output.indicators.length > 0) {
-            markdown += '*Indicators:*\n\n';
-            output.indicators.forEach((indicator, indicatorIndex) => {
-              const description = indicator.description || '*No description*';
-              markdown += `- ${description}\n`;
-            });
-            markdown += '\n';
-          }
-        });
-      }
+/**
+ * Generate the footnotes defining the references cited by the items and links
+ * @param {Array} references - In the order of their footnote numbers
+ * @returns {string} Empty if no reference was cited
+ */
+function generateReferencesMarkdown(references) {
+  if (references.length === 0) return '';
 
-      markdown += '---\n\n';
+  let markdown = '## References\n\n';
+  references.forEach((reference, index) => {
+    const source = reference.source ? ` — ${reference.source}` : '';
+    markdown += `[^${index + 1}]: **${reference.title || 'Untitled reference'}**${source} ` +
+      `(${reference.type}, ${reference.strength} evidence)\n`;
+  });
+  markdown += '\n';
+
+  return markdown;
+}
+
+/**
+ * Generate the footnote markers of the references of an item or causal link
+ * @param {Array|undefined} references
+ * @param {Object} notes - Result of createReferenceNotes
+ * @returns {string} Empty if there are no references
+ */
+function generateReferenceMarkers(references, notes) {
+  return (references || []).map(reference => `[^${notes.cite(reference)}]`).join('');
+}
+
+/**
+ * Generate the review appendix: the comment threads of the impact, items
+ * and indicators, in document order
+ * @param {Object} data
+ * @param {Set|null} visible - IDs of the items and indicators to include (null for all)
+ * @returns {string} Empty if there are no comments
+ */
+function generateReviewMarkdown(data, visible) {
+  const isVisible = node => !visible || visible.has(node.id);
+  const numbers = getItemNumbers(data);
+  const sections = [];
+  const addSection = (title, element) => {
+    if (element.comments && element.comments.length > 0) {
+      sections.push({ title, comments: element.comments });
+    }
+  };
+
+  addSection('Impact Statement', data.impact);
+  getLevels(data).forEach(level => {
+    data[level.key].filter(isVisible).forEach(item => {
+      const label = numbers.has(item.id) ? `${level.name} ${numbers.get(item.id)}` : `Unlinked ${level.name.toLowerCase()}`;
+      addSection(label, item);
+      (item.indicators || []).forEach((indicator, index) => {
+        if (isVisible(indicator)) {
+          addSection(`${label}, indicator ${index + 1}`, indicator);
+        }
+      });
+    });
+  });
+  if (sections.length === 0) return '';
+
+  let markdown = '## Review Comments\n\n';
+  sections.forEach(({ title, comments }) => {
+    markdown += `### ${title}\n\n`;
+    comments.forEach(comment => {
+      markdown += generateCommentMarkdown(comment, '', comment.resolved ? ' *(resolved)*' : '');
+      (comment.replies || []).forEach(reply => {
+        markdown += generateCommentMarkdown(reply, '  ', '');
+      });
     });
+    markdown += '\n';
+  });
+
+  return markdown;
+}
+
+/**
+ * Generate the list item of a comment or reply
+ * @param {Object} message - { author, text, createdAt }
+ * @param {string} indent - Indentation of the list item
+ * @param {string} suffix - Appended after the date (e.g. the resolved state)
+ * @returns {string}
+ */
+function generateCommentMarkdown(message, indent, suffix) {
+  const text = message.text.replace(/\n/g, `\n${indent}  `);
+  return `${indent}- **${message.author || 'Anonymous'}**, ${formatDate(message.createdAt)}${suffix}: ${text}\n`;
+}
+
+/**
+ * Generate Markdown for an item and, recursively, the items below it
+ * Items of the first level use level 3 headings, the items below them the
+ * next heading levels (down to level 6).
+ * @param {Object} data
+ * @param {number} levelIndex - Level of the item
+ * @param {Object} item
+ * @param {Object|null} parent - Item the item contributes to (null for the first level)
+ * @param {string} number - Position of the item in the hierarchy (e.g. '1.2')
+ * @param {Map} numbers - Result of getItemNumbers
+ * @param {Set|null} visible - IDs of the items and indicators to include (null for all)
+ * @param {Object} notes - Result of createReferenceNotes, numbering the
+ *   references cited as footnotes
+ * @returns {string}
+ */
+function generateItemMarkdown(data, levelIndex, item, parent, number, numbers, visible, notes) {
+  const levels = getLevels(data);
+  const level = levels[levelIndex];
+  const parentLevel = levels[levelIndex - 1];
+  const emphasis = levelIndex === 0 ? '**' : '*';
+  const isVisible = node => !visible || visible.has(node.id);
+  let markdown = '';
+
+  markdown += `${'#'.repeat(Math.min(3 + levelIndex, 6))} ${level.name} ${number}\n\n`;
+
+  if (item.statement) {
+    markdown += `${item.statement}${generateReferenceMarkers(item.references, notes)}\n\n`;
   } else {
-    markdown += '## Outcomes\n\n';
-    markdown += '*No outcomes defined yet*\n\n';
+    markdown += `*No statement provided*${generateReferenceMarkers(item.references, notes)}\n\n`;
+  }
+
+  // Drafts are the default, only other statuses are written
+  if (getStatus(item) !== 'draft') {
+    markdown += `${emphasis}Status:${emphasis} ${getStatus(item)}\n\n`;
+  }
+  markdown += generateTagsMarkdown(item.tags, emphasis);
+  generateAssignmentsMarkdown(data, item).forEach(line => {
+    markdown += `${emphasis}${line.label}:${emphasis} ${line.value}\n\n`;
+  });
+
+  // Other items of the level above this item contributes to
+  if (parent) {
+    const sharedWith = getParentItems(data, level.key, item.id).filter(p => p.id !== parent.id);
+    if (sharedWith.length > 0) {
+      const names = sharedWith.map(p => `${parentLevel.name} ${numbers.get(p.id)}`);
+      markdown += `*Shared with ${names.join(', ')}*\n\n`;
+    }
+  }
+
+  // Indicators, numbered for the first level
+  const indicators = level.indicators ? item.indicators.filter(isVisible) : [];
+  if (indicators.length > 0) {
+    markdown += `${emphasis}Indicators:${emphasis}\n\n`;
+    indicators.forEach((indicator, indicatorIndex) => {
+      const description = indicator.description || '*No description*';
+      const marker = levelIndex === 0 ? `${indicatorIndex + 1}. ` : '- ';
+      const indent = ' '.repeat(marker.length);
+      markdown += `${marker}${description}\n`;
+      if (getStatus(indicator) !== 'draft') {
+        markdown += `${indent}- Status: ${getStatus(indicator)}\n`;
+      }
+      if (indicator.tags && indicator.tags.length > 0) {
+        markdown += `${indent}- Tags: ${indicator.tags.join(', ')}\n`;
+      }
+      generateAssignmentsMarkdown(data, indicator).forEach(line => {
+        markdown += `${indent}- ${line.label}: ${line.value}\n`;
+      });
+      describeIndicatorDetails(indicator).forEach(line => {
+        markdown += `${indent}- ${line}\n`;
+      });
+      markdown += generateProgressMarkdown(indicator, indent);
+    });
+    markdown += '\n';
+  }
+
+  // Assumptions, risks and evidence of the link to the parent or the impact
+  const targetLabel = parent ? `the ${parentLevel.name.toLowerCase()}` : 'the impact';
+  markdown += generateCausalLinkMarkdown(getCausalLink(data, item.id, parent ? parent.id : data.impact.id), targetLabel, emphasis, notes);
+
+  // Items of the same level this item contributes to
+  const targets = getContributionTargets(data, level.key, item.id).filter(isVisible);
+  if (targets.length > 0) {
+    const names = targets.map(target => `${level.name} ${numbers.get(target.id)}`);
+    markdown += `${emphasis}Contributes to:${emphasis} ${names.join(', ')}\n\n`;
+  }
+
+  // Items of the level below
+  const children = getChildItems(data, level.key, item);
+  if (children.some(isVisible)) {
+    markdown += `${emphasis}${levels[levelIndex + 1].pluralName}:${emphasis}\n\n`;
+    children.forEach((child, index) => {
+      if (!isVisible(child)) return;
+      markdown += generateItemMarkdown(data, levelIndex + 1, child, item, `${number}.${index + 1}`, numbers, visible, notes);
+    });
+  }
+
+  return markdown;
+}
+
+/**
+ * Generate Markdown for the tags of the impact or an item
+ * @param {Array|undefined} tags
+ * @param {string} emphasis - Markdown emphasis of the label ('**' or '*')
+ * @returns {string} Empty if there are no tags
+ */
+function generateTagsMarkdown(tags, emphasis) {
+  if (!tags || tags.length === 0) return '';
+  return `${emphasis}Tags:${emphasis} ${tags.join(', ')}\n\n`;
+}
+
+/**
+ * Describe the owner and contributors of an item or indicator
+ * @param {Object} data
+ * @param {Object} node - Item or indicator
+ * @returns {Array} { label, value } lines, empty if nobody is assigned
+ */
+function generateAssignmentsMarkdown(data, node) {
+  const lines = [];
+  const owner = node.ownerId ? getPerson(data, node.ownerId) : null;
+  if (owner) {
+    lines.push({ label: 'Owner', value: describePerson(owner) });
+  }
+  const contributors = (node.contributorIds || []).map(id => getPerson(data, id)).filter(Boolean);
+  if (contributors.length > 0) {
+    lines.push({ label: 'Contributors', value: contributors.map(describePerson).join(', ') });
+  }
+  return lines;
+}
+
+/**
+ * Generate Markdown for the progress of an indicator: a summary line and a
+ * table of its measurements, oldest first, nested in the indicator list item
+ * @param {Object} indicator
+ * @param {string} indent - Indentation of the list item content
+ * @returns {string} Empty if the indicator has no measurements
+ */
+function generateProgressMarkdown(indicator, indent) {
+  const measurements = indicator.measurements || [];
+  if (measurements.length === 0) return '';
+
+  const escapeCell = text => (text || '').replace(/\|/g, '\\|');
+  let markdown = '';
+
+  const progress = describeIndicatorProgress(indicator);
+  if (progress) {
+    markdown += `${indent}- Progress: ${progress}\n`;
+  }
+
+  markdown += '\n';
+  markdown += `${indent}| Date | Value | Note | Source |\n`;
+  markdown += `${indent}| --- | --- | --- | --- |\n`;
+  measurements
+    .slice()
+    .sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+    .forEach(measurement => {
+      const value = measurement.value === null || measurement.value === undefined ? '' : measurement.value;
+      markdown += `${indent}| ${measurement.date || ''} | ${value} | ${escapeCell(measurement.note)} | ${escapeCell(measurement.source)} |\n`;
+    });
+  markdown += '\n';
+
+  return markdown;
+}
+
+/**
+ * Generate Markdown for the assumptions, risks and evidence of a causal link
+ * @param {Object|null} link
+ * @param {string} targetLabel - What the link leads to (e.g. 'the impact')
+ * @param {string} emphasis - Markdown emphasis for the headings ('**' or '*')
+ * @param {Object} notes - Result of createReferenceNotes
+ * @returns {string} Empty if the link has no assumptions, risks or evidence
+ */
+function generateCausalLinkMarkdown(link, targetLabel, emphasis, notes) {
+  if (!link) return '';
+  let markdown = '';
+
+  if (link.assumptions.length > 0) {
+    markdown += `${emphasis}Assumptions (leading to ${targetLabel}):${emphasis}\n\n`;
+    link.assumptions.forEach(assumption => {
+      markdown += `- ${assumption.description || '*No description*'}\n`;
+    });
+    markdown += '\n';
+  }
+
+  if (link.risks.length > 0) {
+    markdown += `${emphasis}Risks (to reaching ${targetLabel}):${emphasis}\n\n`;
+    markdown += '| Risk | Likelihood | Impact |\n';
+    markdown += '| --- | --- | --- |\n';
+    link.risks.forEach(risk => {
+      const description = (risk.description || '*No description*').replace(/\|/g, '\\|');
+      markdown += `| ${description} | ${risk.likelihood} | ${risk.impact} |\n`;
+    });
+    markdown += '\n';
+  }
+
+  if (link.references && link.references.length > 0) {
+    markdown += `${emphasis}Evidence (for the link to ${targetLabel}):${emphasis} ${generateReferenceMarkers(link.references, notes)}\n\n`;
   }
 
   return markdown;
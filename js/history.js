@@ -0,0 +1,259 @@
+/**
+ * Command history for undo/redo
+ * Records every data model mutation as an invertible operation
+ */
+
+const HISTORY_LIMIT = 100;
+const COALESCE_DELAY = 2000; // 2 seconds
+
+// Change types emitted when replaying history; never recorded themselves
+const REPLAY_TYPES = ['history-undo', 'history-redo'];
+
+export class HistoryManager {
+  constructor(dataModel) {
+    this.dataModel = dataModel;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.listeners = [];
+
+    // Subscribe to model changes to record them
+    this.dataModel.subscribe((changeType, payload) => {
+      this.handleChange(changeType, payload);
+    });
+  }
+
+  /**
+   * Subscribe to history changes
+   * @param {Function} callback - Called whenever the undo/redo stacks change
+   */
+  subscribe(callback) {
+    this.listeners.push(callback);
+  }
+
+  /**
+   * Notify all listeners that the history changed
+   */
+  notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  /**
+   * Record a model change
+   * @param {string} changeType
+   * @param {Object} payload
+   */
+  handleChange(changeType, payload) {
+    if (changeType === 'data-loaded') {
+      this.clear();
+      return;
+    }
+
+    if (REPLAY_TYPES.includes(changeType) || !payload || !payload.operations) {
+      return;
+    }
+
+    const { operations, inverse, ...details } = payload;
+    const entry = {
+      changeType,
+      payload: details,
+      operations,
+      inverse,
+      timestamp: Date.now()
+    };
+
+    const previous = this.undoStack[this.undoStack.length - 1];
+    if (this.canCoalesce(previous, entry)) {
+      // Revert the next change, then the coalesced one, so that undo
+      // restores the value from before the first keystroke
+      previous.operations = this.mergeOperations(previous.operations, entry.operations);
+      previous.inverse = entry.inverse.concat(previous.inverse);
+      previous.timestamp = entry.timestamp;
+    } else {
+      this.undoStack.push(entry);
+      if (this.undoStack.length > HISTORY_LIMIT) {
+        this.undoStack.shift();
+      }
+    }
+
+    this.redoStack = [];
+    this.notify();
+  }
+
+  /**
+   * Check whether a new entry continues editing the same field
+   * as the previous one (e.g. successive keystrokes)
+   * Changes notified with coalesce: false in their payload, such as saves
+   * of a form, and changes doing more than setting values, such as
+   * inserting into a list, are kept as entries of their own.
+   * @param {Object|undefined} previous
+   * @param {Object} entry
+   * @returns {boolean}
+   */
+  canCoalesce(previous, entry) {
+    if (!previous || !entry.changeType.endsWith('-updated')) return false;
+    if (previous.payload.coalesce === false || entry.payload.coalesce === false) return false;
+    if (!onlySetsValues(previous) || !onlySetsValues(entry)) return false;
+    if (this.redoStack.length > 0) return false;
+    if (entry.timestamp - previous.timestamp > COALESCE_DELAY) return false;
+    return this.getEntryKey(previous) === this.getEntryKey(entry);
+  }
+
+  /**
+   * Combine the operations of a coalesced entry with those of the next
+   * change, so that redo replays both
+   * A 'set' of the same key replaces the earlier one in place; operations
+   * only the earlier change made, e.g. creating the object a value is set
+   * in, are kept.
+   * @param {Array} operations - Operations of the coalesced entry
+   * @param {Array} newOperations - Operations of the next change
+   * @returns {Array}
+   */
+  mergeOperations(operations, newOperations) {
+    const getSetKey = operation => operation.op === 'set' ? JSON.stringify([operation.path, operation.key]) : null;
+    const merged = operations.slice();
+    newOperations.forEach(operation => {
+      const key = getSetKey(operation);
+      const index = key === null ? -1 : merged.findIndex(previous => getSetKey(previous) === key);
+      if (index === -1) {
+        merged.push(operation);
+      } else {
+        merged[index] = operation;
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Build a key identifying the element and field an entry applies to
+   * @param {Object} entry
+   * @returns {string}
+   */
+  getEntryKey(entry) {
+    const {
+      levelKey, itemId, indicatorId, measurementId, sourceId, targetId, assumptionId, riskId, referenceId, personId, language, field
+    } = entry.payload;
+    return [
+      entry.changeType, levelKey, itemId, indicatorId, measurementId, sourceId, targetId, assumptionId, riskId, referenceId, personId, language, field
+    ].join(':');
+  }
+
+  /**
+   * Undo the last change
+   * @returns {Object|null} The entry that was undone
+   * @throws {Error} If the change cannot be reverted; the data and the
+   *   history are left as they were
+   */
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+
+    try {
+      this.dataModel.commit('history-undo', { changeType: entry.changeType, ...entry.payload }, entry.inverse);
+    } catch (error) {
+      this.undoStack.push(entry);
+      throw error;
+    }
+    this.redoStack.push(entry);
+    this.notify();
+    return entry;
+  }
+
+  /**
+   * Redo the last undone change
+   * @returns {Object|null} The entry that was redone
+   * @throws {Error} If the change cannot be replayed; the data and the
+   *   history are left as they were
+   */
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+
+    try {
+      this.dataModel.commit('history-redo', { changeType: entry.changeType, ...entry.payload }, entry.operations);
+    } catch (error) {
+      this.redoStack.push(entry);
+      throw error;
+    }
+    this.undoStack.push(entry);
+    this.notify();
+    return entry;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Get a human-readable description of the next change to undo
+   * @returns {string|null}
+   */
+  getUndoLabel() {
+    const entry = this.undoStack[this.undoStack.length - 1];
+    return entry ? describeChange(entry.changeType) : null;
+  }
+
+  /**
+   * Get a human-readable description of the next change to redo
+   * @returns {string|null}
+   */
+  getRedoLabel() {
+    const entry = this.redoStack[this.redoStack.length - 1];
+    return entry ? describeChange(entry.changeType) : null;
+  }
+
+  /**
+   * Clear all history (e.g. when new data is loaded)
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.notify();
+  }
+}
+
+/**
+ * Check whether the operations of an entry only set values
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+function onlySetsValues(entry) {
+  return entry.operations.every(operation => operation.op === 'set');
+}
+
+/**
+ * Describe a change type in plain words
+ * e.g. 'output-indicator-deleted' becomes 'delete output indicator'
+ * @param {string} changeType
+ * @returns {string}
+ */
+export function describeChange(changeType) {
+  const verbs = {
+    added: 'add',
+    deleted: 'delete',
+    updated: 'edit',
+    changed: 'change',
+    moved: 'move',
+    duplicated: 'duplicate',
+    applied: 'apply',
+    replaced: 'replace',
+    resolved: 'resolve',
+    reopened: 'reopen',
+    restored: 'restore'
+  };
+  const parts = changeType.split('-');
+  const verb = verbs[parts[parts.length - 1]];
+  if (!verb) {
+    return parts.join(' ');
+  }
+  return `${verb} ${parts.slice(0, -1).join(' ')}`;
+}
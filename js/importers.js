@@ -2,6 +2,24 @@
  * Import functions for loading Theory of Change data from files
  */
 
+import { migrateData } from './migrations.js';
+import { repairDocument } from './validation.js';
+
+/**
+ * Create the error raised when a document does not match the format
+ * @param {string} message
+ * @param {Object} data - The migrated document, kept to offer a repair
+ * @param {Array} errors - { path, message } objects from validation
+ * @returns {Error}
+ */
+function createInvalidDocumentError(message, data, errors) {
+  const error = new Error(message);
+  error.name = 'InvalidDocumentError';
+  error.data = data;
+  error.errors = errors;
+  return error;
+}
+
 /**
  * Import data from a JSON file
  * @param {File} file - The JSON file to import
@@ -27,11 +45,15 @@ export function importFromJSON(file, storage) {
     reader.onload = (e) => {
       try {
         const jsonString = e.target.result;
-        const data = JSON.parse(jsonString);
+        const data = migrateData(JSON.parse(jsonString));
 
         // Validate data structure using storage manager's validation
-        if (!storage.isValidData(data)) {
-          reject(new Error('Invalid data structure. The JSON file does not match the expected Theory of Change format.'));
+        const errors = storage.getValidationErrors(data);
+        if (errors.length > 0) {
+          reject(createInvalidDocumentError(
+            'Invalid data structure. The JSON file does not match the expected Theory of Change format.',
+            data, errors
+          ));
           return;
         }
 
@@ -104,7 +126,7 @@ export function selectFile() {
 export async function importTocData(dataModel, storage, accessibility) {
   try {
     // Check if there's existing data
-    const hasData = dataModel.getData().outcomes.length > 0;
+    const hasData = dataModel.hasItems();
 
     if (hasData) {
       const confirmed = confirm(
@@ -122,14 +144,15 @@ export async function importTocData(dataModel, storage, accessibility) {
     // Select file
     const file = await selectFile();
 
-    // Import and validate
-    const data = await importFromJSON(file, storage);
+    // Import and validate, offering to repair invalid documents
+    const data = await importWithRepair(() => importFromJSON(file, storage), storage, accessibility);
+    if (!data) return false;
 
     // Update data model
     dataModel.setData(data);
 
-    // Save to localStorage
-    const saveResult = storage.save();
+    // Save to storage
+    const saveResult = await storage.save();
 
     if (saveResult.success) {
       accessibility.announce('Theory of Change imported successfully.');
@@ -190,11 +213,15 @@ export async function importFromURL(url, storage) {
     }
 
     // Parse JSON
-    const data = await response.json();
+    const data = migrateData(await response.json());
 
     // Validate data structure
-    if (!storage.isValidData(data)) {
-      throw new Error('Invalid data structure. The JSON from this URL does not match the expected Theory of Change format.');
+    const errors = storage.getValidationErrors(data);
+    if (errors.length > 0) {
+      throw createInvalidDocumentError(
+        'Invalid data structure. The JSON from this URL does not match the expected Theory of Change format.',
+        data, errors
+      );
     }
 
     return data;
@@ -211,7 +238,23 @@ export async function importFromURL(url, storage) {
 }
 
 /**
- * Import ToC data from URL with confirmation
+ * Derive the title of a document imported from a URL from its file name
+ * e.g. 'tocs/dom.json' becomes 'dom'
+ * @param {string} url
+ * @returns {string}
+ */
+export function getTitleFromURL(url) {
+  const name = url.split(/[?#]/)[0].split('/').filter(Boolean).pop() || url;
+  try {
+    return decodeURIComponent(name).replace(/\.json$/i, '') || url;
+  } catch (error) {
+    return name;
+  }
+}
+
+/**
+ * Import ToC data from URL as a new document of the library
+ * The current document is kept as is.
  * @param {string} url - URL to fetch JSON from
  * @param {TocDataModel} dataModel - Data model to update
  * @param {StorageManager} storage - Storage manager
@@ -220,33 +263,19 @@ export async function importFromURL(url, storage) {
  */
 export async function importTocDataFromURL(url, dataModel, storage, accessibility) {
   try {
-    // Check if there's existing data
-    const hasData = dataModel.getData().outcomes.length > 0;
-
-    if (hasData) {
-      const confirmed = confirm(
-        'Importing will replace your current Theory of Change data. ' +
-        'Make sure you have exported your current work before proceeding.\n\n' +
-        'Do you want to continue?'
-      );
-
-      if (!confirmed) {
-        accessibility.announce('Import cancelled.');
-        return false;
-      }
-    }
-
-    // Import and validate
-    const data = await importFromURL(url, storage);
+    // Import and validate, offering to repair invalid documents
+    const data = await importWithRepair(() => importFromURL(url, storage), storage, accessibility);
+    if (!data) return false;
 
-    // Update data model
+    // Open it as a new document
+    await storage.createDocument(getTitleFromURL(url), url);
     dataModel.setData(data);
 
-    // Save to localStorage
-    const saveResult = storage.save();
+    // Save to storage
+    const saveResult = await storage.save();
 
     if (saveResult.success) {
-      accessibility.announce('Theory of Change imported from URL successfully.');
+      accessibility.announce(`Theory of Change imported from URL as new document "${storage.getCurrentDocument().title}".`);
       return true;
     } else {
       throw new Error('Failed to save imported data.');
@@ -267,3 +296,138 @@ export async function importTocDataFromURL(url, dataModel, storage, accessibilit
     return false;
   }
 }
+
+/**
+ * Load a document, offering to repair it if it does not match the format
+ * The problems are listed in a dialog. The repair is only offered when
+ * repairDocument fixes all of them.
+ * @param {Function} load - Returns a promise of the validated data
+ * @param {StorageManager} storage - Storage manager for validation
+ * @param {AccessibilityManager} accessibility - Accessibility manager for announcements
+ * @returns {Promise<Object|null>} Resolves with the (repaired) data, or null
+ *   if the user cancels the import
+ */
+export async function importWithRepair(load, storage, accessibility) {
+  try {
+    return await load();
+  } catch (error) {
+    if (error.name !== 'InvalidDocumentError') throw error;
+
+    const repaired = JSON.parse(JSON.stringify(error.data));
+    const repairs = repairDocument(repaired);
+    const canRepair = repairs.length > 0 && storage.isValidData(repaired);
+
+    const confirmed = await showValidationDialog(error.errors, canRepair ? repairs : null);
+    if (!confirmed) {
+      accessibility.announce('Import cancelled.');
+      return null;
+    }
+
+    console.log('Repaired document:', repairs);
+    return repaired;
+  }
+}
+
+/**
+ * Show the problems of an invalid document in a modal dialog
+ * Focus stays in the dialog until it is closed, then returns to the
+ * element that had it.
+ * @param {Array} errors - { path, message } objects from validation
+ * @param {Array|null} repairs - Repairs that fix all the problems, or null
+ *   if the document cannot be repaired
+ * @returns {Promise<boolean>} Resolves with true if the user chooses to
+ *   repair the document, false if the import is cancelled
+ */
+export function showValidationDialog(errors, repairs) {
+  return new Promise(resolve => {
+    const previousFocus = document.activeElement;
+    const count = `${errors.length} problem${errors.length === 1 ? '' : 's'}`;
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'modal-content validation-dialog';
+    dialog.setAttribute('role', 'alertdialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', 'validation-dialog-title');
+    dialog.setAttribute('aria-describedby', 'validation-dialog-summary');
+
+    const title = document.createElement('h2');
+    title.id = 'validation-dialog-title';
+    title.textContent = 'This file cannot be imported as is';
+    dialog.appendChild(title);
+
+    const summary = document.createElement('p');
+    summary.id = 'validation-dialog-summary';
+    summary.textContent = repairs
+      ? `${count} found. They can all be fixed by filling in missing IDs and empty lists; the rest of the file is kept as is.`
+      : `${count} found. Fix them in the file and import it again.`;
+    dialog.appendChild(summary);
+
+    // Scrollable list, focusable so that keyboard users can scroll it
+    const list = document.createElement('ul');
+    list.className = 'validation-errors';
+    list.tabIndex = 0;
+    list.setAttribute('aria-label', 'Problems');
+    errors.forEach(error => {
+      const entry = document.createElement('li');
+      const path = document.createElement('code');
+      path.textContent = error.path || 'document';
+      entry.append(path, ` ${error.message}`);
+      list.appendChild(entry);
+    });
+    dialog.appendChild(list);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'button-group';
+    if (repairs) {
+      const repairBtn = document.createElement('button');
+      repairBtn.type = 'button';
+      repairBtn.className = 'action-btn primary-action';
+      repairBtn.textContent = 'Repair and Import';
+      repairBtn.addEventListener('click', () => close(true));
+      buttons.appendChild(repairBtn);
+    }
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'action-btn';
+    cancelBtn.textContent = 'Cancel Import';
+    cancelBtn.addEventListener('click', () => close(false));
+    buttons.appendChild(cancelBtn);
+    dialog.appendChild(buttons);
+
+    // Close on Escape and keep Tab within the dialog
+    const handleKeydown = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        close(false);
+      } else if (e.key === 'Tab') {
+        const focusable = [list, ...buttons.querySelectorAll('button')];
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+          e.preventDefault();
+          last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+          e.preventDefault();
+          first.focus();
+        }
+      }
+    };
+
+    function close(confirmed) {
+      document.removeEventListener('keydown', handleKeydown);
+      backdrop.remove();
+      if (previousFocus && typeof previousFocus.focus === 'function') {
+        previousFocus.focus();
+      }
+      resolve(confirmed);
+    }
+
+    document.addEventListener('keydown', handleKeydown);
+    backdrop.appendChild(dialog);
+    document.body.appendChild(backdrop);
+    buttons.querySelector('button').focus();
+  });
+}
@@ -0,0 +1,221 @@
+/**
+ * Migrations for Theory of Change documents
+ * Upgrade data saved by earlier versions of the tool to the current format
+ */
+
+import { getDefaultSchema, isValidSchema } from './schema.js';
+
+export const CURRENT_VERSION = '1.2';
+
+/**
+ * Steps upgrading documents from one format version to the next, oldest first
+ * - from: version the step applies to
+ * - to: version of the document after the step
+ * - description: what the step changes, recorded in the migration log of the
+ *   document
+ * - migrate: function upgrading the data in place
+ */
+const MIGRATIONS = [
+  {
+    from: '1.0',
+    to: '1.1',
+    description: 'Moved outputs nested in outcomes to a registry shared by ID',
+    migrate(data) {
+      if (Array.isArray(data.outcomes)) {
+        migrateSharedOutputs(data);
+      }
+    }
+  },
+  {
+    from: '1.1',
+    to: '1.2',
+    description: 'Added the level schema (outcomes → outputs)',
+    migrate(data) {
+      if (data.schema === undefined) {
+        data.schema = getDefaultSchema();
+      }
+    }
+  }
+];
+
+/**
+ * Compare two "major.minor" version strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative if a is older than b, positive if newer, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const parse = version => String(version).split('.').map(part => parseInt(part, 10) || 0);
+  const [aMajor, aMinor = 0] = parse(a);
+  const [bMajor, bMinor = 0] = parse(b);
+  return aMajor !== bMajor ? aMajor - bMajor : aMinor - bMinor;
+}
+
+/**
+ * Create the error raised for documents whose version cannot be migrated
+ * Its name lets callers tell it apart from parsing and validation errors.
+ * @param {string} message
+ * @returns {Error}
+ */
+function createVersionError(message) {
+  const error = new Error(message);
+  error.name = 'UnsupportedVersionError';
+  return error;
+}
+
+/**
+ * Upgrade data to the current format, one version at a time
+ * Each step applied is appended to the `migrations` log of the document.
+ * Data that does not look like a ToC document at all (no impact or no
+ * version) is returned unchanged so that validation can reject it.
+ * @param {Object} data - Parsed JSON data (modified in place)
+ * @returns {Object} The migrated data
+ * @throws {Error} UnsupportedVersionError if the document comes from a newer
+ *   version of the tool, or has a version no migration starts from
+ */
+export function migrateData(data) {
+  if (!data || typeof data !== 'object' || !data.impact || data.version === undefined) {
+    return data;
+  }
+
+  if (compareVersions(data.version, CURRENT_VERSION) > 0) {
+    throw createVersionError(
+      `This Theory of Change uses format version ${data.version}, which is newer than the version this tool ` +
+      `supports (${CURRENT_VERSION}). Please open it with an up-to-date version of the tool.`
+    );
+  }
+
+  while (data.version !== CURRENT_VERSION) {
+    const step = MIGRATIONS.find(migration => migration.from === data.version);
+    if (!step) {
+      throw createVersionError(
+        `This Theory of Change uses format version ${data.version}, which this tool does not know how to convert.`
+      );
+    }
+
+    step.migrate(data);
+    data.version = step.to;
+    if (!Array.isArray(data.migrations)) {
+      data.migrations = [];
+    }
+    data.migrations.push({
+      from: step.from,
+      to: step.to,
+      description: step.description,
+      appliedAt: new Date().toISOString()
+    });
+    console.log(`Migrated data from version ${step.from} to ${step.to}`);
+  }
+
+  if (isValidSchema(data.schema)) {
+    normalizeLevels(data);
+  }
+
+  return data;
+}
+
+/**
+ * Add the lists the schema expects but the document lacks
+ * This lets a level be added to the schema of an existing document:
+ * its items list and the lists of IDs of the level above are created empty.
+ * Values that are present but of the wrong type are left for validation.
+ * @param {Object} data - Data with a valid schema (modified in place)
+ * @returns {Object} The normalized data
+ */
+export function normalizeLevels(data) {
+  const levels = data.schema.levels;
+
+  levels.forEach((level, index) => {
+    if (data[level.key] === undefined) {
+      data[level.key] = [];
+    }
+    if (!Array.isArray(data[level.key])) return;
+
+    const childLevel = levels[index + 1];
+    data[level.key].forEach(item => {
+      if (!item || typeof item !== 'object') return;
+      if (level.indicators && item.indicators === undefined) {
+        item.indicators = [];
+      }
+      if (childLevel && item[childLevel.idsKey] === undefined) {
+        item[childLevel.idsKey] = [];
+      }
+    });
+  });
+
+  return data;
+}
+
+/**
+ * Move outputs nested in outcomes to a top-level registry referenced by ID
+ * Outputs of different outcomes with the same statement (ignoring case and
+ * surrounding whitespace) become a single output shared by these outcomes.
+ * Their indicators are merged, dropping duplicate descriptions. Outputs
+ * without an ID get one, and entries that are not outputs are dropped.
+ * @param {Object} data - Data in the 1.0 format (modified in place)
+ * @returns {Object} The migrated data
+ */
+export function migrateSharedOutputs(data) {
+  const outputs = Array.isArray(data.outputs) ? data.outputs : [];
+  const outputsByStatement = new Map();
+
+  data.outcomes.forEach(outcome => {
+    if (!outcome || !Array.isArray(outcome.outputs)) return;
+
+    const outputIds = Array.isArray(outcome.outputIds) ? outcome.outputIds : [];
+
+    outcome.outputs.forEach(output => {
+      if (!output || typeof output !== 'object') return;
+      const key = typeof output.statement === 'string' ? output.statement.trim().toLowerCase() : '';
+      const existing = key ? outputsByStatement.get(key) : null;
+
+      if (existing) {
+        mergeIndicators(existing, output);
+        if (!outputIds.includes(existing.id)) {
+          outputIds.push(existing.id);
+        }
+        return;
+      }
+
+      // Outputs were only referenced by nesting, so may have no ID yet
+      if (typeof output.id !== 'string' || !output.id) {
+        output.id = crypto.randomUUID();
+      }
+      outputs.push(output);
+      if (key) {
+        outputsByStatement.set(key, output);
+      }
+      outputIds.push(output.id);
+    });
+
+    delete outcome.outputs;
+    outcome.outputIds = outputIds;
+  });
+
+  data.outputs = outputs;
+  return data;
+}
+
+/**
+ * Add the indicators of a duplicate output to the one it is merged into
+ * @param {Object} target - Output kept in the registry
+ * @param {Object} duplicate - Output being merged
+ */
+function mergeIndicators(target, duplicate) {
+  if (!Array.isArray(duplicate.indicators)) return;
+  if (!Array.isArray(target.indicators)) {
+    target.indicators = [];
+  }
+
+  const descriptions = new Set(
+    target.indicators.map(indicator => (indicator.description || '').trim().toLowerCase())
+  );
+
+  duplicate.indicators.forEach(indicator => {
+    const key = (indicator.description || '').trim().toLowerCase();
+    if (!key || !descriptions.has(key)) {
+      target.indicators.push(indicator);
+      descriptions.add(key);
+    }
+  });
+}
@@ -3,14 +3,50 @@
  * Shows hierarchical relationships in a compact, readable format
  */
 
+import {
+  getLevels,
+  getChildItems,
+  getParentItems,
+  getItemNumbers,
+  getContributionTargets,
+  getAllTags,
+  getVisibleIds,
+  describeFilter,
+  getPeople,
+  getPerson,
+  describePerson,
+  getCommentCounts,
+  describeCommentCounts,
+  getCausalLink,
+  getStatus,
+  getStatusCounts,
+  STATUSES,
+  getRiskLevel,
+  isWebSource,
+  createReferenceNotes,
+  describeIndicatorDetails,
+  getIndicatorProgress,
+  describeIndicatorProgress,
+  getDefaultLanguage,
+  translateData
+} from './dataModel.js';
+
 /**
  * Generate a compact preview of the ToC logic chain
  * @param {Object} data - The ToC data model
+ * @param {Object} filter - Only show the elements matching this filter and
+ *   the items above them (see getVisibleIds)
+ * @param {string|null} language - Language of the texts, null for the
+ *   default language (see translateData)
  * @returns {HTMLElement} - The preview container element
  */
-export function generatePreview(data) {
+export function generatePreview(data, filter = {}, language = null) {
+  data = translateData(data, language);
   const container = document.createElement('div');
   container.className = 'preview-container';
+  if (language || getDefaultLanguage(data)) {
+    container.lang = language || getDefaultLanguage(data);
+  }
 
   // Title
   const title = document.createElement('h2');
@@ -18,6 +54,12 @@ export function generatePreview(data) {
   title.className = 'preview-title';
   container.appendChild(title);
 
+  // How many items and indicators are in each status
+  const statusSummary = createStatusSummary(getStatusCounts(data), filter);
+  if (statusSummary) {
+    container.appendChild(statusSummary);
+  }
+
   // Create the hierarchical structure
   const chain = document.createElement('div');
   chain.className = 'logic-chain';
@@ -26,21 +68,29 @@ export function generatePreview(data) {
   const impactSection = createImpactSection(data.impact);
   chain.appendChild(impactSection);
 
-  // Outcomes level
-  if (data.outcomes.length > 0) {
-    const outcomesSection = createOutcomesSection(data.outcomes);
-    chain.appendChild(outcomesSection);
+  // Items of the first level, with the items below them
+  const levels = getLevels(data);
+  const notes = createReferenceNotes();
+  if (data[levels[0].key].length > 0) {
+    const itemsSection = createItemsSection(data, getVisibleIds(data, filter), notes);
+    chain.appendChild(itemsSection);
   } else {
+    const plural = levels[0].pluralName.toLowerCase();
     const emptyMessage = document.createElement('p');
     emptyMessage.className = 'empty-preview';
-    emptyMessage.textContent = 'No outcomes defined yet. Add outcomes to see the complete logic chain.';
+    emptyMessage.textContent = `No ${plural} defined yet. Add ${plural} to see the complete logic chain.`;
     chain.appendChild(emptyMessage);
   }
 
   container.appendChild(chain);
 
+  // References cited by the items and links shown, as footnotes
+  if (notes.references.length > 0) {
+    container.appendChild(createReferencesSection(notes.references));
+  }
+
   // Add legend
-  const legend = createLegend();
+  const legend = createLegend(levels);
   container.appendChild(legend);
 
   return container;
@@ -68,37 +118,82 @@ function createImpactSection(impact) {
   const statement = document.createElement('div');
   statement.className = 'level-statement';
   statement.textContent = impact.statement;
+  markUntranslated(statement, impact);
+  appendCommentMarker(statement, impact);
   section.appendChild(statement);
 
+  if (impact.tags && impact.tags.length > 0) {
+    section.appendChild(createTagsList(impact.tags));
+  }
+
   return section;
 }
 
 /**
- * Create outcomes section
- * @param {Array} outcomes
+ * Create the section listing the items of the first level
+ * @param {Object} data
+ * @param {Set|null} visible - IDs of the items and indicators to show (null for all)
+ * @param {Object} notes - Result of createReferenceNotes
  * @returns {HTMLElement}
  */
-function createOutcomesSection(outcomes) {
+function createItemsSection(data, visible, notes) {
+  const level = getLevels(data)[0];
+  const items = data[level.key];
+  const shownItems = visible ? items.filter(item => visible.has(item.id)) : items;
+  const numbers = getItemNumbers(data);
   const section = document.createElement('section');
-  section.className = 'preview-level outcomes-level';
+  section.className = 'preview-level items-level';
 
   const header = document.createElement('div');
   header.className = 'level-header';
 
   const badge = document.createElement('span');
-  badge.className = 'level-badge outcomes-badge';
-  badge.textContent = `OUTCOMES (${outcomes.length})`;
+  badge.className = 'level-badge items-badge';
+  badge.textContent = visible
+    ? `${level.pluralName.toUpperCase()} (${shownItems.length} of ${items.length})`
+    : `${level.pluralName.toUpperCase()} (${items.length})`;
 
   header.appendChild(badge);
   section.appendChild(header);
 
-  // Create list of outcomes
+  if (shownItems.length === 0) {
+    const emptyMessage = document.createElement('p');
+    emptyMessage.className = 'empty-preview';
+    emptyMessage.textContent = `No ${level.pluralName.toLowerCase()} match the filter.`;
+    section.appendChild(emptyMessage);
+    return section;
+  }
+
+  // Create list of items
   const list = document.createElement('ul');
-  list.className = 'outcomes-list';
+  list.className = 'items-list';
 
-  outcomes.forEach((outcome, index) => {
-    const item = createOutcomeItem(outcome, index + 1);
-    list.appendChild(item);
+  items.forEach((item, index) => {
+    if (visible && !visible.has(item.id)) return;
+
+    const li = document.createElement('li');
+    li.className = 'top-item';
+
+    const content = document.createElement('div');
+    content.className = 'item-content';
+
+    const number = document.createElement('strong');
+    number.className = 'item-number';
+    number.textContent = `${level.name} ${index + 1}: `;
+
+    const text = document.createElement('span');
+    text.textContent = item.statement || '(No statement provided)';
+    markUntranslated(text, item);
+
+    content.appendChild(number);
+    content.appendChild(text);
+    appendReferenceMarker(content, item.references, notes);
+    appendCommentMarker(content, item);
+    appendStatusBadge(content, item);
+    li.appendChild(content);
+
+    appendItemDetails(data, 0, item, null, numbers, visible, li, notes);
+    list.appendChild(li);
   });
 
   section.appendChild(list);
@@ -107,86 +202,123 @@ function createOutcomesSection(outcomes) {
 }
 
 /**
- * Create a single outcome item with its outputs and indicators
- * @param {Object} outcome
- * @param {number} index
- * @returns {HTMLElement}
+ * Append the tags, assignments and indicators of an item, the assumptions,
+ * risks and evidence of its link to its parent (or to the impact) and the
+ * items below it
+ * @param {Object} data
+ * @param {number} levelIndex - Level of the item
+ * @param {Object} item
+ * @param {Object|null} parent - Item the item contributes to (null for the first level)
+ * @param {Map} numbers - Result of getItemNumbers
+ * @param {Set|null} visible - IDs of the items and indicators to show (null for all)
+ * @param {HTMLElement} element - Element to append to
+ * @param {Object} notes - Result of createReferenceNotes
  */
-function createOutcomeItem(outcome, index) {
-  const item = document.createElement('li');
-  item.className = 'outcome-item';
-
-  // Outcome statement
-  const outcomeDiv = document.createElement('div');
-  outcomeDiv.className = 'outcome-content';
-
-  const outcomeNumber = document.createElement('strong');
-  outcomeNumber.className = 'item-number';
-  outcomeNumber.textContent = `Outcome ${index}: `;
+function appendItemDetails(data, levelIndex, item, parent, numbers, visible, element, notes) {
+  const levels = getLevels(data);
+  const level = levels[levelIndex];
+  const parentLevel = levels[levelIndex - 1];
+  const isVisible = node => !visible || visible.has(node.id);
+
+  if (item.tags && item.tags.length > 0) {
+    element.appendChild(createTagsList(item.tags));
+  }
+  const assignments = createAssignmentsNote(data, item);
+  if (assignments) {
+    element.appendChild(assignments);
+  }
 
-  const outcomeText = document.createElement('span');
-  outcomeText.textContent = outcome.statement || '(No statement provided)';
+  // Other items of the level above this item contributes to
+  if (parent) {
+    const sharedWith = getParentItems(data, level.key, item.id).filter(p => p.id !== parent.id);
+    if (sharedWith.length > 0) {
+      const sharedNote = document.createElement('div');
+      sharedNote.className = 'shared-note';
+      sharedNote.textContent = `Shared with ${parentLevel.name.toLowerCase()} ` +
+        sharedWith.map(p => numbers.get(p.id)).join(', ');
+      element.appendChild(sharedNote);
+    }
+  }
 
-  outcomeDiv.appendChild(outcomeNumber);
-  outcomeDiv.appendChild(outcomeText);
-  item.appendChild(outcomeDiv);
+  // Indicators (if any)
+  const indicators = level.indicators ? item.indicators.filter(isVisible) : [];
+  if (indicators.length > 0) {
+    element.appendChild(createIndicatorsList(data, indicators));
+  }
 
-  // Outcome indicators (if any)
-  if (outcome.indicators.length > 0) {
-    const indicatorsDiv = createIndicatorsList(outcome.indicators, 'outcome');
-    item.appendChild(indicatorsDiv);
+  // Assumptions, risks and evidence of the link to the parent or the impact (if any)
+  const link = getCausalLink(data, item.id, parent ? parent.id : data.impact.id);
+  if (link && (link.assumptions.length > 0 || link.risks.length > 0 || (link.references || []).length > 0)) {
+    const targetLabel = parent ? `this ${parentLevel.name.toLowerCase()}` : 'the impact';
+    element.appendChild(createCausalLinkDetails(link, targetLabel, notes));
   }
 
-  // Outputs (if any)
-  if (outcome.outputs.length > 0) {
-    const outputsDiv = createOutputsList(outcome.outputs);
-    item.appendChild(outputsDiv);
+  // Items of the same level this item contributes to (if any)
+  const targets = getContributionTargets(data, level.key, item.id).filter(isVisible);
+  if (targets.length > 0) {
+    element.appendChild(createContributionsList(level, targets, numbers));
   }
 
-  return item;
+  // Items of the level below (if any)
+  const children = getChildItems(data, level.key, item);
+  if (children.some(isVisible)) {
+    element.appendChild(createChildrenList(data, levelIndex + 1, item, children, numbers, visible, notes));
+  }
 }
 
 /**
- * Create outputs list
- * @param {Array} outputs
+ * Create the list of the items contributing to an item
+ * Hidden children keep their place in the numbering.
+ * @param {Object} data
+ * @param {number} levelIndex - Level of the children
+ * @param {Object} parent - Item the children contribute to
+ * @param {Array} children
+ * @param {Map} numbers - Result of getItemNumbers
+ * @param {Set|null} visible - IDs of the items and indicators to show (null for all)
+ * @param {Object} notes - Result of createReferenceNotes
  * @returns {HTMLElement}
  */
-function createOutputsList(outputs) {
+function createChildrenList(data, levelIndex, parent, children, numbers, visible, notes) {
+  const level = getLevels(data)[levelIndex];
   const container = document.createElement('div');
-  container.className = 'outputs-container';
+  container.className = 'children-container';
 
   const header = document.createElement('div');
   header.className = 'subsection-header';
-  header.innerHTML = '<span class="arrow">↳</span> <strong>Outputs:</strong>';
+  header.innerHTML = '<span class="arrow">↳</span> ';
+  const title = document.createElement('strong');
+  title.textContent = `${level.pluralName}:`;
+  header.appendChild(title);
   container.appendChild(header);
 
   const list = document.createElement('ul');
-  list.className = 'outputs-list';
+  list.className = 'children-list-preview';
 
-  outputs.forEach((output, index) => {
-    const item = document.createElement('li');
-    item.className = 'output-item';
+  children.forEach((child, index) => {
+    if (visible && !visible.has(child.id)) return;
 
-    const outputDiv = document.createElement('div');
-    outputDiv.className = 'output-content';
+    const item = document.createElement('li');
+    item.className = 'child-item';
 
-    const outputNumber = document.createElement('span');
-    outputNumber.className = 'item-number';
-    outputNumber.textContent = `${index + 1}. `;
+    const childDiv = document.createElement('div');
+    childDiv.className = 'child-content';
 
-    const outputText = document.createElement('span');
-    outputText.textContent = output.statement || '(No statement provided)';
+    const childNumber = document.createElement('span');
+    childNumber.className = 'item-number';
+    childNumber.textContent = `${index + 1}. `;
 
-    outputDiv.appendChild(outputNumber);
-    outputDiv.appendChild(outputText);
-    item.appendChild(outputDiv);
+    const childText = document.createElement('span');
+    childText.textContent = child.statement || '(No statement provided)';
+    markUntranslated(childText, child);
 
-    // Output indicators (if any)
-    if (output.indicators.length > 0) {
-      const indicatorsDiv = createIndicatorsList(output.indicators, 'output');
-      item.appendChild(indicatorsDiv);
-    }
+    childDiv.appendChild(childNumber);
+    childDiv.appendChild(childText);
+    appendReferenceMarker(childDiv, child.references, notes);
+    appendCommentMarker(childDiv, child);
+    appendStatusBadge(childDiv, child);
+    item.appendChild(childDiv);
 
+    appendItemDetails(data, levelIndex, child, parent, numbers, visible, item, notes);
     list.appendChild(item);
   });
 
@@ -195,15 +327,50 @@ function createOutputsList(outputs) {
   return container;
 }
 
+/**
+ * Create the list of the items of the same level an item contributes to
+ * @param {Object} level - Level of the item
+ * @param {Array} targets
+ * @param {Map} numbers - Result of getItemNumbers
+ * @returns {HTMLElement}
+ */
+function createContributionsList(level, targets, numbers) {
+  const container = document.createElement('div');
+  container.className = 'contributions-container';
+
+  const header = document.createElement('div');
+  header.className = 'subsection-header contributions-header';
+  header.innerHTML = '<span class="arrow">⇢</span> ';
+  const title = document.createElement('em');
+  title.textContent = `Contributes to other ${level.pluralName.toLowerCase()}:`;
+  header.appendChild(title);
+  container.appendChild(header);
+
+  const list = document.createElement('ul');
+  list.className = 'contributions-list-preview';
+  targets.forEach(target => {
+    const item = document.createElement('li');
+    const number = document.createElement('span');
+    number.className = 'item-number';
+    number.textContent = `${level.name} ${numbers.get(target.id)}: `;
+    item.appendChild(number);
+    item.append(target.statement || '(No statement provided)');
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+
+  return container;
+}
+
 /**
  * Create indicators list
+ * @param {Object} data
  * @param {Array} indicators
- * @param {string} type - 'outcome' or 'output'
  * @returns {HTMLElement}
  */
-function createIndicatorsList(indicators, type) {
+function createIndicatorsList(data, indicators) {
   const container = document.createElement('div');
-  container.className = `indicators-container ${type}-indicators`;
+  container.className = 'indicators-container';
 
   const header = document.createElement('div');
   header.className = 'subsection-header indicators-header';
@@ -216,7 +383,36 @@ function createIndicatorsList(indicators, type) {
   indicators.forEach((indicator) => {
     const item = document.createElement('li');
     item.className = 'indicator-item-preview';
-    item.textContent = indicator.description || '(No description)';
+    const description = document.createElement('span');
+    description.textContent = indicator.description || '(No description)';
+    markUntranslated(description, indicator);
+    item.appendChild(description);
+    appendCommentMarker(item, indicator);
+    appendStatusBadge(item, indicator);
+
+    if (indicator.tags && indicator.tags.length > 0) {
+      item.appendChild(createTagsList(indicator.tags));
+    }
+    const assignments = createAssignmentsNote(data, indicator);
+    if (assignments) {
+      item.appendChild(assignments);
+    }
+
+    // Baseline, target and data source (if any)
+    const detailLines = describeIndicatorDetails(indicator);
+    if (detailLines.length > 0) {
+      const details = document.createElement('div');
+      details.className = 'indicator-details-preview';
+      details.textContent = detailLines.join(' · ');
+      item.appendChild(details);
+    }
+
+    // Progress towards the target (if measured)
+    const progress = getIndicatorProgress(indicator);
+    if (progress) {
+      item.appendChild(createProgressDisplay(indicator, progress));
+    }
+
     list.appendChild(item);
   });
 
@@ -225,11 +421,316 @@ function createIndicatorsList(indicators, type) {
   return container;
 }
 
+/**
+ * Mark up a text shown in the default language for lack of a translation
+ * (see translateData)
+ * @param {HTMLElement} element - Element holding the text
+ * @param {Object} node - Impact, item or indicator
+ */
+function markUntranslated(element, node) {
+  if (node.textLanguage) {
+    element.lang = node.textLanguage;
+    element.classList.add('untranslated');
+    element.title = 'Not translated yet';
+  }
+}
+
+/**
+ * Append a marker counting the review comments of the impact, an item or an
+ * indicator, if it has any; it is dimmed once all of them are resolved
+ * @param {HTMLElement} element - Element to append to
+ * @param {Object} node - Impact, item or indicator
+ */
+function appendCommentMarker(element, node) {
+  const counts = getCommentCounts(node);
+  if (counts.open + counts.resolved === 0) return;
+
+  const marker = document.createElement('span');
+  marker.className = counts.open > 0 ? 'comment-marker' : 'comment-marker all-resolved';
+  marker.title = describeCommentCounts(counts);
+
+  const visual = document.createElement('span');
+  visual.setAttribute('aria-hidden', 'true');
+  visual.textContent = `💬 ${counts.open > 0 ? counts.open : counts.resolved}`;
+  marker.appendChild(visual);
+
+  const text = document.createElement('span');
+  text.className = 'sr-only';
+  text.textContent = `(${marker.title})`;
+  marker.appendChild(text);
+
+  element.append(' ', marker);
+}
+
+/**
+ * Create the line counting the items and indicators in each workflow status
+ * @param {Object} counts - Result of getStatusCounts
+ * @param {Object} filter - Filter of the preview, telling whether retired
+ *   elements are shown
+ * @returns {HTMLElement|null} null if there are no items
+ */
+function createStatusSummary(counts, filter) {
+  const statuses = STATUSES.filter(status => counts[status] > 0);
+  if (statuses.length === 0) return null;
+
+  const summary = document.createElement('p');
+  summary.className = 'status-summary';
+
+  const label = document.createElement('strong');
+  label.textContent = 'Status:';
+  summary.appendChild(label);
+
+  statuses.forEach((status, index) => {
+    const badge = document.createElement('span');
+    badge.className = `status-badge status-${status}`;
+    badge.textContent = `${counts[status]} ${status}`;
+    summary.append(index > 0 ? ', ' : ' ', badge);
+  });
+
+  if (counts.retired > 0 && !filter.showRetired) {
+    summary.append(' (retired elements are hidden)');
+  }
+
+  return summary;
+}
+
+/**
+ * Append a badge with the workflow status of an item or indicator
+ * @param {HTMLElement} element - Element to append to
+ * @param {Object} node - Item or indicator
+ */
+function appendStatusBadge(element, node) {
+  const status = getStatus(node);
+  const badge = document.createElement('span');
+  badge.className = `status-badge status-${status}`;
+
+  const text = document.createElement('span');
+  text.className = 'sr-only';
+  text.textContent = 'Status: ';
+  badge.append(text, status);
+
+  element.append(' ', badge);
+}
+
+/**
+ * Append the footnote numbers of the references of an item or causal link,
+ * if it has any
+ * @param {HTMLElement} element - Element to append to
+ * @param {Array|undefined} references
+ * @param {Object} notes - Result of createReferenceNotes
+ */
+function appendReferenceMarker(element, references, notes) {
+  if (!references || references.length === 0) return;
+
+  const cited = references.map(reference => notes.cite(reference));
+  const marker = document.createElement('sup');
+  marker.className = 'reference-marker';
+
+  const visual = document.createElement('span');
+  visual.setAttribute('aria-hidden', 'true');
+  visual.textContent = cited.map(number => `[${number}]`).join('');
+  marker.appendChild(visual);
+
+  const text = document.createElement('span');
+  text.className = 'sr-only';
+  text.textContent = `(${cited.length > 1 ? 'references' : 'reference'} ${cited.join(', ')})`;
+  marker.appendChild(text);
+
+  element.appendChild(marker);
+}
+
+/**
+ * Create the numbered list of the references cited in the preview
+ * @param {Array} references - In the order of their footnote numbers
+ * @returns {HTMLElement}
+ */
+function createReferencesSection(references) {
+  const section = document.createElement('section');
+  section.className = 'preview-references';
+
+  const title = document.createElement('h3');
+  title.textContent = 'References';
+  section.appendChild(title);
+
+  const list = document.createElement('ol');
+  references.forEach(reference => {
+    const item = document.createElement('li');
+
+    const referenceTitle = document.createElement('strong');
+    referenceTitle.textContent = reference.title || '(Untitled reference)';
+    item.appendChild(referenceTitle);
+
+    if (reference.source) {
+      item.append(' — ');
+      if (isWebSource(reference.source)) {
+        const link = document.createElement('a');
+        link.href = reference.source;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = reference.source;
+        item.appendChild(link);
+      } else {
+        item.append(reference.source);
+      }
+    }
+
+    const rating = document.createElement('span');
+    rating.className = `reference-rating-preview evidence-${reference.strength}`;
+    rating.textContent = ` (${reference.type}, ${reference.strength} evidence)`;
+    item.appendChild(rating);
+
+    list.appendChild(item);
+  });
+  section.appendChild(list);
+
+  return section;
+}
+
+/**
+ * Create the list of the tags of an element
+ * @param {Array} tags
+ * @returns {HTMLElement}
+ */
+function createTagsList(tags) {
+  const list = document.createElement('ul');
+  list.className = 'tags-preview';
+  list.setAttribute('aria-label', 'Tags');
+  tags.forEach(tag => {
+    const item = document.createElement('li');
+    item.className = 'tag-preview';
+    item.textContent = tag;
+    list.appendChild(item);
+  });
+  return list;
+}
+
+/**
+ * Create the "owned by" line of an item or indicator, with its contributors
+ * @param {Object} data
+ * @param {Object} node - Item or indicator
+ * @returns {HTMLElement|null} null if nobody is assigned
+ */
+function createAssignmentsNote(data, node) {
+  const owner = node.ownerId ? getPerson(data, node.ownerId) : null;
+  const contributors = (node.contributorIds || []).map(id => getPerson(data, id)).filter(Boolean);
+  if (!owner && contributors.length === 0) return null;
+
+  const note = document.createElement('div');
+  note.className = 'assignments-note';
+  const parts = [];
+  if (owner) {
+    parts.push(`Owned by ${describePerson(owner)}`);
+  }
+  if (contributors.length > 0) {
+    parts.push(`Contributors: ${contributors.map(describePerson).join(', ')}`);
+  }
+  note.textContent = parts.join(' · ');
+  return note;
+}
+
+/**
+ * Create the progress display of an indicator: a bar showing the share of
+ * the target achieved and a description of the latest measurement
+ * @param {Object} indicator
+ * @param {Object} progress - Result of getIndicatorProgress
+ * @returns {HTMLElement}
+ */
+function createProgressDisplay(indicator, progress) {
+  const container = document.createElement('div');
+  container.className = `indicator-progress-preview${progress.status ? ` progress-${progress.status}` : ''}`;
+
+  if (progress.percent !== null) {
+    const bar = document.createElement('progress');
+    bar.max = 100;
+    bar.value = Math.max(0, Math.min(100, progress.percent));
+    bar.textContent = `${progress.percent}%`;
+    bar.setAttribute('aria-label', 'Share of target achieved');
+    container.appendChild(bar);
+  }
+
+  const text = document.createElement('span');
+  text.className = 'progress-text';
+  text.textContent = describeIndicatorProgress(indicator);
+  container.appendChild(text);
+
+  return container;
+}
+
+/**
+ * Create the assumptions, risks and evidence of a causal link
+ * @param {Object} link - { assumptions, risks, references }
+ * @param {string} targetLabel - What the link leads to (e.g. 'the impact')
+ * @param {Object} notes - Result of createReferenceNotes
+ * @returns {HTMLElement}
+ */
+function createCausalLinkDetails(link, targetLabel, notes) {
+  const container = document.createElement('div');
+  container.className = 'assumptions-container';
+
+  if (link.assumptions.length > 0) {
+    const header = document.createElement('div');
+    header.className = 'subsection-header assumptions-header';
+    header.innerHTML = '<span class="arrow">⚑</span> ';
+    const title = document.createElement('em');
+    title.textContent = `Assumptions (leading to ${targetLabel}):`;
+    header.appendChild(title);
+    container.appendChild(header);
+
+    const list = document.createElement('ul');
+    list.className = 'assumptions-list-preview';
+    link.assumptions.forEach(assumption => {
+      const item = document.createElement('li');
+      item.textContent = assumption.description || '(No description)';
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+  }
+
+  if (link.risks.length > 0) {
+    const header = document.createElement('div');
+    header.className = 'subsection-header risks-header';
+    header.innerHTML = '<span class="arrow">⚠</span> ';
+    const title = document.createElement('em');
+    title.textContent = `Risks (to reaching ${targetLabel}):`;
+    header.appendChild(title);
+    container.appendChild(header);
+
+    const list = document.createElement('ul');
+    list.className = 'risks-list-preview';
+    link.risks.forEach(risk => {
+      const item = document.createElement('li');
+      item.append(risk.description || '(No description)');
+
+      const rating = document.createElement('span');
+      rating.className = `risk-rating-preview risk-${getRiskLevel(risk)}`;
+      rating.textContent = ` (likelihood: ${risk.likelihood}, impact: ${risk.impact})`;
+      item.appendChild(rating);
+
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+  }
+
+  if (link.references && link.references.length > 0) {
+    const header = document.createElement('div');
+    header.className = 'subsection-header evidence-header';
+    header.innerHTML = '<span class="arrow">📎</span> ';
+    const title = document.createElement('em');
+    title.textContent = `Evidence (for the link to ${targetLabel}):`;
+    header.appendChild(title);
+    appendReferenceMarker(header, link.references, notes);
+    container.appendChild(header);
+  }
+
+  return container;
+}
+
 /**
  * Create legend explaining the structure
+ * @param {Array} levels - Levels of the hierarchy
  * @returns {HTMLElement}
  */
-function createLegend() {
+function createLegend(levels) {
   const legend = document.createElement('div');
   legend.className = 'preview-legend';
 
@@ -237,12 +738,37 @@ function createLegend() {
     <h3>Reading the Logic Chain</h3>
     <ul>
       <li><strong>Impact</strong> - The ultimate goal or change you want to achieve</li>
-      <li><strong>Outcomes</strong> - Intermediate results that lead to the impact</li>
-      <li><strong>Outputs</strong> (↳) - Activities or deliverables that enable outcomes</li>
-      <li><strong>Indicators</strong> (→) - Measurable signs of progress</li>
     </ul>
   `;
 
+  const list = legend.querySelector('ul');
+  const addEntry = (name, symbol, description) => {
+    const entry = document.createElement('li');
+    const term = document.createElement('strong');
+    term.textContent = name;
+    entry.appendChild(term);
+    entry.append(`${symbol ? ` (${symbol})` : ''} - ${description}`);
+    list.appendChild(entry);
+  };
+
+  levels.forEach((level, index) => {
+    const parentLevel = levels[index - 1];
+    let description = level.description || `Items contributing to the ${parentLevel ? parentLevel.pluralName.toLowerCase() : 'impact'}`;
+    if (parentLevel) {
+      description += `; each may be shared by several ${parentLevel.pluralName.toLowerCase()}`;
+    }
+    addEntry(level.pluralName, index > 0 ? '↳' : '', description);
+  });
+
+  if (levels.some(level => level.contributions)) {
+    addEntry('Contributions', '⇢', 'Other items of the same level that an item helps bring about');
+  }
+
+  list.insertAdjacentHTML('beforeend', `
+      <li><strong>Indicators</strong> (→) - Measurable signs of progress</li>
+      <li><strong>Assumptions</strong> (⚑) and <strong>Risks</strong> (⚠) - Conditions for one level to lead to the next, and what could prevent it</li>
+  `);
+
   return legend;
 }
 
@@ -320,12 +846,154 @@ function closePreviewModal(backdrop, accessibility) {
   accessibility.announce('Preview closed.');
 }
 
+/**
+ * Render the bar filtering the preview by tag and by person
+ * Nothing is shown while the document has neither tags nor people.
+ * @param {Object} dataModel - The data model containing ToC data
+ * @param {Object} filter - { tags, personId } the preview is narrowed to
+ * @param {string} containerId - ID of container element to render into
+ */
+export function renderFilterBar(dataModel, filter, containerId = 'filter-container') {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+  container.innerHTML = '';
+
+  const data = dataModel.getData();
+  const tags = getAllTags(data);
+  const people = getPeople(data);
+  const statusCounts = getStatusCounts(data);
+  const hasItems = STATUSES.some(status => statusCounts[status] > 0);
+  if (tags.length === 0 && people.length === 0 && !hasItems) return;
+
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'filter-bar';
+
+  const legend = document.createElement('legend');
+  legend.textContent = 'Filter the chain';
+  fieldset.appendChild(legend);
+
+  if (tags.length > 0) {
+    const group = document.createElement('div');
+    group.className = 'tag-filter';
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-labelledby', 'tag-filter-label');
+
+    const label = document.createElement('span');
+    label.id = 'tag-filter-label';
+    label.className = 'filter-label';
+    label.textContent = 'Tags:';
+    group.appendChild(label);
+
+    const list = document.createElement('ul');
+    list.className = 'tag-filter-list';
+    tags.forEach(tag => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'tag-filter-btn';
+      button.dataset.action = 'toggle-tag-filter';
+      button.dataset.tag = tag;
+      button.setAttribute('aria-pressed', filter.tags.includes(tag) ? 'true' : 'false');
+      button.textContent = tag;
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+    group.appendChild(list);
+    fieldset.appendChild(group);
+  }
+
+  if (people.length > 0) {
+    const group = document.createElement('div');
+    group.className = 'person-filter';
+
+    const label = document.createElement('label');
+    label.setAttribute('for', 'person-filter-select');
+    label.className = 'filter-label';
+    label.textContent = 'Assigned to:';
+    group.appendChild(label);
+
+    const select = document.createElement('select');
+    select.id = 'person-filter-select';
+    select.className = 'person-filter-select';
+    const everyone = document.createElement('option');
+    everyone.value = '';
+    everyone.textContent = 'Anyone';
+    select.appendChild(everyone);
+    people.forEach(person => {
+      const option = document.createElement('option');
+      option.value = person.id;
+      option.textContent = describePerson(person);
+      option.selected = person.id === filter.personId;
+      select.appendChild(option);
+    });
+    group.appendChild(select);
+    fieldset.appendChild(group);
+  }
+
+  if (hasItems) {
+    const group = document.createElement('div');
+    group.className = 'status-filter';
+
+    const options = [['agreedOnly', 'agreed-only-filter', 'Agreed only']];
+    if (statusCounts.retired > 0) {
+      options.push(['showRetired', 'show-retired-filter', `Show retired (${statusCounts.retired})`]);
+    }
+    options.forEach(([option, id, labelText]) => {
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.id = id;
+      checkbox.className = 'status-filter-checkbox';
+      checkbox.dataset.option = option;
+      checkbox.checked = Boolean(filter[option]);
+
+      const label = document.createElement('label');
+      label.setAttribute('for', id);
+      label.textContent = labelText;
+
+      group.append(checkbox, label);
+    });
+    fieldset.appendChild(group);
+  }
+
+  const description = describeFilter(data, filter);
+  if (description) {
+    const status = document.createElement('p');
+    status.className = 'hint';
+    status.textContent = `Showing the elements ${description}, with the items above them for context.`;
+    fieldset.appendChild(status);
+
+    const actions = document.createElement('div');
+    actions.className = 'button-group';
+
+    const clearBtn = document.createElement('button');
+    clearBtn.type = 'button';
+    clearBtn.className = 'toolbar-btn';
+    clearBtn.dataset.action = 'clear-filter';
+    clearBtn.textContent = 'Clear Filter';
+    actions.appendChild(clearBtn);
+
+    const exportBtn = document.createElement('button');
+    exportBtn.type = 'button';
+    exportBtn.className = 'toolbar-btn';
+    exportBtn.dataset.action = 'export-filtered-markdown';
+    exportBtn.innerHTML = '<span aria-hidden="true">📝</span> ';
+    exportBtn.append('Export Filtered View as Markdown');
+    actions.appendChild(exportBtn);
+
+    fieldset.appendChild(actions);
+  }
+
+  container.appendChild(fieldset);
+}
+
 /**
  * Render preview in a container (non-modal version for main view)
  * @param {Object} dataModel - The data model containing ToC data
  * @param {string} containerId - ID of container element to render into
+ * @param {Object} options - Preview options (see generatePreview)
+ * @param {string|null} language - Language of the texts (see generatePreview)
  */
-export function renderPreviewInline(dataModel, containerId = 'preview-content-container') {
+export function renderPreviewInline(dataModel, containerId = 'preview-content-container', options = {}, language = null) {
   const container = document.getElementById(containerId);
   if (!container) {
     console.error(`Container ${containerId} not found`);
@@ -336,7 +1004,7 @@ export function renderPreviewInline(dataModel, containerId = 'preview-content-co
   container.innerHTML = '';
 
   // Generate preview content
-  const preview = generatePreview(dataModel.getData());
+  const preview = generatePreview(dataModel.getData(), options, language);
 
   // Remove the title (it's redundant in inline view)
   const title = preview.querySelector('.preview-title');
@@ -0,0 +1,304 @@
+/**
+ * Recovery of the backups of data that could not be loaded
+ * StorageManager.load keeps damaged documents in backups; the recovery
+ * screen shows what can be read from each of them and turns them back into
+ * documents
+ */
+
+import { formatDate, downloadFile } from './utils.js';
+import { validateDocument, repairDocument, salvageDocument } from './validation.js';
+import { migrateData } from './migrations.js';
+import { getDefaultSchema, isValidSchema } from './schema.js';
+
+/**
+ * Find out what can be recovered from a backup
+ * @param {Object|string} value - Content of the backup (see
+ *   StorageManager.loadBackup)
+ * @param {Object} defaults - Empty document providing the default values
+ * @returns {Object} { raw, problem, data, errors, repaired, repairs,
+ *   salvaged, removed } where raw is the content as text, problem tells why
+ *   nothing can be read from it (null otherwise), data is the document read
+ *   from it, errors its problems, repaired the document with its missing IDs
+ *   and lists filled in if that makes it valid, and salvaged the valid parts
+ *   of the document, without the removed ones
+ */
+export function inspectBackup(value, defaults) {
+  const report = {
+    raw: typeof value === 'string' ? value : JSON.stringify(value, null, 2),
+    problem: null,
+    data: null,
+    errors: [],
+    repaired: null,
+    repairs: [],
+    salvaged: null,
+    removed: []
+  };
+  const copy = object => JSON.parse(JSON.stringify(object));
+
+  let data = value;
+  if (typeof value === 'string') {
+    try {
+      data = JSON.parse(value);
+    } catch (error) {
+      report.problem = `This backup is not valid JSON (${error.message}).`;
+      return report;
+    }
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    report.problem = 'This backup does not hold a Theory of Change.';
+    return report;
+  }
+  try {
+    data = migrateData(copy(data));
+  } catch (error) {
+    report.problem = error.message;
+    return report;
+  }
+
+  report.data = data;
+  report.errors = validateDocument(data);
+  if (report.errors.length === 0) return report;
+
+  const repaired = copy(data);
+  report.repairs = repairDocument(repaired);
+  if (report.repairs.length > 0 && validateDocument(repaired).length === 0) {
+    report.repaired = repaired;
+    return report;
+  }
+
+  const salvage = salvageDocument(copy(data), defaults);
+  if (salvage) {
+    report.salvaged = salvage.data;
+    report.removed = salvage.removed;
+  }
+  return report;
+}
+
+/**
+ * Describe what a document holds, e.g. '4 outcomes, 10 outputs, 12 indicators'
+ * @param {Object} data - A document, valid or not
+ * @returns {string}
+ */
+export function describeContents(data) {
+  const levels = isValidSchema(data.schema) ? data.schema.levels : getDefaultSchema().levels;
+  const parts = [];
+  let indicators = 0;
+  levels.forEach(level => {
+    const items = Array.isArray(data[level.key]) ? data[level.key] : [];
+    parts.push(`${items.length} ${(items.length === 1 ? level.name : level.pluralName).toLowerCase()}`);
+    items.forEach(item => {
+      if (item && Array.isArray(item.indicators)) {
+        indicators += item.indicators.length;
+      }
+    });
+  });
+  parts.push(`${indicators} indicator${indicators === 1 ? '' : 's'}`);
+  return parts.join(', ');
+}
+
+/**
+ * Show the backups in a modal dialog, with what can be recovered from each
+ * Focus stays in the dialog until it is closed, then returns to the
+ * element that had it.
+ * @param {Object} options
+ * @param {StorageManager} options.storage
+ * @param {AccessibilityManager} options.accessibility
+ * @param {Object} options.defaults - Empty document (see inspectBackup)
+ * @param {Function} options.onRecover - Called with the data to open and a
+ *   title when the user recovers a backup; may return a promise
+ * @returns {Promise} Resolves once the dialog is closed
+ */
+export function showRecoveryDialog({ storage, accessibility, defaults, onRecover }) {
+  return new Promise(resolve => {
+    const previousFocus = document.activeElement;
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'modal-content recovery-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', 'recovery-dialog-title');
+    dialog.setAttribute('aria-describedby', 'recovery-dialog-summary');
+
+    const title = document.createElement('h2');
+    title.id = 'recovery-dialog-title';
+    title.textContent = 'Recover Data';
+    dialog.appendChild(title);
+
+    const summary = document.createElement('p');
+    summary.id = 'recovery-dialog-summary';
+    dialog.appendChild(summary);
+
+    const list = document.createElement('ol');
+    list.className = 'recovery-list';
+    dialog.appendChild(list);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'button-group';
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'action-btn';
+    closeBtn.textContent = 'Close';
+    closeBtn.addEventListener('click', () => close());
+    buttons.appendChild(closeBtn);
+    dialog.appendChild(buttons);
+
+    const createButton = (text, className, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.textContent = text;
+      button.addEventListener('click', onClick);
+      return button;
+    };
+
+    const renderBackup = async ({ key, createdAt }) => {
+      const date = createdAt ? formatDate(createdAt) : key;
+      const li = document.createElement('li');
+      li.className = 'recovery-item';
+
+      const heading = document.createElement('h3');
+      heading.textContent = `Backup of ${date}`;
+      li.appendChild(heading);
+
+      let report;
+      try {
+        report = inspectBackup(await storage.loadBackup(key), defaults);
+      } catch (error) {
+        report = { raw: '', problem: `This backup cannot be read (${error.message}).`, data: null };
+      }
+
+      const status = document.createElement('p');
+      status.className = 'recovery-status';
+      if (report.problem) {
+        status.textContent = report.problem;
+      } else if (report.errors.length === 0) {
+        status.textContent = 'This backup is a valid Theory of Change.';
+      } else if (report.repaired) {
+        status.textContent = `${report.errors.length} problem${report.errors.length === 1 ? '' : 's'}, all fixed by filling in missing IDs and empty lists.`;
+      } else if (report.salvaged) {
+        status.textContent = `${report.errors.length} problem${report.errors.length === 1 ? '' : 's'}; the parts that have them can be left out.`;
+      } else {
+        status.textContent = `${report.errors.length} problem${report.errors.length === 1 ? '' : 's'}, which cannot be fixed here.`;
+      }
+      li.appendChild(status);
+
+      if (report.data) {
+        const contents = document.createElement('p');
+        contents.className = 'recovery-contents';
+        const impact = report.data.impact && typeof report.data.impact.statement === 'string'
+          ? report.data.impact.statement
+          : '';
+        contents.textContent = impact
+          ? `Impact: ${impact} (${describeContents(report.data)})`
+          : `No impact statement (${describeContents(report.data)})`;
+        li.appendChild(contents);
+      }
+
+      // Problems, and what recovering the valid parts leaves out
+      [
+        ['Problems', report.errors],
+        ['Changed when recovering the valid parts', report.salvaged ? report.removed : []]
+      ].forEach(([label, entries]) => {
+        if (!entries || entries.length === 0) return;
+        const details = document.createElement('details');
+        const detailsSummary = document.createElement('summary');
+        detailsSummary.textContent = `${label} (${entries.length})`;
+        details.appendChild(detailsSummary);
+        const entryList = document.createElement('ul');
+        entryList.className = 'validation-errors';
+        // Focusable so that keyboard users can scroll it
+        entryList.tabIndex = 0;
+        entryList.setAttribute('aria-label', label);
+        entries.forEach(entry => {
+          const item = document.createElement('li');
+          const path = document.createElement('code');
+          path.textContent = entry.path || 'document';
+          item.append(path, ` ${entry.message}`);
+          entryList.appendChild(item);
+        });
+        details.appendChild(entryList);
+        li.appendChild(details);
+      });
+
+      const actions = document.createElement('div');
+      actions.className = 'button-group';
+      const recover = (data, text, announcement) => {
+        actions.appendChild(createButton(text, 'action-btn primary-action', async () => {
+          await onRecover(data, `Recovered ${date}`);
+          accessibility.announce(announcement);
+          close();
+        }));
+      };
+      if (report.data && report.errors.length === 0) {
+        recover(report.data, 'Open as New Document', 'Backup opened as a new document.');
+      } else if (report.repaired) {
+        recover(report.repaired, 'Repair and Open', 'Backup repaired and opened as a new document.');
+      } else if (report.salvaged) {
+        recover(report.salvaged, 'Open Valid Parts', 'Valid parts of the backup opened as a new document.');
+      }
+      actions.appendChild(createButton('Download Raw Content', 'action-btn', () => {
+        downloadFile(report.raw, `${key}.json`, 'application/json');
+        accessibility.announce('Backup downloaded.');
+      }));
+      actions.appendChild(createButton('Delete', 'action-btn', async () => {
+        if (!confirm(`Delete the backup of ${date}? This cannot be undone.`)) return;
+        await storage.deleteBackup(key);
+        accessibility.announce(`Backup of ${date} deleted.`);
+        await render();
+        closeBtn.focus();
+      }));
+      li.appendChild(actions);
+
+      return li;
+    };
+
+    const render = async () => {
+      const backups = await storage.listBackups();
+      list.innerHTML = '';
+      summary.textContent = backups.length === 0
+        ? 'There are no backups.'
+        : `Data that could not be loaded is kept in backups (${backups.length}). Open what can be recovered from them as a new document, download their raw content, or delete them.`;
+      for (const backup of backups) {
+        list.appendChild(await renderBackup(backup));
+      }
+    };
+
+    // Close on Escape and keep Tab within the dialog
+    const handleKeydown = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        close();
+      } else if (e.key === 'Tab') {
+        const focusable = [...dialog.querySelectorAll('button, summary, [tabindex="0"]')]
+          .filter(element => !element.closest('details:not([open])') || element.tagName === 'SUMMARY');
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+          e.preventDefault();
+          last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+          e.preventDefault();
+          first.focus();
+        }
+      }
+    };
+
+    function close() {
+      document.removeEventListener('keydown', handleKeydown);
+      backdrop.remove();
+      if (previousFocus && typeof previousFocus.focus === 'function' && previousFocus.isConnected) {
+        previousFocus.focus();
+      }
+      resolve();
+    }
+
+    document.addEventListener('keydown', handleKeydown);
+    backdrop.appendChild(dialog);
+    document.body.appendChild(backdrop);
+    closeBtn.focus();
+    render();
+  });
+}
@@ -0,0 +1,218 @@
+/**
+ * Level schema of Theory of Change documents
+ * Defines the levels of the hierarchy below the impact, from the level
+ * closest to the impact down to the most concrete one
+ */
+
+/**
+ * Properties of a document that cannot be used as level keys
+ */
+export const RESERVED_KEYS = [
+  'version', 'lastModified', 'migrations', 'schema', 'impact', 'causalLinks', 'contributions', 'people',
+  'languages', 'defaultLanguage'
+];
+
+/**
+ * Properties of items that cannot be used to list the IDs of their children
+ */
+const ITEM_KEYS = ['id', 'statement', 'translations', 'status', 'indicators', 'tags', 'ownerId', 'contributorIds', 'comments', 'references'];
+
+/**
+ * Level definitions shared by the presets
+ * - key: property of the document holding the items of the level
+ * - idsKey: property of the items of the level above listing the IDs of
+ *   their items at this level (not used by the first level)
+ * - name, pluralName: labels used in the editor, preview and exports
+ * - description: what the level represents (shown in the preview legend)
+ * - prompt: question asked to write the statement of an item
+ * - indicators: whether items of the level have indicators (false if omitted)
+ * - indicatorPrompt: question asked to define these indicators
+ * - contributions: whether items of the level can contribute to other items
+ *   of the same level (false if omitted)
+ */
+const LEVELS = {
+  intermediateOutcomes: {
+    key: 'intermediateOutcomes',
+    name: 'Intermediate outcome',
+    pluralName: 'Intermediate outcomes',
+    description: 'Broad changes that lead to the impact',
+    prompt: 'Based on your understanding of that impact statement and your understanding of the world, what is one of the broad changes that is needed to get closer to realizing that vision?',
+    indicators: true,
+    indicatorPrompt: 'What indicators can you think of that would realistically help determine whether the said change is happening?',
+    contributions: true
+  },
+  outcomes: {
+    key: 'outcomes',
+    idsKey: 'outcomeIds',
+    name: 'Outcome',
+    pluralName: 'Outcomes',
+    description: 'Changes needed to realize the impact',
+    prompt: 'Based on your understanding of that impact statement and your understanding of the world, what is one of the high-level change that is needed to get closer to realizing that vision?',
+    indicators: true,
+    indicatorPrompt: 'What indicators can you think of that would realistically help determine whether the said change is happening?',
+    contributions: true
+  },
+  outputs: {
+    key: 'outputs',
+    idsKey: 'outputIds',
+    name: 'Output',
+    pluralName: 'Outputs',
+    description: 'Deliverables that enable outcomes',
+    prompt: 'Focusing on what you know of W3C, what deliverables do you feel W3C is or could be best positioned to provide to help make progress towards that change?',
+    indicators: true,
+    indicatorPrompt: 'What indicators can you think of to track that W3C is delivering on this?'
+  },
+  activities: {
+    key: 'activities',
+    idsKey: 'activityIds',
+    name: 'Activity',
+    pluralName: 'Activities',
+    description: 'Work undertaken to produce the outputs',
+    prompt: 'What work does W3C need to undertake to produce this deliverable?',
+    indicators: false
+  },
+  inputs: {
+    key: 'inputs',
+    idsKey: 'inputIds',
+    name: 'Input',
+    pluralName: 'Inputs',
+    description: 'Resources needed to carry out the activities',
+    prompt: 'What resources (people, funding, tools, partnerships) does this activity need?',
+    indicators: false
+  }
+};
+
+/**
+ * Hierarchies offered when starting a new Theory of Change
+ */
+export const LEVEL_PRESETS = {
+  standard: {
+    label: 'Outcomes → Outputs',
+    levels: [LEVELS.outcomes, LEVELS.outputs]
+  },
+  extended: {
+    label: 'Intermediate outcomes → Outcomes → Outputs → Activities → Inputs',
+    levels: [LEVELS.intermediateOutcomes, LEVELS.outcomes, LEVELS.outputs, LEVELS.activities, LEVELS.inputs]
+  }
+};
+
+/**
+ * Get the schema of documents that do not define one
+ * @returns {Object} A new { levels } object
+ */
+export function getDefaultSchema() {
+  return createSchema(LEVEL_PRESETS.standard.levels);
+}
+
+/**
+ * Create a schema from a list of level definitions
+ * The first level has no idsKey since it is not referenced by a parent.
+ * @param {Array} levels
+ * @returns {Object} A new { levels } object
+ */
+export function createSchema(levels) {
+  return {
+    levels: levels.map((level, index) => {
+      const copy = { ...level };
+      if (index === 0) {
+        delete copy.idsKey;
+      }
+      return copy;
+    })
+  };
+}
+
+/**
+ * Find the preset matching the levels of a schema
+ * @param {Object} schema
+ * @returns {string|null} The preset name, or null for custom hierarchies
+ */
+export function getPresetName(schema) {
+  const keys = schema.levels.map(level => level.key).join('/');
+  const match = Object.entries(LEVEL_PRESETS)
+    .find(([, preset]) => preset.levels.map(level => level.key).join('/') === keys);
+  return match ? match[0] : null;
+}
+
+/**
+ * Turn a level name into a slug usable in change types and class names
+ * e.g. 'Intermediate outcome' becomes 'intermediate-outcome'
+ * @param {Object} level
+ * @returns {string}
+ */
+export function getLevelSlug(level) {
+  const slug = level.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return slug || 'item';
+}
+
+/**
+ * Validate a level schema
+ * @param {Object} schema
+ * @returns {boolean}
+ */
+export function isValidSchema(schema) {
+  return getSchemaErrors(schema).length === 0;
+}
+
+/**
+ * List the problems of a level schema
+ * @param {Object} schema
+ * @param {string} path - Path of the schema in the document, used in messages
+ * @returns {Array} { path, message } objects, empty if the schema is valid
+ */
+export function getSchemaErrors(schema, path = 'schema') {
+  if (!schema || typeof schema !== 'object') return [{ path, message: 'is not an object' }];
+  if (!Array.isArray(schema.levels)) return [{ path: `${path}.levels`, message: 'is not an array' }];
+  if (schema.levels.length === 0) return [{ path: `${path}.levels`, message: 'must define at least one level' }];
+
+  const errors = [];
+  const keys = new Set();
+  const idsKeys = new Set();
+  const isName = value => typeof value === 'string' && value.trim() !== '';
+
+  schema.levels.forEach((level, index) => {
+    const levelPath = `${path}.levels[${index}]`;
+    if (!level || typeof level !== 'object') {
+      errors.push({ path: levelPath, message: 'is not an object' });
+      return;
+    }
+
+    if (!isName(level.key)) {
+      errors.push({ path: `${levelPath}.key`, message: 'must be a non-empty string' });
+    } else if (RESERVED_KEYS.includes(level.key)) {
+      errors.push({ path: `${levelPath}.key`, message: `"${level.key}" is reserved` });
+    } else if (keys.has(level.key)) {
+      errors.push({ path: `${levelPath}.key`, message: `"${level.key}" is used by another level` });
+    }
+    keys.add(level.key);
+
+    if (index > 0) {
+      if (!isName(level.idsKey)) {
+        errors.push({ path: `${levelPath}.idsKey`, message: 'must be a non-empty string' });
+      } else if (ITEM_KEYS.includes(level.idsKey)) {
+        errors.push({ path: `${levelPath}.idsKey`, message: `"${level.idsKey}" is reserved` });
+      } else if (idsKeys.has(level.idsKey)) {
+        errors.push({ path: `${levelPath}.idsKey`, message: `"${level.idsKey}" is used by another level` });
+      }
+      idsKeys.add(level.idsKey);
+    }
+
+    ['name', 'pluralName'].forEach(key => {
+      if (!isName(level[key])) {
+        errors.push({ path: `${levelPath}.${key}`, message: 'must be a non-empty string' });
+      }
+    });
+    ['description', 'prompt', 'indicatorPrompt'].forEach(key => {
+      if (level[key] !== undefined && typeof level[key] !== 'string') {
+        errors.push({ path: `${levelPath}.${key}`, message: 'is not a string' });
+      }
+    });
+    ['indicators', 'contributions'].forEach(key => {
+      if (level[key] !== undefined && typeof level[key] !== 'boolean') {
+        errors.push({ path: `${levelPath}.${key}`, message: 'is not a boolean' });
+      }
+    });
+  });
+
+  return errors;
+}
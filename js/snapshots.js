@@ -0,0 +1,238 @@
+/**
+ * Snapshots of documents
+ * Keeps earlier versions of each document, taken automatically while it is
+ * edited or on request under a name, so that they can be compared with the
+ * current version and restored
+ */
+
+import { diffDocuments, summarizeChanges } from './dataModel.js';
+import { migrateData } from './migrations.js';
+
+const SNAPSHOTS_KEY_PREFIX = 'toc-authoring-snapshots-'; // List of the snapshots of a document
+const SNAPSHOT_KEY_PREFIX = 'toc-authoring-snapshot-'; // Data of a snapshot
+const CHECK_INTERVAL = 60 * 1000; // 1 minute
+const AUTOMATIC_INTERVAL = 10 * 60 * 1000; // 10 minutes between automatic snapshots
+
+// Retention of automatic snapshots: the most recent ones, then the last one
+// of each day for a month. Named snapshots are kept until deleted.
+const RECENT_SNAPSHOTS = 10;
+const DAILY_SNAPSHOT_DAYS = 30;
+const MAX_NAMED_SNAPSHOTS = 50;
+
+export class SnapshotManager {
+  /**
+   * @param {StorageManager} storage - Storage of the documents, initialized
+   * @param {TocDataModel} dataModel
+   */
+  constructor(storage, dataModel) {
+    this.storage = storage;
+    this.dataModel = dataModel;
+    this.timer = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Subscribe to changes to the snapshots
+   * @param {Function} callback - Called whenever a snapshot is taken or deleted
+   */
+  subscribe(callback) {
+    this.listeners.push(callback);
+  }
+
+  /**
+   * Notify all listeners that the snapshots changed
+   */
+  notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  /**
+   * Take automatic snapshots of the current document while it is edited
+   */
+  start() {
+    clearInterval(this.timer);
+    this.timer = setInterval(() => this.checkAutomatic(), CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop taking automatic snapshots
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * @param {string} documentId
+   * @returns {string} Key of the list of the snapshots of a document
+   */
+  getListKey(documentId) {
+    return SNAPSHOTS_KEY_PREFIX + documentId;
+  }
+
+  /**
+   * List the snapshots of a document
+   * @param {string} documentId - Defaults to the current document
+   * @returns {Promise<Array>} Resolves with { id, name, automatic, createdAt,
+   *   documentModified, summary } objects, most recent first
+   */
+  async list(documentId = this.storage.getCurrentDocument().id) {
+    try {
+      const snapshots = await this.storage.adapter.load(this.getListKey(documentId));
+      return Array.isArray(snapshots) ? snapshots : [];
+    } catch (error) {
+      console.error('Could not load the list of snapshots:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Load the data of a snapshot, upgraded to the current format
+   * @param {string} snapshotId
+   * @returns {Promise<Object|null>} Resolves with the ToC data, or null if
+   *   the snapshot does not exist
+   */
+  async load(snapshotId) {
+    const data = await this.storage.adapter.load(SNAPSHOT_KEY_PREFIX + snapshotId);
+    return data ? migrateData(data) : null;
+  }
+
+  /**
+   * Take a snapshot of the current document
+   * @param {string|null} name - Name of the snapshot, e.g. 'Sent to board
+   *   v2'; null for automatic snapshots
+   * @param {Object} options
+   * @param {boolean} options.automatic - Whether the snapshot can be deleted
+   *   by the retention rules (true for unnamed snapshots)
+   * @returns {Promise<Object>} Resolves with the snapshot (see list)
+   * @throws {Error} If there are too many named snapshots already
+   */
+  async create(name = null, { automatic = !name } = {}) {
+    const documentId = this.storage.getCurrentDocument().id;
+    const data = this.dataModel.getData();
+    const snapshots = await this.list(documentId);
+
+    if (!automatic && snapshots.filter(snapshot => !snapshot.automatic).length >= MAX_NAMED_SNAPSHOTS) {
+      throw new Error(`A document can have up to ${MAX_NAMED_SNAPSHOTS} named snapshots. Delete one first.`);
+    }
+
+    // Summarize the changes since the previous snapshot
+    let summary = 'First snapshot';
+    if (snapshots.length > 0) {
+      const previous = await this.load(snapshots[0].id).catch(() => null);
+      summary = previous ? summarizeChanges(diffDocuments(previous, data)) : '';
+    }
+
+    const snapshot = {
+      id: crypto.randomUUID(),
+      name: name ? name.trim() : null,
+      automatic,
+      createdAt: new Date().toISOString(),
+      documentModified: data.lastModified || null,
+      summary
+    };
+    await this.storage.adapter.save(SNAPSHOT_KEY_PREFIX + snapshot.id, data);
+    await this.saveList(documentId, [snapshot, ...snapshots]);
+    return snapshot;
+  }
+
+  /**
+   * Take an automatic snapshot of the current document if it changed since
+   * the last snapshot, and the last automatic snapshot is old enough
+   * @returns {Promise<Object|null>} Resolves with the snapshot taken, if any
+   */
+  async checkAutomatic() {
+    const current = this.storage.getCurrentDocument();
+    if (!current.lastModified) return null;
+
+    const snapshots = await this.list(current.id);
+    const latest = snapshots[0];
+    if (latest && latest.documentModified === this.dataModel.getData().lastModified) return null;
+
+    const lastAutomatic = snapshots.find(snapshot => snapshot.automatic);
+    if (lastAutomatic && Date.now() - new Date(lastAutomatic.createdAt).getTime() < AUTOMATIC_INTERVAL) {
+      return null;
+    }
+
+    try {
+      return await this.create();
+    } catch (error) {
+      console.error('Could not take an automatic snapshot:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a snapshot of the current document
+   * @param {string} snapshotId
+   * @returns {Promise} Resolves once deleted
+   */
+  async delete(snapshotId) {
+    const documentId = this.storage.getCurrentDocument().id;
+    const snapshots = await this.list(documentId);
+    await this.storage.adapter.delete(SNAPSHOT_KEY_PREFIX + snapshotId);
+    await this.saveList(documentId, snapshots.filter(snapshot => snapshot.id !== snapshotId));
+  }
+
+  /**
+   * Delete all the snapshots of a document, e.g. when the document is deleted
+   * @param {string} documentId
+   * @returns {Promise} Resolves once deleted
+   */
+  async deleteAll(documentId) {
+    const snapshots = await this.list(documentId);
+    for (const snapshot of snapshots) {
+      await this.storage.adapter.delete(SNAPSHOT_KEY_PREFIX + snapshot.id);
+    }
+    await this.storage.adapter.delete(this.getListKey(documentId));
+    this.notify();
+  }
+
+  /**
+   * Save the list of the snapshots of a document, deleting the automatic
+   * snapshots the retention rules do not keep
+   * @param {string} documentId
+   * @param {Array} snapshots - Most recent first
+   * @returns {Promise} Resolves once saved
+   */
+  async saveList(documentId, snapshots) {
+    const expired = getExpiredSnapshots(snapshots);
+    for (const snapshot of expired) {
+      await this.storage.adapter.delete(SNAPSHOT_KEY_PREFIX + snapshot.id);
+    }
+    const kept = snapshots.filter(snapshot => !expired.includes(snapshot));
+    await this.storage.adapter.save(this.getListKey(documentId), kept);
+    this.notify();
+  }
+}
+
+/**
+ * Find the automatic snapshots the retention rules do not keep: beyond the
+ * most recent ones, only the last snapshot of each day is kept, for a month
+ * @param {Array} snapshots - Most recent first
+ * @returns {Array} The snapshots to delete
+ */
+function getExpiredSnapshots(snapshots) {
+  const oldest = Date.now() - DAILY_SNAPSHOT_DAYS * 24 * 60 * 60 * 1000;
+  const days = new Set();
+  return snapshots
+    .filter(snapshot => snapshot.automatic)
+    .filter((snapshot, index) => {
+      if (index < RECENT_SNAPSHOTS) return false;
+      const createdAt = new Date(snapshot.createdAt);
+      if (createdAt.getTime() < oldest) return true;
+      const day = createdAt.toDateString();
+      if (days.has(day)) return true;
+      days.add(day);
+      return false;
+    });
+}
+
+/**
+ * Describe a snapshot by its name, e.g. in the list of snapshots
+ * @param {Object} snapshot
+ * @returns {string}
+ */
+export function describeSnapshot(snapshot) {
+  return snapshot.name || 'Automatic snapshot';
+}
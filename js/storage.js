@@ -1,71 +1,443 @@
 /**
- * Storage Manager for localStorage persistence
- * Handles save, load, validation, and error handling
+ * Storage Manager for document persistence
+ * Handles save, load, validation, and error handling, and keeps a library
+ * of named documents, each stored under its own key by a storage adapter
+ * (see storageAdapters.js)
  */
 
-const STORAGE_KEY = 'toc-authoring-data';
+import { migrateData } from './migrations.js';
+import { validateDocument } from './validation.js';
+import {
+  createDefaultAdapter, migrateLocalStorage, IndexedDBAdapter, LocalStorageAdapter, MemoryAdapter
+} from './storageAdapters.js';
+
+const STORAGE_KEY = 'toc-authoring-data'; // Single document of older versions
+const BACKUP_KEY_PREFIX = `${STORAGE_KEY}-backup-`; // Followed by a timestamp
+const INDEX_KEY = 'toc-authoring-documents';
+const DOCUMENT_KEY_PREFIX = 'toc-authoring-document-';
+const DEFAULT_TITLE = 'Untitled Theory of Change';
 const AUTOSAVE_DELAY = 2000; // 2 seconds
 
 export class StorageManager {
-  constructor(dataModel) {
+  /**
+   * @param {TocDataModel} dataModel
+   * @param {Object} adapter - Storage adapter, IndexedDB when available
+   */
+  constructor(dataModel, adapter = createDefaultAdapter()) {
     this.dataModel = dataModel;
+    this.adapter = adapter;
     this.autosaveTimer = null;
+    this.pendingSaves = 0; // Saves started but not complete
+    this.lastBackupKey = null; // Backup of the last document that could not be loaded
+    // Auto-saves are held while the changes made here conflict with changes
+    // saved elsewhere (see TabSync)
+    this.savingHeld = false;
+    this.heldChanges = false;
+    // { id, json }: the document as last loaded or saved, in JSON, which the
+    // changes saved elsewhere are merged with; only parsed when needed
+    this.savedCopy = null;
+    // { currentId, documents } where documents lists the { id, title,
+    // lastModified, source } of each document, in creation order; set by init
+    this.index = null;
+    this.listeners = [];
 
-    // Subscribe to model changes for auto-save
+    // Subscribe to model changes for auto-save; loaded data is already saved
     this.dataModel.subscribe((changeType, payload) => {
-      this.scheduleAutosave();
+      if (changeType !== 'data-loaded') {
+        this.scheduleAutosave();
+      }
     });
   }
 
   /**
-   * Load data from localStorage
-   * @returns {Object|null} Parsed data or null if not found/invalid
+   * Prepare the storage: falls back to localStorage if the IndexedDB
+   * database cannot be opened, moves the data saved in localStorage by
+   * older versions, and loads the index of the documents
+   * Must be awaited before using the other methods.
+   */
+  async init() {
+    try {
+      await this.adapter.list();
+    } catch (error) {
+      if (!(this.adapter instanceof IndexedDBAdapter)) throw error;
+      console.error('IndexedDB cannot be used, saving to localStorage instead:', error);
+      this.adapter = LocalStorageAdapter.isAvailable() ? new LocalStorageAdapter() : new MemoryAdapter();
+    }
+
+    try {
+      await migrateLocalStorage(this.adapter, data => this.backup(data));
+    } catch (error) {
+      console.error('Could not move the data saved in localStorage:', error);
+    }
+    this.index = await this.loadIndex();
+  }
+
+  /**
+   * Subscribe to changes to the library
+   * @param {Function} callback - Called with (storage, change) whenever a
+   *   document is created, opened, renamed, deleted or saved, where change is
+   *   { type: 'document-saved', documentId, lastModified } once a document
+   *   is saved, { type: 'index-reloaded' } once the changes made elsewhere
+   *   are loaded, and { type: 'index-changed' } otherwise
+   */
+  subscribe(callback) {
+    this.listeners.push(callback);
+  }
+
+  /**
+   * Notify all listeners of a change to the library
+   * @param {Object} change - See subscribe
+   */
+  notify(change) {
+    this.listeners.forEach(listener => listener(this, change));
+  }
+
+  /**
+   * Save the index of the documents and notify all listeners
+   * @param {Object} change - See subscribe
+   * @returns {Promise} Resolves once the index is saved
+   */
+  async saveIndex(change = { type: 'index-changed' }) {
+    try {
+      await this.adapter.save(INDEX_KEY, this.index);
+    } catch (error) {
+      console.error('Could not save the document index:', error);
+    }
+    this.notify(change);
+  }
+
+  /**
+   * Load the index of the documents again, after it was changed elsewhere
+   * (e.g. in another tab), keeping the current document
+   * A current document missing from the index was deleted elsewhere if it
+   * was saved and is no longer stored; it stays in the index of this page
+   * until another document is opened.
+   * @returns {Promise<boolean>} Resolves with true if the current document
+   *   was deleted elsewhere
+   */
+  async reloadIndex() {
+    let index;
+    try {
+      index = await this.adapter.load(INDEX_KEY);
+    } catch (error) {
+      console.error('Could not load the document index:', error);
+    }
+    if (!index || !Array.isArray(index.documents)) return false;
+
+    const current = this.getCurrentDocument();
+    const entry = index.documents.find(document => document.id === current.id);
+    let deleted = false;
+    if (!entry) {
+      deleted = current.lastModified !== null && !(await this.adapter.load(this.getDocumentKey(current.id)));
+      index.documents.push(current);
+    }
+    this.index = { ...index, currentId: current.id };
+    this.notify({ type: 'index-reloaded' });
+    return deleted;
+  }
+
+  /**
+   * Load the index of the documents, creating it on first use
+   * The document saved by older versions becomes the first document of the
+   * library.
+   * @returns {Promise<Object>} Resolves with { currentId, documents }
+   */
+  async loadIndex() {
+    try {
+      const index = await this.adapter.load(INDEX_KEY);
+      if (index && Array.isArray(index.documents) && index.documents.length > 0) {
+        if (!index.documents.some(entry => entry.id === index.currentId)) {
+          index.currentId = index.documents[0].id;
+        }
+        return index;
+      }
+    } catch (error) {
+      console.error('Invalid document index, starting a new one:', error);
+    }
+
+    const entry = { id: crypto.randomUUID(), title: DEFAULT_TITLE, lastModified: null };
+    const index = { currentId: entry.id, documents: [entry] };
+    try {
+      const stored = await this.adapter.load(STORAGE_KEY);
+      if (stored) {
+        entry.title = 'My Theory of Change';
+        entry.lastModified = stored.lastModified || null;
+        await this.adapter.save(DOCUMENT_KEY_PREFIX + entry.id, stored);
+        await this.adapter.delete(STORAGE_KEY);
+        console.log('Saved data moved to the document library');
+      }
+      await this.adapter.save(INDEX_KEY, index);
+    } catch (error) {
+      console.error('Could not create the document index:', error);
+    }
+    return index;
+  }
+
+  /**
+   * Get the storage key of a document
+   * @param {string} id - Defaults to the current document
+   * @returns {string}
+   */
+  getDocumentKey(id = this.index.currentId) {
+    return DOCUMENT_KEY_PREFIX + id;
+  }
+
+  /**
+   * List the documents of the library
+   * @returns {Array} { id, title, lastModified, source } objects, in
+   *   creation order; lastModified is null until the document is saved
+   */
+  getDocuments() {
+    return this.index.documents;
+  }
+
+  /**
+   * Check if a document is in the library
+   * @param {string} id
+   * @returns {boolean}
+   */
+  hasDocument(id) {
+    return this.index.documents.some(entry => entry.id === id);
+  }
+
+  /**
+   * Get the document being edited
+   * @returns {Object} { id, title, lastModified, source }
+   */
+  getCurrentDocument() {
+    return this.index.documents.find(entry => entry.id === this.index.currentId);
+  }
+
+  /**
+   * Create an empty document and make it the current one
+   * The current document is saved first if it has unsaved changes. The new
+   * document is only stored once saved.
+   * @param {string} title
+   * @param {string|null} source - URL the document is imported from
+   * @returns {Promise<string>} Resolves with the ID of the new document
+   */
+  async createDocument(title, source = null) {
+    await this.flush();
+    const entry = { id: crypto.randomUUID(), title: title.trim() || DEFAULT_TITLE, lastModified: null };
+    if (source) {
+      entry.source = source;
+    }
+    this.index.documents.push(entry);
+    this.index.currentId = entry.id;
+    await this.saveIndex();
+    return entry.id;
+  }
+
+  /**
+   * Make another document the current one
+   * The current document is saved first if it has unsaved changes.
+   * @param {string} id
+   * @returns {Promise<Object|null|false>} Resolves with the data of the
+   *   document (see load), or false if it does not exist, e.g. deleted while
+   *   the current one was saved
+   */
+  async openDocument(id) {
+    if (!this.hasDocument(id)) return false;
+    await this.flush();
+    if (!this.hasDocument(id)) return false;
+    this.index.currentId = id;
+    await this.saveIndex();
+    return this.load();
+  }
+
+  /**
+   * Rename a document
+   * @param {string} id
+   * @param {string} title
+   * @returns {Promise<boolean>} Resolves with false if the document does not
+   *   exist or the title is empty
    */
-  load() {
+  async renameDocument(id, title) {
+    const entry = this.index.documents.find(document => document.id === id);
+    if (!entry || !title.trim()) return false;
+    entry.title = title.trim();
+    await this.saveIndex();
+    return true;
+  }
+
+  /**
+   * Copy the current document into a new one, which becomes the current one
+   * @param {string} title - Title of the copy
+   * @returns {Promise<string|null>} Resolves with the ID of the copy, or null
+   *   if it cannot be saved
+   */
+  async duplicateDocument(title) {
+    const source = this.getCurrentDocument();
+    const id = await this.createDocument(title);
+    const result = await this.save();
+    if (!result.success) {
+      // Back to the original document, unless it was deleted meanwhile
+      await this.deleteDocument(id);
+      if (this.hasDocument(source.id)) {
+        this.index.currentId = source.id;
+        await this.saveIndex();
+      }
+      return null;
+    }
+    return id;
+  }
+
+  /**
+   * Delete a document
+   * When the current document is deleted, the first remaining one becomes
+   * the current one; deleting the last document leaves an empty one.
+   * @param {string} id
+   * @returns {Promise} Resolves once the document is deleted
+   */
+  async deleteDocument(id) {
+    const index = this.index.documents.findIndex(entry => entry.id === id);
+    if (index === -1) return;
+
+    if (id === this.index.currentId) {
+      clearTimeout(this.autosaveTimer);
+      this.autosaveTimer = null;
+    }
+    this.index.documents.splice(index, 1);
+    if (this.index.documents.length === 0) {
+      this.index.documents.push({ id: crypto.randomUUID(), title: DEFAULT_TITLE, lastModified: null });
+    }
+    if (id === this.index.currentId) {
+      this.index.currentId = this.index.documents[0].id;
+    }
+    try {
+      await this.adapter.delete(this.getDocumentKey(id));
+    } catch (error) {
+      console.error('Could not delete the document:', error);
+    }
+    await this.saveIndex();
+  }
+
+  /**
+   * Save the current document now if an auto-save is pending
+   * @returns {Promise} Resolves once saved
+   */
+  async flush() {
+    if (this.autosaveTimer) {
+      clearTimeout(this.autosaveTimer);
+      this.autosaveTimer = null;
+      await this.save();
+    }
+  }
+
+  /**
+   * Check if changes to the current document are not saved yet
+   * @returns {boolean}
+   */
+  hasUnsavedChanges() {
+    return this.autosaveTimer !== null || this.pendingSaves > 0 || this.heldChanges;
+  }
+
+  /**
+   * Stop saving changes automatically, e.g. while they conflict with
+   * changes saved elsewhere; saving manually still works
+   */
+  holdSaving() {
+    clearTimeout(this.autosaveTimer);
+    this.heldChanges = this.heldChanges || this.autosaveTimer !== null;
+    this.autosaveTimer = null;
+    this.savingHeld = true;
+  }
+
+  /**
+   * Save changes automatically again
+   * @param {boolean} scheduleSave - Whether to auto-save the changes made
+   *   while held; otherwise they are only saved with the next change
+   */
+  releaseSaving(scheduleSave = false) {
+    const held = this.heldChanges;
+    this.savingHeld = false;
+    this.heldChanges = false;
+    if (held && scheduleSave) {
+      this.scheduleAutosave();
+    }
+  }
+
+  /**
+   * Get the current document as last loaded or saved by this page
+   * @returns {Object|null} A copy of the ToC data, null if the document was
+   *   neither loaded nor saved
+   */
+  getSavedCopy() {
+    return this.savedCopy && this.savedCopy.id === this.index.currentId ? JSON.parse(this.savedCopy.json) : null;
+  }
+
+  /**
+   * Load the current document
+   * @returns {Promise<Object|null>} Resolves with the parsed data, or null if
+   *   not found/invalid
+   */
+  async load() {
+    const key = this.getDocumentKey();
     try {
-      const stored = localStorage.getItem(STORAGE_KEY);
+      const stored = await this.adapter.load(key);
 
       if (!stored) {
         console.log('No saved data found, using defaults');
         return null;
       }
 
-      const parsed = JSON.parse(stored);
+      const parsed = migrateData(stored);
 
       // Validate structure
-      if (!this.isValidData(parsed)) {
-        console.error('Invalid data structure, using defaults');
-        this.backup(stored); // Save corrupted data for debugging
+      const errors = this.getValidationErrors(parsed);
+      if (errors.length > 0) {
+        console.error('Invalid data structure, using defaults:', errors);
+        await this.backup(await this.adapter.load(key)); // Save corrupted data for debugging
         return null;
       }
 
+      this.savedCopy = { id: this.index.currentId, json: JSON.stringify(parsed) };
       console.log('Data loaded successfully');
       return parsed;
 
     } catch (error) {
       console.error('Error loading data:', error);
+      if (error.name === 'UnsupportedVersionError') {
+        // Keep the data: the auto-save would overwrite it with the defaults
+        await this.backup(await this.adapter.load(key));
+      }
       this.handleLoadError(error);
       return null;
     }
   }
 
   /**
-   * Save data to localStorage
-   * @returns {Object} Result object with success status
+   * Save the data to the current document
+   * The key and the data are taken when called, so that switching documents
+   * while saving does not mix them up. A document deleted before or while
+   * it is saved stays deleted.
+   * @returns {Promise<Object>} Resolves with a result object with success status
    */
-  save() {
+  async save() {
+    const key = this.getDocumentKey();
+    const entry = this.getCurrentDocument();
+    // A pending auto-save would save the same data
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+    if (!entry) {
+      return { success: false, error: 'The document was deleted' };
+    }
+    this.pendingSaves++;
     try {
       const data = this.dataModel.getData();
       data.lastModified = new Date().toISOString();
 
-      const jsonString = JSON.stringify(data);
-
-      // Check storage quota (approximate - 5MB limit)
-      if (jsonString.length > 5000000) {
-        throw new Error('Data exceeds storage limit');
+      // Taken now, as the data changes while saving
+      const json = JSON.stringify(data);
+      await this.adapter.save(key, data);
+      if (!this.hasDocument(entry.id)) {
+        await this.adapter.delete(key);
+        return { success: false, error: 'The document was deleted' };
       }
-
-      localStorage.setItem(STORAGE_KEY, jsonString);
+      this.savedCopy = { id: entry.id, json };
+      this.heldChanges = false;
+      entry.lastModified = data.lastModified;
+      await this.saveIndex({ type: 'document-saved', documentId: entry.id, lastModified: data.lastModified });
       console.log('Data saved successfully');
 
       return { success: true, timestamp: data.lastModified };
@@ -78,6 +450,8 @@ export class StorageManager {
       }
 
       return { success: false, error: error.message };
+    } finally {
+      this.pendingSaves--;
     }
   }
 
@@ -85,10 +459,15 @@ export class StorageManager {
    * Schedule auto-save with debouncing
    */
   scheduleAutosave() {
+    if (this.savingHeld) {
+      this.heldChanges = true;
+      return;
+    }
     clearTimeout(this.autosaveTimer);
 
-    this.autosaveTimer = setTimeout(() => {
-      const result = this.save();
+    this.autosaveTimer = setTimeout(async () => {
+      this.autosaveTimer = null;
+      const result = await this.save();
       if (result.success) {
         this.showSaveIndicator('Auto-saved');
       }
@@ -101,48 +480,80 @@ export class StorageManager {
    * @returns {boolean}
    */
   isValidData(data) {
-    if (!data || typeof data !== 'object') return false;
-    if (!data.version) return false;
-    if (!data.impact || !data.impact.statement) return false;
-    if (!Array.isArray(data.outcomes)) return false;
-
-    // Validate each outcome
-    for (const outcome of data.outcomes) {
-      if (!outcome.id || !Array.isArray(outcome.indicators) || !Array.isArray(outcome.outputs)) {
-        return false;
-      }
-
-      // Validate outputs within outcomes
-      for (const output of outcome.outputs) {
-        if (!output.id || !Array.isArray(output.indicators)) {
-          return false;
-        }
-      }
-    }
+    return this.getValidationErrors(data).length === 0;
+  }
 
-    return true;
+  /**
+   * List the problems of a document
+   * @param {Object} data
+   * @returns {Array} { path, message } objects, empty if the data is valid
+   */
+  getValidationErrors(data) {
+    return validateDocument(data);
   }
 
   /**
    * Backup corrupted data
-   * @param {string} corruptedData
+   * The key of the backup is kept in lastBackupKey, so that the recovery
+   * screen can be offered.
+   * @param {Object|string} corruptedData
+   * @returns {Promise} Resolves once the backup is saved
    */
-  backup(corruptedData) {
+  async backup(corruptedData) {
     try {
-      const backupKey = `${STORAGE_KEY}-backup-${Date.now()}`;
-      localStorage.setItem(backupKey, corruptedData);
+      const backupKey = `${BACKUP_KEY_PREFIX}${Date.now()}`;
+      await this.adapter.save(backupKey, corruptedData);
+      this.lastBackupKey = backupKey;
       console.log(`Backup saved to ${backupKey}`);
     } catch (error) {
       console.error('Could not save backup:', error);
     }
   }
 
+  /**
+   * List the backups of the data that could not be loaded
+   * @returns {Promise<Array>} { key, createdAt } objects, most recent first;
+   *   createdAt is null if the key holds no valid date
+   */
+  async listBackups() {
+    const keys = await this.adapter.list();
+    return keys
+      .filter(key => key.startsWith(BACKUP_KEY_PREFIX))
+      .map(key => {
+        const time = Number(key.slice(BACKUP_KEY_PREFIX.length));
+        return { key, time, createdAt: Number.isFinite(time) ? new Date(time).toISOString() : null };
+      })
+      .sort((a, b) => (b.time || 0) - (a.time || 0))
+      .map(({ key, createdAt }) => ({ key, createdAt }));
+  }
+
+  /**
+   * Load the content of a backup
+   * @param {string} key
+   * @returns {Promise<Object|string|null>} Resolves with the data as it was
+   *   saved: an object, or a string if it was not valid JSON
+   */
+  async loadBackup(key) {
+    return this.adapter.load(key);
+  }
+
+  /**
+   * Delete a backup
+   * @param {string} key
+   * @returns {Promise} Resolves once deleted
+   */
+  async deleteBackup(key) {
+    await this.adapter.delete(key);
+  }
+
   /**
    * Handle load errors
    * @param {Error} error
    */
   handleLoadError(error) {
-    const message = 'Could not load saved data. Starting with empty form.';
+    const message = error.name === 'UnsupportedVersionError'
+      ? `${error.message}\n\nYour saved data was kept in a backup, which you can download from the recovery screen. Starting with empty form.`
+      : 'Could not load saved data. Starting with empty form.';
     alert(message);
   }
 
@@ -171,37 +582,33 @@ export class StorageManager {
   }
 
   /**
-   * Clear all data (useful for testing/reset)
+   * Clear the data of the current document (useful for testing/reset)
    */
-  clear() {
-    if (confirm('Clear all data? This cannot be undone.')) {
-      localStorage.removeItem(STORAGE_KEY);
+  async clear() {
+    if (confirm('Clear all data of this document? This cannot be undone.')) {
+      clearTimeout(this.autosaveTimer);
+      this.autosaveTimer = null;
+      await this.adapter.delete(this.getDocumentKey());
       location.reload();
     }
   }
 
   /**
-   * Export current localStorage state (debugging)
-   * @returns {string|null}
+   * Export the current document as stored (debugging)
+   * @returns {Promise<string|null>} Resolves with the JSON of the document
    */
-  exportRaw() {
-    const stored = localStorage.getItem(STORAGE_KEY);
-    console.log('Raw localStorage data:', stored);
-    return stored;
+  async exportRaw() {
+    const stored = await this.adapter.load(this.getDocumentKey());
+    const raw = stored === null ? null : JSON.stringify(stored);
+    console.log('Raw stored data:', raw);
+    return raw;
   }
 
   /**
-   * Check if localStorage is available
+   * Check if the browser offers a storage to save documents in
    * @returns {boolean}
    */
   static isAvailable() {
-    try {
-      const test = '__storage_test__';
-      localStorage.setItem(test, test);
-      localStorage.removeItem(test);
-      return true;
-    } catch (e) {
-      return false;
-    }
+    return IndexedDBAdapter.isAvailable() || LocalStorageAdapter.isAvailable();
   }
 }
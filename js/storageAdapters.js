@@ -0,0 +1,236 @@
+/**
+ * Storage adapters
+ * Backends the StorageManager keeps documents in. Each adapter stores values
+ * under string keys and offers the same asynchronous interface:
+ * - load(key): resolves with the value, or null if there is none
+ * - save(key, value): stores a value (an object or a string)
+ * - list(): resolves with the keys of the stored values
+ * - delete(key): removes a value
+ * Writes fail with a QuotaExceededError when the backend is full.
+ */
+
+const KEY_PREFIX = 'toc-authoring-'; // Keys of the tool in localStorage
+const DATABASE_NAME = 'toc-authoring';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'documents';
+
+/**
+ * Adapter keeping values as JSON in localStorage
+ * Used by older versions of the tool, and when IndexedDB is not available.
+ * The whole value is converted to JSON on every save, and localStorage only
+ * holds about 5 MB.
+ */
+export class LocalStorageAdapter {
+  async load(key) {
+    const stored = localStorage.getItem(key);
+    if (stored === null) return null;
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      // Damaged data is returned as is, to be backed up (see StorageManager.load)
+      return stored;
+    }
+  }
+
+  async save(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+
+  async list() {
+    return Object.keys(localStorage).filter(key => key.startsWith(KEY_PREFIX));
+  }
+
+  async delete(key) {
+    localStorage.removeItem(key);
+  }
+
+  /**
+   * Check if localStorage is available
+   * @returns {boolean}
+   */
+  static isAvailable() {
+    try {
+      const test = '__storage_test__';
+      localStorage.setItem(test, test);
+      localStorage.removeItem(test);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+}
+
+/**
+ * Adapter keeping values in an IndexedDB database
+ * Values are stored as they are, without converting them to JSON, and the
+ * browser grants IndexedDB much more room than localStorage.
+ */
+export class IndexedDBAdapter {
+  /**
+   * @param {string} name - Name of the database
+   */
+  constructor(name = DATABASE_NAME) {
+    this.name = name;
+    this.database = null; // Promise of the open database
+  }
+
+  /**
+   * Open the database, creating it on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, DATABASE_VERSION);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Try again on next use if the database could not be opened
+      this.database.catch(() => {
+        this.database = null;
+      });
+    }
+    return this.database;
+  }
+
+  /**
+   * Run a request in a transaction of its own
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} makeRequest - Called with the object store, returns
+   *   the IDBRequest
+   * @returns {Promise} Resolves with the result of the request once the
+   *   transaction is complete
+   */
+  async run(mode, makeRequest) {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+
+  async load(key) {
+    const value = await this.run('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  async save(key, value) {
+    await this.run('readwrite', store => store.put(value, key));
+  }
+
+  async list() {
+    return this.run('readonly', store => store.getAllKeys());
+  }
+
+  async delete(key) {
+    await this.run('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Check if IndexedDB is available
+   * @returns {boolean}
+   */
+  static isAvailable() {
+    try {
+      return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch (e) {
+      return false;
+    }
+  }
+}
+
+/**
+ * Adapter keeping values in memory, lost when the page is closed
+ * Used when the browser offers no storage, and for testing.
+ */
+export class MemoryAdapter {
+  constructor() {
+    this.values = new Map();
+  }
+
+  async load(key) {
+    // Copies, so that stored values are not changed along with the data
+    return this.values.has(key) ? JSON.parse(this.values.get(key)) : null;
+  }
+
+  async save(key, value) {
+    this.values.set(key, JSON.stringify(value));
+  }
+
+  async list() {
+    return [...this.values.keys()];
+  }
+
+  async delete(key) {
+    this.values.delete(key);
+  }
+}
+
+/**
+ * Create the adapter of the best storage the browser offers: IndexedDB,
+ * localStorage, or memory if neither is available
+ * @returns {Object} The adapter
+ */
+export function createDefaultAdapter() {
+  if (IndexedDBAdapter.isAvailable()) {
+    return new IndexedDBAdapter();
+  }
+  if (LocalStorageAdapter.isAvailable()) {
+    return new LocalStorageAdapter();
+  }
+  return new MemoryAdapter();
+}
+
+/**
+ * Move the data saved in localStorage by older versions of the tool to
+ * another adapter
+ * Moved values are removed from localStorage, so this only happens once.
+ * When the adapter already has a value (e.g. saved while localStorage was
+ * used instead), the more recent of the two by lastModified is kept, the
+ * adapter's one if they have no date, and the other one is backed up.
+ * @param {Object} adapter
+ * @param {Function} backup - Called with the value that is not kept, and
+ *   resolves once it is saved
+ * @returns {Promise<number>} Resolves with the number of values moved
+ */
+export async function migrateLocalStorage(adapter, backup) {
+  if (adapter instanceof LocalStorageAdapter || !LocalStorageAdapter.isAvailable()) return 0;
+
+  const source = new LocalStorageAdapter();
+  const keys = await source.list();
+  const existing = await adapter.list();
+  let moved = 0;
+  for (const key of keys) {
+    const value = await source.load(key);
+    if (existing.includes(key)) {
+      const current = await adapter.load(key);
+      if (getLastModified(value) > getLastModified(current)) {
+        await backup(current);
+        await adapter.save(key, value);
+      } else {
+        await backup(value);
+      }
+    } else {
+      await adapter.save(key, value);
+    }
+    await source.delete(key);
+    moved++;
+  }
+  if (moved > 0) {
+    console.log(`${moved} saved value(s) moved from localStorage`);
+  }
+  return moved;
+}
+
+/**
+ * Get when a saved value was last modified
+ * @param {*} value
+ * @returns {string} ISO date, empty if unknown
+ */
+function getLastModified(value) {
+  return value && typeof value.lastModified === 'string' ? value.lastModified : '';
+}
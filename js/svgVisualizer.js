@@ -3,12 +3,39 @@
  * Creates accessible, compact SVG representations showing relationships
  */
 
+import {
+  getLevels,
+  getChildItems,
+  getVisibleIds,
+  describeFilter,
+  getCausalLink,
+  getStatus,
+  getStatusCounts,
+  getRiskLevel,
+  EVIDENCE_STRENGTHS,
+  getEvidenceStrength,
+  describeReference,
+  getIndicatorProgress,
+  getPerson,
+  describePerson,
+  getInitials,
+  getCommentCounts,
+  getDefaultLanguage,
+  translateData
+} from './dataModel.js';
+
 /**
  * Generate SVG visualization of the ToC
  * @param {Object} data - The ToC data model
+ * @param {Object} filter - Only show the elements matching this filter and
+ *   the items above them (see getVisibleIds)
+ * @param {string|null} language - Language of the texts, null for the
+ *   default language (see translateData)
  * @returns {SVGElement} - SVG element with visualization
  */
-export function generateSVGVisualization(data) {
+export function generateSVGVisualization(data, filter = {}, language = null) {
+  data = translateData(data, language);
+
   // Configuration
   const config = {
     width: 1200,
@@ -20,39 +47,62 @@ export function generateSVGVisualization(data) {
     padding: 20,
     colors: {
       impact: '#1976d2',
-      outcome: '#388e3c',
-      output: '#f57c00',
+      // Levels below the impact, from the closest to the most concrete
+      levels: ['#388e3c', '#f57c00', '#7b1fa2', '#0097a7', '#5d4037'],
       connection: '#999',
-      indicator: '#666'
+      contribution: '#00897b',
+      comment: '#fbc02d',
+      indicator: '#666',
+      assumption: '#6a1b9a',
+      status: {
+        draft: '#757575',
+        proposed: '#1565c0',
+        agreed: '#2e7d32',
+        retired: '#9e9e9e'
+      },
+      evidence: '#2e7d32',
+      risk: {
+        low: '#f9a825',
+        medium: '#ef6c00',
+        high: '#d32f2f'
+      }
     }
   };
 
-  // Collect all unique outputs (detecting shared ones)
-  const outputsMap = new Map(); // key: output statement, value: {output, outcomeIds[]}
-
-  data.outcomes.forEach(outcome => {
-    outcome.outputs.forEach(output => {
-      const key = output.statement.trim().toLowerCase();
-      if (outputsMap.has(key)) {
-        outputsMap.get(key).outcomeIds.push(outcome.id);
-      } else {
-        outputsMap.set(key, {
-          output: output,
-          outcomeIds: [outcome.id]
+  // Collect the items of each level with the items of the level above
+  // they are linked to, in the order they first appear under them
+  const levels = getLevels(data);
+  const visible = getVisibleIds(data, filter);
+  const isVisible = node => !visible || visible.has(node.id);
+  const rows = [];
+
+  levels.forEach((level, levelIndex) => {
+    const itemsMap = new Map(); // key: item ID, value: {item, parentIds[]}
+
+    if (levelIndex === 0) {
+      data[level.key].filter(isVisible).forEach(item => itemsMap.set(item.id, { item, parentIds: [] }));
+    } else {
+      rows[levelIndex - 1].forEach(({ item: parent }) => {
+        getChildItems(data, levels[levelIndex - 1].key, parent).filter(isVisible).forEach(item => {
+          if (itemsMap.has(item.id)) {
+            itemsMap.get(item.id).parentIds.push(parent.id);
+          } else {
+            itemsMap.set(item.id, { item, parentIds: [parent.id] });
+          }
         });
-      }
-    });
-  });
+      });
+    }
 
-  const uniqueOutputs = Array.from(outputsMap.values());
+    rows.push(Array.from(itemsMap.values()));
+  });
 
   // Calculate dimensions
-  const maxItemsPerRow = Math.max(data.outcomes.length, uniqueOutputs.length, 1);
+  const maxItemsPerRow = Math.max(...rows.map(row => row.length), 1);
   const totalWidth = Math.max(
     config.width,
     maxItemsPerRow * (config.itemWidth + config.horizontalGap) + config.padding * 2
   );
-  const totalHeight = config.levelHeight * 3 + config.padding * 2;
+  const totalHeight = config.levelHeight * (levels.length + 1) + config.padding * 2;
 
   // Create SVG
   const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
@@ -60,16 +110,28 @@ export function generateSVGVisualization(data) {
   svg.setAttribute('height', totalHeight);
   svg.setAttribute('role', 'img');
   svg.setAttribute('aria-label', 'Theory of Change logic chain visualization');
+  if (language || getDefaultLanguage(data)) {
+    svg.setAttribute('lang', language || getDefaultLanguage(data));
+  }
   svg.classList.add('toc-svg-visualization');
 
   // Add title for accessibility
+  const levelNames = levels.map(level => level.pluralName.toLowerCase());
   const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
-  title.textContent = 'Theory of Change showing impact, outcomes, and outputs with their relationships';
+  title.textContent = `Theory of Change showing impact, ${levelNames.join(', ')} with their relationships`;
   svg.appendChild(title);
 
   // Add description for accessibility
   const desc = document.createElementNS('http://www.w3.org/2000/svg', 'desc');
-  desc.textContent = `Visualization showing ${data.outcomes.length} outcomes supporting the impact statement, with ${uniqueOutputs.length} unique outputs.`;
+  const contributions = (data.contributions || [])
+    .filter(c => !visible || (visible.has(c.sourceId) && visible.has(c.targetId)));
+  const filterDescription = describeFilter(data, filter);
+  desc.textContent = `Visualization showing ${rows[0].length} ${levelNames[0]} supporting the impact statement` +
+    rows.slice(1).map((row, index) => `, ${row.length} unique ${levelNames[index + 1]}`).join('') +
+    (contributions.length > 0 ? `, and ${contributions.length} contribution links between items of the same level` : '') +
+    '.' +
+    (filterDescription ? ` Only the elements ${filterDescription} and the items above them are shown.` : '') +
+    (!filter.showRetired && getStatusCounts(data).retired > 0 ? ' Retired elements are not shown.' : '');
   svg.appendChild(desc);
 
   // Create definitions for markers
@@ -86,8 +148,31 @@ export function generateSVGVisualization(data) {
   polygon.setAttribute('fill', config.colors.connection);
   marker.appendChild(polygon);
   defs.appendChild(marker);
+
+  // Contribution links point to the item contributed to
+  const contributionMarker = document.createElementNS('http://www.w3.org/2000/svg', 'marker');
+  contributionMarker.setAttribute('id', 'contribution-arrowhead');
+  contributionMarker.setAttribute('markerWidth', '10');
+  contributionMarker.setAttribute('markerHeight', '10');
+  contributionMarker.setAttribute('refX', '10');
+  contributionMarker.setAttribute('refY', '3');
+  contributionMarker.setAttribute('orient', 'auto');
+  const contributionPolygon = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+  contributionPolygon.setAttribute('points', '0 0, 10 3, 0 6');
+  contributionPolygon.setAttribute('fill', config.colors.contribution);
+  contributionMarker.appendChild(contributionPolygon);
+  defs.appendChild(contributionMarker);
   svg.appendChild(defs);
 
+  // Connections are drawn first so that they stay behind the nodes
+  const connections = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  connections.classList.add('toc-connections');
+  svg.appendChild(connections);
+
+  const contributionLinks = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  contributionLinks.classList.add('toc-contributions');
+  svg.appendChild(contributionLinks);
+
   // Layer 1: Impact
   const impactY = config.padding + config.itemHeight / 2;
   const impactX = totalWidth / 2;
@@ -101,101 +186,104 @@ export function generateSVGVisualization(data) {
     'Impact',
     0
   );
+  markUntranslated(impactNode, data.impact);
+  appendCommentMarker(impactNode, [data.impact], 'the impact', config.colors.comment);
   svg.appendChild(impactNode.group);
 
-  // Layer 2: Outcomes
-  const outcomesY = config.padding + config.levelHeight + config.itemHeight / 2;
-  const outcomeNodes = [];
-  const outcomeSpacing = totalWidth / (data.outcomes.length + 1);
-
-  data.outcomes.forEach((outcome, index) => {
-    const x = outcomeSpacing * (index + 1) - config.itemWidth / 2;
-    const y = config.padding + config.levelHeight;
-    const indicatorCount = outcome.indicators.length;
-
-    const node = createNode(
-      x,
-      y,
-      config.itemWidth,
-      config.itemHeight,
-      outcome.statement,
-      config.colors.outcome,
-      'Outcome',
-      indicatorCount
-    );
-    svg.appendChild(node.group);
-
-    outcomeNodes.push({
-      id: outcome.id,
-      x: x + config.itemWidth / 2,
-      y: y + config.itemHeight,
-      node: node
-    });
-
-    // Draw connection from impact to outcome
-    const connection = createConnection(
-      impactX,
-      impactY + config.itemHeight / 2,
-      x + config.itemWidth / 2,
-      y,
-      config.colors.connection
-    );
-    svg.insertBefore(connection, impactNode.group);
-  });
-
-  // Layer 3: Outputs
-  const outputsY = config.padding + config.levelHeight * 2;
-  const outputNodes = [];
-  const outputSpacing = totalWidth / (uniqueOutputs.length + 1);
-
-  uniqueOutputs.forEach((outputData, index) => {
-    const x = outputSpacing * (index + 1) - config.itemWidth / 2;
-    const y = outputsY;
-    const output = outputData.output;
-    const indicatorCount = output.indicators.length;
-
-    // Check if shared across multiple outcomes
-    const isShared = outputData.outcomeIds.length > 1;
-    const label = isShared ? `Output (shared across ${outputData.outcomeIds.length} outcomes)` : 'Output';
-
-    const node = createNode(
-      x,
-      y,
-      config.itemWidth,
-      config.itemHeight,
-      output.statement,
-      config.colors.output,
-      label,
-      indicatorCount,
-      isShared
-    );
-    svg.appendChild(node.group);
-
-    outputNodes.push({
-      outcomeIds: outputData.outcomeIds,
-      x: x + config.itemWidth / 2,
-      y: y,
-      node: node
-    });
-
-    // Draw connections from outcomes to this output
-    outputData.outcomeIds.forEach(outcomeId => {
-      const outcomeNode = outcomeNodes.find(n => n.id === outcomeId);
-      if (outcomeNode) {
-        const connection = createConnection(
-          outcomeNode.x,
-          outcomeNode.y,
+  // One layer per level
+  const linkMarkers = [];
+  const itemNodes = new Map(); // key: item ID, value: {x, y, index, statement} of the node
+  let parentNodes = new Map([[data.impact.id, { x: impactX, y: impactY + config.itemHeight / 2 }]]);
+
+  rows.forEach((row, levelIndex) => {
+    const level = levels[levelIndex];
+    const parentLevel = levels[levelIndex - 1];
+    const color = config.colors.levels[levelIndex % config.colors.levels.length];
+    const y = config.padding + config.levelHeight * (levelIndex + 1);
+    const spacing = totalWidth / (row.length + 1);
+    const nodes = new Map();
+
+    row.forEach(({ item, parentIds }, index) => {
+      const x = spacing * (index + 1) - config.itemWidth / 2;
+      const indicators = level.indicators ? item.indicators.filter(isVisible) : [];
+
+      // Check if shared across multiple parents
+      const isShared = parentIds.length > 1;
+      const label = isShared
+        ? `${level.name} (shared across ${parentIds.length} ${parentLevel.pluralName.toLowerCase()})`
+        : level.name;
+
+      const node = createNode(
+        x,
+        y,
+        config.itemWidth,
+        config.itemHeight,
+        item.statement,
+        color,
+        label,
+        indicators.length,
+        isShared
+      );
+      markUntranslated(node, item);
+      appendProgressBar(node, indicators);
+      appendOwnerBadge(node, data, item);
+      appendStatusBadge(node, item, config.colors.status);
+      appendCommentMarker(node, [item, ...indicators], `this ${level.name.toLowerCase()}`, config.colors.comment);
+      svg.appendChild(node.group);
+
+      nodes.set(item.id, { x: x + config.itemWidth / 2, y: y + config.itemHeight });
+      itemNodes.set(item.id, { x: x + config.itemWidth / 2, y, index, statement: item.statement || '(No statement provided)' });
+
+      // Draw connections from the parents (or the impact) to this item
+      (levelIndex === 0 ? [data.impact.id] : parentIds).forEach(parentId => {
+        const parentNode = parentNodes.get(parentId);
+        connections.appendChild(createConnection(
+          parentNode.x,
+          parentNode.y,
           x + config.itemWidth / 2,
           y,
           config.colors.connection,
           isShared
-        );
-        // Insert before first node to keep connections in back
-        svg.insertBefore(connection, svg.firstChild.nextSibling);
-      }
+        ));
+
+        // Mark the connection if the link carries assumptions or risks,
+        // and show the strength of the evidence backing it next to that mark
+        const link = getCausalLink(data, item.id, parentId);
+        const middleX = (parentNode.x + x + config.itemWidth / 2) / 2;
+        const middleY = (parentNode.y + y) / 2;
+        if (hasLinkDetails(link)) {
+          linkMarkers.push(createLinkMarker(middleX, middleY, link, config.colors));
+        }
+        if (link && getEvidenceStrength(link.references)) {
+          linkMarkers.push(createEvidenceMarker(
+            hasLinkDetails(link) ? middleX + 14 : middleX - 7,
+            middleY,
+            link.references,
+            config.colors
+          ));
+        }
+      });
     });
+
+    parentNodes = nodes;
   });
 
+  // Contributions between items of the same level
+  contributions.forEach(contribution => {
+    const source = itemNodes.get(contribution.sourceId);
+    const target = itemNodes.get(contribution.targetId);
+    if (!source || !target || source.y !== target.y) return;
+
+    const path = createContributionLink(source, target, config);
+    const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+    title.textContent = `"${source.statement}" contributes to "${target.statement}"`;
+    path.appendChild(title);
+    contributionLinks.appendChild(path);
+  });
+
+  // Markers are drawn last so that they stay on top of connections
+  linkMarkers.forEach(marker => svg.appendChild(marker));
+
   return svg;
 }
 
@@ -209,7 +297,7 @@ export function generateSVGVisualization(data) {
  * @param {string} color - Fill color
  * @param {string} label - Type label
  * @param {number} indicatorCount - Number of indicators
- * @param {boolean} isShared - Whether output is shared
+ * @param {boolean} isShared - Whether the item is shared
  * @returns {Object} - Group element and dimensions
  */
 function createNode(x, y, width, height, text, color, label, indicatorCount = 0, isShared = false) {
@@ -310,6 +398,19 @@ function createNode(x, y, width, height, text, color, label, indicatorCount = 0,
   return { group, x, y, width, height };
 }
 
+/**
+ * Mark up the text of a node shown in the default language for lack of a
+ * translation (see translateData)
+ * @param {Object} node - Result of createNode
+ * @param {Object} element - Impact or item of the node
+ */
+function markUntranslated(node, element) {
+  if (element.textLanguage) {
+    node.group.setAttribute('lang', element.textLanguage);
+    node.group.classList.add('untranslated');
+  }
+}
+
 /**
  * Create a connection line between nodes
  * @param {number} x1 - Start X
@@ -343,12 +444,343 @@ function createConnection(x1, y1, x2, y2, color, isShared = false) {
   return path;
 }
 
+/**
+ * Create a contribution link between two nodes of the same row
+ * Neighbouring nodes are joined side to side; links skipping nodes are
+ * routed below the row, deeper for longer links, so that they do not cross
+ * the nodes in between.
+ * @param {Object} source - { x, y, index } of the contributing node (x is its center)
+ * @param {Object} target - { x, y, index } of the node contributed to
+ * @param {Object} config - Visualization configuration
+ * @returns {SVGElement} - Path element
+ */
+function createContributionLink(source, target, config) {
+  const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+  const direction = target.x > source.x ? 1 : -1;
+  const distance = Math.abs(target.index - source.index);
+
+  let d;
+  if (distance === 1) {
+    const y = source.y + config.itemHeight / 2;
+    d = `M ${source.x + direction * config.itemWidth / 2} ${y} L ${target.x - direction * config.itemWidth / 2} ${y}`;
+  } else {
+    // Start and end off center, away from the connections to the level below
+    const y = source.y + config.itemHeight;
+    const x1 = source.x + direction * config.itemWidth / 4;
+    const x2 = target.x - direction * config.itemWidth / 4;
+    const depth = Math.min(20 + distance * 10, config.levelHeight - config.itemHeight - 10);
+    d = `M ${x1} ${y} C ${x1} ${y + depth}, ${x2} ${y + depth}, ${x2} ${y}`;
+  }
+
+  path.setAttribute('d', d);
+  path.setAttribute('stroke', config.colors.contribution);
+  path.setAttribute('stroke-width', 2);
+  path.setAttribute('stroke-dasharray', '2,3');
+  path.setAttribute('fill', 'none');
+  path.setAttribute('marker-end', 'url(#contribution-arrowhead)');
+  path.classList.add('toc-contribution');
+
+  return path;
+}
+
+/**
+ * Add a progress bar at the bottom of a node showing the average share of
+ * their target achieved by its measured indicators
+ * The bar is yellow when an indicator is off track.
+ * @param {Object} node - Result of createNode
+ * @param {Array} indicators
+ */
+function appendProgressBar(node, indicators) {
+  const progresses = indicators
+    .map(getIndicatorProgress)
+    .filter(progress => progress && progress.percent !== null);
+  if (progresses.length === 0) return;
+
+  const average = progresses.reduce((sum, progress) => sum + Math.max(0, Math.min(100, progress.percent)), 0) /
+    progresses.length;
+  const offTrack = progresses.filter(progress => progress.status === 'off-track').length;
+
+  const barX = node.x + 8;
+  const barY = node.y + node.height - 10;
+  const barWidth = node.width - 16;
+
+  const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  group.classList.add('toc-progress-bar');
+
+  const track = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  track.setAttribute('x', barX);
+  track.setAttribute('y', barY);
+  track.setAttribute('width', barWidth);
+  track.setAttribute('height', 4);
+  track.setAttribute('rx', 2);
+  track.setAttribute('fill', '#fff');
+  track.setAttribute('opacity', 0.35);
+  group.appendChild(track);
+
+  const fill = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  fill.setAttribute('x', barX);
+  fill.setAttribute('y', barY);
+  fill.setAttribute('width', barWidth * average / 100);
+  fill.setAttribute('height', 4);
+  fill.setAttribute('rx', 2);
+  fill.setAttribute('fill', offTrack > 0 ? '#ffeb3b' : '#fff');
+  group.appendChild(fill);
+
+  const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+  title.textContent = `Indicators: ${Math.round(average)}% of target on average ` +
+    `(${progresses.length} measured${offTrack > 0 ? `, ${offTrack} off track` : ''})`;
+  group.appendChild(title);
+
+  node.group.appendChild(group);
+}
+
+/**
+ * Add a badge with the initials of the owner of an item at the top left of
+ * its node, listing the owner and contributors in its tooltip
+ * @param {Object} node - Result of createNode
+ * @param {Object} data - The ToC data model
+ * @param {Object} item
+ */
+function appendOwnerBadge(node, data, item) {
+  const owner = item.ownerId ? getPerson(data, item.ownerId) : null;
+  if (!owner) return;
+
+  const badgeX = node.x + 15;
+  const badgeY = node.y + 5;
+
+  const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  group.classList.add('toc-owner-badge');
+
+  const badge = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+  badge.setAttribute('cx', badgeX);
+  badge.setAttribute('cy', badgeY);
+  badge.setAttribute('r', 10);
+  badge.setAttribute('fill', '#263238');
+  badge.setAttribute('stroke', '#fff');
+  group.appendChild(badge);
+
+  const badgeText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+  badgeText.setAttribute('x', badgeX);
+  badgeText.setAttribute('y', badgeY + 3);
+  badgeText.setAttribute('text-anchor', 'middle');
+  badgeText.setAttribute('fill', '#fff');
+  badgeText.setAttribute('font-size', '8');
+  badgeText.setAttribute('font-weight', 'bold');
+  badgeText.textContent = getInitials(owner);
+  group.appendChild(badgeText);
+
+  const contributors = (item.contributorIds || []).map(id => getPerson(data, id)).filter(Boolean);
+  const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+  title.textContent = `Owned by ${describePerson(owner)}` +
+    (contributors.length > 0 ? `; contributors: ${contributors.map(describePerson).join(', ')}` : '');
+  group.appendChild(title);
+
+  node.group.appendChild(group);
+}
+
+/**
+ * Add a badge with the workflow status of an item on the top edge of its
+ * node; retired items (only drawn on request) are faded
+ * @param {Object} node - Result of createNode
+ * @param {Object} item
+ * @param {Object} colors - Color of each status
+ */
+function appendStatusBadge(node, item, colors) {
+  const status = getStatus(item);
+  const width = 56;
+  const x = node.x + (node.width - width) / 2;
+  const y = node.y - 7;
+
+  if (status === 'retired') {
+    node.group.setAttribute('opacity', 0.5);
+  }
+
+  const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  group.classList.add('toc-status-badge');
+
+  const badge = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  badge.setAttribute('x', x);
+  badge.setAttribute('y', y);
+  badge.setAttribute('width', width);
+  badge.setAttribute('height', 14);
+  badge.setAttribute('rx', 7);
+  badge.setAttribute('fill', '#fff');
+  badge.setAttribute('stroke', colors[status]);
+  group.appendChild(badge);
+
+  const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+  text.setAttribute('x', x + width / 2);
+  text.setAttribute('y', y + 10);
+  text.setAttribute('text-anchor', 'middle');
+  text.setAttribute('fill', colors[status]);
+  text.setAttribute('font-size', '9');
+  text.setAttribute('font-weight', 'bold');
+  text.textContent = status;
+  group.appendChild(text);
+
+  const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+  title.textContent = `Status: ${status}`;
+  group.appendChild(title);
+
+  node.group.appendChild(group);
+}
+
+/**
+ * Add a speech bubble counting the open review comments on an element and
+ * its indicators at the bottom right corner of its node
+ * @param {Object} node - Result of createNode
+ * @param {Array} elements - The impact, or an item and its shown indicators
+ * @param {string} label - e.g. 'this outcome'
+ * @param {string} color - Fill color of the bubble
+ */
+function appendCommentMarker(node, elements, label, color) {
+  const open = elements.reduce((sum, element) => sum + getCommentCounts(element).open, 0);
+  if (open === 0) return;
+
+  const x = node.x + node.width - 14;
+  const y = node.y + node.height - 4;
+
+  const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  group.classList.add('toc-comment-marker');
+
+  const bubble = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+  bubble.setAttribute('d', `M ${x + 2} ${y} h 18 a 2 2 0 0 1 2 2 v 10 a 2 2 0 0 1 -2 2 h -12 l -4 4 v -4 h -2 ` +
+    `a 2 2 0 0 1 -2 -2 v -10 a 2 2 0 0 1 2 -2 z`);
+  bubble.setAttribute('fill', color);
+  bubble.setAttribute('stroke', '#fff');
+  group.appendChild(bubble);
+
+  const count = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+  count.setAttribute('x', x + 11);
+  count.setAttribute('y', y + 10);
+  count.setAttribute('text-anchor', 'middle');
+  count.setAttribute('fill', '#212121');
+  count.setAttribute('font-size', '9');
+  count.setAttribute('font-weight', 'bold');
+  count.textContent = open;
+  group.appendChild(count);
+
+  const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+  title.textContent = `${open} open comment${open > 1 ? 's' : ''} on ${label}` +
+    (elements.length > 1 ? ' and its indicators' : '');
+  group.appendChild(title);
+
+  node.group.appendChild(group);
+}
+
+/**
+ * Check whether a causal link carries assumptions or risks
+ * @param {Object|null} link
+ * @returns {boolean}
+ */
+function hasLinkDetails(link) {
+  return Boolean(link) && (link.assumptions.length > 0 || link.risks.length > 0);
+}
+
+/**
+ * Create a marker showing the assumptions and risks of a connection
+ * The marker is outlined in the color of the highest risk level, if any
+ * @param {number} x - Center X (middle of the connection)
+ * @param {number} y - Center Y
+ * @param {Object} link - { assumptions, risks }
+ * @param {Object} colors - Color configuration
+ * @returns {SVGElement} - Group element
+ */
+function createLinkMarker(x, y, link, colors) {
+  const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  group.classList.add('toc-link-marker');
+
+  const levels = link.risks.map(getRiskLevel);
+  const highestLevel = ['high', 'medium', 'low'].find(level => levels.includes(level));
+  const color = highestLevel ? colors.risk[highestLevel] : colors.assumption;
+
+  const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+  circle.setAttribute('cx', x);
+  circle.setAttribute('cy', y);
+  circle.setAttribute('r', 10);
+  circle.setAttribute('fill', '#fff');
+  circle.setAttribute('stroke', color);
+  circle.setAttribute('stroke-width', 2);
+  group.appendChild(circle);
+
+  const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+  text.setAttribute('x', x);
+  text.setAttribute('y', y + 4);
+  text.setAttribute('text-anchor', 'middle');
+  text.setAttribute('fill', color);
+  text.setAttribute('font-size', '11');
+  text.setAttribute('font-weight', 'bold');
+  text.textContent = link.risks.length > 0 ? '!' : 'A';
+  group.appendChild(text);
+
+  // Tooltip listing the assumptions and risks
+  const lines = [
+    ...link.assumptions.map(a => `Assumption: ${a.description || '(No description)'}`),
+    ...link.risks.map(r => `Risk: ${r.description || '(No description)'} (likelihood: ${r.likelihood}, impact: ${r.impact})`)
+  ];
+  const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+  title.textContent = lines.join('\n');
+  group.appendChild(title);
+
+  return group;
+}
+
+/**
+ * Create a marker showing the strength of the evidence backing a connection
+ * as signal bars: one filled bar for weak evidence, up to three for strong
+ * @param {number} x - Left of the marker
+ * @param {number} y - Center Y
+ * @param {Array} references - References of the causal link
+ * @param {Object} colors - Color configuration
+ * @returns {SVGElement} - Group element
+ */
+function createEvidenceMarker(x, y, references, colors) {
+  const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  group.classList.add('toc-evidence-marker');
+
+  const strength = getEvidenceStrength(references);
+  const rank = EVIDENCE_STRENGTHS.indexOf(strength);
+
+  const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  background.setAttribute('x', x - 2);
+  background.setAttribute('y', y - 8);
+  background.setAttribute('width', 18);
+  background.setAttribute('height', 16);
+  background.setAttribute('rx', 3);
+  background.setAttribute('fill', '#fff');
+  background.setAttribute('stroke', colors.evidence);
+  group.appendChild(background);
+
+  EVIDENCE_STRENGTHS.forEach((rating, index) => {
+    const height = 4 + index * 3;
+    const bar = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    bar.setAttribute('x', x + 1 + index * 4.5);
+    bar.setAttribute('y', y + 5 - height);
+    bar.setAttribute('width', 3);
+    bar.setAttribute('height', height);
+    bar.setAttribute('fill', index <= rank ? colors.evidence : '#ccc');
+    group.appendChild(bar);
+  });
+
+  // Tooltip listing the references
+  const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+  title.textContent = [
+    `Evidence: ${strength}`,
+    ...references.map(reference => `Reference: ${describeReference(reference)}`)
+  ].join('\n');
+  group.appendChild(title);
+
+  return group;
+}
+
 /**
  * Render SVG visualization inline
  * @param {Object} dataModel - The data model
  * @param {string} containerId - Container element ID
+ * @param {Object} options - Visualization options (see generateSVGVisualization)
+ * @param {string|null} language - Language of the texts (see generateSVGVisualization)
  */
-export function renderSVGVisualization(dataModel, containerId = 'svg-visualization-container') {
+export function renderSVGVisualization(dataModel, containerId = 'svg-visualization-container', options = {}, language = null) {
   const container = document.getElementById(containerId);
   if (!container) {
     console.error(`Container ${containerId} not found`);
@@ -359,7 +791,7 @@ export function renderSVGVisualization(dataModel, containerId = 'svg-visualizati
   container.innerHTML = '';
 
   // Generate SVG
-  const svg = generateSVGVisualization(dataModel.getData());
+  const svg = generateSVGVisualization(dataModel.getData(), options, language);
 
   // Add to container
   container.appendChild(svg);
@@ -0,0 +1,210 @@
+/**
+ * Synchronisation between tabs
+ * Tabs of the tool tell each other when they save, through a
+ * BroadcastChannel. A tab with no unsaved changes shows the saved version of
+ * its document; a tab with unsaved changes holds its auto-saves and reports
+ * a conflict, to be resolved by reloading the saved version, keeping its own
+ * version or merging both.
+ */
+
+import { mergeDocuments } from './dataModel.js';
+import { validateDocument, salvageDocument } from './validation.js';
+
+const CHANNEL_NAME = 'toc-authoring';
+
+export class TabSync {
+  /**
+   * @param {StorageManager} storage - Storage of the documents, initialized
+   * @param {TocDataModel} dataModel
+   */
+  constructor(storage, dataModel) {
+    this.storage = storage;
+    this.dataModel = dataModel;
+    this.channel = null;
+    // { documentId, deleted, base, theirs } while the current document
+    // conflicts with the version saved in another tab: base is the version
+    // both started from, theirs the saved one (null if deleted)
+    this.conflict = null;
+    this.listeners = [];
+
+    // Tell the other tabs about the changes made in this one
+    this.storage.subscribe((storage, change) => this.handleStorageChange(change));
+  }
+
+  /**
+   * Subscribe to the changes coming from other tabs
+   * @param {Function} callback - Called with 'updated' once the document is
+   *   replaced with the version saved in another tab, and with 'conflict'
+   *   or 'resolved' when a conflict starts, changes or ends
+   */
+  subscribe(callback) {
+    this.listeners.push(callback);
+  }
+
+  /**
+   * Notify all listeners
+   * @param {string} type - See subscribe
+   */
+  notify(type) {
+    this.listeners.forEach(listener => listener(type, this));
+  }
+
+  /**
+   * Start listening to the other tabs
+   * Without BroadcastChannel, tabs are not synchronised.
+   */
+  start() {
+    if (this.channel || typeof BroadcastChannel === 'undefined') return;
+    this.channel = new BroadcastChannel(CHANNEL_NAME);
+    this.channel.onmessage = (e) => this.handleMessage(e.data);
+  }
+
+  /**
+   * Stop listening to the other tabs
+   */
+  stop() {
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+  }
+
+  /**
+   * Tell the other tabs about a change to the library, and end the conflict
+   * once another document is opened or the current one saved
+   * @param {Object} change - See StorageManager.subscribe
+   */
+  handleStorageChange(change) {
+    if (!change || change.type === 'index-reloaded') return;
+    if (this.channel) {
+      this.channel.postMessage(change);
+    }
+    if (this.conflict && (change.type === 'document-saved' ||
+      this.storage.getCurrentDocument().id !== this.conflict.documentId)) {
+      this.resolve();
+    }
+  }
+
+  /**
+   * Handle a change made in another tab
+   * @param {Object} message - See StorageManager.subscribe
+   */
+  async handleMessage(message) {
+    const current = this.storage.getCurrentDocument();
+    const base = this.storage.getSavedCopy();
+    if (await this.storage.reloadIndex()) {
+      this.startConflict({ documentId: current.id, deleted: true, base, theirs: null });
+      return;
+    }
+    if (message.type !== 'document-saved' || message.documentId !== current.id ||
+      message.lastModified === this.dataModel.getData().lastModified) {
+      return;
+    }
+
+    const unsaved = this.conflict || this.storage.hasUnsavedChanges();
+    if (unsaved) {
+      this.storage.holdSaving();
+    }
+    const theirs = await this.storage.load();
+    if (!theirs) {
+      // Nothing to compare with: the changes of this tab are saved as usual
+      if (unsaved && !this.conflict) {
+        this.storage.releaseSaving(true);
+      }
+      return;
+    }
+
+    if (unsaved || this.storage.hasUnsavedChanges()) {
+      // The version both started from stays the same until resolved
+      this.startConflict({
+        documentId: current.id,
+        deleted: false,
+        base: this.conflict ? this.conflict.base : base,
+        theirs
+      });
+    } else {
+      this.dataModel.setData(theirs);
+      this.notify('updated');
+    }
+  }
+
+  /**
+   * Hold the auto-saves and report a conflict
+   * @param {Object} conflict - See the conflict property
+   */
+  startConflict(conflict) {
+    this.storage.holdSaving();
+    this.conflict = conflict;
+    this.notify('conflict');
+  }
+
+  /**
+   * End the conflict and save changes automatically again, from the next
+   * change on
+   */
+  resolve() {
+    this.conflict = null;
+    this.storage.releaseSaving();
+    this.notify('resolved');
+  }
+
+  /**
+   * Resolve the conflict by keeping the version of this tab, which is saved
+   * over the other one (and saved again if it was deleted)
+   * @returns {Promise<Object>} Resolves with the result of the save (see
+   *   StorageManager.save)
+   */
+  async keepMine() {
+    this.storage.releaseSaving();
+    return this.storage.save();
+  }
+
+  /**
+   * Resolve the conflict by dropping the changes made in this tab
+   * @returns {Promise<Object|null>} Resolves with the saved version, or null
+   *   if the document was deleted and another one opened; the data model is
+   *   not updated
+   */
+  async reload() {
+    const { documentId, deleted } = this.conflict;
+    this.resolve();
+    if (deleted) {
+      await this.storage.deleteDocument(documentId);
+    }
+    return this.storage.load();
+  }
+
+  /**
+   * Resolve the conflict by merging the changes made in this tab with the
+   * saved version (see mergeDocuments)
+   * The merged version replaces the document as a change that can be
+   * undone, and is saved. Parts of it that are not valid, such as links to
+   * elements deleted in the other tab, are left out.
+   * @returns {Promise<Object|null>} Resolves with { conflicts, removed }
+   *   where conflicts lists where both tabs made changes and removed what
+   *   was left out (see salvageDocument), or null if the versions cannot be
+   *   merged
+   */
+  async merge() {
+    const { base, theirs, deleted } = this.conflict;
+    if (deleted) return null;
+
+    const defaults = this.dataModel.getDefaultStructure();
+    const { data, conflicts } = mergeDocuments(base || defaults, this.dataModel.getData(), theirs);
+    let merged = data;
+    let removed = [];
+    if (validateDocument(merged).length > 0) {
+      const salvage = salvageDocument(merged, defaults);
+      if (!salvage) return null;
+      merged = salvage.data;
+      removed = salvage.removed;
+    }
+
+    this.resolve();
+    if (!this.dataModel.restoreData(merged)) {
+      // Same as this version: it still has to replace the saved one
+      await this.storage.save();
+    }
+    return { conflicts, removed };
+  }
+}
@@ -20,16 +20,29 @@ export function generateId() {
 
 /**
  * Debounce a function
+ * The returned function has a flush() method to run a pending call immediately
  * @param {Function} fn - Function to debounce
  * @param {number} delay - Delay in milliseconds
  * @returns {Function}
  */
 export function debounce(fn, delay) {
   let timeoutId;
-  return function(...args) {
+  let pendingCall = null;
+
+  const debounced = function(...args) {
     clearTimeout(timeoutId);
-    timeoutId = setTimeout(() => fn.apply(this, args), delay);
+    pendingCall = () => fn.apply(this, args);
+    timeoutId = setTimeout(() => debounced.flush(), delay);
   };
+
+  debounced.flush = () => {
+    clearTimeout(timeoutId);
+    const call = pendingCall;
+    pendingCall = null;
+    if (call) call();
+  };
+
+  return debounced;
 }
 
 /**
@@ -0,0 +1,697 @@
+/**
+ * Validation of Theory of Change documents
+ * Publishes the JSON Schema of the format, reports every violation with its
+ * JSON path and repairs the problems that can be fixed without guessing
+ */
+
+import {
+  INDICATOR_DIRECTIONS,
+  INDICATOR_FREQUENCIES,
+  RISK_RATINGS,
+  EVIDENCE_TYPES,
+  EVIDENCE_STRENGTHS,
+  STATUSES,
+  isLanguageCode
+} from './dataModel.js';
+import { getSchemaErrors, isValidSchema } from './schema.js';
+
+/**
+ * JSON Schema of the Theory of Change format
+ * Properties not listed at the top level hold the items of the levels
+ * defined by the document schema. The references between items, and to the
+ * people of the document, cannot be expressed in JSON Schema and are checked
+ * by validateDocument.
+ */
+export const TOC_JSON_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'Theory of Change',
+  description: 'Theory of Change document of the Theory of Change Authoring Tool',
+  type: 'object',
+  required: ['version', 'impact', 'schema'],
+  properties: {
+    version: { type: 'string', description: 'Format version of the document' },
+    languages: { type: 'array', items: { type: 'string' }, description: 'Codes of the languages of the texts, e.g. "en" or "pt-BR"' },
+    defaultLanguage: { type: 'string', description: 'Language of the statements and descriptions; the other languages are in their translations' },
+    lastModified: { type: 'string', description: 'Date of the last save (ISO 8601)' },
+    migrations: {
+      type: 'array',
+      description: 'Conversions applied to the document from older format versions',
+      items: {
+        type: 'object',
+        required: ['from', 'to'],
+        properties: {
+          from: { type: 'string' },
+          to: { type: 'string' },
+          description: { type: 'string' },
+          appliedAt: { type: 'string' }
+        }
+      }
+    },
+    schema: {
+      type: 'object',
+      description: 'Levels of the hierarchy below the impact',
+      required: ['levels'],
+      properties: {
+        levels: { type: 'array', minItems: 1, items: { $ref: '#/$defs/level' } }
+      }
+    },
+    impact: {
+      type: 'object',
+      required: ['id', 'statement'],
+      properties: {
+        id: { $ref: '#/$defs/id' },
+        statement: { type: 'string', minLength: 1 },
+        previousVersions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              statement: { type: 'string' },
+              rationale: { type: 'string' },
+              replacedAt: { type: 'string' }
+            }
+          }
+        },
+        translations: { $ref: '#/$defs/translations' },
+        tags: { $ref: '#/$defs/tags' },
+        comments: { $ref: '#/$defs/comments' }
+      }
+    },
+    causalLinks: { type: 'array', items: { $ref: '#/$defs/causalLink' } },
+    contributions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['sourceId', 'targetId'],
+        properties: {
+          sourceId: { $ref: '#/$defs/id' },
+          targetId: { $ref: '#/$defs/id' }
+        }
+      }
+    },
+    people: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: {
+          id: { $ref: '#/$defs/id' },
+          name: { type: 'string' },
+          organisation: { type: 'string' }
+        }
+      }
+    }
+  },
+  additionalProperties: {
+    description: 'Items of a level, in the property named after the key of the level',
+    type: 'array',
+    items: { $ref: '#/$defs/item' }
+  },
+  $defs: {
+    id: { type: 'string', minLength: 1 },
+    tags: { type: 'array', items: { type: 'string' } },
+    status: { enum: STATUSES, description: 'Workflow status; elements without one are drafts' },
+    translations: {
+      type: 'object',
+      description: 'Texts in the languages other than the default one, by language code',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          statement: { type: 'string' },
+          description: { type: 'string' }
+        }
+      }
+    },
+    level: {
+      type: 'object',
+      required: ['key', 'name', 'pluralName'],
+      properties: {
+        key: { type: 'string', minLength: 1 },
+        idsKey: { type: 'string', minLength: 1, description: 'Property of the items of the level above listing the IDs of their items at this level' },
+        name: { type: 'string', minLength: 1 },
+        pluralName: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        prompt: { type: 'string' },
+        indicators: { type: 'boolean' },
+        indicatorPrompt: { type: 'string' },
+        contributions: { type: 'boolean' }
+      }
+    },
+    item: {
+      type: 'object',
+      description: 'Item of a level; the IDs of its children are listed in the idsKey property of the level below',
+      required: ['id'],
+      properties: {
+        id: { $ref: '#/$defs/id' },
+        statement: { type: 'string' },
+        translations: { $ref: '#/$defs/translations' },
+        status: { $ref: '#/$defs/status' },
+        indicators: { type: 'array', items: { $ref: '#/$defs/indicator' } },
+        tags: { $ref: '#/$defs/tags' },
+        ownerId: { $ref: '#/$defs/id' },
+        contributorIds: { type: 'array', items: { $ref: '#/$defs/id' } },
+        comments: { $ref: '#/$defs/comments' },
+        references: { $ref: '#/$defs/references' }
+      },
+      additionalProperties: true
+    },
+    indicator: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { $ref: '#/$defs/id' },
+        description: { type: 'string' },
+        translations: { $ref: '#/$defs/translations' },
+        status: { $ref: '#/$defs/status' },
+        baseline: { $ref: '#/$defs/measure' },
+        target: { $ref: '#/$defs/measure' },
+        unit: { type: ['string', 'null'] },
+        direction: { enum: [...INDICATOR_DIRECTIONS, null] },
+        dataSource: { type: ['string', 'null'] },
+        frequency: { enum: [...INDICATOR_FREQUENCIES, null] },
+        measurements: { type: ['array', 'null'], items: { $ref: '#/$defs/measurement' } },
+        tags: { $ref: '#/$defs/tags' },
+        ownerId: { $ref: '#/$defs/id' },
+        contributorIds: { type: 'array', items: { $ref: '#/$defs/id' } },
+        comments: { $ref: '#/$defs/comments' }
+      }
+    },
+    references: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { $ref: '#/$defs/id' },
+          title: { type: 'string' },
+          source: { type: 'string', description: 'URL or citation' },
+          type: { enum: EVIDENCE_TYPES },
+          strength: { enum: EVIDENCE_STRENGTHS }
+        }
+      }
+    },
+    measure: {
+      type: ['object', 'null'],
+      properties: {
+        value: { type: ['number', 'null'] },
+        date: { type: ['string', 'null'] }
+      }
+    },
+    measurement: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { $ref: '#/$defs/id' },
+        date: { type: ['string', 'null'] },
+        value: { type: ['number', 'null'] },
+        note: { type: ['string', 'null'] },
+        source: { type: ['string', 'null'] }
+      }
+    },
+    comments: {
+      type: 'array',
+      items: {
+        $ref: '#/$defs/message',
+        properties: {
+          resolved: { type: 'boolean' },
+          resolvedAt: { type: 'string' },
+          replies: { type: 'array', items: { $ref: '#/$defs/message' } }
+        }
+      }
+    },
+    message: {
+      type: 'object',
+      required: ['id', 'author', 'text', 'createdAt'],
+      properties: {
+        id: { $ref: '#/$defs/id' },
+        author: { type: 'string' },
+        text: { type: 'string' },
+        createdAt: { type: 'string' }
+      }
+    },
+    causalLink: {
+      type: 'object',
+      required: ['sourceId', 'targetId', 'assumptions', 'risks'],
+      properties: {
+        sourceId: { $ref: '#/$defs/id' },
+        targetId: { $ref: '#/$defs/id' },
+        assumptions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+              id: { $ref: '#/$defs/id' },
+              description: { type: 'string' }
+            }
+          }
+        },
+        risks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+              id: { $ref: '#/$defs/id' },
+              description: { type: 'string' },
+              likelihood: { enum: RISK_RATINGS },
+              impact: { enum: RISK_RATINGS }
+            }
+          }
+        },
+        references: { $ref: '#/$defs/references' }
+      }
+    }
+  }
+};
+
+const TYPE_NAMES = {
+  object: 'an object',
+  array: 'an array',
+  string: 'a string',
+  number: 'a number',
+  boolean: 'a boolean',
+  null: 'null'
+};
+
+/**
+ * Append a property name or array index to a JSON path
+ * @param {string} path - '' for the document itself
+ * @param {string|number} key
+ * @returns {string} e.g. 'outcomes[3].indicators'
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Check a value against a JSON Schema type
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'number': return Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * Supports the keywords used by TOC_JSON_SCHEMA: $ref (to its $defs),
+ * type, enum, required, properties, additionalProperties, items, minItems
+ * and minLength. The properties of a schema with a $ref are merged with
+ * those of the referenced definition.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path - JSON path of the value
+ * @param {Array} errors - { path, message } objects, appended to
+ */
+function validateValue(value, schema, path, errors) {
+  if (schema.$ref) {
+    const definition = TOC_JSON_SCHEMA.$defs[schema.$ref.replace('#/$defs/', '')];
+    schema = {
+      ...definition,
+      ...schema,
+      properties: { ...definition.properties, ...schema.properties }
+    };
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => hasType(value, type))) {
+      errors.push({ path, message: `is not ${types.map(type => TYPE_NAMES[type]).join(' or ')}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const values = schema.enum.filter(option => option !== null).join(', ');
+    errors.push({ path, message: `must be one of: ${values}` });
+    return;
+  }
+
+  if (typeof value === 'string' && schema.minLength && value.length < schema.minLength) {
+    errors.push({ path, message: 'must not be empty' });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} entr${schema.minItems === 1 ? 'y' : 'ies'}` });
+    }
+    if (schema.items) {
+      value.forEach((entry, index) => validateValue(entry, schema.items, joinPath(path, index), errors));
+    }
+  } else if (hasType(value, 'object')) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: 'is missing' });
+      }
+    });
+    // Properties set to undefined are not part of the saved document
+    Object.keys(value).filter(key => value[key] !== undefined).forEach(key => {
+      const propertySchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+      if (propertySchema === false) {
+        errors.push({ path: joinPath(path, key), message: 'is not allowed' });
+      } else if (propertySchema && propertySchema !== true) {
+        validateValue(value[key], propertySchema, joinPath(path, key), errors);
+      }
+    });
+  }
+}
+
+/**
+ * Validate a document against the format
+ * Checks the JSON Schema first, then what it cannot express: the level
+ * schema rules, the lists each level requires, the references to child
+ * items and to people, and the languages of the translations.
+ * @param {Object} data - Migrated document
+ * @returns {Array} { path, message } objects, empty if the document is valid;
+ *   the path of the document itself is ''
+ */
+export function validateDocument(data) {
+  const errors = [];
+  validateValue(data, TOC_JSON_SCHEMA, '', errors);
+  if (!hasType(data, 'object')) return errors;
+
+  // Keep one error per path: the level schema rules repeat some type checks
+  const reported = new Set(errors.map(error => error.path));
+  const addError = (path, message) => {
+    if (!reported.has(path)) {
+      reported.add(path);
+      errors.push({ path, message });
+    }
+  };
+
+  if (data.schema !== undefined) {
+    getSchemaErrors(data.schema).forEach(error => addError(error.path, error.message));
+  }
+
+  const languages = Array.isArray(data.languages) ? data.languages : [];
+  languages.forEach((language, index) => {
+    if (typeof language !== 'string') return;
+    if (!isLanguageCode(language)) {
+      addError(joinPath('languages', index), `is not a language code (${language})`);
+    } else if (languages.indexOf(language) !== index) {
+      addError(joinPath('languages', index), `is listed twice (${language})`);
+    }
+  });
+  if (languages.length > 0 && data.defaultLanguage === undefined) {
+    addError('defaultLanguage', 'is missing');
+  } else if (typeof data.defaultLanguage === 'string' && !languages.includes(data.defaultLanguage)) {
+    addError('defaultLanguage', `is not one of the languages (${data.defaultLanguage})`);
+  }
+  const checkTranslations = (node, path) => {
+    if (!hasType(node.translations, 'object')) return;
+    Object.keys(node.translations).filter(language => node.translations[language] !== undefined).forEach(language => {
+      if (!languages.includes(language)) {
+        addError(joinPath(joinPath(path, 'translations'), language), 'is not one of the languages');
+      } else if (language === data.defaultLanguage) {
+        addError(joinPath(joinPath(path, 'translations'), language), 'is the default language');
+      }
+    });
+  };
+  if (hasType(data.impact, 'object')) {
+    checkTranslations(data.impact, 'impact');
+  }
+
+  if (!isValidSchema(data.schema)) return errors;
+
+  const personIds = new Set(Array.isArray(data.people)
+    ? data.people.filter(person => person && person.id).map(person => person.id)
+    : []);
+  const checkAssignments = (node, path) => {
+    if (typeof node.ownerId === 'string' && !personIds.has(node.ownerId)) {
+      addError(joinPath(path, 'ownerId'), `refers to an unknown person (${node.ownerId})`);
+    }
+    if (Array.isArray(node.contributorIds)) {
+      node.contributorIds.forEach((id, index) => {
+        if (!personIds.has(id)) {
+          addError(joinPath(joinPath(path, 'contributorIds'), index), `refers to an unknown person (${id})`);
+        }
+      });
+    }
+  };
+
+  // Check the items of each level from the most concrete one up so that the
+  // IDs of the children are known when checking their parents
+  const levels = data.schema.levels;
+  let childIds = new Set();
+  for (let index = levels.length - 1; index >= 0; index--) {
+    const level = levels[index];
+    const childLevel = levels[index + 1];
+    const items = data[level.key];
+    if (items === undefined) {
+      addError(level.key, 'is missing');
+    }
+
+    const ids = new Set();
+    (Array.isArray(items) ? items : []).forEach((item, itemIndex) => {
+      if (!hasType(item, 'object')) return;
+      const itemPath = joinPath(level.key, itemIndex);
+
+      if (level.indicators && item.indicators === undefined) {
+        addError(joinPath(itemPath, 'indicators'), 'is missing');
+      }
+      checkAssignments(item, itemPath);
+      checkTranslations(item, itemPath);
+      if (Array.isArray(item.indicators)) {
+        item.indicators.forEach((indicator, indicatorIndex) => {
+          if (hasType(indicator, 'object')) {
+            const indicatorPath = joinPath(joinPath(itemPath, 'indicators'), indicatorIndex);
+            checkAssignments(indicator, indicatorPath);
+            checkTranslations(indicator, indicatorPath);
+          }
+        });
+      }
+
+      if (childLevel) {
+        const idsPath = joinPath(itemPath, childLevel.idsKey);
+        const itemChildIds = item[childLevel.idsKey];
+        if (itemChildIds === undefined) {
+          addError(idsPath, 'is missing');
+        } else if (!Array.isArray(itemChildIds)) {
+          addError(idsPath, 'is not an array');
+        } else {
+          itemChildIds.forEach((childId, childIndex) => {
+            if (!childIds.has(childId)) {
+              addError(joinPath(idsPath, childIndex),
+                `refers to an unknown ${childLevel.name.toLowerCase()} (${childId})`);
+            }
+          });
+        }
+      }
+
+      if (item.id) {
+        ids.add(item.id);
+      }
+    });
+    childIds = ids;
+  }
+
+  return errors;
+}
+
+/**
+ * Fill in the missing IDs and lists of a document
+ * Only problems with an unambiguous fix are repaired: missing or empty IDs
+ * get new ones, missing (or null) lists become empty lists, and references
+ * to child items that are not IDs of the level below are removed. The other
+ * problems are left for validateDocument to report.
+ * @param {Object} data - Migrated document (modified in place)
+ * @returns {Array} { path, message } objects describing the repairs
+ */
+export function repairDocument(data) {
+  const repairs = [];
+  if (!hasType(data, 'object')) return repairs;
+
+  const fillId = (node, path, id = crypto.randomUUID()) => {
+    if (!node.id) {
+      node.id = id;
+      repairs.push({ path: joinPath(path, 'id'), message: 'set to a new ID' });
+    }
+  };
+  // Required lists are added when missing, optional ones only replace null
+  const fillList = (node, key, path, required = false) => {
+    if (node[key] === null || (required && node[key] === undefined)) {
+      node[key] = [];
+      repairs.push({ path: joinPath(path, key), message: 'set to an empty list' });
+    }
+    return Array.isArray(node[key]) ? node[key] : [];
+  };
+  const eachObject = (list, path, callback) => list.forEach((node, index) => {
+    if (hasType(node, 'object')) callback(node, joinPath(path, index));
+  });
+  const repairComments = (node, path) => {
+    eachObject(fillList(node, 'comments', path), joinPath(path, 'comments'), (comment, commentPath) => {
+      fillId(comment, commentPath);
+      eachObject(fillList(comment, 'replies', commentPath), joinPath(commentPath, 'replies'), fillId);
+    });
+  };
+  const repairNode = (node, path) => {
+    fillList(node, 'tags', path);
+    fillList(node, 'contributorIds', path);
+    repairComments(node, path);
+  };
+
+  if (hasType(data.impact, 'object')) {
+    fillId(data.impact, 'impact', 'impact-1');
+    fillList(data.impact, 'previousVersions', 'impact');
+    repairNode(data.impact, 'impact');
+  }
+
+  eachObject(fillList(data, 'people', ''), 'people', fillId);
+
+  if (isValidSchema(data.schema)) {
+    const levels = data.schema.levels;
+    levels.forEach((level, index) => {
+      const childLevel = levels[index + 1];
+      eachObject(fillList(data, level.key, '', true), level.key, (item, itemPath) => {
+        fillId(item, itemPath);
+        repairNode(item, itemPath);
+        eachObject(fillList(item, 'references', itemPath), joinPath(itemPath, 'references'), fillId);
+        if (childLevel) {
+          fillList(item, childLevel.idsKey, itemPath, true);
+        }
+        const indicators = fillList(item, 'indicators', itemPath, level.indicators);
+        eachObject(indicators, joinPath(itemPath, 'indicators'), (indicator, indicatorPath) => {
+          fillId(indicator, indicatorPath);
+          repairNode(indicator, indicatorPath);
+          eachObject(fillList(indicator, 'measurements', indicatorPath), joinPath(indicatorPath, 'measurements'), fillId);
+        });
+      });
+    });
+
+    // Once all items have IDs, drop the references that match none
+    levels.forEach((level, index) => {
+      const childLevel = levels[index + 1];
+      if (!childLevel || !Array.isArray(data[childLevel.key])) return;
+      const childIds = new Set(data[childLevel.key].filter(child => hasType(child, 'object')).map(child => child.id));
+      eachObject(data[level.key], level.key, (item, itemPath) => {
+        const itemChildIds = item[childLevel.idsKey];
+        if (!Array.isArray(itemChildIds)) return;
+        const idsPath = joinPath(itemPath, childLevel.idsKey);
+        item[childLevel.idsKey] = itemChildIds.filter((childId, childIndex) => {
+          if (typeof childId === 'string' && childIds.has(childId)) return true;
+          repairs.push({
+            path: joinPath(idsPath, childIndex),
+            message: `removed, as it refers to an unknown ${childLevel.name.toLowerCase()}`
+          });
+          return false;
+        });
+      });
+    });
+  }
+
+  eachObject(fillList(data, 'causalLinks', ''), 'causalLinks', (link, linkPath) => {
+    eachObject(fillList(link, 'assumptions', linkPath, true), joinPath(linkPath, 'assumptions'), fillId);
+    eachObject(fillList(link, 'risks', linkPath, true), joinPath(linkPath, 'risks'), fillId);
+    eachObject(fillList(link, 'references', linkPath), joinPath(linkPath, 'references'), fillId);
+  });
+  fillList(data, 'contributions', '');
+
+  return repairs;
+}
+
+/**
+ * Split a path of validation errors into its keys and indexes
+ * e.g. 'outcomes[2].statement' becomes ['outcomes', 2, 'statement']
+ * @param {string} path
+ * @returns {Array}
+ */
+function splitPath(path) {
+  return [...path.matchAll(/([^.[\]]+)|\[(\d+)\]/g)]
+    .map(([, key, index]) => index === undefined ? key : Number(index));
+}
+
+/**
+ * Texts of the impact, items and indicators, emptied by salvageDocument
+ * rather than removed when invalid
+ */
+const SALVAGED_TEXT_KEYS = ['statement', 'description'];
+
+/**
+ * Keep the valid parts of a document that cannot be repaired
+ * After repairDocument, the problems are removed one at a time until the
+ * document is valid: invalid properties are deleted (invalid statements and
+ * descriptions are emptied), and the entries of lists (items, indicators,
+ * links...) missing a required property are removed, along with the
+ * references to them. A missing default language is taken from the
+ * languages. Top-level properties that cannot be fixed this way, like an
+ * invalid schema, are reset to their default value.
+ * @param {Object} data - Migrated document (modified in place)
+ * @param {Object} defaults - Empty document providing the default values
+ * @returns {Object|null} { data, removed } where removed lists the
+ *   { path, message } of what was removed or reset, or null if nothing
+ *   can be kept
+ */
+export function salvageDocument(data, defaults) {
+  if (!hasType(data, 'object')) return null;
+
+  const removed = repairDocument(data);
+  const attempts = new Map(); // Fixes already tried for each problem
+  const resetKey = (key, reason) => {
+    if (defaults[key] === undefined) {
+      delete data[key];
+      removed.push({ path: key, message: `removed (${reason})` });
+    } else {
+      data[key] = JSON.parse(JSON.stringify(defaults[key]));
+      removed.push({ path: key, message: `reset to the default (${reason})` });
+    }
+  };
+
+  for (let count = 0; count < 10000; count++) {
+    const errors = validateDocument(data);
+    if (errors.length === 0) return { data, removed };
+
+    const error = errors[0];
+    const reason = `${error.path || 'document'} ${error.message}`;
+    const segments = splitPath(error.path);
+    const attempt = (attempts.get(reason) || 0) + 1;
+    attempts.set(reason, attempt);
+    if (segments.length === 0 || attempt > 2) return null;
+
+    // The deepest list entry holding the problem
+    const indexPosition = segments.map(segment => typeof segment === 'number').lastIndexOf(true);
+    const last = segments[segments.length - 1];
+    if (error.path === 'defaultLanguage' && attempt === 1 && hasType(data.languages, 'array') && typeof data.languages[0] === 'string') {
+      // Languages without a default one: the first of them becomes the default
+      data.defaultLanguage = data.languages[0];
+      removed.push({ path: error.path, message: `set to ${data.defaultLanguage} (${error.message})` });
+      continue;
+    }
+    if (attempt === 2 || segments[0] === 'schema' || (error.message === 'is missing' && indexPosition === -1)) {
+      resetKey(segments[0], reason);
+      continue;
+    }
+
+    const removeAt = typeof last === 'number' || error.message === 'is missing'
+      ? segments.slice(0, indexPosition + 1)
+      : segments;
+    const parent = removeAt.slice(0, -1)
+      .reduce((node, segment) => hasType(node, 'object') || hasType(node, 'array') ? node[segment] : undefined, data);
+    const key = removeAt[removeAt.length - 1];
+    if (removeAt.length === 1 || (!hasType(parent, 'object') && !hasType(parent, 'array'))) {
+      resetKey(segments[0], reason);
+      continue;
+    }
+    const path = removeAt.reduce((result, segment) => joinPath(result, segment), '');
+    if (Array.isArray(parent)) {
+      parent.splice(key, 1);
+    } else if (SALVAGED_TEXT_KEYS.includes(key)) {
+      // The editor and the views expect every element to have its text
+      parent[key] = '';
+      removed.push({ path, message: `emptied (${error.message})` });
+      continue;
+    } else {
+      delete parent[key];
+    }
+    removed.push({ path, message: path === error.path ? `removed (${error.message})` : `removed (${reason})` });
+  }
+  return null;
+}